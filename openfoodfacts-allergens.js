@@ -0,0 +1,120 @@
+/**
+ * Allergen checks for the OpenFoodFacts API client
+ * Compares a product's allergen, trace and ingredient tags with a user's
+ * allergen profile, using the allergens taxonomy to resolve names and synonyms
+ */
+
+const { getAncestors, getLocalizedName, resolveId } = require('./openfoodfacts-taxonomy');
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Product fields needed to check allergens
+ * @type {Array<string>}
+ */
+const ALLERGEN_FIELDS = ['code', 'product_name', 'allergens_tags', 'traces_tags', 'ingredients_tags'];
+
+/**
+ * Check outcomes, from least to most severe
+ * @type {Array<string>}
+ */
+const ALLERGEN_STATUSES = ['safe', 'may-contain', 'contains'];
+
+/**
+ * Resolves a user allergen profile to canonical allergen ids
+ * @param {Array<string>|string} profile - Allergen ids, names or synonyms, as an array or comma separated string
+ * @param {Object} taxonomy - Allergens taxonomy returned by getAllergens
+ * @param {string} [lang] - Language the names are written in
+ * @returns {Array<string>} Canonical allergen ids
+ */
+function resolveProfile(profile, taxonomy, lang) {
+  const terms = (Array.isArray(profile) ? profile : String(profile || '').split(','))
+    .map((term) => String(term).trim())
+    .filter(Boolean);
+  if (terms.length === 0) {
+    throw new ValidationError('Allergen profile must list at least one allergen');
+  }
+  // An allergen the checker cannot recognize could never be reported, so it is an error rather than skipped
+  const ids = terms.map((term) => {
+    const id = resolveId(taxonomy, term, lang);
+    if (!id) {
+      throw new ValidationError(`Unknown allergen in profile: ${term}`);
+    }
+    return id;
+  });
+  return [...new Set(ids)];
+}
+
+/**
+ * Finds the profile allergens matched by a product tag, including profile
+ * entries that are ancestors of the tagged allergen (e.g. nuts for hazelnuts)
+ * @param {string} allergen - Canonical allergen id found on the product
+ * @param {Array<string>} profile - Canonical profile allergen ids
+ * @param {Object} taxonomy - Allergens taxonomy
+ * @returns {Array<string>} Matched profile ids
+ * @private
+ */
+function matchProfile(allergen, profile, taxonomy) {
+  const related = [allergen, ...(getAncestors(taxonomy, allergen) || [])];
+  return profile.filter((id) => related.includes(id));
+}
+
+/**
+ * Checks a product against an allergen profile.
+ * allergens_tags and allergens found in ingredients_tags count as "contains";
+ * traces_tags count as "may-contain".
+ * @param {Object} product - Product with allergens_tags, traces_tags and ingredients_tags
+ * @param {Array<string>|string} profile - Allergen ids, names or synonyms to avoid
+ * @param {Object} taxonomy - Allergens taxonomy returned by getAllergens
+ * @param {Object} [options] - Check options
+ * @param {string} [options.lang] - Language of profile names and of the returned allergen names
+ * @returns {{status: string, reasons: Array<Object>, profile: Array<string>, ingredientsKnown: boolean}}
+ *   Outcome, one reason per matching tag ({ allergen, name, source, tag }), the resolved profile, and whether
+ *   the product lists ingredients at all (a "safe" outcome means little without them)
+ */
+function checkAllergens(product, profile, taxonomy, { lang } = {}) {
+  if (!product || typeof product !== 'object') {
+    throw new ValidationError('Product must be an object');
+  }
+  const profileIds = resolveProfile(profile, taxonomy, lang);
+  const reasons = [];
+  const seen = new Set();
+
+  const inspect = (tags, source, resolve) => {
+    for (const tag of Array.isArray(tags) ? tags : []) {
+      const allergen = resolve(tag);
+      if (!allergen) {
+        continue;
+      }
+      for (const id of matchProfile(allergen, profileIds, taxonomy)) {
+        const key = `${id}|${source}|${tag}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          reasons.push({ allergen: id, name: getLocalizedName(taxonomy[id], lang, id), source, tag });
+        }
+      }
+    }
+  };
+
+  const asAllergen = (tag) => (taxonomy[tag] ? tag : resolveId(taxonomy, tag));
+  inspect(product.allergens_tags, 'allergens_tags', asAllergen);
+  inspect(product.traces_tags, 'traces_tags', asAllergen);
+  // Ingredient tags are ids of the ingredients taxonomy (en:whole-milk-powder); their
+  // names are matched against allergen names and synonyms in the tag's language
+  inspect(product.ingredients_tags, 'ingredients', (tag) => resolveId(taxonomy, String(tag).replace(/-/g, ' ')));
+
+  let status = 'safe';
+  if (reasons.some((reason) => reason.source !== 'traces_tags')) {
+    status = 'contains';
+  } else if (reasons.length > 0) {
+    status = 'may-contain';
+  }
+
+  return {
+    status,
+    reasons,
+    profile: profileIds,
+    ingredientsKnown: Array.isArray(product.ingredients_tags) && product.ingredients_tags.length > 0,
+  };
+}
+
+module.exports = { ALLERGEN_FIELDS, ALLERGEN_STATUSES, resolveProfile, checkAllergens };
@@ -3,25 +3,171 @@
  * A client library for interacting with the Open Food Facts API
  */
 
+const dns = require('dns');
+const fs = require('fs/promises');
+const net = require('net');
 const he = require('he');
+const { Agent } = require('undici');
+const { parseBarcode, parsePartialBarcode, barcodePath } = require('./openfoodfacts-barcode');
+const { ResponseCache } = require('./openfoodfacts-cache');
+const { TaxonomyStore, checkTaxonomyType } = require('./openfoodfacts-taxonomy-store');
+const { RateLimiter } = require('./openfoodfacts-rate-limiter');
+const { DEFAULT_RESILIENCE, ResiliencePolicy, isWrite, parseRetryAfter } = require('./openfoodfacts-resilience');
+const { NUTRISCORE_FIELDS, computeNutriScore } = require('./openfoodfacts-nutriscore');
+const { NUTRITION_FIELDS, validateItems, aggregateNutrition } = require('./openfoodfacts-nutrition');
+const { SORT_ORDERS, buildSearchQuery } = require('./openfoodfacts-search-query');
+const { buildProductFields } = require('./openfoodfacts-product-fields');
+const { robotoffUrl, serverType, questionsQuery, insightsQuery, annotationFields } = require('./openfoodfacts-robotoff');
+const { parseSessionCookie, isAuthFailure, appIdentity } = require('./openfoodfacts-session');
+const {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  detectImageType,
+  imageSource,
+  isPrivateAddress,
+  pinnedLookup,
+  localImagePath,
+  imageBlob,
+  imageFieldId,
+  imageId,
+  cropParams,
+  resolveImage,
+} = require('./openfoodfacts-image');
+const {
+  ERROR_CODES,
+  OpenFoodFactsError,
+  NotFoundError,
+  ProductNotFoundError,
+  RateLimitError,
+  AuthenticationError,
+  ValidationError,
+  NetworkError,
+  RequestTimeoutError,
+  ServerError,
+  CircuitOpenError,
+  errorForStatus,
+} = require('./openfoodfacts-errors');
+const { version: PACKAGE_VERSION } = require('./package.json');
+
+const DEFAULT_BASE_URL = 'https://world.openfoodfacts.org';
+const DEFAULT_USER_AGENT = `node-red-contrib-open-food-facts/${PACKAGE_VERSION}`;
 
 /**
- * Custom error class for OpenFoodFacts API errors
- * @class OpenFoodFactsError
- * @extends {Error}
+ * Second-level domains of the Open Food Facts project flavors
+ * @type {Object<string, string>}
  */
-class OpenFoodFactsError extends Error {
-  /**
-   * Creates an instance of OpenFoodFactsError
-   * @param {string} message - Error message
-   * @param {string} details - Additional error details
-   * @param {number} status - HTTP status code
-   */
-  constructor(message, details, status) {
-    super(message);
-    this.name = 'OpenFoodFactsError';
-    this.details = details;
-    this.status = status;
+const FLAVORS = {
+  openfoodfacts: 'openfoodfacts',
+  openbeautyfacts: 'openbeautyfacts',
+  openpetfoodfacts: 'openpetfoodfacts',
+  openproductsfacts: 'openproductsfacts',
+};
+
+/**
+ * Top-level domains for production and staging servers
+ * @type {Object<string, string>}
+ */
+const ENVIRONMENTS = {
+  production: 'org',
+  staging: 'net',
+};
+
+/**
+ * Product fields returned by getProduct when no projection is requested
+ * @type {Array<string>}
+ */
+const DEFAULT_PRODUCT_FIELDS = [
+  'code',
+  'product_name',
+  'brands',
+  'quantity',
+  'serving_size',
+  'packaging',
+  'storage_conditions',
+  'conservation_conditions',
+  'expiration_date_format',
+  'categories',
+  'labels',
+  'food_groups',
+];
+
+// Field projection value that requests every product field
+const ALL_FIELDS = 'all';
+
+const PRODUCT_API_VERSIONS = ['v2', 'v3'];
+
+// Time allowed for a request before it is aborted, in milliseconds
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+// Largest page size the search API serves, used when walking every page
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+// The staging (.net) servers sit behind a public HTTP basic auth gate
+const STAGING_AUTHORIZATION = `Basic ${Buffer.from('off:off').toString('base64')}`;
+
+// Sessions are renewed this long before they expire, so a write never goes out with a session about to lapse
+const SESSION_RENEWAL_MARGIN = 60 * 1000;
+
+// Redirects followed when downloading an image to upload, each one checked like the first URL
+const MAX_IMAGE_REDIRECTS = 5;
+
+/**
+ * URL of a request without its query string, as reported on errors
+ * @param {string} url - Request URL
+ * @returns {string} Endpoint
+ */
+function endpointOf(url) {
+  return url.split('?')[0];
+}
+
+// Timeout and abort wiring of responses whose body has not been read yet (see _send)
+const pendingBodies = new WeakMap();
+
+/**
+ * Stops the timeout of a response whose body is read or not needed
+ * @param {Response} response - Response returned by _send
+ */
+function releaseBody(response) {
+  const pending = pendingBodies.get(response);
+  if (pending) {
+    pendingBodies.delete(response);
+    pending.release();
+  }
+}
+
+/**
+ * Reads the body of a response within the timeout of its request
+ * @param {Response} response - Response returned by _send
+ * @param {Function} read - Reads the body, e.g. (res) => res.json()
+ * @returns {Promise<*>} Result of read
+ * @throws {RequestTimeoutError} When the body does not arrive in time
+ */
+async function readBody(response, read) {
+  const pending = pendingBodies.get(response);
+  try {
+    return await read(response);
+  } catch (error) {
+    // Body reads reject with the abort reason, or with an AbortError on implementations that only know that one
+    if (pending && pending.signal.aborted) {
+      throw pending.signal.reason;
+    }
+    throw error;
+  } finally {
+    releaseBody(response);
+  }
+}
+
+/**
+ * Runs a check of one of the helper modules, reporting any failure that is not already a client error as ValidationError
+ * @param {Function} check - Check returning its result
+ * @returns {*} Result of the check
+ * @throws {ValidationError} When the check fails
+ */
+function validated(check) {
+  try {
+    return check();
+  } catch (error) {
+    throw error instanceof OpenFoodFactsError ? error : new ValidationError(error.message, { cause: error });
   }
 }
 
@@ -33,14 +179,92 @@ class OpenFoodFactsAPI {
   /**
    * Creates an instance of OpenFoodFactsAPI
    * @param {string} [baseUrl='https://world.openfoodfacts.org'] - Base URL for the API (must use HTTPS for authenticated requests)
+   * @param {Object} [options] - Client options
+   * @param {string} [options.userAgent] - User-Agent sent with every request
+   * @param {ResponseCache|Object|boolean} [options.cache] - Response cache, or options for a new one (disabled by default)
+   * @param {TaxonomyStore|Object} [options.taxonomyStore] - On-disk taxonomy store, or options for a new one (disabled by default)
+   * @param {RateLimiter|Object|boolean} [options.rateLimit] - Rate limiter, or requests per minute per operation class
+   *   for a new one (disabled by default)
+   * @param {ResiliencePolicy|Object|boolean} [options.resilience] - Retry and circuit breaker policy, or settings for a
+   *   new one (disabled by default)
+   * @param {number} [options.timeout=30000] - Time allowed for each request in milliseconds, 0 waits indefinitely
+   * @param {string} [options.robotoffUrl] - Base URL of Robotoff (defaults to the production or staging instance
+   *   matching baseUrl)
+   * @param {boolean} [options.session=false] - Log in once and authenticate writes with the session cookie instead
+   *   of sending the password with each of them
+   * @param {string} [options.appName] - Name of the app contributing on behalf of its users, sent as app_name with
+   *   writes (and used as the User-Agent when none is given)
+   * @param {string} [options.appUuid] - Anonymous id of the app user, sent as app_uuid with writes
+   * @param {string} [options.imageDirectory] - Directory photos given as local file paths may be read from
+   *   (local paths are refused without one)
+   * @param {boolean} [options.allowPrivateImageHosts=false] - Download photos given as URLs from loopback and
+   *   private network hosts too
    */
-  constructor(baseUrl = 'https://world.openfoodfacts.org') {
+  constructor(baseUrl = DEFAULT_BASE_URL, options = {}) {
     // Validate that baseUrl uses HTTPS for security
     if (!baseUrl.startsWith('https://')) {
-      throw new Error('HTTPS is required for secure API access. Use https:// URLs only.');
+      throw new ValidationError('HTTPS is required for secure API access. Use https:// URLs only.');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.app = validated(() => appIdentity(options.appName, options.appUuid));
+    this.userAgent = options.userAgent || (this.app && this.app.name) || DEFAULT_USER_AGENT;
+    if (options.robotoffUrl && !options.robotoffUrl.startsWith('https://')) {
+      throw new ValidationError('HTTPS is required for secure API access. Use https:// URLs only.');
     }
-    this.baseUrl = baseUrl;
+    this.robotoffUrl = (options.robotoffUrl || robotoffUrl(this.baseUrl)).replace(/\/+$/, '');
+    this.timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+    if (!Number.isFinite(this.timeout) || this.timeout < 0) {
+      throw new ValidationError('Timeout must be a non-negative number of milliseconds');
+    }
+    this.imageDirectory = options.imageDirectory || null;
+    this.allowPrivateImageHosts = options.allowPrivateImageHosts === true;
     this.credentials = null;
+    this.sessionAuth = options.session === true;
+    // { cookie, expiresAt } once logged in, and the login in progress shared by concurrent writes
+    this.session = null;
+    this.loggingIn = null;
+    if (options.cache instanceof ResponseCache) {
+      this.cache = options.cache;
+    } else {
+      this.cache = options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null;
+    }
+    if (options.taxonomyStore instanceof TaxonomyStore) {
+      this.taxonomyStore = options.taxonomyStore;
+    } else {
+      this.taxonomyStore = options.taxonomyStore ? new TaxonomyStore(options.taxonomyStore) : null;
+    }
+    if (options.rateLimit instanceof RateLimiter) {
+      this.rateLimiter = options.rateLimit;
+    } else {
+      this.rateLimiter = options.rateLimit ? new RateLimiter(options.rateLimit === true ? {} : options.rateLimit) : null;
+    }
+    if (options.resilience instanceof ResiliencePolicy) {
+      this.resilience = options.resilience;
+    } else {
+      this.resilience = options.resilience ? new ResiliencePolicy(options.resilience === true ? {} : options.resilience) : null;
+    }
+  }
+
+  /**
+   * Builds the base URL of an Open Food Facts instance
+   * @param {Object} [instance] - Instance description
+   * @param {string} [instance.flavor='openfoodfacts'] - Project flavor (openfoodfacts, openbeautyfacts, openpetfoodfacts, openproductsfacts)
+   * @param {string} [instance.country='world'] - Country subdomain (e.g. world, fr, uk)
+   * @param {string} [instance.environment='production'] - production (.org) or staging (.net)
+   * @returns {string} Base URL
+   */
+  static buildBaseUrl({ flavor = 'openfoodfacts', country = 'world', environment = 'production' } = {}) {
+    if (!FLAVORS[flavor]) {
+      throw new ValidationError(`Unknown flavor: ${flavor}. Must be one of ${Object.keys(FLAVORS).join(', ')}.`);
+    }
+    if (!ENVIRONMENTS[environment]) {
+      throw new ValidationError(`Unknown environment: ${environment}. Must be production or staging.`);
+    }
+    const subdomain = (country || 'world').toLowerCase();
+    if (!/^[a-z]{2,5}(-[a-z]{2})?$/.test(subdomain)) {
+      throw new ValidationError('Invalid country subdomain. Use "world" or a country code such as "fr".');
+    }
+    return `https://${subdomain}.${FLAVORS[flavor]}.${ENVIRONMENTS[environment]}`;
   }
 
   /**
@@ -51,35 +275,155 @@ class OpenFoodFactsAPI {
    */
   setCredentials(userId, password) {
     if (typeof userId !== 'string' || typeof password !== 'string') {
-      throw new Error('User ID and password must be strings');
+      throw new ValidationError('User ID and password must be strings');
     }
     if (!userId.trim() || !password.trim()) {
-      throw new Error('User ID and password cannot be empty');
+      throw new ValidationError('User ID and password cannot be empty');
     }
     this.credentials = { userId, password };
+    this.session = null;
+    // A login still on its way is for the previous credentials, so the next write starts its own
+    this.loggingIn = null;
   }
 
   /**
-   * Validates barcode format
-   * @param {string} barcode - Barcode to validate
-   * @param {boolean} allowPartial - Allow partial barcodes for search
+   * Logs in and keeps the session cookie for the following writes. Writes log in by themselves when the client
+   * uses sessions, so calling this is only needed to check credentials early.
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Time allowed for the request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<{expiresAt: string}>} Expiry time of the session
+   * @throws {AuthenticationError} When the server refuses the credentials
+   */
+  async login(options = {}) {
+    const session = await this._login(options);
+    return { expiresAt: new Date(session.expiresAt).toISOString() };
+  }
+
+  /**
+   * Logs in. The session is kept for the following writes unless the credentials changed while the
+   * request was on its way. Like any write, the login is not sent again after a network or server error.
+   * @param {Object} options - Request options (see login)
+   * @returns {Promise<{cookie: string, expiresAt: number}>} Session of the credentials the login was sent with
+   * @throws {AuthenticationError} When the server refuses the credentials
    * @private
    */
-  _validateBarcode(barcode, allowPartial = false) {
-    if (typeof barcode !== 'string') {
-      throw new Error('Barcode must be a string');
+  async _login(options) {
+    const { credentials } = this;
+    if (!credentials) {
+      throw new AuthenticationError('Credentials required for logging in');
     }
-    if (allowPartial) {
-      if (!/^\d+$/.test(barcode) || barcode.length === 0) {
-        throw new Error('Invalid barcode format. Must contain only digits.');
+    this._validateSecureConnection();
+    const url = `${this.baseUrl}/cgi/session.pl`;
+    const body = new URLSearchParams({
+      user_id: credentials.userId,
+      password: credentials.password,
+      '.submit': 'Sign-in',
+    });
+
+    try {
+      // The login page redirects once signed in; the cookie comes with the redirect
+      const init = { method: 'POST', headers: this._createRequestHeaders(), body, redirect: 'manual' };
+      const response = await this._fetch('auth', url, init, options);
+      if (!response.ok && (response.status < 300 || response.status >= 400)) throw this._httpError(response, url, 'auth', init);
+      releaseBody(response);
+      const headers = response.headers;
+      const setCookies = headers && typeof headers.getSetCookie === 'function'
+        ? headers.getSetCookie()
+        : [headers && headers.get('set-cookie')].filter(Boolean);
+      const session = parseSessionCookie(setCookies);
+      if (!session) {
+        throw new AuthenticationError('Invalid username or password', { status: response.status, endpoint: url });
       }
-    } else {
-      if (!/^\d{8,13}$/.test(barcode)) {
-        throw new Error('Invalid barcode format. Must be 8-13 digits.');
+      if (this.credentials === credentials) {
+        this.session = session;
+      }
+      return session;
+    } catch (error) {
+      throw this._operationError(error, 'Failed to log in', options);
+    }
+  }
+
+  /**
+   * Returns the session cookie, logging in when there is no session or it is about to expire.
+   * Concurrent writes share a single login.
+   * @param {Object} options - Request options
+   * @returns {Promise<string>} Cookie header value
+   * @private
+   */
+  async _sessionCookie(options) {
+    if (this.session && this.session.expiresAt - SESSION_RENEWAL_MARGIN > Date.now()) {
+      return this.session.cookie;
+    }
+    if (!this.loggingIn) {
+      const loggingIn = this._login(options).finally(() => {
+        if (this.loggingIn === loggingIn) {
+          this.loggingIn = null;
+        }
+      });
+      this.loggingIn = loggingIn;
+    }
+    // The session is taken from the login itself, as setCredentials may have cleared this.session meanwhile
+    const session = await this.loggingIn;
+    return session.cookie;
+  }
+
+  /**
+   * Sends an authenticated request. With sessions, it carries the session cookie; when the server
+   * rejects the session (it expired or was closed on the server: a 401, or an answer saying the user
+   * is not logged in), the client logs in again and sends the request once more. Other refusals, such
+   * as a 403 for a user lacking a permission, would fail again and are not sent twice.
+   * Without sessions, send adds the credentials itself.
+   * @param {Function} send - Sends the request, given the session cookie (null without sessions)
+   * @param {Object} options - Request options
+   * @returns {Promise<*>} Result of send
+   * @throws {AuthenticationError} When the credentials are refused
+   * @private
+   */
+  async _authenticated(send, options) {
+    if (!this.sessionAuth) {
+      return send(null);
+    }
+    const cookie = await this._sessionCookie(options);
+    try {
+      return await send(cookie);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError) || !(error.status === 401 || error.notLoggedIn)) {
+        throw error;
+      }
+      if (this.session && this.session.cookie === cookie) {
+        this.session = null;
       }
+      return send(await this._sessionCookie(options));
     }
   }
 
+  /**
+   * Form fields identifying the app a write is made with
+   * @param {Object} [options] - Request options
+   * @param {string} [options.appUuid] - Anonymous id of the app user, overriding the client's
+   * @returns {Array<[string, string]>} app_name and app_uuid fields, if the client has an app name
+   * @private
+   */
+  _appFields(options = {}) {
+    if (!this.app) {
+      return [];
+    }
+    const { uuid } = validated(() => appIdentity(this.app.name, options.appUuid || this.app.uuid));
+    return uuid ? [['app_name', this.app.name], ['app_uuid', uuid]] : [['app_name', this.app.name]];
+  }
+
+  /**
+   * Validates a barcode and normalizes it the way Open Food Facts stores codes
+   * @param {string} barcode - Barcode to validate
+   * @param {boolean} allowPartial - Allow partial barcodes for search
+   * @returns {string} Normalized barcode (or the trimmed digits of a partial barcode)
+   * @private
+   */
+  _validateBarcode(barcode, allowPartial = false) {
+    return validated(() => (allowPartial ? parsePartialBarcode(barcode) : parseBarcode(barcode).code));
+  }
+
   /**
    * Validates image file for upload
    * @param {File} file - File to validate
@@ -87,19 +431,17 @@ class OpenFoodFactsAPI {
    */
   async _validateImageFile(file) {
     if (!file) {
-      throw new Error('Image file is required');
+      throw new ValidationError('Image file is required');
     }
     // Only validate file properties if they exist (allows for mock objects in tests)
     if (file.type !== undefined) {
-      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-      if (!allowedTypes.includes(file.type)) {
-        throw new Error('Invalid file type. Only JPEG, PNG, and WebP images are allowed.');
+      if (!IMAGE_TYPES[file.type] && file.type !== 'image/jpg') {
+        throw new ValidationError('Invalid file type. Only JPEG, PNG, and WebP images are allowed.');
       }
     }
     if (file.size !== undefined) {
-      const maxSize = 10 * 1024 * 1024; // 10MB
-      if (file.size > maxSize) {
-        throw new Error('File size too large. Maximum size is 10MB.');
+      if (file.size > MAX_IMAGE_SIZE) {
+        throw new ValidationError('File size too large. Maximum size is 10MB.');
       }
     }
     
@@ -128,34 +470,13 @@ class OpenFoodFactsAPI {
           bytes = new Uint8Array(buffer).slice(0, BYTES_TO_READ);
         }
         
-        // Check magic bytes for known image formats
-        const signatures = {
-          jpeg: [0xFF, 0xD8, 0xFF],
-          png: [0x89, 0x50, 0x4E, 0x47],
-          webp: [0x52, 0x49, 0x46, 0x46] // RIFF header (WebP starts with RIFF)
-        };
-        
-        let validSignature = false;
-        for (const [format, signature] of Object.entries(signatures)) {
-          if (signature.every((byte, index) => bytes[index] === byte)) {
-            // Additional check for WebP format - verify 'WEBP' identifier at offset 8
-            if (format === 'webp' && bytes.length >= 12) {
-              const webpIdentifier = [0x57, 0x45, 0x42, 0x50]; // 'WEBP'
-              if (!webpIdentifier.every((byte, index) => bytes[8 + index] === byte)) {
-                continue; // RIFF header found but not WebP, continue checking other formats
-              }
-            }
-            validSignature = true;
-            break;
-          }
-        }
-        
-        if (!validSignature) {
-          throw new Error('File content does not match allowed image formats');
+        // Check magic bytes for known image formats (see openfoodfacts-image.js)
+        if (!detectImageType(bytes)) {
+          throw new ValidationError('File content does not match allowed image formats');
         }
       } catch (error) {
         // If magic byte validation fails, throw the error
-        if (error.message === 'File content does not match allowed image formats') {
+        if (error instanceof ValidationError) {
           throw error;
         }
         // For other errors (e.g., reading buffer), we'll log and continue
@@ -164,6 +485,217 @@ class OpenFoodFactsAPI {
     }
   }
 
+  /**
+   * Reads an image to upload into a multipart part, whatever form it arrives in
+   * @param {Buffer|Uint8Array|ArrayBuffer|string|File} image - Image content, data URI, base64 string, HTTP(S) URL,
+   *   local file path (inside the image directory), or a File / Blob sent as it is
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Time allowed for downloading the image in milliseconds
+   * @param {AbortSignal} [options.signal] - Cancels the download
+   * @returns {Promise<{blob: Blob|File, extension: string}>} Upload part and file extension
+   * @private
+   */
+  async _loadImage(image, options = {}) {
+    if (typeof image !== 'string' && !(image instanceof Uint8Array) && !(image instanceof ArrayBuffer)) {
+      await this._validateImageFile(image);
+      return { blob: image, extension: IMAGE_TYPES[image.type] || 'jpg' };
+    }
+    if (typeof image !== 'string') {
+      return validated(() => imageBlob(Buffer.from(image)));
+    }
+
+    const source = validated(() => imageSource(image));
+    if (source.data) {
+      return validated(() => imageBlob(source.data));
+    }
+    if (source.url) {
+      const data = await this._downloadImage(source.url, options);
+      return validated(() => imageBlob(data));
+    }
+    return this._readImageFile(source.path);
+  }
+
+  /**
+   * Downloads an image to upload, following redirects by hand so that every host is checked,
+   * and stopping as soon as the image passes the size limit
+   * @param {string} url - HTTP(S) URL of the image
+   * @param {Object} options - Request options
+   * @returns {Promise<Buffer>} Image content
+   * @throws {ValidationError} When a host is on a private network or the image is too large
+   * @private
+   */
+  async _downloadImage(url, options) {
+    const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+    let current = url;
+    for (let redirects = 0; ; redirects += 1) {
+      const addresses = await this._checkImageHost(current);
+      const init = { headers: { 'User-Agent': this.userAgent }, redirect: 'manual' };
+      // The connection goes to the addresses just checked instead of resolving the host again
+      const dispatcher = addresses && new Agent({ connect: { lookup: pinnedLookup(addresses) } });
+      if (dispatcher) {
+        init.dispatcher = dispatcher;
+      }
+      try {
+        const response = await this._send(false, current, init, timeout, options.signal);
+        const location = response.headers && response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+          releaseBody(response);
+          if (redirects === MAX_IMAGE_REDIRECTS) {
+            throw new ValidationError(`Too many redirects downloading image: ${url}`);
+          }
+          current = new URL(location, current).href;
+          if (!/^https?:$/.test(new URL(current).protocol)) {
+            throw new ValidationError(`Image URLs must use http or https: ${current}`);
+          }
+          continue;
+        }
+        if (!response.ok) throw this._httpError(response, current, 'image');
+        return await readBody(response, (res) => this._readImageBody(res));
+      } finally {
+        if (dispatcher) {
+          dispatcher.destroy().catch(() => {});
+        }
+      }
+    }
+  }
+
+  /**
+   * Refuses image hosts on loopback or private networks, unless the client allows them
+   * @param {string} url - Image URL
+   * @returns {Promise<Array<{address: string, family: number}>|undefined>} Checked addresses of the host,
+   *   undefined when private hosts are allowed
+   * @throws {ValidationError} When the host resolves to a private address
+   * @throws {NetworkError} When the host cannot be resolved
+   * @private
+   */
+  async _checkImageHost(url) {
+    if (this.allowPrivateImageHosts) {
+      return;
+    }
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new NetworkError(`Could not resolve image host: ${hostname}`, { endpoint: endpointOf(url), cause: error });
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new ValidationError(`Image host is on a private network: ${hostname}. Allow private image hosts to download from it.`);
+    }
+    return addresses;
+  }
+
+  /**
+   * Reads a downloaded image, cancelling the download once it passes the size limit so a response
+   * without (or with a wrong) Content-Length cannot fill the memory
+   * @param {Response} response - Image response
+   * @returns {Promise<Buffer>} Image content
+   * @throws {ValidationError} When the image is larger than MAX_IMAGE_SIZE
+   * @private
+   */
+  async _readImageBody(response) {
+    const tooLarge = () => new ValidationError('File size too large. Maximum size is 10MB.');
+    if (Number(response.headers && response.headers.get('content-length')) > MAX_IMAGE_SIZE) {
+      if (response.body) await response.body.cancel();
+      throw tooLarge();
+    }
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      // fetch implementations without streams hand over the whole body at once
+      const data = Buffer.from(await response.arrayBuffer());
+      if (data.length > MAX_IMAGE_SIZE) throw tooLarge();
+      return data;
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return Buffer.concat(chunks, size);
+      }
+      size += value.length;
+      if (size > MAX_IMAGE_SIZE) {
+        await reader.cancel();
+        throw tooLarge();
+      }
+      chunks.push(value);
+    }
+  }
+
+  /**
+   * Reads an image to upload from the image directory
+   * @param {string} file - Path, absolute or relative to the image directory
+   * @returns {Promise<{blob: Blob, extension: string}>} Upload part and file extension
+   * @throws {ValidationError} When local files are disabled, or the file is missing or outside the directory
+   * @private
+   */
+  async _readImageFile(file) {
+    const resolved = validated(() => localImagePath(file, this.imageDirectory));
+    let root;
+    let real;
+    let stats;
+    try {
+      root = await fs.realpath(this.imageDirectory);
+    } catch (error) {
+      throw new ValidationError(`Image directory not found: ${this.imageDirectory}`, { cause: error });
+    }
+    try {
+      // Symbolic links are followed before the directory check, so they cannot point outside it
+      real = await fs.realpath(resolved);
+      stats = await fs.stat(real);
+    } catch (error) {
+      throw new ValidationError(`Image file not found: ${file}`, { cause: error });
+    }
+    validated(() => localImagePath(real, root));
+    if (!stats.isFile()) {
+      throw new ValidationError(`Image path is not a file: ${file}`);
+    }
+    if (stats.size > MAX_IMAGE_SIZE) {
+      throw new ValidationError('File size too large. Maximum size is 10MB.');
+    }
+    const data = await fs.readFile(real);
+    return validated(() => imageBlob(data));
+  }
+
+  /**
+   * Posts an authenticated form to a write endpoint, then drops the cached copies of the product
+   * @param {string} code - Normalized product barcode
+   * @param {string} path - Endpoint path, such as /cgi/product_jqm2.pl
+   * @param {Array<Array>} fields - Form fields, as [name, value] or [name, blob, filename]
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} API response
+   * @throws {AuthenticationError} When the server refuses the credentials or reports that the user is not logged in
+   * @private
+   */
+  async _write(code, path, fields, options) {
+    const url = `${this.baseUrl}${path}`;
+    const appFields = this._appFields(options);
+    return this._authenticated(async (cookie) => {
+      const formData = new FormData();
+      formData.append('code', code);
+      const headers = this._createRequestHeaders();
+      if (cookie) {
+        headers.Cookie = cookie;
+      } else {
+        formData.append('user_id', this.credentials.userId);
+        formData.append('password', this.credentials.password);
+      }
+      [...appFields, ...fields].forEach((field) => formData.append(...field));
+
+      const response = await this._fetch('write', url, { method: 'POST', headers, body: formData }, options);
+      if (!response.ok) throw this._httpError(response, url, 'write');
+      const result = await readBody(response, (res) => res.json());
+      // Refused logins come back as a 200 whose message says so
+      if (isAuthFailure(result)) {
+        throw new AuthenticationError(`Not logged in: ${result.status_verbose || result.error || result.message}`, { endpoint: url, notLoggedIn: true });
+      }
+      this._invalidateProduct(code);
+      return result;
+    }, options);
+  }
+
   /**
    * Sanitizes search parameters
    * @param {string} input - Input to sanitize
@@ -171,21 +703,25 @@ class OpenFoodFactsAPI {
    */
   _sanitizeSearchInput(input) {
     if (typeof input !== 'string') {
-      throw new Error('Search input must be a string');
+      throw new ValidationError('Search input must be a string');
     }
     // Use he.js library for robust HTML entity encoding and limit length
     return he.encode(input).trim().substring(0, 100);
   }
 
   /**
-   * Creates headers for requests (reserved for future use)
+   * Creates headers for requests to the configured server
    * @returns {Object} Headers object
    * @private
    */
   _createRequestHeaders() {
-    return {
-      'User-Agent': 'node-red-contrib-open-food-facts/0.2.2'
+    const headers = {
+      'User-Agent': this.userAgent
     };
+    if (new URL(this.baseUrl).hostname.endsWith('.net')) {
+      headers.Authorization = STAGING_AUTHORIZATION;
+    }
+    return headers;
   }
 
   /**
@@ -194,60 +730,298 @@ class OpenFoodFactsAPI {
    */
   _validateSecureConnection() {
     if (!this.baseUrl.startsWith('https://')) {
-      throw new Error('Cannot send credentials over non-HTTPS connection. HTTPS is required for authenticated requests.');
+      throw new ValidationError('Cannot send credentials over non-HTTPS connection. HTTPS is required for authenticated requests.');
+    }
+  }
+
+  /**
+   * Serves a read from the response cache, loading and storing it on a miss
+   * @param {string} operation - Operation name used for the TTL (product, search, taxonomy)
+   * @param {string} key - Cache key within the operation
+   * @param {Object} options - Request options
+   * @param {boolean} [options.cache=true] - Set to false to skip cached entries (the fresh response is still stored)
+   * @param {Function} [options.onCache] - Called with { hit, key, age, ttl } describing the lookup
+   * @param {Function} load - Loads the value on a miss
+   * @returns {Promise<*>} Cached or loaded value
+   * @private
+   */
+  async _cached(operation, key, options, load) {
+    if (!this.cache) {
+      return load();
+    }
+    const cacheKey = `${operation}:${key}`;
+    const ttl = this.cache.ttlFor(operation);
+    const report = (info) => {
+      if (typeof options.onCache === 'function') {
+        options.onCache({ key: cacheKey, ttl, ...info });
+      }
+    };
+
+    if (options.cache !== false) {
+      const entry = this.cache.get(cacheKey);
+      if (entry) {
+        report({ hit: true, age: Date.now() - entry.storedAt });
+        // Callers get their own copy so mutating a payload never corrupts the cache
+        return structuredClone(entry.value);
+      }
+    }
+
+    const value = await load();
+    this.cache.set(cacheKey, structuredClone(value), ttl);
+    report({ hit: false, age: 0 });
+    return value;
+  }
+
+  /**
+   * Waits for the rate limiter before a request is sent
+   * @param {string} operation - Operation class (product, search, facets, write)
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the limiter (see RateLimiter#acquire)
+   * @param {AbortSignal} [options.signal] - Cancels the wait
+   * @returns {Promise<void>} Resolves once the request may be sent
+   * @private
+   */
+  async _throttle(operation, options = {}) {
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire(operation, options.onRateLimit, options.signal);
+    }
+  }
+
+  /**
+   * Sends a request through the rate limiter and the resilience policy
+   * @param {string} operation - Operation class (product, search, facets, write, robotoff, image, auth)
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Time allowed for each attempt in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request, including rate limiter waits and retries
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @returns {Promise<Response>} Response; retryable failures are retried before it is returned
+   * @throws {RequestTimeoutError} When the server does not answer in time
+   * @private
+   */
+  async _fetch(operation, url, init, options = {}) {
+    const timeout = options.timeout === undefined ? this.timeout : options.timeout;
+    const write = isWrite(operation, init);
+    let previous;
+    const send = async () => {
+      // A new attempt means the response of the previous one was dropped
+      releaseBody(previous);
+      await this._throttle(operation, options);
+      previous = await this._send(write, url, init, timeout, options.signal);
+      return previous;
+    };
+    return this.resilience ? this.resilience.execute(operation, send, options.signal, write) : send();
+  }
+
+  /**
+   * Sends one request, aborting it on timeout or when the caller's signal aborts. The timeout covers
+   * reading the body as well: read it with readBody, or call releaseBody when it is not needed.
+   * @param {boolean} write - Whether the request changes something on the server, so a failure may not be retried
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @param {number} timeout - Time allowed in milliseconds, 0 waits indefinitely
+   * @param {AbortSignal} [signal] - Caller's signal
+   * @returns {Promise<Response>} Response
+   * @throws {NetworkError} When the server cannot be reached
+   * @throws {RequestTimeoutError} When the server does not answer in time
+   * @private
+   */
+  async _send(write, url, init, timeout, signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    const controller = new AbortController();
+    const cancel = () => controller.abort(signal.reason);
+    let timer = null;
+    const release = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+    };
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+    // A write that failed midway may have been applied, so it is not worth sending again
+    const details = { endpoint: endpointOf(url), retryable: !write };
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        controller.abort(new RequestTimeoutError(timeout, details));
+        release();
+      }, timeout);
+    }
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      release();
+      // fetch rejects with the abort reason, except for implementations that only know AbortError
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw new NetworkError(error.message, { ...details, cause: error });
+    }
+    // The timeout also covers the body, so it keeps running until the body is read with readBody or released
+    pendingBodies.set(response, { release, signal: controller.signal });
+    return response;
+  }
+  /**
+   * Creates the error for a response with a failing HTTP status
+   * @param {Response} response - Response
+   * @param {string} url - Request URL
+   * @param {string} operation - Operation class, deciding with the request method whether it may be retried
+   * @param {Object} [init] - fetch options of the request
+   * @returns {OpenFoodFactsError} Error matching the status (see errorForStatus)
+   * @private
+   */
+  _httpError(response, url, operation, init) {
+    releaseBody(response);
+    const policy = this.resilience ? this.resilience.options : DEFAULT_RESILIENCE;
+    const statuses = isWrite(operation, init) ? policy.writeRetryableStatuses : policy.retryableStatuses;
+    return errorForStatus(`HTTP error! status: ${response.status}`, {
+      details: 'API request failed',
+      status: response.status,
+      endpoint: endpointOf(url),
+      retryable: statuses.includes(response.status),
+      retryAfter: parseRetryAfter(response.headers && response.headers.get('retry-after')),
+    });
+  }
+
+  /**
+   * Names the failing operation in the message of a request failure, e.g.
+   * "Failed to add product: HTTP error! status: 500". Arguments rejected before any request,
+   * unknown products, timeouts and the reason of a request the caller cancelled are thrown
+   * as they are; anything else (such as an unreadable response) becomes a ServerError.
+   * @param {Error} error - Failure
+   * @param {string} context - Failing operation
+   * @param {Object} [options] - Request options
+   * @returns {Error} Error to throw
+   * @private
+   */
+  _operationError(error, context, options = {}) {
+    if ((options.signal && options.signal.aborted && error === options.signal.reason)
+      || (error instanceof ValidationError && error.status === undefined)
+      || error instanceof ProductNotFoundError || error instanceof RequestTimeoutError) {
+      return error;
+    }
+    if (error instanceof OpenFoodFactsError) {
+      error.message = `${context}: ${error.message}`;
+      return error;
+    }
+    return new ServerError(`${context}: ${error.message}`, { cause: error });
+  }
+
+
+  /**
+   * Removes cached responses
+   * @param {string} [operation] - Only flush this operation (product, search or taxonomy)
+   * @returns {number} Number of removed entries
+   */
+  flushCache(operation) {
+    if (!this.cache) {
+      return 0;
+    }
+    return this.cache.clear(operation ? `${operation}:` : undefined);
+  }
+
+  /**
+   * Drops cached copies of a product after it was modified
+   * @param {string} code - Normalized barcode
+   * @private
+   */
+  _invalidateProduct(code) {
+    if (this.cache) {
+      this.cache.clear(`product:${code}/`);
     }
   }
 
+  /**
+   * Normalizes a field projection into a list of field names
+   * @param {Array<string>|string} fields - Field names, a comma separated string, or 'all'
+   * @returns {Array<string>|null} Field names, or null for all fields
+   * @private
+   */
+  _normalizeFields(fields) {
+    if (fields === ALL_FIELDS || fields === '*') {
+      return null;
+    }
+    const list = typeof fields === 'string' ? fields.split(',') : fields;
+    if (!Array.isArray(list)) {
+      throw new ValidationError('Fields must be an array, a comma separated string, or "all"');
+    }
+    const names = list.map((field) => String(field).trim()).filter(Boolean);
+    if (names.length === 0) {
+      throw new ValidationError('At least one field is required. Use "all" to fetch every field.');
+    }
+    names.forEach((field) => {
+      if (!/^[\w-]+$/.test(field)) {
+        throw new ValidationError(`Invalid field name: ${field}`);
+      }
+    });
+    return names;
+  }
+
   /**
    * Fetches product details by barcode
    * @param {string} barcode - Product barcode
+   * @param {Object} [options] - Request options
+   * @param {Array<string>|string} [options.fields] - Fields to return, a comma separated string, or 'all' (defaults to a basic set)
+   * @param {string|number} [options.version='v2'] - Product API version (v2 or v3)
+   * @param {boolean} [options.cache=true] - Set to false to bypass the response cache
+   * @param {Function} [options.onCache] - Called with cache hit/miss information
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<Object>} Product details
+   * @throws {ValidationError} When the barcode, version or fields are invalid
+   * @throws {ProductNotFoundError} When the barcode is unknown
+   * @throws {OpenFoodFactsError} When the request fails (see openfoodfacts-errors.js for the codes)
    */
-  async getProduct(barcode) {
-    this._validateBarcode(barcode);
-    
+  async getProduct(barcode, options = {}) {
+    const code = this._validateBarcode(barcode);
+    const version = `v${String(options.version || 'v2').replace(/^v/, '')}`;
+    if (!PRODUCT_API_VERSIONS.includes(version)) {
+      throw new ValidationError('Invalid API version. Must be v2 or v3.');
+    }
+    const fields = this._normalizeFields(options.fields === undefined ? DEFAULT_PRODUCT_FIELDS : options.fields);
+
     try {
-      const response = await fetch(`${this.baseUrl}/api/v0/product/${barcode}`);
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      const { product } = await response.json();
-
-      // Client-side field filtering
-      const {
-        code,
-        product_name,
-        brands,
-        quantity,
-        serving_size,
-        packaging,
-        storage_conditions,
-        conservation_conditions,
-        expiration_date_format,
-        categories,
-        labels,
-        food_groups,
-      } = product;
-      return {
-        code,
-        product_name,
-        brands,
-        quantity,
-        serving_size,
-        packaging,
-        storage_conditions,
-        conservation_conditions,
-        expiration_date_format,
-        categories,
-        labels,
-        food_groups,
-      };
+      const queryParams = new URLSearchParams();
+      if (fields) queryParams.append('fields', fields.join(','));
+      const query = queryParams.toString();
+
+      // Fields are projected server-side, so the product is returned as-is
+      return await this._cached('product', `${code}/${version}?${query}`, options, async () => {
+        const url = `${this.baseUrl}/api/${version}/product/${code}${query ? `?${query}` : ''}`;
+        const response = await this._fetch('product', url, { headers: this._createRequestHeaders() }, options);
+        // Unknown barcodes come back as 404 (or status 0 on older servers) with a JSON body
+        if (!response.ok && response.status !== 404) throw this._httpError(response, url, 'product');
+        let data = null;
+        try {
+          data = await readBody(response, (res) => res.json());
+        } catch (parseError) {
+          if (response.ok) throw parseError;
+        }
+        if (!data || !data.product || data.status === 0 || data.status === 'failure') {
+          const statusVerbose = (data && (data.status_verbose || (data.result && data.result.name))) || undefined;
+          throw new ProductNotFoundError(code, statusVerbose, response.status, { endpoint: endpointOf(url) });
+        }
+
+        return data.product;
+      });
     } catch (error) {
-      throw new Error(`Failed to fetch product: ${error.message}`);
+      throw this._operationError(error, 'Failed to fetch product', options);
     }
   }
 
   /**
    * Searches for products using various criteria
+   * @example
+   * client.searchProducts({ query: { categories: 'en:cereals', nutrition_grades: ['a', 'b'], nova_group: { lte: 2 } } })
    * @param {Object} params - Search parameters
+   * @param {Object} [params.query] - Structured query sent to the v2 search API (see buildSearchQuery); it cannot be
+   *   combined with search_terms, code, tag, additive or palm oil filters
    * @param {string} [params.search_terms] - Text search terms
    * @param {string} [params.code] - Product code to search for
    * @param {string} [params.code_type] - Type of code match: 'exact', 'contains', 'starts', 'ends'
@@ -256,13 +1030,23 @@ class OpenFoodFactsAPI {
    * @param {Array} [params.tagContains] - How to match tags
    * @param {string} [params.additives] - Filter by additives
    * @param {string} [params.ingredientsFromPalmOil] - Filter by palm oil content
+   * @param {string} [params.sort_by] - Sort order (see SORT_ORDERS in openfoodfacts-search-query.js)
    * @param {number} [params.page] - Page number for pagination
    * @param {number} [params.pageSize] - Page size for pagination
    * @param {Array} [params.fields] - Fields to include in results
    * @param {string} [params.action='process'] - Action to perform
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache=true] - Set to false to bypass the response cache
+   * @param {Function} [options.onCache] - Called with cache hit/miss information
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<Object>} Search results
    */
-  async searchProducts(params) {
+  async searchProducts(params, options = {}) {
+    if (params.query !== undefined) {
+      return this._searchStructured(params, options);
+    }
     try {
       const queryParams = new URLSearchParams({
         json: 'true', // Ensure JSON response
@@ -276,8 +1060,7 @@ class OpenFoodFactsAPI {
 
       // Handle code search with different matching types
       if (params.code) {
-        this._validateBarcode(params.code, true);
-        queryParams.append('code', params.code);
+        queryParams.append('code', this._validateBarcode(params.code, true));
         if (params.code_type) {
           switch (params.code_type) {
             case 'contains':
@@ -308,200 +1091,721 @@ class OpenFoodFactsAPI {
       if (params.additives) queryParams.append('additives', params.additives);
       if (params.ingredientsFromPalmOil) queryParams.append('ingredients_from_palm_oil', params.ingredientsFromPalmOil);
 
+      if (params.sort_by) {
+        if (!SORT_ORDERS[params.sort_by]) {
+          throw new ValidationError(`Invalid sort_by: ${params.sort_by}. Allowed values: ${Object.keys(SORT_ORDERS).join(', ')}.`);
+        }
+        queryParams.append('sort_by', SORT_ORDERS[params.sort_by]);
+      }
+
       // Handle pagination
       if (params.page) queryParams.append('page', params.page.toString());
       if (params.pageSize) queryParams.append('page_size', params.pageSize.toString());
 
-      const response = await fetch(`${this.baseUrl}/cgi/search.pl?${queryParams.toString()}`);
+      const data = await this._fetchSearch('/cgi/search.pl', queryParams, options);
+      return this._filterSearchFields(data, params.fields);
+    } catch (error) {
+      throw this._searchError(error, options);
+    }
+  }
+
+  /**
+   * Runs a search with a structured query through the v2 search API
+   * @param {Object} params - Search parameters with query, page, pageSize and fields
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Search results
+   * @private
+   */
+  async _searchStructured(params, options) {
+    const legacy = ['search_terms', 'code', 'tagType', 'tag', 'additives', 'ingredientsFromPalmOil'].filter((key) => params[key]);
+    if (legacy.length > 0) {
+      throw new ValidationError(`A structured query cannot be combined with ${legacy.join(', ')}`);
+    }
+    const queryParams = new URLSearchParams(validated(() => buildSearchQuery(params.query)));
+
+    try {
+      if (params.page) queryParams.append('page', params.page.toString());
+      if (params.pageSize) queryParams.append('page_size', params.pageSize.toString());
+      if (Array.isArray(params.fields) && params.fields.length > 0) queryParams.append('fields', params.fields.join(','));
+
+      const data = await this._fetchSearch('/api/v2/search', queryParams, options);
+      return this._filterSearchFields(data, params.fields);
+    } catch (error) {
+      throw this._searchError(error, options);
+    }
+  }
+
+  /**
+   * Fetches a search endpoint through the response cache
+   * @param {string} path - Endpoint path
+   * @param {URLSearchParams} queryParams - Query string parameters
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Search results
+   * @private
+   */
+  async _fetchSearch(path, queryParams, options) {
+    const query = queryParams.toString();
+    return this._cached('search', `${path}?${query}`, options, async () => {
+      const url = `${this.baseUrl}${path}?${query}`;
+      const response = await this._fetch('search', url, { headers: this._createRequestHeaders() }, options);
       if (!response.ok) {
-        throw new OpenFoodFactsError(`HTTP error! status: ${response.status}`, 'API request failed', response.status);
+        throw this._httpError(response, url, 'search');
       }
 
-      const data = await response.json();
-      if (!data || typeof data !== 'object') {
-        throw new Error('Invalid response format');
+      const result = await readBody(response, (res) => res.json());
+      if (!result || typeof result !== 'object') {
+        throw new ServerError('Invalid response format', { status: response.status, endpoint: endpointOf(url) });
       }
+      return result;
+    });
+  }
 
-      // Client-side field filtering - only filter if fields are provided (fixed hardcoded override)
-      if (params.fields && Array.isArray(params.fields) && params.fields.length > 0) {
-        return {
-          ...data,
-          products: data.products.map((product) => {
-            const filtered = {};
-            params.fields.forEach((field) => {
-              if (field in product) {
-                filtered[field] = product[field];
-              }
-            });
-            return filtered;
-          }),
-        };
-      }
+  /**
+   * Keeps only the requested fields of each search result
+   * @param {Object} data - Search results
+   * @param {Array<string>} [fields] - Fields to keep
+   * @returns {Object} Search results
+   * @private
+   */
+  _filterSearchFields(data, fields) {
+    // Client-side field filtering - only filter if fields are provided (fixed hardcoded override)
+    if (fields && Array.isArray(fields) && fields.length > 0) {
+      return {
+        ...data,
+        products: data.products.map((product) => {
+          const filtered = {};
+          fields.forEach((field) => {
+            if (field in product) {
+              filtered[field] = product[field];
+            }
+          });
+          return filtered;
+        }),
+      };
+    }
 
-      return data;
-    } catch (error) {
-      if (error instanceof OpenFoodFactsError) {
-        throw error;
+    return data;
+  }
+
+  /**
+   * Wraps a search failure like _operationError, except that errors about a response
+   * (HTTP statuses, invalid response format) keep their message as is
+   * @param {Error} error - Failure
+   * @param {Object} options - Request options
+   * @returns {Error} Error to throw
+   * @private
+   */
+  _searchError(error, options) {
+    if (error instanceof OpenFoodFactsError && error.status !== undefined) {
+      return error;
+    }
+    return this._operationError(error, 'Failed to search products', options);
+  }
+
+  /**
+   * Walks the pages of a search
+   * @param {Object} params - Search parameters (see searchProducts); page sets the first page
+   * @param {Object} [options] - Request options (see searchProducts)
+   * @param {number} [options.maxResults=Infinity] - Stop after this many products
+   * @yields {{page: number, pageSize: number, count: number, products: Array<Object>}} One search page at a time
+   */
+  async *searchPages(params, options = {}) {
+    const { maxResults = Infinity, ...requestOptions } = options;
+    if (maxResults !== Infinity && (!Number.isInteger(maxResults) || maxResults < 1)) {
+      throw new ValidationError('maxResults must be a positive integer');
+    }
+    const pageSize = Number(params.pageSize) || MAX_SEARCH_PAGE_SIZE;
+    let page = Number(params.page) || 1;
+    let remaining = maxResults;
+
+    while (remaining > 0) {
+      const data = await this.searchProducts({ ...params, page, pageSize }, requestOptions);
+      const products = (data.products || []).slice(0, remaining);
+      if (products.length === 0) {
+        return;
       }
-      if (error.message === 'Invalid response format') {
-        throw error; // Pass through this specific error without wrapping
+      const count = Number(data.count) || 0;
+      yield { page, pageSize, count, products };
+
+      remaining -= products.length;
+      if (page * pageSize >= count) {
+        return;
       }
-      throw new Error(`Failed to search products: ${error.message}`);
+      page++;
     }
   }
 
   /**
-   * Adds a new product to the database
-   * @param {Object} data - Product data
+   * Iterates over every product of a search, fetching pages as needed
+   * @example
+   * for await (const product of client.searchAll({ tagType: ['categories'], tag: ['en:cereals'], tagContains: ['contains'] })) { ... }
+   * @param {Object} params - Search parameters (see searchProducts)
+   * @param {Object} [options] - Request options (see searchPages)
+   * @yields {Object} Product
+   */
+  async *searchAll(params, options = {}) {
+    for await (const { products } of this.searchPages(params, options)) {
+      yield* products;
+    }
+  }
+
+  /**
+   * Adds a new product to the database, or edits the given fields of an existing one
+   * @example
+   * await client.addProduct({ code: '3017620422003', lang: 'fr', product_name_fr: 'Pâte à tartiner', quantity: '400 g',
+   *   nutrition_data_per: '100g', nutriments: { 'energy-kcal': 539, sugars: 56.3, salt: { value: 107, unit: 'mg' } } });
+   * @param {Object} data - Product data; unknown fields are rejected (see buildProductFields)
    * @param {string} data.code - Product barcode
-   * @param {string} [data.brands] - Product brands
-   * @param {string} [data.labels] - Product labels
+   * @param {string} [data.lang] - Main language of the product
+   * @param {string} [data.product_name] - Product name; `product_name_xx` in language xx, likewise generic_name and ingredients_text
+   * @param {string} [data.quantity] - Net quantity, e.g. '400 g'
+   * @param {string|Array<string>} [data.brands] - Product brands; also categories, labels, origins, stores and countries
+   * @param {string} [data.serving_size] - Serving size
+   * @param {string} [data.nutrition_data_per] - Basis of the nutrition facts: 100g or serving
+   * @param {Object} [data.nutriments] - Nutrition facts by nutrient, as numbers or { value, unit }
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {string} [options.appUuid] - Anonymous app user the write is made for (overrides the client's)
    * @returns {Promise<Object>} API response
    */
-  async addProduct(data) {
+  async addProduct(data, options = {}) {
     if (!this.credentials) {
-      throw new Error('Credentials required for adding products');
+      throw new AuthenticationError('Credentials required for adding products');
     }
     
     // Ensure secure connection before sending credentials
     this._validateSecureConnection();
-    this._validateBarcode(data.code);
+    const code = this._validateBarcode(data.code);
+    const fields = validated(() => buildProductFields(data));
 
     try {
-      const formData = new FormData();
-      formData.append('code', data.code);
-      formData.append('user_id', this.credentials.userId);
-      formData.append('password', this.credentials.password);
-      if (data.brands) formData.append('brands', this._sanitizeSearchInput(data.brands));
-      if (data.labels) formData.append('labels', this._sanitizeSearchInput(data.labels));
-
-      const headers = this._createRequestHeaders();
-      const response = await fetch(`${this.baseUrl}/cgi/product_jqm2.pl`, {
-        method: 'POST',
-        headers,
-        body: formData,
-      });
-
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      return await response.json();
+      return await this._write(code, '/cgi/product_jqm2.pl', fields, options);
     } catch (error) {
-      throw new Error(`Failed to add product: ${error.message}`);
+      throw this._operationError(error, 'Failed to add product', options);
     }
   }
 
   /**
    * Uploads a photo for a product
+   * @example
+   * await client.uploadPhoto('3017620422003', fs.readFileSync('front.jpg'), { field: 'front', languageCode: 'fr' });
+   * await client.uploadPhoto('3017620422003', 'https://example.com/back.png', { field: 'other' });
    * @param {string} barcode - Product barcode
-   * @param {File} image - Image file to upload
+   * @param {Buffer|Uint8Array|ArrayBuffer|string|File} image - Image content (JPEG, PNG or WebP, recognized by its
+   *   magic bytes), a data URI or base64 string, an HTTP(S) URL to download it from, a local file path, or a File
    * @param {Object} type - Photo type information
-   * @param {string} type.field - Field type (front, ingredients, nutrition)
-   * @param {string} type.languageCode - Language code for the image
+   * @param {string} type.field - Field type (front, ingredients, nutrition, other)
+   * @param {string} [type.languageCode] - Language code for the image, such as en or fr (not used by the other field)
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request, including downloading the image, in milliseconds
+   *   (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {string} [options.appUuid] - Anonymous app user the write is made for (overrides the client's)
    * @returns {Promise<Object>} API response
    */
-  async uploadPhoto(barcode, image, type) {
+  async uploadPhoto(barcode, image, type, options = {}) {
     if (!this.credentials) {
-      throw new Error('Credentials required for uploading photos');
+      throw new AuthenticationError('Credentials required for uploading photos');
     }
     
     // Ensure secure connection before sending credentials
     this._validateSecureConnection();
-    this._validateBarcode(barcode);
-    await this._validateImageFile(image);
-    
-    if (!type || !type.field || !type.languageCode) {
-      throw new Error('Type with field and languageCode is required');
+    const code = this._validateBarcode(barcode);
+    if (!image) {
+      throw new ValidationError('Image file is required');
     }
-    
-    const allowedFields = ['front', 'ingredients', 'nutrition'];
-    if (!allowedFields.includes(type.field)) {
-      throw new Error('Invalid field type. Must be front, ingredients, or nutrition.');
+
+    const imageField = validated(() => imageFieldId(type));
+
+    try {
+      const { blob, extension } = await this._loadImage(image, options);
+      return await this._write(code, '/cgi/product_image_upload.pl', [
+        ['imagefield', imageField],
+        [`imgupload_${imageField}`, blob, `${code}_${imageField}.${extension}`],
+      ], options);
+    } catch (error) {
+      throw this._operationError(error, 'Failed to upload photo', options);
+    }
+  }
+
+  /**
+   * Selects an uploaded image as the front, ingredients or nutrition image of a product in a language,
+   * optionally cropped, rotated and cleaned up
+   * @example
+   * const { image } = await client.uploadPhoto('3017620422003', photo, { field: 'front', languageCode: 'fr' });
+   * await client.selectImage('3017620422003', image.imgid, { field: 'front', languageCode: 'fr' },
+   *   { crop: { x1: 40, y1: 60, x2: 980, y2: 1420 }, angle: 90, whiteMagic: true });
+   * @param {string} barcode - Product barcode
+   * @param {number|string} imgid - Id of the uploaded image
+   * @param {Object} type - Image field
+   * @param {string} type.field - Field type (front, ingredients, nutrition)
+   * @param {string} type.languageCode - Language code, such as en or fr
+   * @param {Object} [options] - Crop settings (see cropParams in openfoodfacts-image.js) and request options
+   * @param {{x1: number, y1: number, x2: number, y2: number}} [options.crop] - Crop box in pixels (the whole image by default)
+   * @param {number} [options.angle=0] - Clockwise rotation: 0, 90, 180 or 270
+   * @param {boolean} [options.normalize=false] - Normalize colors
+   * @param {boolean} [options.whiteMagic=false] - Turn a white or light background pure white
+   * @param {string} [options.coordinatesImageSize='full'] - Image the crop box refers to: full or 400 (display size)
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {string} [options.appUuid] - Anonymous app user the write is made for (overrides the client's)
+   * @returns {Promise<Object>} API response
+   */
+  async selectImage(barcode, imgid, type, options = {}) {
+    if (!this.credentials) {
+      throw new AuthenticationError('Credentials required for selecting images');
     }
 
+    this._validateSecureConnection();
+    const code = this._validateBarcode(barcode);
+    const id = validated(() => imageFieldId(type, { selectable: true }));
+    const fields = validated(() => [['imgid', imageId(imgid)], ['id', id], ...cropParams(options)]);
+
     try {
-      const formData = new FormData();
-      formData.append('code', barcode);
-      formData.append('user_id', this.credentials.userId);
-      formData.append('password', this.credentials.password);
-      formData.append('imagefield', `${type.field}_${type.languageCode}`);
-      formData.append(`imgupload_${type.field}_${type.languageCode}`, image);
+      return await this._write(code, '/cgi/product_image_crop.pl', fields, options);
+    } catch (error) {
+      throw this._operationError(error, 'Failed to select image', options);
+    }
+  }
 
-      const headers = this._createRequestHeaders();
-      const response = await fetch(`${this.baseUrl}/cgi/product_image_upload.pl`, {
-        method: 'POST',
-        headers,
-        body: formData,
-      });
+  /**
+   * Unselects the front, ingredients or nutrition image of a product in a language; the uploaded image is kept
+   * @param {string} barcode - Product barcode
+   * @param {Object} type - Image field
+   * @param {string} type.field - Field type (front, ingredients, nutrition)
+   * @param {string} type.languageCode - Language code, such as en or fr
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {string} [options.appUuid] - Anonymous app user the write is made for (overrides the client's)
+   * @returns {Promise<Object>} API response
+   */
+  async unselectImage(barcode, type, options = {}) {
+    if (!this.credentials) {
+      throw new AuthenticationError('Credentials required for unselecting images');
+    }
+
+    this._validateSecureConnection();
+    const code = this._validateBarcode(barcode);
+    const id = validated(() => imageFieldId(type, { selectable: true }));
 
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      return await response.json();
+    try {
+      return await this._write(code, '/cgi/product_image_unselect.pl', [['id', id]], options);
     } catch (error) {
-      throw new Error(`Failed to upload photo: ${error.message}`);
+      throw this._operationError(error, 'Failed to unselect image', options);
+    }
+  }
+
+  /**
+   * Downloads the selected front, ingredients or nutrition image of a product
+   * @example
+   * const { data, contentType } = await client.getImage('3017620422003', { field: 'nutrition', lang: 'fr', size: 'full' });
+   * @param {string} barcode - Product barcode
+   * @param {Object} [options] - Image selection and request options
+   * @param {string} [options.field='front'] - Field type (front, ingredients, nutrition)
+   * @param {string} [options.lang] - Preferred language; falls back to the product's main language, then to any other
+   * @param {string} [options.size='400'] - Size: 100, 200 or 400 px high, or full
+   * @param {boolean} [options.cache=true] - Set to false to look the product's images up again instead of using the cache
+   * @param {Function} [options.onRateLimit] - Called while the product lookup waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @returns {Promise<{data: Buffer, contentType: string, url: string, field: string, lang: string, size: string,
+   *   imgid: string, rev: string}>} Image content and description
+   * @throws {NotFoundError} When the product is unknown (ProductNotFoundError) or has no image for the field
+   */
+  async getImage(barcode, options = {}) {
+    const code = this._validateBarcode(barcode);
+    const selection = { field: options.field || 'front', lang: options.lang, size: String(options.size || '400') };
+    validated(() => resolveImage({}, selection));
+
+    // Selected images are listed under keys such as front_fr, which the v3 API no longer uses
+    const product = await this.getProduct(code, { ...options, fields: ['code', 'lang', 'images'], version: 'v2' });
+    const image = resolveImage(product, selection);
+    if (!image) {
+      throw new NotFoundError(`No ${selection.field} image for product ${code}`, { details: 'image not found' });
+    }
+
+    const host = new URL(this.baseUrl).hostname.split('.').slice(-2).join('.');
+    const url = `https://images.${host}/images/products/${barcodePath(code)}/${image.file}`;
+    try {
+      const response = await this._fetch('image', url, { headers: this._createRequestHeaders() }, options);
+      if (!response.ok) throw this._httpError(response, url, 'image');
+      const data = Buffer.from(await readBody(response, (res) => res.arrayBuffer()));
+      return {
+        data,
+        contentType: (response.headers && response.headers.get('content-type')) || 'image/jpeg',
+        url,
+        field: image.field,
+        lang: image.lang,
+        size: image.size,
+        imgid: image.imgid,
+        rev: image.rev,
+      };
+    } catch (error) {
+      throw this._operationError(error, 'Failed to fetch image', options);
     }
   }
 
   /**
    * Fetches taxonomy data by type
    * @param {string} type - Taxonomy type
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache=true] - Set to false to bypass the response cache
+   * @param {Function} [options.onCache] - Called with cache hit/miss information
+   * @param {Function} [options.onRateLimit] - Called while the request waits for the rate limiter
+   * @param {number} [options.timeout] - Time allowed for each request in milliseconds (defaults to the client timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {boolean} [options.refresh=false] - Revalidate a stored taxonomy even if it is within the refresh interval
+   * @param {Function} [options.onStore] - Called with { source, fetchedAt, stale, error, storeError } when the on-disk
+   *   store is used; source is 'network', 'revalidated' (304) or 'disk', and storeError tells why the store could not be updated
    * @returns {Promise<Object>} Taxonomy data
+   * @throws {ValidationError} When the type is not a plain taxonomy name
    */
-  async getTaxonomy(type) {
+  async getTaxonomy(type, options = {}) {
+    checkTaxonomyType(type);
     try {
-      const response = await fetch(`${this.baseUrl}/data/taxonomies/${type}.json`);
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      return await response.json();
+      return await this._cached('taxonomy', type, options, () => this._loadTaxonomy(type, options));
     } catch (error) {
-      throw new Error(`Failed to fetch taxonomy: ${error.message}`);
+      throw this._operationError(error, 'Failed to fetch taxonomy', options);
     }
   }
 
+  /**
+   * Loads a taxonomy through the on-disk store when one is configured.
+   * Stored taxonomies younger than the refresh interval are served as is; older
+   * ones are revalidated with If-None-Match / If-Modified-Since and served stale
+   * when the server cannot be reached or answers with a server error.
+   * @param {string} type - Taxonomy type
+   * @param {Object} options - Request options (see getTaxonomy)
+   * @returns {Promise<Object>} Taxonomy data
+   * @private
+   */
+  async _loadTaxonomy(type, options) {
+    const url = `${this.baseUrl}/data/taxonomies/${type}.json`;
+    const report = (info) => {
+      if (typeof options.onStore === 'function') {
+        options.onStore(info);
+      }
+    };
+
+    if (!this.taxonomyStore) {
+      const response = await this._fetch('facets', url, { headers: this._createRequestHeaders() }, options);
+      if (!response.ok) throw this._httpError(response, url, 'facets');
+      return await readBody(response, (res) => res.json());
+    }
+
+    const stored = await this.taxonomyStore.read(type);
+    if (stored && !options.refresh && this.taxonomyStore.isFresh(stored)) {
+      report({ source: 'disk', fetchedAt: stored.fetchedAt, stale: false });
+      return stored.data;
+    }
+
+    const headers = this._createRequestHeaders();
+    if (stored && stored.etag) headers['If-None-Match'] = stored.etag;
+    if (stored && stored.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+    let response;
+    try {
+      response = await this._fetch('facets', url, { headers }, options);
+    } catch (error) {
+      // A cancelled request is not a server failure, so the stale copy is not served either
+      if (!stored || (options.signal && options.signal.aborted)) throw error;
+      report({ source: 'disk', fetchedAt: stored.fetchedAt, stale: true, error: error.message });
+      return stored.data;
+    }
+
+    // The data is already in hand, so a store that cannot be written (disk full, read-only) does not fail the read
+    const save = async (write) => {
+      try {
+        return { fetchedAt: await write() };
+      } catch (error) {
+        return { fetchedAt: Date.now(), storeError: error.message };
+      }
+    };
+
+    if (response.status === 304 && stored) {
+      releaseBody(response);
+      const saved = await save(() => this.taxonomyStore.touch(type, stored));
+      report({ source: 'revalidated', ...saved, stale: false });
+      return stored.data;
+    }
+    if (!response.ok) {
+      if (stored && response.status >= 500) {
+        releaseBody(response);
+        report({ source: 'disk', fetchedAt: stored.fetchedAt, stale: true, error: `HTTP error! status: ${response.status}` });
+        return stored.data;
+      }
+      throw this._httpError(response, url, 'facets');
+    }
+
+    const data = await readBody(response, (res) => res.json());
+    const saved = await save(() => this.taxonomyStore.write(type, data, {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    }));
+    report({ source: 'network', ...saved, stale: false });
+    return data;
+  }
+
+  /**
+   * Revalidates every taxonomy held in the on-disk store
+   * @returns {Promise<Object<string, Object>>} Outcome per taxonomy: the onStore information, or { error }
+   */
+  async refreshTaxonomies() {
+    const results = {};
+    if (!this.taxonomyStore) {
+      return results;
+    }
+    for (const type of await this.taxonomyStore.types()) {
+      try {
+        await this.getTaxonomy(type, { refresh: true, cache: false, onStore: (info) => { results[type] = info; } });
+      } catch (error) {
+        results[type] = { error: error.message };
+      }
+    }
+    return results;
+  }
+
   /**
    * Fetches additives taxonomy
+   * @param {Object} [options] - Request options (see getTaxonomy)
    * @returns {Promise<Object>} Additives taxonomy
    */
-  async getAdditives() {
-    return this.getTaxonomy('additives');
+  async getAdditives(options) {
+    return this.getTaxonomy('additives', options);
   }
 
   /**
    * Fetches allergens taxonomy
+   * @param {Object} [options] - Request options (see getTaxonomy)
    * @returns {Promise<Object>} Allergens taxonomy
    */
-  async getAllergens() {
-    return this.getTaxonomy('allergens');
+  async getAllergens(options) {
+    return this.getTaxonomy('allergens', options);
   }
 
   /**
    * Fetches brands taxonomy
+   * @param {Object} [options] - Request options (see getTaxonomy)
    * @returns {Promise<Object>} Brands taxonomy
    */
-  async getBrands() {
-    return this.getTaxonomy('brands');
+  async getBrands(options) {
+    return this.getTaxonomy('brands', options);
+  }
+
+  /**
+   * Computes the Nutri-Score of a product locally (2023 algorithm)
+   * @param {Object} product - Product with nutriments and categories_tags, or raw per-100g nutriments
+   * @param {Object} [hints] - Category hints (category, redMeat, sweeteners); see openfoodfacts-nutriscore.js
+   * @returns {Object} Grade, score and per-component point breakdown
+   */
+  computeNutriScore(product, hints) {
+    return validated(() => computeNutriScore(product, hints));
+  }
+
+  /**
+   * Fetches a product and computes its Nutri-Score locally
+   * @param {string} barcode - Product barcode
+   * @param {Object} [hints] - Category hints (see computeNutriScore)
+   * @param {Object} [options] - Request options (see getProduct)
+   * @returns {Promise<{product: Object, nutriScore: Object}>} Product and computed Nutri-Score
+   */
+  async getNutriScore(barcode, hints, options = {}) {
+    const product = await this.getProduct(barcode, { ...options, fields: NUTRISCORE_FIELDS });
+    return { product, nutriScore: this.computeNutriScore(product, hints) };
+  }
+
+  /**
+   * Fetches weighed products and aggregates their nutrition (recipes, baskets)
+   * Unknown products and products without nutriments are reported in the result instead of failing.
+   * @param {Array<{barcode: string, grams: number}>} items - Products and their quantity in grams
+   * @param {Object} [options] - Aggregation and request options (see getProduct)
+   * @param {number} [options.portions=1] - Number of portions the total is divided into
+   * @returns {Promise<Object>} Nutrition table, totals, per-portion and per-100g values and missing items (see openfoodfacts-nutrition.js)
+   */
+  async aggregateNutrition(items, options = {}) {
+    const { portions, ...requestOptions } = options;
+    const entries = [];
+    // Sequential on purpose: a basket should not burst the API with parallel lookups
+    for (const item of validated(() => validateItems(items))) {
+      try {
+        const product = await this.getProduct(item.code, { ...requestOptions, fields: NUTRITION_FIELDS });
+        entries.push({ ...item, product });
+      } catch (error) {
+        if (!(error instanceof ProductNotFoundError)) {
+          throw error;
+        }
+        entries.push({ ...item, product: null, reason: 'product not found' });
+      }
+    }
+    return validated(() => aggregateNutrition(entries, { portions }));
+  }
+
+  /**
+   * Sends a GET request to Robotoff
+   * @param {string} path - Endpoint path below /api/v1, such as /insights
+   * @param {URLSearchParams} query - Query parameters
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _robotoff(path, query, options) {
+    const url = `${this.robotoffUrl}/api/v1${path}?${query.toString()}`;
+    const response = await this._fetch('robotoff', url, { headers: { 'User-Agent': this.userAgent } }, options);
+    if (!response.ok) throw this._httpError(response, url, 'robotoff');
+    return readBody(response, (res) => res.json());
   }
 
   /**
-   * Fetches random insights from Robotoff
-   * @param {number} [count=1] - Number of insights to fetch
-   * @param {string} [lang] - Language filter
-   * @returns {Promise<Object>} Random insights
+   * Fetches random questions from Robotoff
+   * @example
+   * const { questions } = await client.getRandomInsight(10, 'fr', { insightTypes: ['label'], country: 'france' });
+   * @param {number} [count=1] - Number of questions to fetch, up to 100
+   * @param {string} [lang] - Language of the question texts
+   * @param {Object} [options] - Filters and request options
+   * @param {string|Array<string>} [options.insightTypes] - Insight types, such as category or label
+   * @param {string} [options.country] - Country tag (en:france), or English country name
+   * @param {string|Array<string>} [options.brands] - Brands of the products
+   * @param {string} [options.valueTag] - Predicted value, such as en:organic
+   * @param {number} [options.page] - Page of questions
+   * @param {number} [options.timeout] - Time allowed for the request in milliseconds
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Robotoff response with status and questions
    */
-  async getRandomInsight(count = 1, lang) {
+  async getRandomInsight(count = 1, lang, options = {}) {
+    const { insightTypes, country, brands, valueTag, page } = options;
+    const query = validated(() => questionsQuery({
+      count, lang, page, serverType: serverType(this.baseUrl), insightTypes, country, brands, valueTag,
+    }));
     try {
-      const queryParams = new URLSearchParams({
-        count: count.toString(),
-      });
-      if (lang) queryParams.append('lang', lang);
+      return await this._robotoff('/questions/random', query, options);
+    } catch (error) {
+      throw this._operationError(error, 'Failed to fetch random insight', options);
+    }
+  }
+
+  /**
+   * Fetches the open Robotoff questions about a product
+   * @example
+   * const { status, questions } = await client.getQuestions('3017620422003', { lang: 'fr' });
+   * // status is 'found' or 'no_questions'; each question has insight_id, question, value and source_image_url
+   * @param {string} barcode - Product barcode
+   * @param {Object} [options] - Filters and request options
+   * @param {number} [options.count=1] - Number of questions to fetch, up to 100
+   * @param {string} [options.lang] - Language of the question texts
+   * @param {number} [options.timeout] - Time allowed for the request in milliseconds
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Robotoff response with status and questions
+   */
+  async getQuestions(barcode, options = {}) {
+    const code = this._validateBarcode(barcode);
+    const query = validated(() => questionsQuery({ count: options.count, lang: options.lang, serverType: serverType(this.baseUrl) }));
+    try {
+      return await this._robotoff(`/questions/${code}`, query, options);
+    } catch (error) {
+      throw this._operationError(error, 'Failed to fetch questions', options);
+    }
+  }
+
+  /**
+   * Lists Robotoff insights
+   * @example
+   * const { count, insights } = await client.getInsights({ insightTypes: 'category', valueTag: 'en:breakfast-cereals', annotated: false });
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.barcode] - Only insights about this product
+   * @param {string|Array<string>} [filters.insightTypes] - Insight types, such as category or label
+   * @param {string} [filters.country] - Country tag (en:france), or English country name
+   * @param {string|Array<string>} [filters.brands] - Brands of the products
+   * @param {string} [filters.valueTag] - Predicted value, such as en:organic
+   * @param {boolean} [filters.annotated] - Only insights that were (true) or were not (false) annotated yet
+   * @param {number} [filters.count=25] - Insights per page, up to 100
+   * @param {number} [filters.page] - Page
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Time allowed for the request in milliseconds
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Robotoff response with status, count (total matches) and insights
+   */
+  async getInsights(filters = {}, options = {}) {
+    const barcode = filters.barcode ? this._validateBarcode(filters.barcode) : undefined;
+    const query = validated(() => insightsQuery({ ...filters, barcode, serverType: serverType(this.baseUrl) }));
+    try {
+      return await this._robotoff('/insights', query, options);
+    } catch (error) {
+      throw this._operationError(error, 'Failed to fetch insights', options);
+    }
+  }
 
-      const response = await fetch(
-        `https://robotoff.openfoodfacts.org/api/v1/questions/random?${queryParams.toString()}`,
-      );
+  /**
+   * Answers a Robotoff question, annotating its insight with the user's credentials or session.
+   * Accepted answers apply the prediction to the product.
+   * @example
+   * await client.answerQuestion(question.insight_id, 'yes');
+   * @param {string} insightId - insight_id of the question
+   * @param {string|number} answer - yes, no or skip (or 1, 0, -1)
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Time allowed for the request in milliseconds
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Robotoff response with status (updated or saved) and description
+   * @throws {NotFoundError} When Robotoff does not know the insight
+   * @throws {ValidationError} When Robotoff refuses the annotation, e.g. because the insight was already annotated
+   */
+  async answerQuestion(insightId, answer, options = {}) {
+    if (!this.credentials) {
+      throw new AuthenticationError('Credentials required for answering questions');
+    }
+    const body = validated(() => annotationFields(insightId, answer));
+    const url = `${this.robotoffUrl}/api/v1/insights/annotate`;
 
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      return await response.json();
+    try {
+      // Robotoff accepts the Open Food Facts session cookie as well as the credentials
+      const response = await this._authenticated(async (cookie) => {
+        const { userId, password } = this.credentials;
+        const headers = { 'User-Agent': this.userAgent };
+        if (cookie) {
+          headers.Cookie = cookie;
+        } else {
+          headers.Authorization = `Basic ${Buffer.from(`${userId}:${password}`).toString('base64')}`;
+        }
+        const init = { method: 'POST', headers, body };
+        const sent = await this._fetch('robotoff', url, init, options);
+        if (!sent.ok) throw this._httpError(sent, url, 'robotoff', init);
+        return sent;
+      }, options);
+      const result = await readBody(response, (res) => res.json());
+      // Refused annotations come back with a 200 and an error_* status
+      const status = (result && result.status) || '';
+      if (status === 'error_invalid_insight') {
+        throw new NotFoundError(`Insight not found: ${body.get('insight_id')}`, { details: result.description, endpoint: url });
+      }
+      if (status.startsWith('error_')) {
+        throw new ValidationError(`Annotation not saved: ${result.description || status}`, {
+          details: status, endpoint: url,
+        });
+      }
+      return result;
     } catch (error) {
-      throw new Error(`Failed to fetch random insight: ${error.message}`);
+      throw this._operationError(error, 'Failed to answer question', options);
     }
   }
 }
 
-// Export the class and error
-module.exports = { OpenFoodFactsAPI, OpenFoodFactsError };
+// Export the class and errors
+module.exports = {
+  OpenFoodFactsAPI,
+  ERROR_CODES,
+  OpenFoodFactsError,
+  NotFoundError,
+  ProductNotFoundError,
+  RateLimitError,
+  AuthenticationError,
+  ValidationError,
+  NetworkError,
+  RequestTimeoutError,
+  ServerError,
+  CircuitOpenError,
+};
@@ -0,0 +1,210 @@
+/**
+ * Barcode helpers for the OpenFoodFacts API client
+ * GS1 check digit validation and normalization of codes the way Open Food Facts stores them
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * GTIN types by number of digits
+ * @type {Object<number, string>}
+ */
+const GTIN_TYPES = {
+  8: 'EAN-8',
+  12: 'UPC-A',
+  13: 'EAN-13',
+  14: 'GTIN-14',
+};
+
+/**
+ * Computes the GS1 check digit for a code body (the code without its check digit)
+ * @param {string} body - Digits preceding the check digit
+ * @returns {number} Check digit
+ */
+function computeCheckDigit(body) {
+  let sum = 0;
+  // Weights alternate 3, 1, 3... starting from the rightmost digit of the body
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Checks whether the last digit of a code is a valid GS1 check digit
+ * @param {string} code - Full code including the check digit
+ * @returns {boolean} True if the check digit matches
+ */
+function isValidCheckDigit(code) {
+  return /^\d{2,}$/.test(code) && computeCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+}
+
+/**
+ * Expands a UPC-E code to its UPC-A equivalent
+ * @param {string} code - UPC-E code: 6 digits, 7 digits with number system, or 8 digits with check digit
+ * @returns {string} 12-digit UPC-A code
+ */
+function expandUpcE(code) {
+  if (typeof code !== 'string' || !/^\d{6,8}$/.test(code.trim())) {
+    throw new ValidationError('Invalid UPC-E code. Must be 6, 7 or 8 digits.');
+  }
+  const digits = code.trim();
+  const numberSystem = digits.length === 6 ? '0' : digits[0];
+  const body = digits.length === 6 ? digits : digits.slice(1, 7);
+  if (numberSystem !== '0' && numberSystem !== '1') {
+    throw new ValidationError('Invalid UPC-E number system. Must be 0 or 1.');
+  }
+
+  const [d1, d2, d3, d4, d5, d6] = body;
+  let manufacturerAndProduct;
+  switch (d6) {
+    case '0':
+    case '1':
+    case '2':
+      manufacturerAndProduct = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+      break;
+    case '3':
+      manufacturerAndProduct = `${d1}${d2}${d3}00000${d4}${d5}`;
+      break;
+    case '4':
+      manufacturerAndProduct = `${d1}${d2}${d3}${d4}00000${d5}`;
+      break;
+    default:
+      manufacturerAndProduct = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  }
+
+  const upcABody = `${numberSystem}${manufacturerAndProduct}`;
+  const checkDigit = computeCheckDigit(upcABody);
+  if (digits.length === 8 && Number(digits[7]) !== checkDigit) {
+    throw new ValidationError(`Invalid barcode check digit. Expected ${checkDigit}.`);
+  }
+  return `${upcABody}${checkDigit}`;
+}
+
+/**
+ * Normalizes a code the way Open Food Facts stores it: leading zeros are
+ * stripped, the code is padded to 13 digits, and EAN-8 codes padded with
+ * five zeros are shortened back to 8 digits
+ * @param {string} code - Code containing only digits
+ * @returns {string} Normalized code
+ */
+function normalizeBarcode(code) {
+  let normalized = code.replace(/^0+/, '');
+  if (normalized.length < 13) {
+    normalized = normalized.padStart(13, '0');
+  }
+  if (normalized.length === 13 && normalized.startsWith('00000')) {
+    normalized = normalized.slice(5);
+  }
+  return normalized;
+}
+
+/**
+ * Checks whether a code uses a GS1 restricted circulation prefix (in-store
+ * codes such as variable weight items), which are not globally unique
+ * @param {string} code - Code containing only digits
+ * @returns {boolean} True for 02x, 04x and 2xx prefixes, and 0 or 2 prefixes of 8-digit codes (RCN-8)
+ */
+function isRestrictedCirculation(code) {
+  if (code.length <= 8) {
+    return /^[02]/.test(code);
+  }
+  return /^(02|04|2)/.test(code.padStart(13, '0').slice(-13));
+}
+
+/**
+ * Tells whether a code should be read as UPC-E: valid 6 and 7 digit UPC-E codes,
+ * and 8 digit codes that are a valid UPC-E but not a valid EAN-8
+ * @param {string} input - Trimmed input
+ * @param {boolean} [upcE] - true to read every 6 to 8 digit code as UPC-E, false to never do so
+ * @returns {boolean} True to expand the code
+ */
+function isUpcE(input, upcE) {
+  if (upcE === false || !/^\d{6,8}$/.test(input)) {
+    return false;
+  }
+  if (upcE) {
+    return true;
+  }
+  if (input.length === 8 && isValidCheckDigit(input)) {
+    return false;
+  }
+  try {
+    expandUpcE(input);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a barcode and describes it. UPC-E codes are expanded to UPC-A (see isUpcE).
+ * @param {string} barcode - Barcode to parse
+ * @param {Object} [options] - Parse options
+ * @param {boolean} [options.upcE] - true to treat all 6 to 8 digit input as UPC-E, false to only accept GTINs;
+ *   by default valid 6 and 7 digit UPC-E codes, and 8 digit codes that are a valid UPC-E but not a valid EAN-8, are expanded
+ * @returns {{code: string, input: string, type: string, restricted: boolean}} Normalized code, original input, GTIN type and restricted circulation flag
+ */
+function parseBarcode(barcode, options = {}) {
+  if (typeof barcode !== 'string') {
+    throw new ValidationError('Barcode must be a string');
+  }
+  const input = barcode.trim();
+  const digits = isUpcE(input, options.upcE) ? expandUpcE(input) : input;
+
+  if (!/^\d+$/.test(digits) || !GTIN_TYPES[digits.length]) {
+    throw new ValidationError('Invalid barcode format. Must be 8, 12, 13 or 14 digits.');
+  }
+  if (!isValidCheckDigit(digits)) {
+    throw new ValidationError(`Invalid barcode check digit. Expected ${computeCheckDigit(digits.slice(0, -1))}.`);
+  }
+
+  return {
+    code: normalizeBarcode(digits),
+    input,
+    type: digits !== input ? 'UPC-E' : GTIN_TYPES[digits.length],
+    restricted: isRestrictedCirculation(digits),
+  };
+}
+
+/**
+ * Validates a partial barcode used for code searches
+ * @param {string} barcode - Partial barcode
+ * @returns {string} Trimmed digits
+ */
+function parsePartialBarcode(barcode) {
+  if (typeof barcode !== 'string') {
+    throw new ValidationError('Barcode must be a string');
+  }
+  const digits = barcode.trim();
+  if (!/^\d+$/.test(digits)) {
+    throw new ValidationError('Invalid barcode format. Must contain only digits.');
+  }
+  return digits;
+}
+
+/**
+ * Folder of a product on the image server: the code is padded to 13 digits, then
+ * split into three groups of three digits and the rest (3017620422003 → 301/762/042/2003)
+ * @param {string} code - Normalized code
+ * @returns {string} Folder path
+ */
+function barcodePath(code) {
+  if (typeof code !== 'string' || !/^\d+$/.test(code)) {
+    throw new ValidationError('Invalid barcode format. Must contain only digits.');
+  }
+  const padded = code.padStart(13, '0');
+  return [padded.slice(0, 3), padded.slice(3, 6), padded.slice(6, 9), padded.slice(9)].join('/');
+}
+
+module.exports = {
+  computeCheckDigit,
+  isValidCheckDigit,
+  expandUpcE,
+  normalizeBarcode,
+  isRestrictedCirculation,
+  parseBarcode,
+  parsePartialBarcode,
+  barcodePath,
+};
@@ -0,0 +1,117 @@
+/**
+ * In-memory response cache for the OpenFoodFacts API client
+ * A least-recently-used cache whose entries expire after a per-operation TTL
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Default time-to-live per operation, in milliseconds
+ * @type {Object<string, number>}
+ */
+const DEFAULT_TTLS = {
+  product: 10 * 60 * 1000,
+  search: 5 * 60 * 1000,
+  taxonomy: 24 * 60 * 60 * 1000,
+};
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * LRU cache with per-operation TTLs
+ * @class ResponseCache
+ */
+class ResponseCache {
+  /**
+   * Creates an instance of ResponseCache
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries=500] - Maximum number of entries before the least recently used is evicted
+   * @param {Object<string, number>} [options.ttl] - Time-to-live per operation in milliseconds (product, search, taxonomy)
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttl = {} } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new ValidationError('Cache maxEntries must be a positive integer');
+    }
+    this.maxEntries = maxEntries;
+    this.ttl = { ...DEFAULT_TTLS, ...ttl };
+    // Map iteration order doubles as recency order: oldest entries come first
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of entries currently held
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Returns the time-to-live of an operation
+   * @param {string} operation - Operation name
+   * @returns {number} TTL in milliseconds (0 disables caching)
+   */
+  ttlFor(operation) {
+    return this.ttl[operation] || 0;
+  }
+
+  /**
+   * Looks up an entry and marks it as recently used
+   * @param {string} key - Cache key
+   * @returns {{value: *, storedAt: number, expiresAt: number}|undefined} Entry, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Stores an entry, evicting the least recently used one when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Time-to-live in milliseconds
+   */
+  set(key, value, ttl) {
+    if (!(ttl > 0)) {
+      return;
+    }
+    const storedAt = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt, expiresAt: storedAt + ttl });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes entries
+   * @param {string} [prefix] - Only remove keys starting with this prefix (all entries when omitted)
+   * @returns {number} Number of removed entries
+   */
+  clear(prefix) {
+    if (!prefix) {
+      const removed = this.entries.size;
+      this.entries.clear();
+      return removed;
+    }
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { ResponseCache, DEFAULT_TTLS };
@@ -0,0 +1,297 @@
+/**
+ * Errors thrown by the OpenFoodFacts API client
+ * Every error carries a stable code so flows can branch on the kind of failure
+ * rather than on message text
+ */
+
+/**
+ * Error codes
+ * @type {Object<string, string>}
+ */
+const ERROR_CODES = Object.freeze({
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  VALIDATION: 'VALIDATION',
+  NETWORK: 'NETWORK',
+  TIMEOUT: 'TIMEOUT',
+  SERVER: 'SERVER',
+});
+
+// HTTP statuses worth sending the same request again for; also the statuses the resilience policy retries reads on
+const RETRYABLE_STATUSES = Object.freeze([408, 425, 429, 500, 502, 503, 504]);
+
+// Failures that may go away on their own when no HTTP status says otherwise
+const RETRYABLE_CODES = [ERROR_CODES.RATE_LIMITED, ERROR_CODES.NETWORK, ERROR_CODES.TIMEOUT, ERROR_CODES.SERVER];
+
+/**
+ * Error code matching an HTTP status
+ * @param {number} [status] - HTTP status code
+ * @returns {string} Error code
+ */
+function codeForStatus(status) {
+  if (status === 401 || status === 403) {
+    return ERROR_CODES.AUTH_FAILED;
+  }
+  if (status === 404 || status === 410) {
+    return ERROR_CODES.NOT_FOUND;
+  }
+  if (status === 429) {
+    return ERROR_CODES.RATE_LIMITED;
+  }
+  if (status >= 400 && status < 500 && !RETRYABLE_STATUSES.includes(status)) {
+    return ERROR_CODES.VALIDATION;
+  }
+  return ERROR_CODES.SERVER;
+}
+
+/**
+ * Custom error class for OpenFoodFacts API errors
+ * @class OpenFoodFactsError
+ * @extends {Error}
+ */
+class OpenFoodFactsError extends Error {
+  /**
+   * Creates an instance of OpenFoodFactsError
+   * @param {string} message - Error message
+   * @param {string} details - Additional error details
+   * @param {number} status - HTTP status code
+   * @param {Object} [options] - Error properties
+   * @param {string} [options.code] - Error code (derived from the status by default)
+   * @param {string} [options.endpoint] - URL of the failing request, without its query string
+   * @param {boolean} [options.retryable] - Whether sending the request again may succeed (derived from the code and status by default)
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, details, status, options = {}) {
+    super(message, options.cause === undefined ? undefined : { cause: options.cause });
+    this.name = 'OpenFoodFactsError';
+    this.details = details;
+    this.status = status;
+    this.code = options.code || codeForStatus(status);
+    this.endpoint = options.endpoint;
+    this.retryable = options.retryable !== undefined
+      ? options.retryable
+      : (status === undefined ? RETRYABLE_CODES.includes(this.code) : RETRYABLE_STATUSES.includes(status));
+  }
+
+  /**
+   * Plain object describing the error, suitable for a message property
+   * @returns {Object} name, code, message, status, endpoint, retryable and details
+   */
+  toJSON() {
+    const json = {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      status: this.status,
+      endpoint: this.endpoint,
+      retryable: this.retryable,
+      details: this.details,
+    };
+    Object.keys(json).forEach((key) => json[key] === undefined && delete json[key]);
+    return json;
+  }
+}
+
+/**
+ * Error thrown when a resource is unknown to the server
+ * @class NotFoundError
+ * @extends {OpenFoodFactsError}
+ */
+class NotFoundError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of NotFoundError
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError), plus status and details
+   */
+  constructor(message, options = {}) {
+    super(message, options.details || 'Not found', options.status === undefined ? 404 : options.status, { ...options, code: ERROR_CODES.NOT_FOUND });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a barcode is unknown to the server
+ * @class ProductNotFoundError
+ * @extends {NotFoundError}
+ */
+class ProductNotFoundError extends NotFoundError {
+  /**
+   * Creates an instance of ProductNotFoundError
+   * @param {string} barcode - Barcode that was looked up
+   * @param {string} [statusVerbose='product not found'] - Status message returned by the server
+   * @param {number} [status=404] - HTTP status code
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError)
+   */
+  constructor(barcode, statusVerbose = 'product not found', status = 404, options = {}) {
+    super(`Product not found: ${barcode}`, { ...options, details: statusVerbose, status, retryable: false });
+    this.name = 'ProductNotFoundError';
+    this.barcode = barcode;
+    this.statusVerbose = statusVerbose;
+  }
+}
+
+/**
+ * Error thrown when the server turns a request away because of its rate limits
+ * @class RateLimitError
+ * @extends {OpenFoodFactsError}
+ */
+class RateLimitError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of RateLimitError
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError), plus status and details
+   * @param {number} [options.retryAfter] - Delay requested by the server, in milliseconds
+   */
+  constructor(message, options = {}) {
+    super(message, options.details || 'Rate limit exceeded', options.status === undefined ? 429 : options.status, { ...options, code: ERROR_CODES.RATE_LIMITED });
+    this.name = 'RateLimitError';
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * Error thrown when credentials are missing or refused
+ * @class AuthenticationError
+ * @extends {OpenFoodFactsError}
+ */
+class AuthenticationError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of AuthenticationError
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError), plus status and details
+   * @param {boolean} [options.notLoggedIn=false] - The server answered that the user is not logged in, so nothing was saved
+   */
+  constructor(message, options = {}) {
+    super(message, options.details || 'Authentication failed', options.status, { ...options, code: ERROR_CODES.AUTH_FAILED, retryable: false });
+    this.name = 'AuthenticationError';
+    this.notLoggedIn = options.notLoggedIn === true;
+  }
+}
+
+/**
+ * Error thrown for invalid arguments, or when the server rejects a request as invalid
+ * @class ValidationError
+ * @extends {OpenFoodFactsError}
+ */
+class ValidationError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of ValidationError
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError), plus status and details
+   */
+  constructor(message, options = {}) {
+    super(message, options.details || 'Invalid request', options.status, { ...options, code: ERROR_CODES.VALIDATION, retryable: false });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Error thrown when the server cannot be reached
+ * @class NetworkError
+ * @extends {OpenFoodFactsError}
+ */
+class NetworkError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of NetworkError
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError), plus details
+   */
+  constructor(message, options = {}) {
+    super(message, options.details || 'Network error', undefined, { ...options, code: ERROR_CODES.NETWORK });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Error thrown when the server does not answer a request in time
+ * @class RequestTimeoutError
+ * @extends {OpenFoodFactsError}
+ */
+class RequestTimeoutError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of RequestTimeoutError
+   * @param {number} timeout - Time allowed for the request, in milliseconds
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError)
+   */
+  constructor(timeout, options = {}) {
+    super(`Request timed out after ${timeout} ms`, 'Request timed out', undefined, { ...options, code: ERROR_CODES.TIMEOUT });
+    this.name = 'RequestTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error thrown when the server fails or answers with something unusable
+ * @class ServerError
+ * @extends {OpenFoodFactsError}
+ */
+class ServerError extends OpenFoodFactsError {
+  /**
+   * Creates an instance of ServerError
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error properties (see OpenFoodFactsError), plus status and details
+   */
+  constructor(message, options = {}) {
+    super(message, options.details || 'Server error', options.status, { ...options, code: ERROR_CODES.SERVER });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Error thrown without sending the request while the circuit breaker of its operation class is open
+ * @class CircuitOpenError
+ * @extends {ServerError}
+ */
+class CircuitOpenError extends ServerError {
+  /**
+   * Creates an instance of CircuitOpenError
+   * @param {string} operation - Operation class whose breaker is open (product, search, facets, write, robotoff, image)
+   * @param {number} failures - Consecutive failures that opened the breaker
+   */
+  constructor(operation, failures) {
+    super(`Circuit breaker open after ${failures} consecutive failures of ${operation} requests`, {
+      details: 'Circuit breaker open',
+      retryable: true,
+    });
+    this.name = 'CircuitOpenError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Creates the error matching the HTTP status of a failed response
+ * @param {string} message - Error message
+ * @param {Object} options - Error properties (see OpenFoodFactsError), with the status
+ * @returns {OpenFoodFactsError} Error
+ */
+function errorForStatus(message, options) {
+  switch (codeForStatus(options.status)) {
+    case ERROR_CODES.AUTH_FAILED:
+      return new AuthenticationError(message, options);
+    case ERROR_CODES.NOT_FOUND:
+      return new NotFoundError(message, options);
+    case ERROR_CODES.RATE_LIMITED:
+      return new RateLimitError(message, options);
+    case ERROR_CODES.VALIDATION:
+      return new ValidationError(message, options);
+    default:
+      return new ServerError(message, options);
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  RETRYABLE_STATUSES,
+  OpenFoodFactsError,
+  NotFoundError,
+  ProductNotFoundError,
+  RateLimitError,
+  AuthenticationError,
+  ValidationError,
+  NetworkError,
+  RequestTimeoutError,
+  ServerError,
+  CircuitOpenError,
+  errorForStatus,
+};
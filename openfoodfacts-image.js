@@ -0,0 +1,361 @@
+/**
+ * Product images: sources for photo uploads and parameters of the image endpoints
+ * Recognizes images by their magic bytes, tells apart the string forms an image
+ * can take in a flow (data URIs, base64, HTTP(S) URLs and local file paths),
+ * checks image fields and crop settings, and finds the selected images of a product
+ */
+
+const net = require('net');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { ValidationError } = require('./openfoodfacts-errors');
+const { LANGUAGE_CODE } = require('./openfoodfacts-language');
+
+/**
+ * Image types accepted by the server, mapped to their file extension
+ * @type {Object<string, string>}
+ */
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+/**
+ * Largest image the server accepts, in bytes
+ * @type {number}
+ */
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Image fields of a product; all but `other` are per language
+ * @type {Array<string>}
+ */
+const IMAGE_FIELDS = ['front', 'ingredients', 'nutrition', 'other'];
+
+/**
+ * Rotations an image can be selected with, in degrees clockwise
+ * @type {Array<number>}
+ */
+const ANGLES = [0, 90, 180, 270];
+
+/**
+ * Images crop coordinates can refer to: the full size upload or its 400 px display version
+ * @type {Array<string>}
+ */
+const COORDINATE_SIZES = ['full', '400'];
+
+/**
+ * Sizes selected images are served in: 100, 200 and 400 px high, or as cropped
+ * @type {Array<string>}
+ */
+const IMAGE_SIZES = ['100', '200', '400', 'full'];
+
+// Leading bytes of each image type; WebP is a RIFF container with WEBP at offset 8
+const SIGNATURES = [
+  ['image/jpeg', [[0, [0xFF, 0xD8, 0xFF]]]],
+  ['image/png', [[0, [0x89, 0x50, 0x4E, 0x47]]]],
+  ['image/webp', [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]]],
+];
+
+const BASE64 = /^[A-Za-z0-9+/\s]+={0,2}$/;
+
+// Magic bytes of image formats that cannot be uploaded (GIF, TIFF, HEIC / AVIF), so their base64
+// content is refused as an unsupported image rather than taken for a file path
+const OTHER_IMAGE_SIGNATURES = [
+  [[0, [0x47, 0x49, 0x46, 0x38]]],
+  [[0, [0x49, 0x49, 0x2A, 0x00]]],
+  [[0, [0x4D, 0x4D, 0x00, 0x2A]]],
+  [[4, [0x66, 0x74, 0x79, 0x70]]],
+];
+
+// Longest path Linux accepts: longer base64 text cannot name a file
+const MAX_PATH_LENGTH = 4096;
+
+// Loopback, private, link-local, shared, multicast and reserved networks image URLs may not point to,
+// so a flow cannot make the node fetch services on the host or its local network
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Detects the type of an image from its first bytes
+ * @param {Uint8Array} bytes - Start of the image (12 bytes are enough)
+ * @returns {string|null} MIME type, or null for content that is not a JPEG, PNG or WebP image
+ */
+function detectImageType(bytes) {
+  const match = SIGNATURES.find(([, parts]) => matchesSignature(bytes, parts));
+  return match ? match[0] : null;
+}
+
+/**
+ * Tells whether content starts with the given magic bytes
+ * @param {Buffer|Uint8Array} bytes - Content
+ * @param {Array<[number, Array<number>]>} parts - Offsets and the bytes expected there
+ * @returns {boolean} True when every part matches
+ * @private
+ */
+function matchesSignature(bytes, parts) {
+  return parts.every(([offset, signature]) => signature.every((byte, index) => bytes[offset + index] === byte));
+}
+
+/**
+ * Tells where a string image comes from
+ * @example
+ * imageSource('data:image/png;base64,iVBORw0KGgo...') // { data: <Buffer 89 50 4e 47 ...> }
+ * imageSource('https://example.com/front.jpg') // { url: 'https://example.com/front.jpg' }
+ * imageSource('/data/photos/front.jpg') // { path: '/data/photos/front.jpg' }
+ * @param {string} value - Data URI, base64 content, HTTP(S) URL, file: URL or local file path
+ * @returns {{data: Buffer}|{url: string}|{path: string}} Decoded content, URL to download or file to read
+ */
+function imageSource(value) {
+  const text = value.trim();
+  if (!text) {
+    throw new ValidationError('Image file is required');
+  }
+  const dataUri = /^data:([^,]*?),(.*)$/s.exec(text);
+  if (dataUri) {
+    if (!/;base64$/i.test(dataUri[1])) {
+      throw new ValidationError('Image data URIs must be base64 encoded');
+    }
+    return { data: Buffer.from(dataUri[2], 'base64') };
+  }
+  if (/^https?:\/\//i.test(text)) {
+    return { url: text };
+  }
+  if (/^file:/i.test(text)) {
+    return { path: fileURLToPath(text) };
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+    throw new ValidationError('Image URLs must use http, https or file');
+  }
+  // Paths such as /tmp/photo are valid base64 too, but do not decode to an image. Other image formats
+  // and text too long for a path are content as well, refused by imageBlob as an unsupported type.
+  if (BASE64.test(text)) {
+    const data = Buffer.from(text, 'base64');
+    if (detectImageType(data) || OTHER_IMAGE_SIGNATURES.some((parts) => matchesSignature(data, parts))
+      || text.length > MAX_PATH_LENGTH) {
+      return { data };
+    }
+  }
+  return { path: text };
+}
+
+/**
+ * Tells whether an IP address belongs to the host itself or a private network
+ * @example
+ * isPrivateAddress('192.168.1.20') // true
+ * isPrivateAddress('::ffff:127.0.0.1') // true
+ * isPrivateAddress('151.101.1.140') // false
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local, multicast and reserved addresses
+ */
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (!type) {
+    throw new ValidationError(`Invalid IP address: ${address}`);
+  }
+  return PRIVATE_NETWORKS.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Builds a DNS lookup answering with addresses checked beforehand, so a download connects to an address
+ * that passed the private network check even if the host answers differently by then (DNS rebinding)
+ * @example
+ * new Agent({ connect: { lookup: pinnedLookup([{ address: '151.101.1.140', family: 4 }]) } })
+ * @param {Array<{address: string, family: number}>} addresses - Checked addresses of the host
+ * @returns {Function} Lookup with the signature of dns.lookup
+ */
+function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    const { all = false, family = 0 } = typeof options === 'object' && options ? options : { family: options };
+    const matching = addresses.filter((entry) => !family || entry.family === family);
+    process.nextTick(() => {
+      if (matching.length === 0) {
+        done(Object.assign(new Error(`No IPv${family} address checked for ${hostname}`), { code: 'ENOTFOUND' }));
+      } else if (all) {
+        done(null, matching);
+      } else {
+        done(null, matching[0].address, matching[0].family);
+      }
+    });
+  };
+}
+
+/**
+ * Resolves a local image path inside the directory photos may be read from
+ * @example
+ * localImagePath('front.jpg', '/data/photos') // '/data/photos/front.jpg'
+ * localImagePath('/etc/passwd', '/data/photos') // throws
+ * @param {string} file - Path, absolute or relative to the directory
+ * @param {string} [directory] - Directory photos may be read from; without one, local files are refused
+ * @returns {string} Absolute path
+ */
+function localImagePath(file, directory) {
+  if (!directory) {
+    throw new ValidationError('Local image files are disabled. Set an image directory to upload photos from disk.');
+  }
+  const root = path.resolve(directory);
+  const resolved = path.resolve(root, file);
+  const relative = path.relative(root, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new ValidationError(`Image path is outside the image directory: ${file}`);
+  }
+  return resolved;
+}
+
+/**
+ * Checks image content and wraps it for a multipart upload
+ * @param {Buffer|Uint8Array} data - Image content
+ * @returns {{blob: Blob, type: string, extension: string}} Upload part with its detected type and file extension
+ */
+function imageBlob(data) {
+  if (data.length > MAX_IMAGE_SIZE) {
+    throw new ValidationError('File size too large. Maximum size is 10MB.');
+  }
+  const type = detectImageType(data);
+  if (!type) {
+    throw new ValidationError('File content does not match allowed image formats');
+  }
+  return { blob: new Blob([data], { type }), type, extension: IMAGE_TYPES[type] };
+}
+
+/**
+ * Builds the id of a product image field, such as front_en
+ * @param {Object} type - Photo type
+ * @param {string} type.field - Field type (front, ingredients, nutrition, other)
+ * @param {string} [type.languageCode] - Language code (not used by the other field)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.selectable=false] - Reject the other field, which cannot be selected
+ * @returns {string} Field id
+ */
+function imageFieldId(type, { selectable = false } = {}) {
+  if (!type || !type.field || (type.field !== 'other' && !type.languageCode)) {
+    throw new ValidationError('Type with field and languageCode is required');
+  }
+  const fields = selectable ? IMAGE_FIELDS.filter((field) => field !== 'other') : IMAGE_FIELDS;
+  if (!fields.includes(type.field)) {
+    throw new ValidationError(`Invalid field type. Must be ${fields.slice(0, -1).join(', ')}, or ${fields[fields.length - 1]}.`);
+  }
+  if (type.field === 'other') {
+    return 'other';
+  }
+  // Any language works, but the code ends up in form field names
+  if (!LANGUAGE_CODE.test(type.languageCode)) {
+    throw new ValidationError('Invalid languageCode. Must be a 2 or 3 letter language code such as en or fr.');
+  }
+  return `${type.field}_${type.languageCode}`;
+}
+
+/**
+ * Checks the id of an uploaded image
+ * @param {number|string} imgid - Image id, as returned by an upload
+ * @returns {string} Image id
+ */
+function imageId(imgid) {
+  const id = String(imgid === undefined || imgid === null ? '' : imgid).trim();
+  if (!/^[1-9]\d*$/.test(id)) {
+    throw new ValidationError('Invalid imgid. Must be the positive integer id of an uploaded image.');
+  }
+  return id;
+}
+
+/**
+ * Translates crop settings into the parameters of the image crop endpoint
+ * @example
+ * cropParams({ crop: { x1: 10, y1: 20, x2: 410, y2: 620 }, angle: 90, normalize: true })
+ * @param {Object} [settings] - Crop settings
+ * @param {{x1: number, y1: number, x2: number, y2: number}} [settings.crop] - Crop box in pixels, left/top to right/bottom;
+ *   the whole image when omitted
+ * @param {number} [settings.angle=0] - Clockwise rotation applied before cropping (0, 90, 180 or 270)
+ * @param {boolean} [settings.normalize=false] - Normalize colors
+ * @param {boolean} [settings.whiteMagic=false] - Turn a white or light background pure white
+ * @param {string} [settings.coordinatesImageSize='full'] - Image the crop box refers to: full or 400 (display size)
+ * @returns {Array<[string, string]>} Form fields
+ */
+function cropParams({ crop, angle = 0, normalize = false, whiteMagic = false, coordinatesImageSize = 'full' } = {}) {
+  const params = [];
+  if (crop !== undefined && crop !== null) {
+    const box = ['x1', 'y1', 'x2', 'y2'].map((key) => [key, Number(crop[key])]);
+    if (box.some(([, value]) => !Number.isFinite(value) || value < 0)) {
+      throw new ValidationError('Invalid crop box. Use { x1, y1, x2, y2 } with non-negative pixel coordinates.');
+    }
+    const [[, x1], [, y1], [, x2], [, y2]] = box;
+    if (x2 <= x1 || y2 <= y1) {
+      throw new ValidationError('Invalid crop box. x2 and y2 must be greater than x1 and y1.');
+    }
+    params.push(...box.map(([key, value]) => [key, String(value)]));
+  }
+  if (!ANGLES.includes(Number(angle))) {
+    throw new ValidationError(`Invalid angle: ${angle}. Must be one of ${ANGLES.join(', ')}.`);
+  }
+  if (typeof normalize !== 'boolean' || typeof whiteMagic !== 'boolean') {
+    throw new ValidationError('normalize and whiteMagic must be booleans');
+  }
+  if (!COORDINATE_SIZES.includes(String(coordinatesImageSize))) {
+    throw new ValidationError(`Invalid coordinatesImageSize: ${coordinatesImageSize}. Must be full or 400.`);
+  }
+  params.push(
+    ['angle', String(Number(angle))],
+    ['normalize', String(normalize)],
+    ['white_magic', String(whiteMagic)],
+    // The server reads coordinates against the 400 px image unless told otherwise
+    ['coordinates_image_size', String(coordinatesImageSize)],
+  );
+  return params;
+}
+
+/**
+ * Finds the selected image of a field in a product's images, falling back to the main
+ * language of the product and then to any other language the field was selected in
+ * @example
+ * resolveImage({ lang: 'fr', images: { front_fr: { imgid: '2', rev: '7' } } }, { field: 'front', lang: 'en', size: '200' })
+ * // { key: 'front_fr', field: 'front', lang: 'fr', imgid: '2', rev: '7', size: '200', file: 'front_fr.7.200.jpg' }
+ * @param {Object} product - Product with its images and lang fields
+ * @param {Object} selection - Image to find
+ * @param {string} selection.field - Field type (front, ingredients, nutrition)
+ * @param {string} [selection.lang] - Preferred language
+ * @param {string} [selection.size='400'] - Size: 100, 200, 400 or full
+ * @returns {Object|null} Image key, language, ids and file name, or null when the field has no selected image
+ */
+function resolveImage(product, { field, lang, size = '400' }) {
+  imageFieldId({ field, languageCode: lang || 'en' }, { selectable: true });
+  if (!IMAGE_SIZES.includes(String(size))) {
+    throw new ValidationError(`Invalid image size: ${size}. Must be one of ${IMAGE_SIZES.join(', ')}.`);
+  }
+  const images = (product && product.images) || {};
+  const selected = Object.keys(images)
+    .filter((key) => key.startsWith(`${field}_`) && images[key] && images[key].rev !== undefined)
+    .map((key) => key.slice(field.length + 1))
+    .sort();
+  const found = [lang, product && product.lang].find((code) => code && selected.includes(code)) || selected[0];
+  if (!found) {
+    return null;
+  }
+  const key = `${field}_${found}`;
+  const { imgid, rev } = images[key];
+  return { key, field, lang: found, imgid: imgid && String(imgid), rev: String(rev), size: String(size), file: `${key}.${rev}.${size}.jpg` };
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  IMAGE_FIELDS,
+  IMAGE_SIZES,
+  ANGLES,
+  detectImageType,
+  imageSource,
+  isPrivateAddress,
+  pinnedLookup,
+  localImagePath,
+  imageBlob,
+  imageFieldId,
+  imageId,
+  cropParams,
+  resolveImage,
+};
@@ -0,0 +1,19 @@
+/**
+ * Language codes for the OpenFoodFacts API client
+ * Open Food Facts keys localized names and fields by language code (product_name_fr)
+ * and prefixes taxonomy ids and tags with one (en:e330, fr:label-rouge)
+ */
+
+// ISO 639-1 codes, or ISO 639-3 when a language has none, such as en, fr or ast
+const LANGUAGE = '[a-z]{2,3}';
+
+// A language code on its own
+const LANGUAGE_CODE = new RegExp(`^${LANGUAGE}$`);
+
+// A value prefixed with its language code, capturing both, such as fr:Lait or en:e330
+const LANGUAGE_PREFIX = new RegExp(`^(${LANGUAGE}):(.+)$`, 'i');
+
+module.exports = {
+  LANGUAGE_CODE,
+  LANGUAGE_PREFIX,
+};
@@ -0,0 +1,306 @@
+/**
+ * Moderation queue for answering Robotoff questions by hand
+ * Holds a batch of Robotoff questions, hands them out one at a time to volunteers, records their
+ * answers and keeps per-user throughput. The state is plain data so it can live in Node-RED context.
+ */
+
+const { ANSWERS } = require('./openfoodfacts-robotoff');
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Default time a volunteer has to answer a question before it is handed to someone else, in milliseconds
+ * @type {number}
+ */
+const DEFAULT_LEASE_TIME = 5 * 60 * 1000;
+
+// Ids of answered questions are kept so a refill does not queue them again
+const MAX_ANSWERED_IDS = 1000;
+
+// Throughput is measured over at least a minute so a single quick answer does not read as hundreds per hour
+const MIN_THROUGHPUT_WINDOW = 60 * 1000;
+
+/**
+ * Turns a Robotoff question into a queue entry
+ * @param {Object} question - Question, as returned by Robotoff
+ * @returns {Object} Question with insightId, barcode, question, insightType, value, valueTag and imageUrl
+ * @private
+ */
+function queueEntry(question) {
+  return {
+    insightId: question.insight_id,
+    barcode: question.barcode,
+    question: question.question,
+    insightType: question.insight_type,
+    value: question.value,
+    valueTag: question.value_tag,
+    imageUrl: question.source_image_url,
+  };
+}
+
+/**
+ * Checks the id of a volunteer
+ * @param {string} user - User id
+ * @returns {string} Trimmed user id
+ * @private
+ */
+function userId(user) {
+  if (typeof user !== 'string' || !user.trim()) {
+    throw new ValidationError('User must be a non-empty string');
+  }
+  return user.trim();
+}
+
+/**
+ * Reads the answer of a volunteer
+ * @param {string|number} answer - yes, no or skip (or 1, 0, -1)
+ * @returns {string} yes, no or skip
+ * @throws {ValidationError} When the answer is none of them
+ */
+function answerValue(answer) {
+  const value = typeof answer === 'number'
+    ? Object.keys(ANSWERS).find((key) => ANSWERS[key] === answer)
+    : String(answer).trim().toLowerCase();
+  if (ANSWERS[value] === undefined) {
+    throw new ValidationError(`Invalid answer: ${answer}. Must be yes, no or skip.`);
+  }
+  return value;
+}
+
+/**
+ * Queue of Robotoff questions answered by volunteers
+ * @class ModerationQueue
+ */
+class ModerationQueue {
+  /**
+   * Creates an instance of ModerationQueue
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.leaseTime=300000] - Time a volunteer has to answer a question, in milliseconds
+   * @param {Object} [options.state] - State saved with toJSON, to resume a queue
+   */
+  constructor({ leaseTime = DEFAULT_LEASE_TIME, state } = {}) {
+    if (!Number.isFinite(leaseTime) || leaseTime <= 0) {
+      throw new ValidationError('Moderation leaseTime must be a positive number of milliseconds');
+    }
+    this.leaseTime = leaseTime;
+    const saved = state || {};
+    this.queued = saved.queued ? [...saved.queued] : [];
+    this.leases = saved.leases ? [...saved.leases] : [];
+    this.answeredIds = saved.answeredIds ? [...saved.answeredIds] : [];
+    this.users = saved.users ? structuredClone(saved.users) : {};
+  }
+
+  /**
+   * Number of questions waiting to be handed out
+   * @type {number}
+   */
+  get size() {
+    this._expireLeases();
+    return this.queued.length;
+  }
+
+  /**
+   * Adds Robotoff questions, skipping those already queued, handed out or answered
+   * @param {Array<Object>} questions - Questions, as returned by Robotoff
+   * @returns {number} Number of questions added
+   */
+  add(questions) {
+    const known = new Set([
+      ...this.queued.map((entry) => entry.insightId),
+      ...this.leases.map((lease) => lease.question.insightId),
+      ...this.answeredIds,
+    ]);
+    let added = 0;
+    (questions || []).forEach((question) => {
+      if (question && question.insight_id && !known.has(question.insight_id)) {
+        known.add(question.insight_id);
+        this.queued.push(queueEntry(question));
+        added += 1;
+      }
+    });
+    return added;
+  }
+
+  /**
+   * Hands out a question to a volunteer. A volunteer who did not answer their question yet gets it again.
+   * @param {string} user - Volunteer
+   * @returns {Object|null} Question, or null when the queue is empty
+   */
+  next(user) {
+    const id = userId(user);
+    this._expireLeases();
+    const current = this.leases.find((lease) => lease.user === id);
+    if (current) {
+      return { ...current.question };
+    }
+    const question = this.queued.shift();
+    if (!question) {
+      return null;
+    }
+    this.leases.push({ question, user: id, handedOutAt: Date.now() });
+    return { ...question };
+  }
+
+  /**
+   * Finds the lease of a question handed out to a volunteer
+   * @param {string} insightId - insightId of the question
+   * @param {string} user - Volunteer
+   * @returns {{question: Object, user: string, handedOutAt: number}} Copy of the lease
+   * @throws {ValidationError} When the question was not handed out to the volunteer, or its lease expired
+   */
+  lease(insightId, user) {
+    const id = userId(user);
+    this._expireLeases();
+    const lease = this.leases.find((entry) => entry.question.insightId === insightId);
+    if (!lease || lease.user !== id) {
+      throw new ValidationError(`Question ${insightId} is not assigned to ${id}. Ask for a new question.`);
+    }
+    return { ...lease, question: { ...lease.question } };
+  }
+
+  /**
+   * Records the answer of a volunteer to the question handed out to them
+   * @param {string} insightId - insightId of the question
+   * @param {string} user - Volunteer
+   * @param {string|number} answer - yes, no or skip (or 1, 0, -1)
+   * @param {Object} [options] - Options
+   * @param {Object} [options.lease] - Lease taken with lease() before the answer was sent: the answer is recorded
+   *   even if the lease expired since, as long as it was sent in time
+   * @returns {Object} Question
+   * @throws {ValidationError} When the answer is invalid or the question is not assigned to the volunteer
+   */
+  answer(insightId, user, answer, { lease: taken } = {}) {
+    const id = userId(user);
+    const value = answerValue(answer);
+    let lease;
+    if (taken && taken.user === id && taken.question.insightId === insightId) {
+      // The question may be back in the queue or handed to someone else meanwhile; it is answered now
+      this._expireLeases();
+      this.queued = this.queued.filter((entry) => entry.insightId !== insightId);
+      this.leases = this.leases.filter((entry) => entry.question.insightId !== insightId);
+      lease = taken;
+    } else {
+      this.lease(insightId, id);
+      const index = this.leases.findIndex((entry) => entry.question.insightId === insightId);
+      [lease] = this.leases.splice(index, 1);
+    }
+    this._remember(insightId);
+
+    const now = Date.now();
+    const record = this.users[id] || { answered: 0, yes: 0, no: 0, skip: 0, since: lease.handedOutAt, answerTime: 0 };
+    record.answered += 1;
+    record[value] += 1;
+    record.answerTime += now - lease.handedOutAt;
+    record.lastAnswerAt = now;
+    this.users[id] = record;
+    return { ...lease.question };
+  }
+
+  /**
+   * Puts a question handed out to a volunteer back at the front of the queue, without an answer
+   * @param {string} insightId - insightId of the question
+   * @param {string} user - Volunteer
+   * @returns {boolean} True when the volunteer held the question
+   */
+  release(insightId, user) {
+    const id = userId(user);
+    const index = this.leases.findIndex((entry) => entry.question.insightId === insightId && entry.user === id);
+    if (index === -1) {
+      return false;
+    }
+    const [lease] = this.leases.splice(index, 1);
+    this.queued.unshift(lease.question);
+    return true;
+  }
+
+  /**
+   * Drops a question that cannot be answered any more (Robotoff refused it, or it was answered elsewhere),
+   * so it is neither handed out again nor queued by a refill
+   * @param {string} insightId - insightId of the question
+   * @returns {boolean} True when the question was queued or handed out
+   */
+  discard(insightId) {
+    const count = this.queued.length + this.leases.length;
+    this.queued = this.queued.filter((entry) => entry.insightId !== insightId);
+    this.leases = this.leases.filter((entry) => entry.question.insightId !== insightId);
+    this._remember(insightId);
+    return this.queued.length + this.leases.length < count;
+  }
+
+  /**
+   * Reports the queue and the throughput of each volunteer
+   * @param {string} [user] - Only report this volunteer
+   * @returns {Object} queued, inProgress, answered and users, each with answered, yes, no, skip,
+   *   perHour (answers per hour since their first question) and averageSeconds (time taken per answer)
+   */
+  stats(user) {
+    this._expireLeases();
+    const names = user === undefined ? Object.keys(this.users) : [userId(user)];
+    const users = {};
+    names.forEach((name) => {
+      const record = this.users[name];
+      if (!record) {
+        users[name] = { answered: 0, yes: 0, no: 0, skip: 0, perHour: 0, averageSeconds: 0 };
+        return;
+      }
+      const window = Math.max(record.lastAnswerAt - record.since, MIN_THROUGHPUT_WINDOW);
+      users[name] = {
+        answered: record.answered,
+        yes: record.yes,
+        no: record.no,
+        skip: record.skip,
+        perHour: Math.round((record.answered * 60 * 60 * 1000 * 10) / window) / 10,
+        averageSeconds: Math.round(record.answerTime / record.answered / 100) / 10,
+        since: new Date(record.since).toISOString(),
+        lastAnswerAt: new Date(record.lastAnswerAt).toISOString(),
+      };
+    });
+    return {
+      queued: this.queued.length,
+      inProgress: this.leases.length,
+      answered: Object.values(this.users).reduce((total, record) => total + record.answered, 0),
+      users,
+    };
+  }
+
+  /**
+   * Returns the state of the queue as plain data, for storage in context
+   * @returns {Object} State to pass back as options.state
+   */
+  toJSON() {
+    return {
+      queued: this.queued,
+      leases: this.leases,
+      answeredIds: this.answeredIds,
+      users: this.users,
+    };
+  }
+
+  /**
+   * Keeps the id of a question that is done with, so a refill does not queue it again
+   * @param {string} insightId - insightId of the question
+   * @private
+   */
+  _remember(insightId) {
+    if (!this.answeredIds.includes(insightId)) {
+      this.answeredIds.push(insightId);
+    }
+    if (this.answeredIds.length > MAX_ANSWERED_IDS) {
+      this.answeredIds.splice(0, this.answeredIds.length - MAX_ANSWERED_IDS);
+    }
+  }
+
+  /**
+   * Puts questions whose volunteer ran out of time back at the front of the queue
+   * @private
+   */
+  _expireLeases() {
+    const cutoff = Date.now() - this.leaseTime;
+    const expired = this.leases.filter((lease) => lease.handedOutAt <= cutoff);
+    if (expired.length > 0) {
+      this.leases = this.leases.filter((lease) => lease.handedOutAt > cutoff);
+      this.queued.unshift(...expired.map((lease) => lease.question));
+    }
+  }
+}
+
+module.exports = { DEFAULT_LEASE_TIME, answerValue, ModerationQueue };
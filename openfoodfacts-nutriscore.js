@@ -0,0 +1,270 @@
+/**
+ * Nutri-Score calculator for the OpenFoodFacts API client
+ * Implements the 2023 revision of the Nutri-Score algorithm (general foods,
+ * cheeses, fats/oils/nuts/seeds, beverages and water) with a per-component breakdown
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Product fields needed to compute the Nutri-Score
+ * @type {Array<string>}
+ */
+const NUTRISCORE_FIELDS = ['code', 'product_name', 'nutriments', 'categories_tags', 'additives_tags'];
+
+/**
+ * Nutri-Score food categories, each with its own tables and grade boundaries
+ * @type {Array<string>}
+ */
+const NUTRISCORE_CATEGORIES = ['general', 'cheese', 'fats', 'beverage', 'water'];
+
+// Non-nutritive sweeteners add points to beverages
+const SWEETENER_ADDITIVES = [
+  'en:e950', 'en:e951', 'en:e952', 'en:e954', 'en:e955', 'en:e957',
+  'en:e959', 'en:e960', 'en:e961', 'en:e962', 'en:e969',
+];
+
+// Points are the number of thresholds the value exceeds, unless a points table maps them
+const SUGARS = [3.4, 6.8, 10, 14, 17, 20, 24, 27, 31, 34, 37, 41, 44, 48, 51];
+const SATURATED_FAT = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const SALT = [0.2, 0.4, 0.6, 0.8, 1, 1.2, 1.4, 1.6, 1.8, 2, 2.2, 2.4, 2.6, 2.8, 3, 3.2, 3.4, 3.6, 3.8, 4];
+const FIBER = [3.0, 4.1, 5.2, 6.3, 7.4];
+
+/**
+ * Scoring tables per category
+ * @type {Object<string, Object>}
+ */
+const TABLES = {
+  general: {
+    energy: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350],
+    sugars: SUGARS,
+    saturatedFat: SATURATED_FAT,
+    salt: SALT,
+    proteins: [2.4, 4.8, 7.2, 9.6, 12, 14, 17],
+    fiber: FIBER,
+    fruits: { thresholds: [40, 60, 80], points: [1, 2, 5] },
+    // Proteins only count when negative points stay below this limit
+    proteinLimit: 11,
+    grades: [[0, 'a'], [2, 'b'], [10, 'c'], [18, 'd']],
+  },
+  fats: {
+    energyFromSaturatedFat: [120, 240, 360, 480, 600, 720, 840, 960, 1080, 1200],
+    sugars: SUGARS,
+    saturatedFatRatio: [10, 16, 22, 28, 34, 40, 46, 52, 58, 64],
+    salt: SALT,
+    proteins: [2.4, 4.8, 7.2, 9.6, 12, 14, 17],
+    fiber: FIBER,
+    fruits: { thresholds: [40, 60, 80], points: [1, 2, 5] },
+    proteinLimit: 7,
+    grades: [[-6, 'a'], [2, 'b'], [10, 'c'], [18, 'd']],
+  },
+  beverage: {
+    energy: [30, 90, 150, 210, 240, 270, 300, 330, 360, 390],
+    sugars: [0.5, 2, 3.5, 5, 6, 7, 8, 9, 10, 11],
+    saturatedFat: SATURATED_FAT,
+    salt: SALT,
+    sweeteners: 4,
+    proteins: [1.2, 1.5, 1.8, 2.1, 2.4, 2.7, 3.0],
+    fiber: FIBER,
+    fruits: { thresholds: [40, 60, 80], points: [2, 4, 6] },
+    proteinLimit: Infinity,
+    // Only water is graded A
+    grades: [[2, 'b'], [6, 'c'], [9, 'd']],
+  },
+};
+TABLES.cheese = { ...TABLES.general, proteinLimit: Infinity };
+
+// Red meat products get at most this many protein points
+const RED_MEAT_MAX_PROTEIN_POINTS = 2;
+
+/**
+ * Counts the points of a value against a threshold table
+ * @param {number} value - Nutrient value
+ * @param {Array<number>|Object} table - Thresholds, or { thresholds, points }
+ * @param {boolean} [inclusive=false] - Award a point when the value equals a threshold
+ * @returns {number} Points
+ * @private
+ */
+function pointsFor(value, table, inclusive = false) {
+  const thresholds = Array.isArray(table) ? table : table.thresholds;
+  const exceeded = thresholds.filter((threshold) => (inclusive ? value >= threshold : value > threshold)).length;
+  if (Array.isArray(table) || exceeded === 0) {
+    return exceeded;
+  }
+  return table.points[exceeded - 1];
+}
+
+/**
+ * Reads the first available nutriment among several keys
+ * @param {Object} nutriments - Nutriments per 100 g/ml
+ * @param {Array<string>} keys - Keys in order of preference
+ * @returns {number|undefined} Value
+ * @private
+ */
+function firstNutriment(nutriments, keys) {
+  for (const key of keys) {
+    const value = nutriments[key];
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Extracts the per-100g values used by the algorithm, converting kcal to kJ and sodium to salt
+ * @param {Object} nutriments - Product nutriments, or raw values keyed like them (energy-kj_100g, sugars_100g...)
+ * @returns {Object<string, number|undefined>} Values
+ * @private
+ */
+function readNutriments(nutriments) {
+  const kcal = firstNutriment(nutriments, ['energy-kcal_100g']);
+  const sodium = firstNutriment(nutriments, ['sodium_100g']);
+  return {
+    energy: firstNutriment(nutriments, ['energy-kj_100g', 'energy_100g']) ?? (kcal === undefined ? undefined : kcal * 4.184),
+    sugars: firstNutriment(nutriments, ['sugars_100g']),
+    saturatedFat: firstNutriment(nutriments, ['saturated-fat_100g']),
+    fat: firstNutriment(nutriments, ['fat_100g']),
+    salt: firstNutriment(nutriments, ['salt_100g']) ?? (sodium === undefined ? undefined : sodium * 2.5),
+    proteins: firstNutriment(nutriments, ['proteins_100g']),
+    fiber: firstNutriment(nutriments, ['fiber_100g']),
+    fruits: firstNutriment(nutriments, [
+      'fruits-vegetables-legumes_100g',
+      'fruits-vegetables-legumes-estimate-from-ingredients_100g',
+      'fruits-vegetables-nuts_100g',
+      'fruits-vegetables-nuts-estimate-from-ingredients_100g',
+    ]),
+  };
+}
+
+/**
+ * Works out the Nutri-Score category from hints or from the product categories
+ * @param {Object} product - Product with categories_tags
+ * @param {Object} hints - Category hints
+ * @returns {string} Category
+ * @private
+ */
+function detectCategory(product, hints) {
+  if (hints.category) {
+    if (!NUTRISCORE_CATEGORIES.includes(hints.category)) {
+      throw new ValidationError(`Unknown Nutri-Score category: ${hints.category}. Must be one of ${NUTRISCORE_CATEGORIES.join(', ')}.`);
+    }
+    return hints.category;
+  }
+  const categories = Array.isArray(product.categories_tags) ? product.categories_tags : [];
+  if (categories.includes('en:alcoholic-beverages')) {
+    throw new ValidationError('Nutri-Score does not apply to alcoholic beverages');
+  }
+  if (categories.includes('en:waters') && !categories.includes('en:flavored-waters')) {
+    return 'water';
+  }
+  if (categories.includes('en:beverages')) {
+    return 'beverage';
+  }
+  if (categories.includes('en:cheeses')) {
+    return 'cheese';
+  }
+  if (['en:fats', 'en:nuts', 'en:seeds'].some((tag) => categories.includes(tag))) {
+    return 'fats';
+  }
+  return 'general';
+}
+
+/**
+ * Computes the Nutri-Score of a product
+ * @param {Object} input - Product from getProduct (with nutriments, categories_tags, additives_tags) or raw per-100g nutriments
+ * @param {Object} [hints] - Category hints overriding what the product categories say
+ * @param {string} [hints.category] - general, cheese, fats, beverage or water
+ * @param {boolean} [hints.redMeat=false] - Cap protein points for red meat products
+ * @param {boolean} [hints.sweeteners] - Whether a beverage contains non-nutritive sweeteners (read from additives_tags when omitted)
+ * @returns {{grade: string, score: number, category: string, negativePoints: number, positivePoints: number,
+ *   proteinsCounted: boolean, components: {negative: Array<Object>, positive: Array<Object>}}}
+ *   Grade (a to e), final score and one { id, value, points, maxPoints } per component
+ */
+function computeNutriScore(input, hints = {}) {
+  if (!input || typeof input !== 'object') {
+    throw new ValidationError('Product or nutriments must be an object');
+  }
+  const product = input.nutriments ? input : { nutriments: input };
+  const category = detectCategory(product, hints);
+
+  if (category === 'water') {
+    return {
+      grade: 'a',
+      score: 0,
+      category,
+      negativePoints: 0,
+      positivePoints: 0,
+      proteinsCounted: false,
+      components: { negative: [], positive: [] },
+    };
+  }
+
+  const table = TABLES[category];
+  const values = readNutriments(product.nutriments);
+  const required = { energy: 'energy', sugars: 'sugars', saturatedFat: 'saturated-fat', salt: 'salt', proteins: 'proteins' };
+  if (category === 'fats') {
+    required.fat = 'fat';
+  }
+  const missing = Object.keys(required).filter((key) => values[key] === undefined).map((key) => required[key]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing nutriments for Nutri-Score: ${missing.join(', ')}`);
+  }
+
+  const component = (id, value, thresholds, inclusive) => ({
+    id,
+    value,
+    points: pointsFor(value, thresholds, inclusive),
+    maxPoints: Array.isArray(thresholds) ? thresholds.length : Math.max(...thresholds.points),
+  });
+
+  const negative = [];
+  if (category === 'fats') {
+    // Energy from saturates (37 kJ/g) and the saturated share of fat replace energy and saturated fat
+    negative.push(component('energyFromSaturatedFat', values.saturatedFat * 37, table.energyFromSaturatedFat));
+    negative.push(component('sugars', values.sugars, table.sugars));
+    const ratio = values.fat > 0 ? (values.saturatedFat / values.fat) * 100 : 0;
+    negative.push(component('saturatedFatRatio', ratio, table.saturatedFatRatio, true));
+  } else {
+    negative.push(component('energy', values.energy, table.energy));
+    negative.push(component('sugars', values.sugars, table.sugars));
+    negative.push(component('saturatedFat', values.saturatedFat, table.saturatedFat));
+  }
+  negative.push(component('salt', values.salt, table.salt));
+  if (category === 'beverage') {
+    const sweeteners = hints.sweeteners ?? (Array.isArray(product.additives_tags)
+      && product.additives_tags.some((tag) => SWEETENER_ADDITIVES.includes(tag)));
+    negative.push({ id: 'sweeteners', value: Boolean(sweeteners), points: sweeteners ? table.sweeteners : 0, maxPoints: table.sweeteners });
+  }
+  const negativePoints = negative.reduce((sum, item) => sum + item.points, 0);
+
+  const proteins = component('proteins', values.proteins, table.proteins);
+  if (hints.redMeat) {
+    proteins.points = Math.min(proteins.points, RED_MEAT_MAX_PROTEIN_POINTS);
+    proteins.maxPoints = RED_MEAT_MAX_PROTEIN_POINTS;
+  }
+  const proteinsCounted = negativePoints < table.proteinLimit;
+  if (!proteinsCounted) {
+    proteins.points = 0;
+  }
+  const positive = [
+    proteins,
+    component('fiber', values.fiber ?? 0, table.fiber),
+    component('fruitsVegetablesLegumes', values.fruits ?? 0, table.fruits),
+  ];
+  const positivePoints = positive.reduce((sum, item) => sum + item.points, 0);
+
+  const score = negativePoints - positivePoints;
+  const boundary = table.grades.find(([limit]) => score <= limit);
+  return {
+    grade: boundary ? boundary[1] : 'e',
+    score,
+    category,
+    negativePoints,
+    positivePoints,
+    proteinsCounted,
+    components: { negative, positive },
+  };
+}
+
+module.exports = { NUTRISCORE_FIELDS, NUTRISCORE_CATEGORIES, computeNutriScore };
@@ -0,0 +1,156 @@
+/**
+ * Nutrition aggregation for the OpenFoodFacts API client
+ * Combines the per-100g nutriments of several products weighed in grams into
+ * totals, per-portion and per-100g values, e.g. for recipes or shopping baskets
+ */
+
+const { parseBarcode } = require('./openfoodfacts-barcode');
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Product fields needed to aggregate nutrition
+ * @type {Array<string>}
+ */
+const NUTRITION_FIELDS = ['code', 'product_name', 'nutriments'];
+
+// Only amounts can be summed; percentages, scores and grades cannot
+const NON_SUMMABLE = /^(nova-group|nutrition-score|nutriscore|fruits-vegetables|alcohol|ph|carbon-footprint|cocoa|collagen-meat-protein-ratio)/;
+
+/**
+ * Validates a list of basket or recipe items
+ * @param {Array<{barcode: string, grams: number}>} items - Items to aggregate
+ * @returns {Array<{barcode: string, code: string, grams: number}>} Items with their normalized code
+ */
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('Items must be a non-empty array of { barcode, grams }');
+  }
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw new ValidationError(`Item ${index + 1} must be an object with barcode and grams`);
+    }
+    const grams = Number(item.grams);
+    if (!Number.isFinite(grams) || grams <= 0) {
+      throw new ValidationError(`Item ${index + 1}: grams must be a positive number`);
+    }
+    let code;
+    try {
+      ({ code } = parseBarcode(String(item.barcode)));
+    } catch (error) {
+      throw new ValidationError(`Item ${index + 1}: ${error.message}`);
+    }
+    return { barcode: String(item.barcode), code, grams };
+  });
+}
+
+/**
+ * Returns the unit of a per-100g nutriment. Open Food Facts stores every
+ * _100g value in grams (whatever unit the label used), except energy.
+ * @param {string} name - Nutriment name
+ * @returns {string} Unit
+ * @private
+ */
+function unitOf(name) {
+  if (name === 'energy-kcal') {
+    return 'kcal';
+  }
+  return name === 'energy' || name === 'energy-kj' ? 'kJ' : 'g';
+}
+
+/**
+ * Lists the summable per-100g nutriments of a product. Values of the product as prepared
+ * (energy_prepared_100g…) are left out, as the weighed amounts are of the product as sold.
+ * @param {Object} nutriments - Product nutriments
+ * @returns {Array<{name: string, value: number}>} Nutriments
+ * @private
+ */
+function summableNutriments(nutriments) {
+  return Object.keys(nutriments)
+    .filter((key) => key.endsWith('_100g'))
+    .map((key) => {
+      const name = key.slice(0, -'_100g'.length);
+      return { name, value: Number(nutriments[key]), labelUnit: nutriments[`${name}_unit`] };
+    })
+    .filter(({ name, value, labelUnit }) => Number.isFinite(value)
+      && !NON_SUMMABLE.test(name)
+      && !name.endsWith('_prepared')
+      && !String(labelUnit || '').startsWith('%'));
+}
+
+/**
+ * Rounds a value for display without losing meaningful precision
+ * @param {number} value - Value
+ * @returns {number} Value rounded to 3 decimals
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Aggregates the nutrition of weighed products
+ * @param {Array<{barcode: string, grams: number, product: Object|null, reason?: string}>} entries - Items with the
+ *   product fetched for them (null when unavailable, with the reason)
+ * @param {Object} [options] - Aggregation options
+ * @param {number} [options.portions=1] - Number of portions the total is divided into
+ * @returns {{nutrients: Array<Object>, totals: Object<string, number>, perPortion: Object<string, number>,
+ *   per100g: Object<string, number>, totalGrams: number, countedGrams: number, portions: number, items: Array<Object>,
+ *   missing: Array<Object>}} One table row per nutrient ({ nutrient, unit, total, perPortion, per100g, missingFrom }),
+ *   the same values keyed by nutrient, and the items that could not be counted
+ */
+function aggregateNutrition(entries, { portions = 1 } = {}) {
+  const portionCount = Number(portions);
+  if (!Number.isFinite(portionCount) || portionCount <= 0) {
+    throw new ValidationError('Portions must be a positive number');
+  }
+
+  const sums = new Map();
+  const items = [];
+  const missing = [];
+  let countedGrams = 0;
+
+  for (const { barcode, grams, product, reason } of entries) {
+    const nutriments = product && product.nutriments ? summableNutriments(product.nutriments) : [];
+    if (nutriments.length === 0) {
+      missing.push({ barcode, grams, reason: reason || 'no nutrition data' });
+      items.push({ barcode, grams, name: (product && product.product_name) || null, counted: false });
+      continue;
+    }
+    countedGrams += grams;
+    items.push({ barcode, grams, name: product.product_name || null, counted: true });
+    for (const { name, value } of nutriments) {
+      if (!sums.has(name)) {
+        sums.set(name, { nutrient: name, total: 0, barcodes: new Set() });
+      }
+      const sum = sums.get(name);
+      sum.total += (value * grams) / 100;
+      sum.barcodes.add(barcode);
+    }
+  }
+
+  const counted = items.filter((item) => item.counted).map((item) => item.barcode);
+  const nutrients = [...sums.values()].map(({ nutrient, total, barcodes }) => ({
+    nutrient,
+    unit: unitOf(nutrient),
+    total: round(total),
+    perPortion: round(total / portionCount),
+    per100g: countedGrams > 0 ? round((total / countedGrams) * 100) : 0,
+    // Items that were counted but do not declare this nutrient, so the total may be too low
+    missingFrom: counted.filter((barcode) => !barcodes.has(barcode)),
+  }));
+  const byNutrient = (key) => Object.fromEntries(nutrients.map((row) => [row.nutrient, row[key]]));
+
+  return {
+    nutrients,
+    totals: byNutrient('total'),
+    perPortion: byNutrient('perPortion'),
+    per100g: byNutrient('per100g'),
+    totalGrams: round(entries.reduce((sum, entry) => sum + entry.grams, 0)),
+    countedGrams: round(countedGrams),
+    portions: portionCount,
+    items,
+    missing,
+  };
+}
+
+module.exports = { NUTRITION_FIELDS, validateItems, aggregateNutrition };
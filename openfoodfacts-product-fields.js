@@ -0,0 +1,230 @@
+/**
+ * Product write fields for the OpenFoodFacts API client
+ * Checks product data against the fields the product write API (/cgi/product_jqm2.pl)
+ * accepts and translates it into its form fields
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+const { LANGUAGE_CODE } = require('./openfoodfacts-language');
+
+// Markup is never valid product data; the server stores text as sent
+const MARKUP = /<\/?[a-z!][^>]*>/i;
+
+// Control characters other than tabs and line breaks
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/;
+
+/**
+ * Fields with one value per language, mapped to their maximum length.
+ * `product_name` is the name in the product's main language, `product_name_fr` the French one.
+ * @type {Object<string, number>}
+ */
+const LOCALIZED_FIELDS = {
+  product_name: 200,
+  generic_name: 500,
+  ingredients_text: 10000,
+};
+
+/**
+ * Comma-separated list fields, given as a string or an array, mapped to their maximum length
+ * @type {Object<string, number>}
+ */
+const LIST_FIELDS = {
+  brands: 500,
+  categories: 1000,
+  labels: 1000,
+  origins: 500,
+  stores: 500,
+  countries: 500,
+};
+
+/**
+ * Single text fields, mapped to their maximum length
+ * @type {Object<string, number>}
+ */
+const TEXT_FIELDS = {
+  quantity: 100,
+  serving_size: 100,
+};
+
+/**
+ * Bases of the nutrition facts: per 100 g / 100 ml or per serving
+ * @type {Array<string>}
+ */
+const NUTRITION_BASES = ['100g', 'serving'];
+
+const MASS_UNITS = ['g', 'mg', 'µg', '%'];
+
+/**
+ * Nutrients accepted in nutrition facts, mapped to their allowed units (the first is the default)
+ * @type {Object<string, Array<string>>}
+ */
+const NUTRIENT_UNITS = {
+  'energy-kj': ['kJ'],
+  'energy-kcal': ['kcal'],
+  fat: MASS_UNITS,
+  'saturated-fat': MASS_UNITS,
+  'monounsaturated-fat': MASS_UNITS,
+  'polyunsaturated-fat': MASS_UNITS,
+  'trans-fat': MASS_UNITS,
+  cholesterol: ['mg', 'g', 'µg'],
+  carbohydrates: MASS_UNITS,
+  sugars: MASS_UNITS,
+  'added-sugars': MASS_UNITS,
+  polyols: MASS_UNITS,
+  starch: MASS_UNITS,
+  fiber: MASS_UNITS,
+  proteins: MASS_UNITS,
+  salt: MASS_UNITS,
+  sodium: MASS_UNITS,
+  alcohol: ['% vol'],
+  calcium: ['mg', 'g', 'µg'],
+  iron: ['mg', 'g', 'µg'],
+  magnesium: ['mg', 'g', 'µg'],
+  potassium: ['mg', 'g', 'µg'],
+  zinc: ['mg', 'g', 'µg'],
+  'vitamin-a': ['µg', 'mg'],
+  'vitamin-c': ['mg', 'µg'],
+  'vitamin-d': ['µg', 'mg'],
+  'vitamin-b12': ['µg', 'mg'],
+  caffeine: ['mg', 'g'],
+  'fruits-vegetables-nuts': ['%'],
+};
+
+const PRODUCT_FIELDS = [
+  'code',
+  'lang',
+  ...Object.keys(LOCALIZED_FIELDS),
+  ...Object.keys(LIST_FIELDS),
+  ...Object.keys(TEXT_FIELDS),
+  'nutriments',
+  'nutrition_data_per',
+];
+
+/**
+ * Checks a text value
+ * @param {string} key - Field name, for error messages
+ * @param {*} value - Value
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Trimmed value
+ * @private
+ */
+function textValue(key, value, maxLength) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`Invalid ${key}: must be a non-empty string.`);
+  }
+  const text = value.trim();
+  if (text.length > maxLength) {
+    throw new ValidationError(`Invalid ${key}: longer than ${maxLength} characters.`);
+  }
+  if (MARKUP.test(text) || CONTROL_CHARACTERS.test(text)) {
+    throw new ValidationError(`Invalid ${key}: markup and control characters are not allowed.`);
+  }
+  return text;
+}
+
+/**
+ * Checks a list value, given as a comma-separated string or an array of strings
+ * @param {string} key - Field name, for error messages
+ * @param {string|Array<string>} value - Value
+ * @param {number} maxLength - Maximum length of the joined list
+ * @returns {string} Comma-separated list
+ * @private
+ */
+function listValue(key, value, maxLength) {
+  if (!Array.isArray(value)) {
+    return textValue(key, value, maxLength);
+  }
+  if (value.length === 0) {
+    throw new ValidationError(`Invalid ${key}: the list is empty.`);
+  }
+  return textValue(key, value.map((item) => textValue(key, item, maxLength)).join(', '), maxLength);
+}
+
+/**
+ * Translates nutrition facts into nutriment_<name> and nutriment_<name>_unit fields
+ * @param {Object<string, number|{value: number, unit: string}>} nutriments - Nutrition facts
+ * @returns {Array<[string, string]>} Form fields
+ * @private
+ */
+function nutrimentFields(nutriments) {
+  if (!nutriments || typeof nutriments !== 'object' || Array.isArray(nutriments) || Object.keys(nutriments).length === 0) {
+    throw new ValidationError('Invalid nutriments: use an object such as { sugars: 5, salt: { value: 120, unit: \'mg\' } }.');
+  }
+  return Object.entries(nutriments).flatMap(([nutrient, fact]) => {
+    const units = NUTRIENT_UNITS[nutrient];
+    if (!units) {
+      throw new ValidationError(`Unknown nutrient: ${nutrient}. Allowed nutrients: ${Object.keys(NUTRIENT_UNITS).join(', ')}.`);
+    }
+    const { value, unit = units[0] } = fact !== null && typeof fact === 'object' ? fact : { value: fact };
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`Invalid value for ${nutrient}: must be a non-negative number.`);
+    }
+    if (!units.includes(unit)) {
+      throw new ValidationError(`Invalid unit for ${nutrient}: ${unit}. Allowed units: ${units.join(', ')}.`);
+    }
+    return [[`nutriment_${nutrient}`, String(value)], [`nutriment_${nutrient}_unit`, unit]];
+  });
+}
+
+/**
+ * Translates product data into the form fields of the product write API, rejecting unknown fields
+ * @example
+ * buildProductFields({ code: '3017620422003', lang: 'fr', product_name_fr: 'Pâte à tartiner', quantity: '400 g',
+ *   categories: ['Spreads', 'Sweet spreads'], nutrition_data_per: '100g', nutriments: { sugars: 56.3, salt: 0.107 } })
+ * @param {Object} data - Product data
+ * @param {string} [data.lang] - Main language of the product (2 or 3 letter code, e.g. fr)
+ * @param {string} [data.product_name] - Name in the main language; `product_name_xx` sets the name in language xx.
+ *   Same for generic_name and ingredients_text
+ * @param {string|Array<string>} [data.brands] - Brands; also categories, labels, origins, stores and countries
+ * @param {string} [data.quantity] - Net quantity, e.g. '400 g'
+ * @param {string} [data.serving_size] - Serving size, e.g. '15 g'
+ * @param {string} [data.nutrition_data_per] - Basis of the nutrition facts: 100g or serving
+ * @param {Object<string, number|{value: number, unit: string}>} [data.nutriments] - Nutrition facts by nutrient,
+ *   e.g. { 'energy-kcal': 539, sugars: 56.3, sodium: { value: 42, unit: 'mg' } }
+ * @returns {Array<[string, string]>} Form fields, without the code
+ */
+function buildProductFields(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('Product data must be an object');
+  }
+  const fields = [];
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || key === 'code') {
+      return;
+    }
+    const [, base, lang] = /^(product_name|generic_name|ingredients_text)(?:_([a-z]+))?$/.exec(key) || [];
+    if (base) {
+      if (lang !== undefined && !LANGUAGE_CODE.test(lang)) {
+        throw new ValidationError(`Invalid language code in ${key}. Use a 2 or 3 letter language code, e.g. ${base}_fr.`);
+      }
+      fields.push([key, textValue(key, value, LOCALIZED_FIELDS[base])]);
+    } else if (LIST_FIELDS[key]) {
+      fields.push([key, listValue(key, value, LIST_FIELDS[key])]);
+    } else if (TEXT_FIELDS[key]) {
+      fields.push([key, textValue(key, value, TEXT_FIELDS[key])]);
+    } else if (key === 'lang') {
+      if (typeof value !== 'string' || !LANGUAGE_CODE.test(value)) {
+        throw new ValidationError(`Invalid lang: ${value}. Use a 2 or 3 letter language code, e.g. fr.`);
+      }
+      fields.push([key, value]);
+    } else if (key === 'nutrition_data_per') {
+      if (!NUTRITION_BASES.includes(value)) {
+        throw new ValidationError(`Invalid nutrition_data_per: ${value}. Allowed values: ${NUTRITION_BASES.join(', ')}.`);
+      }
+      fields.push([key, value]);
+    } else if (key === 'nutriments') {
+      fields.push(...nutrimentFields(value));
+    } else {
+      throw new ValidationError(`Unknown product field: ${key}. Allowed fields: ${PRODUCT_FIELDS.join(', ')} (names, generic names and ingredients also as <field>_<lang>).`);
+    }
+  });
+
+  if (data.nutrition_data_per === 'serving' && data.nutriments !== undefined && data.serving_size === undefined) {
+    throw new ValidationError('Nutrition facts per serving need a serving_size.');
+  }
+
+  return fields;
+}
+
+module.exports = { PRODUCT_FIELDS, NUTRIENT_UNITS, buildProductFields };
@@ -0,0 +1,188 @@
+/**
+ * Request rate limiter for the OpenFoodFacts API client
+ * One token bucket per operation class keeps requests within the per-minute
+ * quotas Open Food Facts publishes; requests over the quota wait in line
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Default requests per minute per operation class
+ * (product reads, searches, facet and taxonomy downloads, product writes)
+ * @type {Object<string, number>}
+ */
+const DEFAULT_RATE_LIMITS = {
+  product: 100,
+  search: 10,
+  facets: 2,
+  write: 60,
+};
+
+/**
+ * Token bucket refilling continuously up to its capacity, with a FIFO queue of waiting requests
+ * @class TokenBucket
+ */
+class TokenBucket {
+  /**
+   * Creates an instance of TokenBucket
+   * @param {number} perMinute - Requests allowed per minute, which is also the burst capacity
+   */
+  constructor(perMinute) {
+    if (!Number.isFinite(perMinute) || perMinute <= 0) {
+      throw new ValidationError('Rate limits must be positive numbers of requests per minute');
+    }
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.interval = 60 * 1000 / perMinute;
+    this.updatedAt = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Number of requests waiting for a token
+   * @type {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Adds the tokens earned since the last update
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / this.interval);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until the next token is available
+   * @returns {number} Delay
+   */
+  delay() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.interval);
+  }
+
+  /**
+   * Takes a token, waiting in line when none is available
+   * @param {AbortSignal} [signal] - Leaves the line, rejecting with the abort reason
+   * @returns {Promise<void>} Resolves once the request may be sent
+   */
+  take(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    this._refill();
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        this.queue.splice(this.queue.indexOf(release), 1);
+        if (this.queue.length === 0) {
+          clearTimeout(this.timer);
+          this.timer = null;
+        }
+        reject(signal.reason);
+      };
+      const release = () => {
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+        resolve();
+      };
+      if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+      this.queue.push(release);
+      this._schedule();
+    });
+  }
+
+  /**
+   * Arms the timer releasing the next waiting request
+   * @private
+   */
+  _schedule() {
+    if (this.timer || this.queue.length === 0) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._refill();
+      while (this.queue.length > 0 && this.tokens >= 1) {
+        this.tokens -= 1;
+        this.queue.shift()();
+      }
+      this._schedule();
+    }, this.delay());
+  }
+}
+
+/**
+ * Rate limiter holding one token bucket per operation class
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * Creates an instance of RateLimiter
+   * @param {Object<string, number|boolean>} [limits] - Requests per minute per operation class (product, search, facets, write);
+   *   0 or false leaves a class unlimited
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_RATE_LIMITS };
+    Object.entries(limits).forEach(([operation, perMinute]) => {
+      if (perMinute !== undefined) {
+        this.limits[operation] = perMinute;
+      }
+    });
+    this.buckets = new Map();
+    Object.entries(this.limits).forEach(([operation, perMinute]) => {
+      if (perMinute !== 0 && perMinute !== false) {
+        this.buckets.set(operation, new TokenBucket(perMinute));
+      }
+    });
+  }
+
+  /**
+   * Waits until a request of an operation class may be sent
+   * @param {string} operation - Operation class (product, search, facets, write)
+   * @param {Function} [onWait] - Called with { operation, waiting: true, delay, queued } when the request has to wait,
+   *   then with { operation, waiting: false, waited } once it is released or leaves the line
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<void>} Resolves once the request may be sent
+   */
+  async acquire(operation, onWait, signal) {
+    const bucket = this.buckets.get(operation);
+    if (!bucket) {
+      return;
+    }
+    // Estimated wait: the next token, plus one interval per request already in line
+    const delay = bucket.pending > 0 ? Math.ceil(bucket.delay() + bucket.pending * bucket.interval) : bucket.delay();
+    if (delay === 0 || typeof onWait !== 'function') {
+      await bucket.take(signal);
+      return;
+    }
+    const startedAt = Date.now();
+    onWait({ operation, waiting: true, delay, queued: bucket.pending + 1 });
+    try {
+      await bucket.take(signal);
+    } finally {
+      onWait({ operation, waiting: false, waited: Date.now() - startedAt });
+    }
+  }
+
+  /**
+   * Number of requests waiting per operation class
+   * @returns {Object<string, number>} Waiting requests
+   */
+  pending() {
+    return Object.fromEntries([...this.buckets].map(([operation, bucket]) => [operation, bucket.pending]));
+  }
+}
+
+module.exports = { DEFAULT_RATE_LIMITS, TokenBucket, RateLimiter };
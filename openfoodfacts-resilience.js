@@ -0,0 +1,237 @@
+/**
+ * Resilience policy for the OpenFoodFacts API client
+ * Retries transient failures with exponential backoff (honouring Retry-After)
+ * and opens a circuit breaker per operation class after repeated failures
+ */
+
+const {
+  retry,
+  circuitBreaker,
+  wrap,
+  handleWhen,
+  ConsecutiveBreaker,
+  DelegateBackoff,
+  BrokenCircuitError,
+} = require('cockatiel');
+const { RETRYABLE_STATUSES, CircuitOpenError, ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Default resilience settings
+ * @type {Object}
+ */
+const DEFAULT_RESILIENCE = {
+  // Attempts in total, including the first one
+  maxAttempts: 3,
+  initialDelay: 500,
+  maxDelay: 30 * 1000,
+  retryableStatuses: RETRYABLE_STATUSES,
+  // Writes may already have been applied when a request fails midway, so they are
+  // only retried on statuses meaning the server turned the request away
+  writeRetryableStatuses: [429],
+  // A Retry-After longer than this gives up instead of waiting
+  maxRetryAfter: 60 * 1000,
+  // Consecutive failures opening the breaker of an operation class (0 disables it)
+  breakerThreshold: 5,
+  breakerHalfOpenAfter: 30 * 1000,
+};
+
+/**
+ * Failure that may go away on its own: a network error or a retryable HTTP status
+ * @class TransientError
+ * @extends {Error}
+ * @private
+ */
+class TransientError extends Error {
+  /**
+   * Creates an instance of TransientError
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {boolean} details.retryable - Whether the request may be sent again
+   * @param {Response} [details.response] - Response with the failing status
+   * @param {number} [details.retryAfter] - Delay requested by the server, in milliseconds
+   * @param {Error} [details.cause] - Network error
+   */
+  constructor(message, { retryable, response, retryAfter, cause }) {
+    super(message);
+    this.name = 'TransientError';
+    this.retryable = retryable;
+    this.response = response;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Parses a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Cancels the body of a response that will not be read, which would otherwise hold its connection
+ * @param {Response} response - Response
+ */
+function cancelBody(response) {
+  if (response.body && typeof response.body.cancel === 'function') {
+    response.body.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Tells whether a request changes something on the server: the write operation class and
+ * any request sent with a method other than GET or HEAD, such as a Robotoff annotation
+ * @param {string} operation - Operation class
+ * @param {Object} [init] - fetch options
+ * @returns {boolean} True when a failed request may already have been applied
+ */
+function isWrite(operation, init = {}) {
+  const method = String((init && init.method) || 'GET').toUpperCase();
+  return operation === 'write' || (method !== 'GET' && method !== 'HEAD');
+}
+
+/**
+ * Retries and circuit breakers applied to every request of a client
+ * @class ResiliencePolicy
+ */
+class ResiliencePolicy {
+  /**
+   * Creates an instance of ResiliencePolicy
+   * @param {Object} [options] - Resilience settings
+   * @param {number} [options.maxAttempts=3] - Attempts in total, 1 disables retries
+   * @param {number} [options.initialDelay=500] - First backoff delay in milliseconds, doubled on every retry
+   * @param {number} [options.maxDelay=30000] - Longest backoff delay in milliseconds
+   * @param {Array<number>} [options.retryableStatuses] - HTTP statuses retried for reads (408, 425, 429, 500, 502, 503, 504)
+   * @param {Array<number>} [options.writeRetryableStatuses=[429]] - HTTP statuses retried for writes
+   * @param {number} [options.maxRetryAfter=60000] - Longest Retry-After waited for, in milliseconds
+   * @param {number} [options.breakerThreshold=5] - Consecutive failures opening the circuit breaker, 0 disables it
+   * @param {number} [options.breakerHalfOpenAfter=30000] - Milliseconds before an open breaker lets a test request through
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RESILIENCE };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.options[key] = value;
+      }
+    });
+    if (!Number.isInteger(this.options.maxAttempts) || this.options.maxAttempts < 1) {
+      throw new ValidationError('maxAttempts must be a positive integer');
+    }
+    if (!Number.isInteger(this.options.breakerThreshold) || this.options.breakerThreshold < 0) {
+      throw new ValidationError('breakerThreshold must be a non-negative integer');
+    }
+    this.policies = new Map();
+  }
+
+  /**
+   * Backoff delay before a retry
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {Error} error - Failure of the previous attempt
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _delay(attempt, error) {
+    if (error && error.retryAfter !== undefined) {
+      return error.retryAfter;
+    }
+    const delay = Math.min(this.options.maxDelay, this.options.initialDelay * 2 ** (attempt - 1));
+    // Jitter keeps clients that failed together from retrying in lockstep
+    return Math.round(delay * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Returns the cockatiel policy of an operation class, creating it on first use
+   * @param {string} operation - Operation class
+   * @returns {Object} Policy
+   * @private
+   */
+  _policy(operation) {
+    if (!this.policies.has(operation)) {
+      const { maxAttempts, maxRetryAfter, breakerThreshold, breakerHalfOpenAfter } = this.options;
+      const retryPolicy = retry(
+        handleWhen((error) => error instanceof TransientError && error.retryable
+          && (error.retryAfter === undefined || error.retryAfter <= maxRetryAfter)),
+        {
+          maxAttempts: maxAttempts - 1,
+          backoff: new DelegateBackoff((context) => this._delay(context.attempt, context.result.error)),
+        },
+      );
+      const policies = [retryPolicy];
+      if (breakerThreshold > 0) {
+        policies.push(circuitBreaker(handleWhen((error) => error instanceof TransientError), {
+          halfOpenAfter: breakerHalfOpenAfter,
+          breaker: new ConsecutiveBreaker(breakerThreshold),
+        }));
+      }
+      this.policies.set(operation, { policy: wrap(...policies), breaker: policies[1] });
+    }
+    return this.policies.get(operation);
+  }
+
+  /**
+   * Sends a request through the policy of its operation class.
+   * Once retries are exhausted, the last failing response is returned (or the
+   * network error thrown) so callers handle it as if no policy were applied.
+   * @param {string} operation - Operation class (product, search, facets, write, robotoff, image, auth)
+   * @param {Function} send - Sends the request and resolves with the fetch Response
+   * @param {AbortSignal} [signal] - Cancels the request; no retry follows an abort
+   * @param {boolean} [write] - Whether the request changes something on the server (see isWrite),
+   *   defaults to requests of the write operation class
+   * @returns {Promise<Response>} Response
+   * @throws {CircuitOpenError} When the circuit breaker of the operation class is open
+   */
+  async execute(operation, send, signal, write = operation === 'write') {
+    const statuses = write ? this.options.writeRetryableStatuses : this.options.retryableStatuses;
+    let dropped;
+    try {
+      return await this._policy(operation).policy.execute(async () => {
+        // The failing response of the previous attempt is not returned, so its connection is freed
+        if (dropped) {
+          cancelBody(dropped);
+          dropped = undefined;
+        }
+        let response;
+        try {
+          response = await send();
+        } catch (error) {
+          if (error.name === 'AbortError' || (signal && signal.aborted)) {
+            throw error;
+          }
+          // Network errors and timeouts: a write may have reached the server, so it is not sent twice
+          throw new TransientError(error.message, { retryable: !write, cause: error });
+        }
+        if (this.options.retryableStatuses.includes(response.status) || statuses.includes(response.status)) {
+          dropped = response;
+          throw new TransientError(`HTTP error! status: ${response.status}`, {
+            retryable: statuses.includes(response.status),
+            response,
+            retryAfter: parseRetryAfter(response.headers && response.headers.get('retry-after')),
+          });
+        }
+        return response;
+      }, signal);
+    } catch (error) {
+      if (error instanceof TransientError) {
+        if (error.response) {
+          return error.response;
+        }
+        throw error.cause;
+      }
+      if (error instanceof BrokenCircuitError) {
+        throw new CircuitOpenError(operation, this.options.breakerThreshold);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { DEFAULT_RESILIENCE, ResiliencePolicy, isWrite, parseRetryAfter };
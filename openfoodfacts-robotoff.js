@@ -0,0 +1,237 @@
+/**
+ * Robotoff requests for the OpenFoodFacts API client
+ * Robotoff predicts product facts (categories, labels, brands, weights…) from product photos and data,
+ * stores them as insights and asks contributors to confirm them as yes/no questions. Builds the queries
+ * of its question and insight endpoints and translates answers into annotations.
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+const { LANGUAGE_CODE } = require('./openfoodfacts-language');
+
+/**
+ * Robotoff instance of the production servers
+ * @type {string}
+ */
+const DEFAULT_ROBOTOFF_URL = 'https://robotoff.openfoodfacts.org';
+
+/**
+ * Robotoff server types of each project, telling which products a question or insight is about
+ * @type {Object<string, string>}
+ */
+const SERVER_TYPES = {
+  openfoodfacts: 'off',
+  openbeautyfacts: 'obf',
+  openpetfoodfacts: 'opff',
+  openproductsfacts: 'opf',
+};
+
+/**
+ * Answers to a question, mapped to the annotation values Robotoff stores
+ * @type {Object<string, number>}
+ */
+const ANSWERS = {
+  yes: 1,
+  no: 0,
+  skip: -1,
+};
+
+/**
+ * Most questions or insights returned per request
+ * @type {number}
+ */
+const MAX_COUNT = 100;
+
+// Insight ids are UUIDs
+const INSIGHT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const INSIGHT_TYPE = /^[a-z][a-z0-9_]*$/;
+
+// Taxonomy tags such as en:organic or fr:label-rouge
+const TAG = /^[a-z]{2,3}:[^\s,]+$/;
+
+/**
+ * Finds the Robotoff instance serving an Open Food Facts server: staging servers (.net) use the staging instance
+ * @param {string} baseUrl - Base URL of the Open Food Facts server
+ * @returns {string} Robotoff base URL
+ */
+function robotoffUrl(baseUrl) {
+  return new URL(baseUrl).hostname.endsWith('.net') ? 'https://robotoff.openfoodfacts.net' : DEFAULT_ROBOTOFF_URL;
+}
+
+/**
+ * Finds the Robotoff server type of an Open Food Facts server
+ * @param {string} baseUrl - Base URL of the Open Food Facts server
+ * @returns {string|undefined} Server type, or undefined for hosts of no known project
+ */
+function serverType(baseUrl) {
+  const labels = new URL(baseUrl).hostname.split('.');
+  return SERVER_TYPES[labels[labels.length - 2]];
+}
+
+/**
+ * Checks a positive integer parameter
+ * @param {string} key - Parameter name, for error messages
+ * @param {*} value - Value
+ * @param {number} [max] - Largest value
+ * @returns {string} Value
+ * @private
+ */
+function positiveInteger(key, value, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new ValidationError(`Invalid ${key}: ${value}. Must be an integer from 1${max === Infinity ? '' : ` to ${max}`}.`);
+  }
+  return String(number);
+}
+
+/**
+ * Reads a list given as an array or a comma-separated string
+ * @param {string} key - Parameter name, for error messages
+ * @param {string|Array<string>} value - List
+ * @returns {Array<string>} Trimmed, non-empty items
+ * @private
+ */
+function listOf(key, value) {
+  const items = (Array.isArray(value) ? value : String(value).split(',')).map((item) => String(item).trim()).filter(Boolean);
+  if (items.length === 0) {
+    throw new ValidationError(`Invalid ${key}: the list is empty.`);
+  }
+  return items;
+}
+
+/**
+ * Translates question and insight filters into query parameters
+ * @param {Object} filters - Filters
+ * @returns {Array<[string, string]>} Query parameters
+ * @private
+ */
+function filterParams({ insightTypes, country, brands, valueTag }) {
+  const params = [];
+  if (insightTypes !== undefined) {
+    const types = listOf('insightTypes', insightTypes);
+    const invalid = types.find((type) => !INSIGHT_TYPE.test(type));
+    if (invalid) {
+      throw new ValidationError(`Invalid insight type: ${invalid}. Use Robotoff type names such as category or label.`);
+    }
+    params.push(['insight_types', types.join(',')]);
+  }
+  if (country !== undefined) {
+    // Robotoff filters on country tags; plain names are English ones
+    const tag = String(country).trim().toLowerCase().replace(/\s+/g, '-');
+    const countryTag = tag.includes(':') ? tag : `en:${tag}`;
+    if (!TAG.test(countryTag) || countryTag.length < 4) {
+      throw new ValidationError(`Invalid country: ${country}. Use a country tag such as en:france.`);
+    }
+    params.push(['country', countryTag]);
+  }
+  if (brands !== undefined) {
+    params.push(['brands', listOf('brands', brands).join(',')]);
+  }
+  if (valueTag !== undefined) {
+    if (!TAG.test(String(valueTag).trim())) {
+      throw new ValidationError(`Invalid valueTag: ${valueTag}. Use a taxonomy tag such as en:organic.`);
+    }
+    params.push(['value_tag', String(valueTag).trim()]);
+  }
+  return params;
+}
+
+/**
+ * Builds the query of the question endpoints (questions of a product, random questions)
+ * @example
+ * questionsQuery({ count: 5, lang: 'fr', insightTypes: ['label'], country: 'france', serverType: 'off' }).toString()
+ * // 'count=5&lang=fr&server_type=off&insight_types=label&country=en%3Afrance'
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.count=1] - Number of questions, up to 100
+ * @param {string} [filters.lang] - Language of the question texts
+ * @param {number} [filters.page] - Page of random questions
+ * @param {string} [filters.serverType] - Project the products belong to (off, obf, opff, opf)
+ * @param {string|Array<string>} [filters.insightTypes] - Insight types, such as category or label
+ * @param {string} [filters.country] - Country tag (en:france), or English country name
+ * @param {string|Array<string>} [filters.brands] - Brands of the products
+ * @param {string} [filters.valueTag] - Predicted value, such as en:organic
+ * @returns {URLSearchParams} Query parameters
+ */
+function questionsQuery({ count = 1, lang, page, serverType: type, ...filters } = {}) {
+  const query = new URLSearchParams({ count: positiveInteger('count', count, MAX_COUNT) });
+  if (lang !== undefined && lang !== '') {
+    if (!LANGUAGE_CODE.test(lang)) {
+      throw new ValidationError(`Invalid lang: ${lang}. Use a 2 or 3 letter language code such as en or fr.`);
+    }
+    query.append('lang', lang);
+  }
+  if (page !== undefined) {
+    query.append('page', positiveInteger('page', page));
+  }
+  if (type) {
+    query.append('server_type', type);
+  }
+  filterParams(filters).forEach((param) => query.append(...param));
+  return query;
+}
+
+/**
+ * Builds the query of the insight listing
+ * @example
+ * insightsQuery({ insightTypes: 'category', brands: ['Ferrero'], annotated: false }).toString()
+ * // 'count=25&insight_types=category&brands=Ferrero&annotated=false'
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.barcode] - Normalized barcode of a product
+ * @param {number} [filters.count=25] - Insights per page, up to 100
+ * @param {number} [filters.page] - Page
+ * @param {boolean} [filters.annotated] - Only insights that were (true) or were not (false) annotated yet
+ * @param {string} [filters.serverType] - Project the products belong to (off, obf, opff, opf)
+ * @param {string|Array<string>} [filters.insightTypes] - Insight types, such as category or label
+ * @param {string} [filters.country] - Country tag (en:france), or English country name
+ * @param {string|Array<string>} [filters.brands] - Brands of the products
+ * @param {string} [filters.valueTag] - Predicted value, such as en:organic
+ * @returns {URLSearchParams} Query parameters
+ */
+function insightsQuery({ barcode, count = 25, page, annotated, serverType: type, ...filters } = {}) {
+  const query = new URLSearchParams({ count: positiveInteger('count', count, MAX_COUNT) });
+  if (page !== undefined) {
+    query.append('page', positiveInteger('page', page));
+  }
+  if (barcode) {
+    query.append('barcode', barcode);
+  }
+  if (annotated !== undefined) {
+    if (typeof annotated !== 'boolean') {
+      throw new ValidationError('annotated must be a boolean');
+    }
+    query.append('annotated', String(annotated));
+  }
+  if (type) {
+    query.append('server_type', type);
+  }
+  filterParams(filters).forEach((param) => query.append(...param));
+  return query;
+}
+
+/**
+ * Translates the answer to a question into the form fields of the annotation endpoint
+ * @param {string} insightId - Id of the insight the question is about (insight_id of a question)
+ * @param {string|number} answer - yes, no or skip (or 1, 0, -1)
+ * @returns {URLSearchParams} Form fields
+ */
+function annotationFields(insightId, answer) {
+  if (typeof insightId !== 'string' || !INSIGHT_ID.test(insightId.trim())) {
+    throw new ValidationError('Invalid insightId. Use the insight_id of a question.');
+  }
+  const annotation = typeof answer === 'string' ? ANSWERS[answer.trim().toLowerCase()] : answer;
+  if (!Object.values(ANSWERS).includes(annotation)) {
+    throw new ValidationError(`Invalid answer: ${answer}. Must be yes, no or skip.`);
+  }
+  return new URLSearchParams({ insight_id: insightId.trim(), annotation: String(annotation), update: '1' });
+}
+
+module.exports = {
+  DEFAULT_ROBOTOFF_URL,
+  SERVER_TYPES,
+  ANSWERS,
+  robotoffUrl,
+  serverType,
+  questionsQuery,
+  insightsQuery,
+  annotationFields,
+};
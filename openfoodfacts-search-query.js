@@ -0,0 +1,202 @@
+/**
+ * Structured search queries for the OpenFoodFacts API client
+ * Translates a query object into the parameters of the v2 search API
+ * (/api/v2/search), where `|` separates alternatives and `,` requires all values
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Query keys filtering on a tag field, mapped to their parameter
+ * @type {Object<string, string>}
+ */
+const TAG_FILTERS = {
+  categories: 'categories_tags',
+  brands: 'brands_tags',
+  labels: 'labels_tags',
+  countries: 'countries_tags',
+  stores: 'stores_tags',
+  origins: 'origins_tags',
+  packaging: 'packaging_tags',
+  ingredients: 'ingredients_tags',
+  additives: 'additives_tags',
+  allergens: 'allergens_tags',
+  traces: 'traces_tags',
+  languages: 'languages_tags',
+  states: 'states_tags',
+};
+
+/**
+ * Query keys filtering on a grade, mapped to their parameter and allowed grades
+ * @type {Object<string, {param: string, grades: Array<string>}>}
+ */
+const GRADE_FILTERS = {
+  nutrition_grades: { param: 'nutrition_grades_tags', grades: ['a', 'b', 'c', 'd', 'e'] },
+  ecoscore_grade: { param: 'ecoscore_tags', grades: ['a-plus', 'a', 'b', 'c', 'd', 'e', 'f'] },
+};
+
+// NOVA groups are tags named after the group number and its description
+const NOVA_GROUP_TAGS = {
+  1: 'en:1-unprocessed-or-minimally-processed-foods',
+  2: 'en:2-processed-culinary-ingredients',
+  3: 'en:3-processed-foods',
+  4: 'en:4-ultra-processed-food-and-drink-products',
+};
+
+/**
+ * Comparison operators of numeric conditions
+ * @type {Object<string, string>}
+ */
+const OPERATORS = {
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>=',
+  eq: '=',
+};
+
+/**
+ * Sort orders, with friendly aliases mapped to the API's values
+ * @type {Object<string, string>}
+ */
+const SORT_ORDERS = {
+  popularity: 'popularity_key',
+  popularity_key: 'popularity_key',
+  unique_scans_n: 'unique_scans_n',
+  scans_n: 'scans_n',
+  product_name: 'product_name',
+  created_t: 'created_t',
+  last_modified_t: 'last_modified_t',
+  completeness: 'completeness',
+  nutriscore_score: 'nutriscore_score',
+  ecoscore_score: 'ecoscore_score',
+  nova_score: 'nova_score',
+  nothing: 'nothing',
+};
+
+const QUERY_KEYS = [...Object.keys(TAG_FILTERS), ...Object.keys(GRADE_FILTERS), 'nova_group', 'nutriments', 'sort_by'];
+
+/**
+ * Joins tag values: a string or array matches any of the values, { all: [...] } requires every value
+ * @param {string} key - Query key, for error messages
+ * @param {string|Array<string>|{all: Array<string>}} value - Tag value(s)
+ * @returns {string} Parameter value
+ * @private
+ */
+function tagValue(key, value) {
+  const all = Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  const values = all ? value.all : [].concat(value);
+  if (!Array.isArray(values) || values.length === 0 || values.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw new ValidationError(`Invalid search query value for ${key}. Use a tag, an array of tags (any), or { all: [...] }.`);
+  }
+  values.forEach((item) => {
+    if (/[|,]/.test(item)) {
+      throw new ValidationError(`Invalid search query value for ${key}: ${item}. Tags cannot contain "|" or ",".`);
+    }
+  });
+  return values.map((item) => item.trim()).join(all ? ',' : '|');
+}
+
+/**
+ * Checks a numeric condition: a number (equality) or an object of operators
+ * @param {string} key - Query key, for error messages
+ * @param {number|Object<string, number>} condition - Condition
+ * @returns {Array<[string, number]>} Operator symbol and value pairs
+ * @private
+ */
+function comparisons(key, condition) {
+  const entries = typeof condition === 'number' ? [['eq', condition]] : Object.entries(condition || {});
+  if (entries.length === 0) {
+    throw new ValidationError(`Invalid search query condition for ${key}. Use a number or { lt, lte, gt, gte, eq }.`);
+  }
+  return entries.map(([operator, value]) => {
+    if (!OPERATORS[operator]) {
+      throw new ValidationError(`Unknown operator ${operator} for ${key}. Allowed operators: ${Object.keys(OPERATORS).join(', ')}.`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new ValidationError(`Invalid search query condition for ${key}: ${operator} must be a number.`);
+    }
+    return [operator, value];
+  });
+}
+
+/**
+ * Translates a structured query into v2 search parameters
+ * @example
+ * buildSearchQuery({ categories: 'en:cereals', nutrition_grades: ['a', 'b'], nova_group: { lte: 2 },
+ *   nutriments: { sugars_100g: { lt: 5 } }, sort_by: 'popularity' })
+ * @param {Object} query - Structured query
+ * @param {string|Array<string>|Object} [query.categories] - Tag filters; also brands, labels, countries, stores, origins,
+ *   packaging, ingredients, additives, allergens, traces, languages and states
+ * @param {string|Array<string>} [query.nutrition_grades] - Nutri-Score grades (a to e), any of
+ * @param {string|Array<string>} [query.ecoscore_grade] - Eco-Score grades (a-plus, a to f), any of
+ * @param {number|Object<string, number>} [query.nova_group] - NOVA group (1 to 4) or range such as { lte: 2 }
+ * @param {Object<string, number|Object<string, number>>} [query.nutriments] - Conditions on nutriments per 100 g or serving,
+ *   e.g. { sugars_100g: { lt: 5 }, 'energy-kcal_serving': { gte: 100, lte: 200 } }
+ * @param {string} [query.sort_by] - Sort order (popularity, product_name, created_t, last_modified_t, completeness,
+ *   nutriscore_score, ecoscore_score, nova_score...)
+ * @returns {Array<[string, string]>} Query string parameters
+ */
+function buildSearchQuery(query) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new ValidationError('Search query must be an object');
+  }
+  const params = [];
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (TAG_FILTERS[key]) {
+      params.push([TAG_FILTERS[key], tagValue(key, value)]);
+    } else if (GRADE_FILTERS[key]) {
+      const { param, grades } = GRADE_FILTERS[key];
+      const selected = [].concat(value).map((grade) => String(grade).toLowerCase());
+      const invalid = selected.filter((grade) => !grades.includes(grade));
+      if (selected.length === 0 || invalid.length > 0) {
+        throw new ValidationError(`Invalid ${key}: ${invalid.join(', ') || 'none'}. Allowed grades: ${grades.join(', ')}.`);
+      }
+      params.push([param, selected.join('|')]);
+    } else if (key === 'nova_group') {
+      const groups = Object.keys(NOVA_GROUP_TAGS).map(Number).filter((group) => comparisons(key, value).every(([operator, limit]) => {
+        switch (operator) {
+          case 'lt': return group < limit;
+          case 'lte': return group <= limit;
+          case 'gt': return group > limit;
+          case 'gte': return group >= limit;
+          default: return group === limit;
+        }
+      }));
+      if (groups.length === 0) {
+        throw new ValidationError('Invalid nova_group: the condition matches no NOVA group (1 to 4).');
+      }
+      params.push(['nova_groups_tags', groups.map((group) => NOVA_GROUP_TAGS[group]).join('|')]);
+    } else if (key === 'nutriments') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError('Invalid nutriments: use an object such as { sugars_100g: { lt: 5 } }.');
+      }
+      Object.entries(value).forEach(([nutriment, condition]) => {
+        if (!/^[a-z0-9-]+_(100g|serving)$/.test(nutriment)) {
+          throw new ValidationError(`Invalid nutriment ${nutriment}. Use a nutriment name ending in _100g or _serving, e.g. sugars_100g.`);
+        }
+        // The v2 API takes conditions written into the query string as is, e.g. sugars_100g<5 or
+        // sugars_100g<=5, and reads them the way any query string is parsed: split at the first "=".
+        // Sending that split (sugars_100g<5 without a value, sugars_100g< with the value 5, sugars_100g
+        // with the value 5 for eq) lets the server read the same condition once the parameters are encoded.
+        comparisons(nutriment, condition).forEach(([operator, limit]) => {
+          const written = `${nutriment}${OPERATORS[operator]}${limit}`;
+          const split = written.indexOf('=');
+          params.push(split === -1 ? [written, ''] : [written.slice(0, split), written.slice(split + 1)]);
+        });
+      });
+    } else if (key === 'sort_by') {
+      if (!SORT_ORDERS[value]) {
+        throw new ValidationError(`Invalid sort_by: ${value}. Allowed values: ${Object.keys(SORT_ORDERS).join(', ')}.`);
+      }
+      params.push(['sort_by', SORT_ORDERS[value]]);
+    } else {
+      throw new ValidationError(`Unknown search query key: ${key}. Allowed keys: ${QUERY_KEYS.join(', ')}.`);
+    }
+  });
+
+  return params;
+}
+
+module.exports = { QUERY_KEYS, SORT_ORDERS, buildSearchQuery };
@@ -0,0 +1,103 @@
+/**
+ * Sessions for the OpenFoodFacts API client
+ * Reads the session cookie Product Opener sets on login, tells when a write was refused because the
+ * user is not logged in, and checks the app identity (app_name, app_uuid) apps send with contributions
+ * made on behalf of their anonymous users.
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+
+/**
+ * Name of the Product Opener session cookie
+ * @type {string}
+ */
+const SESSION_COOKIE = 'session';
+
+/**
+ * Lifetime assumed for a session whose cookie does not say when it expires, in milliseconds
+ * @type {number}
+ */
+const DEFAULT_SESSION_LIFETIME = 12 * 60 * 60 * 1000;
+
+// Messages of write responses refused for want of a valid login
+const AUTH_FAILURE = /(not logged in|log ?in required|incorrect (user ?name|password)|invalid (user|password|session)|authenticat)/i;
+
+const APP_NAME = /^[A-Za-z0-9][\w .+-]{0,63}$/;
+
+const APP_UUID = /^[\w-]{1,128}$/;
+
+/**
+ * Finds the session cookie among the Set-Cookie headers of a login response
+ * @example
+ * parseSessionCookie(['session=user_session&abc&user_id&jdoe; path=/; domain=.openfoodfacts.org; expires=Fri, 20 Nov 2026 10:00:00 GMT'])
+ * // { cookie: 'session=user_session&abc&user_id&jdoe', expiresAt: 1795168800000 }
+ * @param {Array<string>} setCookies - Set-Cookie header values
+ * @param {number} [now=Date.now()] - Current time, for Max-Age and the default lifetime
+ * @returns {{cookie: string, expiresAt: number}|null} Cookie header value and expiry time,
+ *   or null when the server did not open a session (wrong credentials clear the cookie instead)
+ */
+function parseSessionCookie(setCookies, now = Date.now()) {
+  for (const header of setCookies || []) {
+    const [pair, ...attributes] = String(header).split(';').map((part) => part.trim());
+    const separator = pair.indexOf('=');
+    if (separator > 0 && pair.slice(0, separator) === SESSION_COOKIE && pair.slice(separator + 1)) {
+      let expires;
+      let maxAge;
+      attributes.forEach((attribute) => {
+        const [name, ...value] = attribute.split('=');
+        if (/^max-age$/i.test(name) && Number.isFinite(Number(value.join('=')))) {
+          maxAge = now + Number(value.join('=')) * 1000;
+        } else if (/^expires$/i.test(name) && !Number.isNaN(Date.parse(value.join('=')))) {
+          expires = Date.parse(value.join('='));
+        }
+      });
+      // Max-Age wins over Expires, as in browsers
+      const expiresAt = maxAge !== undefined ? maxAge : (expires !== undefined ? expires : now + DEFAULT_SESSION_LIFETIME);
+      return expiresAt > now ? { cookie: pair, expiresAt } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tells whether a write response reports that the user is not logged in
+ * @param {Object} result - Response data
+ * @returns {boolean} True when the write was refused for want of a valid login
+ */
+function isAuthFailure(result) {
+  if (!result || typeof result !== 'object') {
+    return false;
+  }
+  const message = [result.status_verbose, result.error, result.message].filter((part) => typeof part === 'string').join(' ');
+  return AUTH_FAILURE.test(message);
+}
+
+/**
+ * Checks the identity of an app contributing on behalf of its users
+ * @param {string} [appName] - Name of the app
+ * @param {string} [appUuid] - Anonymous id of the app user (requires appName)
+ * @returns {{name: string, uuid: (string|undefined)}|null} App identity, or null without an app name
+ */
+function appIdentity(appName, appUuid) {
+  if (!appName) {
+    if (appUuid) {
+      throw new ValidationError('appUuid requires an appName');
+    }
+    return null;
+  }
+  if (typeof appName !== 'string' || !APP_NAME.test(appName)) {
+    throw new ValidationError('Invalid appName. Use up to 64 letters, digits, spaces, dots, dashes or underscores.');
+  }
+  if (appUuid !== undefined && appUuid !== '' && (typeof appUuid !== 'string' || !APP_UUID.test(appUuid))) {
+    throw new ValidationError('Invalid appUuid. Use up to 128 letters, digits, dashes or underscores.');
+  }
+  return { name: appName, uuid: appUuid || undefined };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  DEFAULT_SESSION_LIFETIME,
+  parseSessionCookie,
+  isAuthFailure,
+  appIdentity,
+};
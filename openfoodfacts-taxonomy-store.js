@@ -0,0 +1,152 @@
+/**
+ * On-disk taxonomy store for the OpenFoodFacts API client
+ * Keeps downloaded taxonomies with their validators (ETag, Last-Modified) so
+ * they can be revalidated cheaply and served while the server is unreachable
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { ValidationError } = require('./openfoodfacts-errors');
+
+const DEFAULT_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Taxonomy names end up in URL paths and file names, so only plain identifiers are accepted
+const TAXONOMY_TYPE = /^[a-z0-9_-]+$/i;
+
+/**
+ * Checks a taxonomy type
+ * @param {string} type - Taxonomy type
+ * @returns {string} The type
+ * @throws {ValidationError} When the type is not a plain identifier
+ */
+function checkTaxonomyType(type) {
+  if (typeof type !== 'string' || !TAXONOMY_TYPE.test(type)) {
+    throw new ValidationError('Invalid taxonomy type. Use letters, digits, underscores or hyphens only.');
+  }
+  return type;
+}
+
+/**
+ * Directory based store holding one data file and one metadata file per taxonomy
+ * @class TaxonomyStore
+ */
+class TaxonomyStore {
+  /**
+   * Creates an instance of TaxonomyStore
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory the taxonomies are written to (created on first write)
+   * @param {number} [options.refreshInterval=86400000] - Age in milliseconds after which a stored taxonomy is revalidated (0 revalidates on every read)
+   */
+  constructor({ directory, refreshInterval = DEFAULT_REFRESH_INTERVAL } = {}) {
+    if (typeof directory !== 'string' || !directory) {
+      throw new ValidationError('Taxonomy store directory is required');
+    }
+    if (!Number.isFinite(refreshInterval) || refreshInterval < 0) {
+      throw new ValidationError('Taxonomy refresh interval must be a non-negative number');
+    }
+    this.directory = directory;
+    this.refreshInterval = refreshInterval;
+  }
+
+  /**
+   * Resolves the data and metadata file paths of a taxonomy
+   * @param {string} type - Taxonomy type
+   * @returns {{data: string, meta: string}} File paths
+   * @private
+   */
+  _paths(type) {
+    checkTaxonomyType(type);
+    return {
+      data: path.join(this.directory, `${type}.json`),
+      meta: path.join(this.directory, `${type}.meta.json`),
+    };
+  }
+
+  /**
+   * Writes a file atomically so a crash never leaves a truncated taxonomy behind.
+   * Each write has its own temporary file, so concurrent writes of a taxonomy do not collide.
+   * @param {string} file - Target path
+   * @param {string} content - File content
+   * @private
+   */
+  async _writeFile(file, content) {
+    const temporary = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, content);
+    await fs.rename(temporary, file);
+  }
+
+  /**
+   * Reads a stored taxonomy
+   * @param {string} type - Taxonomy type
+   * @returns {Promise<{data: Object, etag: string|null, lastModified: string|null, fetchedAt: number}|null>} Stored entry, or null when missing or unreadable
+   */
+  async read(type) {
+    const paths = this._paths(type);
+    try {
+      const [data, meta] = await Promise.all([fs.readFile(paths.data, 'utf8'), fs.readFile(paths.meta, 'utf8')]);
+      const { etag = null, lastModified = null, fetchedAt = 0 } = JSON.parse(meta);
+      return { data: JSON.parse(data), etag, lastModified, fetchedAt };
+    } catch (error) {
+      // A missing or corrupt entry is treated like an empty store and fetched again
+      return null;
+    }
+  }
+
+  /**
+   * Stores a taxonomy and its validators
+   * @param {string} type - Taxonomy type
+   * @param {Object} data - Taxonomy content
+   * @param {Object} [validators] - Response validators
+   * @param {string|null} [validators.etag] - ETag header
+   * @param {string|null} [validators.lastModified] - Last-Modified header
+   * @returns {Promise<number>} Time the entry was stored
+   */
+  async write(type, data, { etag = null, lastModified = null } = {}) {
+    const paths = this._paths(type);
+    const fetchedAt = Date.now();
+    await fs.mkdir(this.directory, { recursive: true });
+    await this._writeFile(paths.data, JSON.stringify(data));
+    await this._writeFile(paths.meta, JSON.stringify({ etag, lastModified, fetchedAt }));
+    return fetchedAt;
+  }
+
+  /**
+   * Marks a stored taxonomy as revalidated without rewriting its content
+   * @param {string} type - Taxonomy type
+   * @param {Object} validators - Validators of the stored entry (etag, lastModified)
+   * @returns {Promise<number>} Time of the revalidation
+   */
+  async touch(type, { etag, lastModified }) {
+    const fetchedAt = Date.now();
+    await this._writeFile(this._paths(type).meta, JSON.stringify({ etag, lastModified, fetchedAt }));
+    return fetchedAt;
+  }
+
+  /**
+   * Checks whether a stored taxonomy is recent enough to be served without revalidation
+   * @param {Object} entry - Entry returned by read()
+   * @returns {boolean} True while the entry is younger than the refresh interval
+   */
+  isFresh(entry) {
+    return Date.now() - entry.fetchedAt < this.refreshInterval;
+  }
+
+  /**
+   * Lists the stored taxonomies, leaving out files whose name is not a valid taxonomy type
+   * @returns {Promise<Array<string>>} Taxonomy types
+   */
+  async types() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files
+        .filter((file) => file.endsWith('.meta.json'))
+        .map((file) => file.slice(0, -'.meta.json'.length))
+        .filter((type) => TAXONOMY_TYPE.test(type));
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = { TaxonomyStore, DEFAULT_REFRESH_INTERVAL, checkTaxonomyType };
@@ -0,0 +1,239 @@
+/**
+ * Taxonomy queries for the OpenFoodFacts API client
+ * Lookups over the JSON taxonomies returned by getTaxonomy, where each entry is
+ * keyed by its canonical id (e.g. en:e330) and lists its parents, children,
+ * localized names and synonyms
+ */
+
+const { ValidationError } = require('./openfoodfacts-errors');
+const { LANGUAGE_PREFIX } = require('./openfoodfacts-language');
+
+// Names in this pseudo-language apply to every language (e.g. E numbers)
+const LANGUAGE_INDEPENDENT = 'xx';
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Query modes supported by queryTaxonomy
+ * @type {Array<string>}
+ */
+const QUERY_MODES = ['entry', 'ancestors', 'descendants', 'resolve'];
+
+/**
+ * Canonicalizes a taxonomy id: lowercase with the language prefix kept as is
+ * @param {string} id - Taxonomy id such as en:E330
+ * @returns {string} Canonical id
+ */
+function normalizeId(id) {
+  if (typeof id !== 'string' || !id.trim()) {
+    throw new ValidationError('Taxonomy id must be a non-empty string');
+  }
+  return id.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Reduces a name to a comparable form: lowercase, without accents and with
+ * spaces, hyphens and underscores collapsed
+ * @param {string} text - Name or synonym
+ * @returns {string} Comparable text
+ * @private
+ */
+function comparable(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Returns the name of an entry in a language, falling back to English, the
+ * language independent name, the language of the id, and finally any name
+ * @param {Object} entry - Taxonomy entry
+ * @param {string} [lang='en'] - Requested language code
+ * @param {string} [id] - Entry id, whose prefix is used as a fallback language
+ * @returns {string|null} Localized name, or null when the entry has no names
+ */
+function getLocalizedName(entry, lang = DEFAULT_LANGUAGE, id) {
+  const names = (entry && entry.name) || {};
+  const idLanguage = id && id.includes(':') ? id.split(':')[0] : undefined;
+  const candidates = [lang, DEFAULT_LANGUAGE, LANGUAGE_INDEPENDENT, idLanguage];
+  for (const language of candidates) {
+    if (language && names[language]) {
+      return names[language];
+    }
+  }
+  const [first] = Object.values(names);
+  return first || null;
+}
+
+/**
+ * Looks up an entry by id
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @param {string} id - Entry id such as en:e330
+ * @param {string} [lang] - Language of the returned name
+ * @returns {Object|null} Entry with its id and localized name, or null when unknown
+ */
+function getEntry(taxonomy, id, lang) {
+  const key = normalizeId(id);
+  const entry = taxonomy[key];
+  if (!entry) {
+    return null;
+  }
+  return { ...entry, id: key, localizedName: getLocalizedName(entry, lang, key) };
+}
+
+/**
+ * Walks a relation breadth first, so nearer entries come first
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @param {string} id - Canonical id of the starting entry
+ * @param {Function} next - Returns the related ids of an id
+ * @returns {Array<string>} Related ids, without the starting entry or duplicates
+ * @private
+ */
+function walk(taxonomy, id, next) {
+  const seen = new Set([id]);
+  const queue = [id];
+  const result = [];
+  while (queue.length > 0) {
+    for (const related of next(queue.shift())) {
+      // Taxonomies are DAGs with shared ancestors; the set also guards against cycles
+      if (!seen.has(related)) {
+        seen.add(related);
+        result.push(related);
+        queue.push(related);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Builds an id to children index from the parents of each entry, for
+ * taxonomies that do not list children themselves
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @returns {Map<string, Array<string>>} Children per id
+ * @private
+ */
+function indexChildren(taxonomy) {
+  const children = new Map();
+  for (const [id, entry] of Object.entries(taxonomy)) {
+    for (const parent of entry.parents || []) {
+      if (!children.has(parent)) {
+        children.set(parent, []);
+      }
+      children.get(parent).push(id);
+    }
+  }
+  return children;
+}
+
+/**
+ * Lists the ancestors of an entry, nearest first
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @param {string} id - Entry id
+ * @returns {Array<string>|null} Ancestor ids, or null when the entry is unknown
+ */
+function getAncestors(taxonomy, id) {
+  const key = normalizeId(id);
+  if (!taxonomy[key]) {
+    return null;
+  }
+  return walk(taxonomy, key, (current) => (taxonomy[current] && taxonomy[current].parents) || []);
+}
+
+/**
+ * Lists the descendants of an entry, nearest first
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @param {string} id - Entry id
+ * @returns {Array<string>|null} Descendant ids, or null when the entry is unknown
+ */
+function getDescendants(taxonomy, id) {
+  const key = normalizeId(id);
+  if (!taxonomy[key]) {
+    return null;
+  }
+  const children = indexChildren(taxonomy);
+  return walk(taxonomy, key, (current) => children.get(current) || []);
+}
+
+/**
+ * Resolves an id, name or synonym to the canonical id of its entry.
+ * A language prefix (fr:acide citrique) restricts matching to that language;
+ * otherwise the requested language is tried first, then every language.
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @param {string} text - Id, name or synonym
+ * @param {string} [lang] - Preferred language of the text
+ * @returns {string|null} Canonical id, or null when nothing matches
+ */
+function resolveId(taxonomy, text, lang) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ValidationError('Taxonomy term must be a non-empty string');
+  }
+  const key = normalizeId(text);
+  if (taxonomy[key]) {
+    return key;
+  }
+
+  const prefix = LANGUAGE_PREFIX.exec(text.trim());
+  const term = comparable(prefix ? prefix[2] : text);
+  const languages = prefix ? [prefix[1].toLowerCase()] : (lang ? [lang, undefined] : [undefined]);
+
+  for (const language of languages) {
+    for (const [id, entry] of Object.entries(taxonomy)) {
+      const names = entry.name || {};
+      const synonyms = entry.synonyms || {};
+      const keys = language ? [language, LANGUAGE_INDEPENDENT] : Object.keys({ ...names, ...synonyms });
+      const matches = keys.some((code) => [names[code], ...(synonyms[code] || [])]
+        .some((candidate) => candidate !== undefined && comparable(candidate) === term));
+      if (matches) {
+        return id;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs a query against a taxonomy
+ * @param {Object} taxonomy - Taxonomy returned by getTaxonomy
+ * @param {Object} query - Query
+ * @param {string} query.mode - entry, ancestors, descendants or resolve
+ * @param {string} query.term - Entry id, or for resolve a name or synonym
+ * @param {string} [query.lang] - Language of returned names (and preferred language for resolve)
+ * @returns {Object|Array<Object>|null} Entry, list of { id, name }, or { id, name } for resolve; null when nothing matches
+ */
+function queryTaxonomy(taxonomy, { mode, term, lang } = {}) {
+  if (!QUERY_MODES.includes(mode)) {
+    throw new ValidationError(`Unknown taxonomy query mode: ${mode}. Must be one of ${QUERY_MODES.join(', ')}.`);
+  }
+  const describe = (id) => ({ id, name: getLocalizedName(taxonomy[id], lang, id) });
+
+  switch (mode) {
+    case 'entry':
+      return getEntry(taxonomy, term, lang);
+    case 'ancestors': {
+      const ids = getAncestors(taxonomy, term);
+      return ids && ids.map(describe);
+    }
+    case 'descendants': {
+      const ids = getDescendants(taxonomy, term);
+      return ids && ids.map(describe);
+    }
+    default: {
+      const id = resolveId(taxonomy, term, lang);
+      return id && describe(id);
+    }
+  }
+}
+
+module.exports = {
+  QUERY_MODES,
+  normalizeId,
+  getLocalizedName,
+  getEntry,
+  getAncestors,
+  getDescendants,
+  resolveId,
+  queryTaxonomy,
+};
@@ -1,9 +1,447 @@
-const { retry, handleType, ExponentialBackoff } = require('cockatiel');
-const { OpenFoodFactsAPI, OpenFoodFactsError } = require('./openfoodfacts-api');
+const path = require('path');
+const {
+  OpenFoodFactsAPI,
+  OpenFoodFactsError,
+  ERROR_CODES,
+  NotFoundError,
+  ProductNotFoundError,
+  CircuitOpenError,
+  ValidationError,
+} = require('./openfoodfacts-api');
+const { parseBarcode } = require('./openfoodfacts-barcode');
+const { queryTaxonomy } = require('./openfoodfacts-taxonomy');
+const { ALLERGEN_FIELDS, ALLERGEN_STATUSES, checkAllergens } = require('./openfoodfacts-allergens');
+const { NUTRISCORE_FIELDS } = require('./openfoodfacts-nutriscore');
+const { DEFAULT_LEASE_TIME, ModerationQueue } = require('./openfoodfacts-moderation');
 
 module.exports = function (RED) {
   // SECURITY FIX: Removed shared client instance to prevent credential leakage
-  // Each node now creates its own isolated client instance
+  // A client is only shared between nodes that reference the same server config
+  // node; nodes without one create their own isolated, unauthenticated client
+
+  const SERVER_UNAVAILABLE = 'Open Food Facts server configuration is missing or invalid';
+
+  // Default cap on the products a paginated search sends, so a broad query cannot flood a flow
+  const DEFAULT_MAX_RESULTS = 1000;
+
+  // Longest delay setInterval accepts (about 24.8 days); larger values would fire immediately
+  const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+  // Status texts are shortened past this length to keep the editor readable
+  const MAX_STATUS_LENGTH = 40;
+
+  /**
+   * Resolves the API client for an operational node
+   * @param {Object} config - Node configuration
+   * @returns {OpenFoodFactsAPI|null} Client, or null if the referenced server config is unavailable
+   */
+  function resolveClient(config) {
+    if (!config.server) {
+      return new OpenFoodFactsAPI(undefined, { resilience: true });
+    }
+    const server = RED.nodes.getNode(config.server);
+    return server && server.client ? server.client : null;
+  }
+
+  /**
+   * Resolves the API client of a write node. Add Product and Upload Photo nodes saved before the
+   * server config node existed hold their own credentials: without a server, a node that still has
+   * them writes with them on its isolated client, and warns that they should move to a server config.
+   * @param {Object} node - Write node
+   * @param {Object} config - Node configuration
+   * @returns {OpenFoodFactsAPI|null} Client, or null if the referenced server config is unavailable
+   */
+  function resolveWriteClient(node, config) {
+    const client = resolveClient(config);
+    const { username, password } = node.credentials || {};
+    if (!username || !password) {
+      return client;
+    }
+    if (config.server) {
+      if (client && !client.credentials) {
+        node.warn('Credentials set on this node are ignored because it uses a server configuration. Set them on the server configuration.');
+      }
+      return client;
+    }
+    client.setCredentials(username, password);
+    node.warn('Credentials set on this node are deprecated. Move them to an openfoodfacts-server configuration and select it on this node.');
+    return client;
+  }
+
+  /**
+   * Builds response cache options from a server config node
+   * @param {Object} config - Server config node configuration
+   * @returns {Object|boolean} Cache options, or false when caching is disabled
+   */
+  function cacheConfig(config) {
+    if (config.cache === false) {
+      return false;
+    }
+    const ttl = {};
+    const ttlMinutes = { product: config.cacheTtlProduct, search: config.cacheTtlSearch, taxonomy: config.cacheTtlTaxonomy };
+    Object.entries(ttlMinutes).forEach(([operation, minutes]) => {
+      if (minutes !== undefined && minutes !== '') {
+        ttl[operation] = Number(minutes) * 60 * 1000;
+      }
+    });
+    return { maxEntries: Number(config.cacheSize) || undefined, ttl };
+  }
+
+  /**
+   * Builds rate limiter options from a server config node
+   * @param {Object} config - Server config node configuration
+   * @returns {Object|boolean} Requests per minute per operation class, or false when rate limiting is disabled
+   */
+  function rateLimitConfig(config) {
+    if (config.rateLimit === false) {
+      return false;
+    }
+    const limits = {};
+    const perMinute = {
+      product: config.rateLimitProduct,
+      search: config.rateLimitSearch,
+      facets: config.rateLimitFacets,
+      write: config.rateLimitWrite,
+    };
+    Object.entries(perMinute).forEach(([operation, value]) => {
+      if (value !== undefined && value !== '') {
+        limits[operation] = Number(value);
+      }
+    });
+    return limits;
+  }
+
+  /**
+   * Builds resilience policy options from a server config node
+   * @param {Object} config - Server config node configuration
+   * @returns {Object|boolean} Retry and circuit breaker settings, or false when disabled
+   */
+  function resilienceConfig(config) {
+    if (config.retry === false) {
+      return false;
+    }
+    const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+    const statuses = config.retryStatuses === undefined || config.retryStatuses === ''
+      ? undefined
+      : String(config.retryStatuses).split(',').map((status) => Number(status.trim())).filter(Number.isInteger);
+    const halfOpenAfter = number(config.breakerHalfOpenAfter);
+    return {
+      maxAttempts: number(config.retryAttempts),
+      retryableStatuses: statuses,
+      breakerThreshold: number(config.breakerThreshold),
+      breakerHalfOpenAfter: halfOpenAfter === undefined ? undefined : halfOpenAfter * 1000,
+    };
+  }
+
+  /**
+   * Shortens a status text
+   * @param {string} text - Status text
+   * @returns {string} Text of at most MAX_STATUS_LENGTH characters
+   */
+  function statusText(text) {
+    const value = String(text);
+    return value.length > MAX_STATUS_LENGTH ? `${value.slice(0, MAX_STATUS_LENGTH - 1)}…` : value;
+  }
+
+  /**
+   * Shows the requests of a node still waiting for the rate limiter or in flight
+   * @param {Object} node - Node the requests belong to
+   */
+  function showProgress(node) {
+    if (node.rateLimitWaiting > 0) {
+      node.status({ fill: 'yellow', shape: 'ring', text: `rate limited: ${node.rateLimitQueued} ${node.rateLimitOperation} request(s) waiting` });
+    } else if (node.inFlight > 0) {
+      node.status({ fill: 'blue', shape: 'dot', text: node.inFlight > 1 ? `requesting (${node.inFlight})` : 'requesting' });
+    }
+  }
+
+  /**
+   * Shows the outcome of the last message a node handled successfully
+   * @param {Object} node - Node handling the message
+   * @param {string} text - Summary of the result, such as a product name or a result count
+   */
+  function showSuccess(node, text) {
+    node.status({ fill: 'green', shape: 'dot', text: statusText(text) });
+  }
+
+  /**
+   * Shows that the last lookup of a node found nothing
+   * @param {Object} node - Node handling the message
+   * @param {string} what - What was looked up
+   */
+  function showNotFound(node, what) {
+    node.status({ fill: 'yellow', shape: 'ring', text: statusText(`not found: ${what}`) });
+  }
+
+  /**
+   * Shows the failure of the last message of a node: the error class and HTTP status for client
+   * errors, the operation class while its circuit breaker is open, or the message otherwise
+   * @param {Object} node - Node handling the message
+   * @param {Error|string} error - Failure
+   */
+  function showError(node, error) {
+    if (error instanceof CircuitOpenError) {
+      node.status({ fill: 'red', shape: 'dot', text: `circuit open: ${error.operation} requests` });
+      return;
+    }
+    const text = error instanceof OpenFoodFactsError
+      ? [error.name, error.status].filter((part) => part !== undefined).join(' ')
+      : (error && error.message) || error;
+    node.status({ fill: 'red', shape: 'ring', text: statusText(text) });
+  }
+
+  /**
+   * Runs the requests of a message, showing them on the node status while they are in flight
+   * @param {Object} node - Node sending the requests
+   * @param {Function} send - Sends the requests and resolves with their result
+   * @returns {Promise<*>} Result of send
+   */
+  async function request(node, send) {
+    node.inFlight = (node.inFlight || 0) + 1;
+    showProgress(node);
+    try {
+      return await send();
+    } finally {
+      node.inFlight -= 1;
+    }
+  }
+
+  /**
+   * Creates a rate limiter callback showing on a node's status while its requests wait
+   * @param {Object} node - Node the requests belong to
+   * @returns {Function} onRateLimit request option
+   */
+  function rateLimitStatus(node) {
+    return ({ operation, waiting, queued }) => {
+      node.rateLimitWaiting = (node.rateLimitWaiting || 0) + (waiting ? 1 : -1);
+      if (waiting) {
+        node.rateLimitQueued = queued;
+        node.rateLimitOperation = operation;
+      }
+      showProgress(node);
+    };
+  }
+
+  /**
+   * Reads the request timeout of a node and aborts its in-flight requests when it closes
+   * (flow redeployed or stopped), so nothing is sent or reported afterwards; the status is cleared
+   * @param {Object} node - Operational node
+   * @param {Object} config - Node configuration, with the timeout in seconds (blank keeps the client timeout)
+   */
+  function trackRequests(node, config) {
+    node.requestTimeout = config.timeout === undefined || config.timeout === '' ? undefined : Number(config.timeout) * 1000;
+    node.requests = new AbortController();
+    node.on('close', function () {
+      node.requests.abort(new Error('Request cancelled: node closed'));
+      node.status({});
+    });
+  }
+
+  /**
+   * Builds the options every request of a node shares: cancellation on close,
+   * the timeout (msg.timeout in milliseconds overrides the node's), rate limiter status
+   * and the anonymous app user writes are made for (msg.appUuid)
+   * @param {Object} node - Node sending the requests
+   * @param {Object} msg - Input message
+   * @returns {Object} Request options
+   */
+  function callOptions(node, msg) {
+    const timeout = msg.timeout !== undefined && msg.timeout !== '' ? Number(msg.timeout) : node.requestTimeout;
+    const options = { signal: node.requests.signal, timeout, onRateLimit: rateLimitStatus(node) };
+    if (msg.appUuid !== undefined && msg.appUuid !== '') {
+      options.appUuid = String(msg.appUuid);
+    }
+    return options;
+  }
+
+  /**
+   * Reports a failed message and shows it on the node status, unless it failed because the node was closing.
+   * Catch nodes get msg.error.code from the error; client errors also add msg.errorDetails with the
+   * code, HTTP status, endpoint and retryable flag, which addErrorDetails copies onto msg.error.
+   * @param {Object} node - Node handling the message
+   * @param {Error|string} error - Failure, or the message of an invalid input
+   * @param {Object} msg - Input message
+   */
+  function reportError(node, error, msg) {
+    if (node.requests.signal.aborted) {
+      return;
+    }
+    showError(node, error);
+    const { errorDetails, ...rest } = msg;
+    node.error(error, error instanceof OpenFoodFactsError ? { ...rest, errorDetails: error.toJSON() } : rest);
+  }
+
+  /**
+   * Node-RED builds the msg.error Catch nodes receive from the message, code and stack of the
+   * error only, so the HTTP status, endpoint and retryable flag of client errors are copied onto
+   * it from msg.errorDetails as the message reaches the Catch node
+   * @param {Object} event - onReceive hook event
+   */
+  function addErrorDetails(event) {
+    const { msg, destination } = event;
+    if (!destination.node || destination.node.type !== 'catch' || !msg.errorDetails || !msg.error || !msg.error.source) {
+      return;
+    }
+    if (msg.error.code === msg.errorDetails.code) {
+      const { status, endpoint, retryable } = msg.errorDetails;
+      Object.assign(msg.error, { status, endpoint, retryable });
+    }
+  }
+
+  if (RED.hooks) {
+    RED.hooks.remove('onReceive.openfoodfacts');
+    RED.hooks.add('onReceive.openfoodfacts', addErrorDetails);
+  }
+
+  /**
+   * Applies the cache controls of an input message and builds request options.
+   * msg.flushCache (true or an operation name) empties the cache first and
+   * msg.cache = false skips cached entries and revalidates stored taxonomies.
+   * Hit/miss details end up in options.cacheInfo, taxonomy store details in options.taxonomyInfo,
+   * and waiting on the rate limiter shows on the node status (see callOptions).
+   * @param {Object} node - Node sending the requests
+   * @param {OpenFoodFactsAPI} client - API client
+   * @param {Object} msg - Input message
+   * @returns {Object} Request options
+   */
+  function requestOptions(node, client, msg) {
+    if (msg.flushCache) {
+      client.flushCache(typeof msg.flushCache === 'string' ? msg.flushCache : undefined);
+    }
+    const options = { ...callOptions(node, msg), cache: msg.cache !== false, refresh: msg.cache === false };
+    options.onCache = (info) => {
+      options.cacheInfo = info;
+    };
+    options.onStore = (info) => {
+      options.taxonomyInfo = info;
+      if (info.storeError) {
+        node.warn(`Taxonomy store not updated: ${info.storeError}`);
+      }
+    };
+    return options;
+  }
+
+  /**
+   * Reads search parameters given as an object (visual builder, msg.payload) or a JSON string (older flows)
+   * @param {Object|string} searchParams - Search parameters
+   * @returns {Object|null} Search parameters, or null when none are given (an empty string or object counts as none,
+   *   as the editor saves {} for a node without parameters)
+   */
+  function parseSearchParams(searchParams) {
+    let parsed = searchParams;
+    if (typeof searchParams === 'string') {
+      try {
+        parsed = searchParams.trim() ? JSON.parse(searchParams) : null;
+      } catch (error) {
+        throw new ValidationError(`Invalid searchParams JSON: ${error.message}`);
+      }
+    }
+    if (parsed && typeof parsed === 'object' && Object.keys(parsed).length === 0) {
+      return null;
+    }
+    return parsed;
+  }
+
+  /**
+   * Reads Robotoff question and insight filters: each one from the payload, or else from the node setting
+   * @param {Object} config - Node configuration
+   * @param {Object} input - Payload object
+   * @param {Array<string>} names - Filters the node supports
+   * @returns {Object} Filters that are set
+   */
+  function robotoffFilters(config, input, names) {
+    const filters = {};
+    names.forEach((name) => {
+      const value = input[name] !== undefined ? input[name] : config[name];
+      if (value !== undefined && value !== '') {
+        filters[name] = value;
+      }
+    });
+    return filters;
+  }
+
+  /**
+   * Builds on-disk taxonomy store options from a server config node
+   * @param {Object} config - Server config node configuration
+   * @param {string} baseUrl - Base URL of the instance, used to keep instances apart
+   * @returns {Object|null} Store options, or null when disabled or no user directory is available
+   */
+  function taxonomyStoreConfig(config, baseUrl) {
+    if (config.taxonomyStore === false || !RED.settings.userDir) {
+      return null;
+    }
+    const hours = config.taxonomyRefresh === undefined || config.taxonomyRefresh === '' ? 24 : Number(config.taxonomyRefresh);
+    return {
+      directory: path.join(RED.settings.userDir, 'openfoodfacts', 'taxonomies', new URL(baseUrl).host),
+      refreshInterval: hours * 60 * 60 * 1000,
+    };
+  }
+
+  /**
+   * OFF server config node
+   */
+  function OffServerNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    node.client = null;
+
+    try {
+      node.baseUrl = config.baseUrl || OpenFoodFactsAPI.buildBaseUrl({
+        flavor: config.flavor || undefined,
+        country: config.country || undefined,
+        environment: config.environment || undefined,
+      });
+      node.client = new OpenFoodFactsAPI(node.baseUrl, {
+        userAgent: config.userAgent,
+        timeout: config.timeout === undefined || config.timeout === '' ? undefined : Number(config.timeout) * 1000,
+        cache: cacheConfig(config),
+        taxonomyStore: taxonomyStoreConfig(config, node.baseUrl),
+        rateLimit: rateLimitConfig(config),
+        resilience: resilienceConfig(config),
+        robotoffUrl: config.robotoffUrl || undefined,
+        // Configs saved before sessions existed keep sending the password until the option is ticked
+        session: config.session === true,
+        appName: config.appName || undefined,
+        appUuid: config.appUuid || undefined,
+        imageDirectory: config.imageDirectory || undefined,
+        allowPrivateImageHosts: config.allowPrivateImageHosts === true,
+      });
+
+      const { username, password } = node.credentials || {};
+      if (username && password) {
+        node.client.setCredentials(username, password);
+      }
+    } catch (error) {
+      node.client = null;
+      node.error(`Invalid server configuration: ${error.message}`);
+    }
+
+    // Stored taxonomies are revalidated in the background so flows keep getting
+    // recent data without waiting on multi-megabyte downloads
+    const store = node.client && node.client.taxonomyStore;
+    if (store && store.refreshInterval > 0) {
+      const timer = setInterval(async () => {
+        const results = await node.client.refreshTaxonomies();
+        Object.entries(results).forEach(([type, result]) => {
+          if (result.error || result.stale) {
+            node.warn(`Taxonomy refresh failed for ${type}: ${result.error}`);
+          } else if (result.storeError) {
+            node.warn(`Taxonomy store not updated for ${type}: ${result.storeError}`);
+          }
+        });
+      }, Math.min(store.refreshInterval, MAX_TIMER_DELAY));
+      timer.unref();
+      node.on('close', function () {
+        clearInterval(timer);
+      });
+    }
+  }
+  RED.nodes.registerType('openfoodfacts-server', OffServerNode, {
+    credentials: {
+      username: { type: 'text' },
+      password: { type: 'password' },
+    },
+  });
 
   /**
    * OFF getProduct node
@@ -11,21 +449,43 @@ module.exports = function (RED) {
   function OffGetProductNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
+      let barcode;
       try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
         const productId = config.productId || msg.payload.productId;
         if (!productId) {
-          node.error('No productId provided', msg);
+          reportError(node, 'No productId provided', msg);
           return;
         }
 
-        const payload = await client.getProduct(productId);
-        node.send({ ...msg, payload });
+        // msg.barcode tells flows which GTIN type was scanned and whether it is an in-store code
+        barcode = parseBarcode(productId);
+        const fields = msg.fields || config.fields || undefined;
+        const options = requestOptions(node, client, msg);
+        const payload = await request(node, () => client.getProduct(barcode.code, { ...options, fields, version: config.apiVersion || undefined }));
+        showSuccess(node, (payload && payload.product_name) || barcode.code);
+        node.send([{ ...msg, payload, barcode, cacheInfo: options.cacheInfo }, null]);
       } catch (error) {
-        node.error(error.message, msg);
+        // Unknown products go to the second output so flows can branch into adding them
+        if (error instanceof ProductNotFoundError) {
+          showNotFound(node, error.barcode);
+          node.send([null, {
+            ...msg,
+            payload: { code: error.barcode },
+            barcode,
+            notFound: { barcode: error.barcode, status: error.status, statusVerbose: error.statusVerbose },
+          }]);
+          return;
+        }
+        reportError(node, error, msg);
       }
     });
   }
@@ -37,25 +497,79 @@ module.exports = function (RED) {
   function OffSearchProductsNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    /**
+     * Walks every page of a search, sending one message per product or per page.
+     * Messages carry msg.parts like a split node's so a join node can reassemble
+     * them; the total is only known at the end, so the last message carries parts.count.
+     * @param {Object} msg - Input message
+     * @param {Object} params - Search parameters
+     * @param {Object} options - Request options including maxResults
+     * @param {string} output - 'product' or 'page'
+     * @returns {Promise<number>} Number of messages sent
+     */
+    async function streamSearch(msg, params, options, output) {
+      let index = 0;
+      let pending = null;
+      const queue = (message) => {
+        if (pending) {
+          node.send(pending);
+        }
+        pending = message;
+      };
+      const parts = (extra) => ({ id: msg._msgid, index: index++, ...extra, ...(msg.parts ? { parts: msg.parts } : {}) });
+
+      try {
+        for await (const page of client.searchPages(params, options)) {
+          const search = { page: page.page, pageSize: page.pageSize, count: page.count };
+          if (output === 'page') {
+            queue({ ...msg, payload: page.products, search, parts: parts({}) });
+          } else {
+            page.products.forEach((product) => {
+              queue({ ...msg, payload: product, search, parts: parts({ type: 'array', len: 1 }) });
+            });
+          }
+        }
+      } finally {
+        // The sequence is closed even when a page fails, so a join node does not wait for parts that never come
+        if (pending) {
+          pending.parts.count = index;
+          node.send(pending);
+        }
+      }
+      return index;
+    }
 
     node.on('input', async function (msg) {
       try {
-        const searchParams = msg.payload.searchParams || config.searchParams;
-        if (!searchParams) {
-          node.error('No searchParams provided', msg);
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
           return;
         }
 
-        const payload = await retry(handleType(OpenFoodFactsError), {
-          maxAttempts: 3,
-          backoff: new ExponentialBackoff(),
-        }).execute(() => client.searchProducts(JSON.parse(searchParams)));
+        const searchParams = parseSearchParams(msg.payload.searchParams) || parseSearchParams(config.searchParams);
+        if (!searchParams || typeof searchParams !== 'object') {
+          reportError(node, 'No searchParams provided', msg);
+          return;
+        }
 
-        node.send({ ...msg, payload });
+        const options = requestOptions(node, client, msg);
+        const output = msg.output || config.output || 'single';
+        if (output !== 'single') {
+          const maxResults = Number(msg.maxResults || config.maxResults) || DEFAULT_MAX_RESULTS;
+          const sent = await request(node, () => streamSearch(msg, searchParams, { ...options, maxResults }, output));
+          showSuccess(node, `${sent} ${output === 'page' ? 'page' : 'product'}(s) sent`);
+          return;
+        }
+
+        const payload = await request(node, () => client.searchProducts(searchParams, options));
+        showSuccess(node, `${payload && payload.count !== undefined ? payload.count : 0} results`);
+
+        node.send({ ...msg, payload, cacheInfo: options.cacheInfo });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
@@ -67,61 +581,210 @@ module.exports = function (RED) {
   function OffGetTaxonomyNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
       try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
         const taxonomy = config.taxonomy || msg.payload.taxonomy;
         if (!taxonomy) {
-          node.error('No taxonomy provided', msg);
+          reportError(node, 'No taxonomy provided', msg);
           return;
         }
 
-        const payload = await client.getTaxonomy(taxonomy);
-        node.send({ ...msg, payload });
+        // Mode 'all' returns the whole taxonomy; the other modes query it (see openfoodfacts-taxonomy.js)
+        const mode = msg.payload.mode || config.mode || 'all';
+        const term = msg.payload.term || config.term;
+        const lang = msg.payload.lang || config.lang || undefined;
+        if (mode !== 'all' && !term) {
+          reportError(node, 'No taxonomy term provided', msg);
+          return;
+        }
+
+        const options = requestOptions(node, client, msg);
+        const taxonomyData = await request(node, () => client.getTaxonomy(taxonomy, options));
+        const payload = mode === 'all' ? taxonomyData : queryTaxonomy(taxonomyData, { mode, term, lang });
+        if (mode === 'all') {
+          showSuccess(node, `${Object.keys(taxonomyData || {}).length} entries`);
+        } else if (payload) {
+          showSuccess(node, Array.isArray(payload) ? `${payload.length} ${mode}` : payload.name || payload.id || term);
+        } else {
+          showNotFound(node, term);
+        }
+        node.send({ ...msg, payload, cacheInfo: options.cacheInfo, taxonomyInfo: options.taxonomyInfo });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
   RED.nodes.registerType('openfoodfacts-get-taxonomy', OffGetTaxonomyNode);
 
+  /**
+   * OFF Check Allergens node
+   */
+  function OffCheckAllergensNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        const profile = msg.allergens || config.allergens;
+        if (!profile || profile.length === 0) {
+          reportError(node, 'No allergen profile provided', msg);
+          return;
+        }
+
+        // The payload is either a product or a barcode (string or { productId }) to look up
+        const options = requestOptions(node, client, msg);
+        let product = msg.payload;
+        const productId = typeof msg.payload === 'string' ? msg.payload : msg.payload && msg.payload.productId;
+        if (productId) {
+          product = await request(node, () => client.getProduct(parseBarcode(productId).code, { ...options, fields: ALLERGEN_FIELDS }));
+        }
+        if (!product || typeof product !== 'object') {
+          reportError(node, 'No product or barcode provided', msg);
+          return;
+        }
+
+        const taxonomy = await request(node, () => client.getAllergens(options));
+        const allergenCheck = checkAllergens(product, profile, taxonomy, { lang: config.lang || undefined });
+        showSuccess(node, allergenCheck.status);
+
+        // One output per status: safe, may contain, contains
+        const outputs = ALLERGEN_STATUSES.map(() => null);
+        outputs[ALLERGEN_STATUSES.indexOf(allergenCheck.status)] = { ...msg, payload: product, allergenCheck };
+        node.send(outputs);
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-check-allergens', OffCheckAllergensNode);
+
+  /**
+   * OFF Nutri-Score node
+   */
+  function OffNutriScoreNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        // The payload is a product, raw per-100g nutriments, or a barcode (string or { productId }) to look up
+        let product = msg.payload;
+        const productId = typeof msg.payload === 'string' ? msg.payload : msg.payload && msg.payload.productId;
+        if (productId) {
+          product = await request(node, () => client.getProduct(parseBarcode(productId).code, { ...requestOptions(node, client, msg), fields: NUTRISCORE_FIELDS }));
+        }
+        if (!product || typeof product !== 'object') {
+          reportError(node, 'No product, nutriments or barcode provided', msg);
+          return;
+        }
+
+        const nutriScore = client.computeNutriScore(product, {
+          category: msg.category || config.category || undefined,
+          redMeat: msg.redMeat !== undefined ? Boolean(msg.redMeat) : config.redMeat === true,
+        });
+        showSuccess(node, `Nutri-Score ${nutriScore.grade.toUpperCase()}`);
+        node.send({ ...msg, payload: product, nutriScore });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-nutriscore', OffNutriScoreNode);
+
+  /**
+   * OFF Aggregate Nutrition node
+   */
+  function OffAggregateNutritionNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        const items = Array.isArray(msg.payload) ? msg.payload : msg.payload && msg.payload.items;
+        if (!items) {
+          reportError(node, 'No items provided', msg);
+          return;
+        }
+
+        const portions = msg.portions || config.portions || 1;
+        const payload = await request(node, () => client.aggregateNutrition(items, { ...requestOptions(node, client, msg), portions }));
+        showSuccess(node, `${payload.items.length} items, ${payload.missing.length} missing`);
+        node.send({ ...msg, payload });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-aggregate-nutrition', OffAggregateNutritionNode);
+
   /**
    * OFF Add Product node
    */
   function OffAddProductNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node - CRITICAL for credential isolation
-    const client = new OpenFoodFactsAPI();
+    const client = resolveWriteClient(node, config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
       const data = msg.payload || {};
 
-      // Check for credentials
-      if (!config.credentials || !config.credentials.username || !config.credentials.password) {
-        node.error('Credentials required for adding products', msg);
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
         return;
       }
 
-      // Set credentials on isolated instance only
-      client.setCredentials(config.credentials.username, config.credentials.password);
+      // Credentials live on the referenced server config node (or, in older flows, on this node)
+      if (!client.credentials) {
+        reportError(node, 'Credentials required for adding products. Set them on the server configuration.', msg);
+        return;
+      }
 
       if (!data.code) {
-        node.error('Product code is required', msg);
+        reportError(node, 'Product code is required', msg);
         return;
       }
 
       try {
-        const payload = await client.addProduct(data);
+        const payload = await request(node, () => client.addProduct(data, callOptions(node, msg)));
+        showSuccess(node, `saved ${data.code}`);
         node.send({ ...msg, payload });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
   RED.nodes.registerType('openfoodfacts-add-product', OffAddProductNode, {
+    // Flows saved before the server config node keep their per-node credentials until they are moved
     credentials: {
       username: { type: 'text' },
       password: { type: 'password' },
@@ -134,56 +797,165 @@ module.exports = function (RED) {
   function OffUploadPhotoNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node - CRITICAL for credential isolation
-    const client = new OpenFoodFactsAPI();
+    const client = resolveWriteClient(node, config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
       const { barcode, image, type } = msg.payload || {};
 
-      // Check for credentials
-      if (!config.credentials || !config.credentials.username || !config.credentials.password) {
-        node.error('Credentials required for uploading photos', msg);
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
         return;
       }
 
-      // Set credentials on isolated instance only
-      client.setCredentials(config.credentials.username, config.credentials.password);
+      // Credentials live on the referenced server config node (or, in older flows, on this node)
+      if (!client.credentials) {
+        reportError(node, 'Credentials required for uploading photos. Set them on the server configuration.', msg);
+        return;
+      }
 
-      if (!barcode || !image || !type || !type.field || !type.languageCode) {
-        node.error('Missing required parameters: barcode, image, type.field, or type.languageCode', msg);
+      // The image may be a Buffer, a data URI or base64 string, an HTTP(S) URL or a local file path
+      if (!barcode || !image || !type || !type.field || (type.field !== 'other' && !type.languageCode)) {
+        reportError(node, 'Missing required parameters: barcode, image, type.field, or type.languageCode', msg);
         return;
       }
 
       try {
-        const payload = await client.uploadPhoto(barcode, image, type);
+        const payload = await request(node, () => client.uploadPhoto(barcode, image, type, callOptions(node, msg)));
+        showSuccess(node, `uploaded ${type.field} photo`);
         node.send({ ...msg, payload });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
   RED.nodes.registerType('openfoodfacts-upload-photo', OffUploadPhotoNode, {
+    // Flows saved before the server config node keep their per-node credentials until they are moved
     credentials: {
       username: { type: 'text' },
       password: { type: 'password' },
     },
   });
 
+  /**
+   * OFF Manage Image node
+   */
+  function OffManageImageNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      const { barcode, imgid, type, crop, angle, coordinatesImageSize } = msg.payload || {};
+      const action = (msg.payload && msg.payload.action) || config.action || 'select';
+
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
+        return;
+      }
+
+      // Credentials live on the referenced server config node only
+      if (!client.credentials) {
+        reportError(node, 'Credentials required for managing images. Set them on the server configuration.', msg);
+        return;
+      }
+
+      if (!barcode || !type || !type.field || !type.languageCode || (action === 'select' && !imgid)) {
+        reportError(node, 'Missing required parameters: barcode, type.field, type.languageCode, or imgid', msg);
+        return;
+      }
+
+      try {
+        const options = callOptions(node, msg);
+        let payload;
+        if (action === 'unselect') {
+          payload = await request(node, () => client.unselectImage(barcode, type, options));
+        } else if (action === 'select') {
+          const normalize = msg.payload.normalize !== undefined ? msg.payload.normalize : config.normalize === true;
+          const whiteMagic = msg.payload.whiteMagic !== undefined ? msg.payload.whiteMagic : config.whiteMagic === true;
+          payload = await request(node, () => client.selectImage(barcode, imgid, type, {
+            ...options, crop, angle, normalize, whiteMagic, coordinatesImageSize,
+          }));
+        } else {
+          reportError(node, `Unknown image action: ${action}. Use select or unselect.`, msg);
+          return;
+        }
+        showSuccess(node, `${action}ed ${type.field}_${type.languageCode}`);
+        node.send({ ...msg, payload });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-manage-image', OffManageImageNode);
+
+  /**
+   * OFF Get Image node
+   */
+  function OffGetImageNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      // The payload is a barcode, or { productId, field, lang, size } overriding the node settings
+      const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+      const productId = config.productId || (typeof msg.payload === 'string' ? msg.payload : input.productId);
+      const field = input.field || config.field || 'front';
+      const lang = input.lang || config.lang || undefined;
+      try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        if (!productId) {
+          reportError(node, 'No productId provided', msg);
+          return;
+        }
+
+        const options = requestOptions(node, client, msg);
+        const image = await request(node, () => client.getImage(productId, { ...options, field, lang, size: input.size || config.size || undefined }));
+        const { data, ...description } = image;
+        showSuccess(node, `${image.field}_${image.lang} ${image.size}`);
+        node.send([{ ...msg, payload: data, image: description }, null]);
+      } catch (error) {
+        // Unknown products and missing images go to the second output
+        if (error instanceof NotFoundError) {
+          showNotFound(node, `${field} image of ${productId}`);
+          node.send([null, { ...msg, payload: { code: productId }, notFound: { barcode: productId, field, lang, status: error.status } }]);
+          return;
+        }
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-get-image', OffGetImageNode);
+
   /**
    * OFF Get Additives node
    */
   function OffGetAdditivesNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
       try {
-        const payload = await client.getAdditives();
-        node.send({ ...msg, payload });
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        const options = requestOptions(node, client, msg);
+        const payload = await request(node, () => client.getAdditives(options));
+        showSuccess(node, `${Object.keys(payload || {}).length} entries`);
+        node.send({ ...msg, payload, cacheInfo: options.cacheInfo, taxonomyInfo: options.taxonomyInfo });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
@@ -195,15 +967,22 @@ module.exports = function (RED) {
   function OffGetAllergensNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
       try {
-        const payload = await client.getAllergens();
-        node.send({ ...msg, payload });
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        const options = requestOptions(node, client, msg);
+        const payload = await request(node, () => client.getAllergens(options));
+        showSuccess(node, `${Object.keys(payload || {}).length} entries`);
+        node.send({ ...msg, payload, cacheInfo: options.cacheInfo, taxonomyInfo: options.taxonomyInfo });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
@@ -215,15 +994,22 @@ module.exports = function (RED) {
   function OffGetBrandsNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
       try {
-        const payload = await client.getBrands();
-        node.send({ ...msg, payload });
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        const options = requestOptions(node, client, msg);
+        const payload = await request(node, () => client.getBrands(options));
+        showSuccess(node, `${Object.keys(payload || {}).length} entries`);
+        node.send({ ...msg, payload, cacheInfo: options.cacheInfo, taxonomyInfo: options.taxonomyInfo });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
@@ -235,20 +1021,337 @@ module.exports = function (RED) {
   function OffGetRandomInsightNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
-    // Create isolated client instance per node
-    const client = new OpenFoodFactsAPI();
+    const client = resolveClient(config);
+    trackRequests(node, config);
 
     node.on('input', async function (msg) {
-      const count = msg.payload?.count || config.count || 1;
-      const lang = msg.payload?.lang || config.lang;
+      const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+      const count = input.count || config.count || 1;
+      const lang = input.lang || config.lang;
+      const filters = robotoffFilters(config, input, ['insightTypes', 'country', 'brands', 'valueTag']);
+
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
+        return;
+      }
 
       try {
-        const payload = await client.getRandomInsight(count, lang);
+        const payload = await request(node, () => client.getRandomInsight(count, lang, { ...callOptions(node, msg), ...filters }));
+        showSuccess(node, `${((payload && payload.questions) || []).length} question(s)`);
         node.send({ ...msg, payload });
       } catch (error) {
-        node.error(error.message, msg);
+        reportError(node, error, msg);
       }
     });
   }
   RED.nodes.registerType('openfoodfacts-get-random-insight', OffGetRandomInsightNode);
+
+  /**
+   * OFF Get Questions node
+   */
+  function OffGetQuestionsNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      // The payload is a barcode, or { productId, count, lang } overriding the node settings
+      const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+      const productId = config.productId || (typeof msg.payload === 'string' ? msg.payload : input.productId);
+      try {
+        if (!client) {
+          reportError(node, SERVER_UNAVAILABLE, msg);
+          return;
+        }
+
+        if (!productId) {
+          reportError(node, 'No productId provided', msg);
+          return;
+        }
+
+        const options = { ...callOptions(node, msg), count: input.count || config.count || 1, lang: input.lang || config.lang || undefined };
+        const payload = await request(node, () => client.getQuestions(productId, options));
+        showSuccess(node, `${((payload && payload.questions) || []).length} question(s)`);
+        node.send({ ...msg, payload });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-get-questions', OffGetQuestionsNode);
+
+  /**
+   * OFF Get Insights node
+   */
+  function OffGetInsightsNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      // The payload may hold filters overriding the node settings
+      const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+      const filters = robotoffFilters(config, input, ['barcode', 'insightTypes', 'country', 'brands', 'valueTag', 'count', 'page']);
+      const annotated = input.annotated !== undefined ? input.annotated : config.annotated;
+      if (annotated === 'true' || annotated === 'false') {
+        filters.annotated = annotated === 'true';
+      } else if (typeof annotated === 'boolean') {
+        filters.annotated = annotated;
+      }
+
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
+        return;
+      }
+
+      try {
+        const payload = await request(node, () => client.getInsights(filters, callOptions(node, msg)));
+        showSuccess(node, `${(payload && payload.count) || 0} insight(s)`);
+        node.send({ ...msg, payload });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-get-insights', OffGetInsightsNode);
+
+  /**
+   * OFF Answer Question node
+   */
+  function OffAnswerQuestionNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      // The payload is { insightId, answer }, or a question from the Get Questions node with insight_id
+      const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+      const insightId = input.insightId || input.insight_id;
+      const answer = input.answer !== undefined ? input.answer : config.answer;
+
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
+        return;
+      }
+
+      // Credentials live on the referenced server config node only
+      if (!client.credentials) {
+        reportError(node, 'Credentials required for answering questions. Set them on the server configuration.', msg);
+        return;
+      }
+
+      if (!insightId || answer === undefined || answer === '') {
+        reportError(node, 'Missing required parameters: insightId or answer', msg);
+        return;
+      }
+
+      try {
+        const payload = await request(node, () => client.answerQuestion(insightId, answer, callOptions(node, msg)));
+        showSuccess(node, `${answer}: ${payload.status}`);
+        node.send({ ...msg, payload });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-answer-question', OffAnswerQuestionNode);
+
+  /**
+   * Reads the volunteer a moderation message is for
+   * @param {Object} msg - Input message
+   * @returns {string} msg.user, msg.payload.user, or anonymous
+   */
+  function moderationUser(msg) {
+    const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+    return msg.user || input.user || 'anonymous';
+  }
+
+  /**
+   * OFF Moderation Queue node
+   */
+  function OffModerationQueueNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+    const batchSize = Number(config.batchSize) || 10;
+    const leaseTime = config.leaseTime === undefined || config.leaseTime === '' ? DEFAULT_LEASE_TIME : Number(config.leaseTime) * 1000;
+    const filters = robotoffFilters(config, {}, ['insightTypes', 'country', 'brands', 'valueTag']);
+
+    /**
+     * Runs a change on the queue held in node context and shows the queue on the node status;
+     * the Moderation Answer node records answers through it
+     * @param {Function} change - Receives the ModerationQueue and returns a result
+     * @returns {*} Result of change
+     */
+    node.moderate = function (change) {
+      const queue = new ModerationQueue({ leaseTime, state: node.context().get('queue') });
+      try {
+        return change(queue);
+      } finally {
+        node.context().set('queue', queue.toJSON());
+        const { queued, inProgress } = queue.stats();
+        showSuccess(node, `${queued} queued, ${inProgress} in progress`);
+      }
+    };
+
+    /**
+     * Pulls a batch of random questions into the queue, sharing the request between messages that arrive meanwhile
+     * @param {Object} msg - Message asking for a question
+     * @returns {Promise<number>} Number of questions added
+     */
+    function refill(msg) {
+      if (!node.refilling) {
+        node.refilling = request(node, () => client.getRandomInsight(batchSize, config.lang || undefined, { ...callOptions(node, msg), ...filters }))
+          .then((result) => node.moderate((queue) => queue.add(result && result.questions)))
+          .finally(() => {
+            node.refilling = null;
+          });
+      }
+      return node.refilling;
+    }
+
+    node.on('input', async function (msg) {
+      const input = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+      const action = input.action || 'next';
+      const user = moderationUser(msg);
+
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
+        return;
+      }
+
+      try {
+        if (action === 'stats') {
+          node.send([{ ...msg, payload: node.moderate((queue) => queue.stats()) }, null]);
+          return;
+        }
+        if (action !== 'next') {
+          reportError(node, `Unknown moderation action: ${action}. Use next or stats.`, msg);
+          return;
+        }
+
+        if (node.moderate((queue) => queue.size) === 0) {
+          await refill(msg);
+        }
+        const question = node.moderate((queue) => queue.next(user));
+        if (!question) {
+          node.status({ fill: 'yellow', shape: 'ring', text: 'queue empty' });
+          node.send([null, { ...msg, payload: null, user }]);
+          return;
+        }
+        node.send([{ ...msg, payload: question, user }, null]);
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-moderation-queue', OffModerationQueueNode);
+
+  /**
+   * Tells whether Robotoff refused an answer because the question was already annotated, e.g. by an
+   * earlier attempt of the volunteer whose response was lost
+   * @param {Error} error - Error of the answer
+   * @returns {boolean} True when the question is settled
+   */
+  function isAlreadyAnnotated(error) {
+    return error instanceof OpenFoodFactsError && error.code === ERROR_CODES.VALIDATION
+      && error.details === 'error_already_annotated';
+  }
+
+  /**
+   * Frees a question whose answer Robotoff did not save. A question Robotoff refused (unknown insight,
+   * invalid annotation) is dropped from the queue; after any other error that retrying will not fix, the
+   * question goes back to the queue for someone else. Retryable errors and answers the client rejected
+   * before sending them keep the lease, so the volunteer can try again.
+   * @param {Object} queueNode - Moderation queue node
+   * @param {string} insightId - insightId of the question
+   * @param {string} user - Volunteer
+   * @param {Error} error - Error of the answer
+   */
+  function settleRefusedQuestion(queueNode, insightId, user, error) {
+    if (!(error instanceof OpenFoodFactsError) || error.retryable) {
+      return;
+    }
+    if (error.endpoint && (error.code === ERROR_CODES.NOT_FOUND || error.code === ERROR_CODES.VALIDATION)) {
+      queueNode.moderate((queue) => queue.discard(insightId));
+    } else if (error.code !== ERROR_CODES.VALIDATION) {
+      queueNode.moderate((queue) => queue.release(insightId, user));
+    }
+  }
+
+  /**
+   * OFF Moderation Answer node
+   */
+  function OffModerationAnswerNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+    const client = resolveClient(config);
+    trackRequests(node, config);
+
+    node.on('input', async function (msg) {
+      const { insightId, answer } = msg.payload || {};
+      const user = moderationUser(msg);
+      const queueNode = RED.nodes.getNode(config.queue);
+
+      if (!client) {
+        reportError(node, SERVER_UNAVAILABLE, msg);
+        return;
+      }
+
+      if (!queueNode || typeof queueNode.moderate !== 'function') {
+        reportError(node, 'Moderation queue node is missing. Select one in the node settings.', msg);
+        return;
+      }
+
+      // Credentials live on the referenced server config node only
+      if (!client.credentials) {
+        reportError(node, 'Credentials required for answering questions. Set them on the server configuration.', msg);
+        return;
+      }
+
+      if (!insightId || answer === undefined || answer === '') {
+        reportError(node, 'Missing required parameters: insightId or answer', msg);
+        return;
+      }
+
+      let lease;
+      try {
+        // Only questions handed out to this volunteer are submitted; the answer is recorded once Robotoff saved it
+        lease = queueNode.moderate((queue) => queue.lease(insightId, user));
+      } catch (error) {
+        reportError(node, error, msg);
+        return;
+      }
+
+      let result;
+      try {
+        result = await request(node, () => client.answerQuestion(insightId, answer, callOptions(node, msg)));
+      } catch (error) {
+        if (!isAlreadyAnnotated(error)) {
+          settleRefusedQuestion(queueNode, insightId, user, error);
+          reportError(node, error, msg);
+          return;
+        }
+        // The question is settled, so the volunteer's answer counts as given
+        result = { status: error.details, description: error.message };
+      }
+
+      try {
+        // Robotoff saved the answer, so it counts even if the lease ran out while the request was on its way
+        const stats = queueNode.moderate((queue) => {
+          queue.answer(insightId, user, answer, { lease });
+          return Object.values(queue.stats(user).users)[0];
+        });
+        showSuccess(node, `${user}: ${stats.answered} answered`);
+        node.send({ ...msg, payload: { ...lease.question, answer, user, result }, stats });
+      } catch (error) {
+        reportError(node, error, msg);
+      }
+    });
+  }
+  RED.nodes.registerType('openfoodfacts-moderation-answer', OffModerationAnswerNode);
 };
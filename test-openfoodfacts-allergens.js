@@ -0,0 +1,104 @@
+/**
+ * Unit tests for allergen checks
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { resolveProfile, checkAllergens } = require('./openfoodfacts-allergens');
+
+// Excerpt shaped like /data/taxonomies/allergens.json
+const allergens = {
+  'en:milk': {
+    name: { en: 'Milk', fr: 'Lait' },
+    synonyms: { en: ['Milk', 'butter', 'whey', 'lactose'], fr: ['Lait', 'beurre'] },
+  },
+  'en:gluten': {
+    name: { en: 'Gluten', fr: 'Gluten' },
+    synonyms: { en: ['Gluten', 'wheat', 'barley'], fr: ['Gluten', 'blé'] },
+  },
+  'en:nuts': {
+    name: { en: 'Nuts', fr: 'Fruits à coque' },
+  },
+  'en:hazelnuts': {
+    name: { en: 'Hazelnuts', fr: 'Noisettes' },
+    parents: ['en:nuts'],
+  },
+  'en:soybeans': {
+    name: { en: 'Soybeans', fr: 'Soja' },
+    synonyms: { en: ['Soybeans', 'soy'] },
+  },
+};
+
+const spread = {
+  code: '3017620422003',
+  allergens_tags: ['en:milk', 'en:nuts', 'en:soybeans'],
+  traces_tags: [],
+  ingredients_tags: ['en:sugar', 'en:palm-oil', 'en:hazelnut', 'en:skimmed-milk-powder', 'en:milk', 'en:lecithins'],
+};
+
+describe('Allergen checks', () => {
+  test('should resolve profiles from ids, names and synonyms', () => {
+    assert.deepStrictEqual(resolveProfile('en:milk, wheat, Lait', allergens, 'fr'), ['en:milk', 'en:gluten']);
+    assert.deepStrictEqual(resolveProfile(['noisettes'], allergens, 'fr'), ['en:hazelnuts']);
+  });
+
+  test('should reject empty profiles and unknown allergens', () => {
+    assert.throws(() => resolveProfile(' , ', allergens), { message: 'Allergen profile must list at least one allergen' });
+    assert.throws(() => resolveProfile('milk, kryptonite', allergens), { message: 'Unknown allergen in profile: kryptonite' });
+  });
+
+  test('should report products containing a profile allergen', () => {
+    const result = checkAllergens(spread, ['milk'], allergens);
+
+    assert.strictEqual(result.status, 'contains');
+    assert.deepStrictEqual(result.profile, ['en:milk']);
+    assert.deepStrictEqual(result.reasons, [
+      { allergen: 'en:milk', name: 'Milk', source: 'allergens_tags', tag: 'en:milk' },
+      { allergen: 'en:milk', name: 'Milk', source: 'ingredients', tag: 'en:milk' },
+    ]);
+    assert.strictEqual(result.ingredientsKnown, true);
+  });
+
+  test('should report traces as may contain', () => {
+    const product = { allergens_tags: ['en:milk'], traces_tags: ['en:gluten'], ingredients_tags: ['en:chocolate'] };
+    const result = checkAllergens(product, 'gluten', allergens, { lang: 'fr' });
+
+    assert.strictEqual(result.status, 'may-contain');
+    assert.deepStrictEqual(result.reasons, [
+      { allergen: 'en:gluten', name: 'Gluten', source: 'traces_tags', tag: 'en:gluten' },
+    ]);
+  });
+
+  test('should find allergens hidden in ingredient tags', () => {
+    const product = { allergens_tags: [], traces_tags: [], ingredients_tags: ['en:sugar', 'en:butter', 'fr:ble'] };
+    const result = checkAllergens(product, ['en:milk', 'en:gluten'], allergens);
+
+    assert.strictEqual(result.status, 'contains');
+    assert.deepStrictEqual(result.reasons.map((reason) => [reason.allergen, reason.tag]), [
+      ['en:milk', 'en:butter'],
+      ['en:gluten', 'fr:ble'],
+    ]);
+  });
+
+  test('should match allergens below a profile entry in the taxonomy', () => {
+    const product = { allergens_tags: ['en:hazelnuts'] };
+    const result = checkAllergens(product, 'nuts', allergens);
+
+    assert.strictEqual(result.status, 'contains');
+    assert.strictEqual(result.reasons[0].allergen, 'en:nuts');
+    assert.strictEqual(result.reasons[0].tag, 'en:hazelnuts');
+  });
+
+  test('should report safe products and whether ingredients were known', () => {
+    const result = checkAllergens({ code: '1', allergens_tags: ['en:soybeans'] }, 'milk', allergens);
+
+    assert.strictEqual(result.status, 'safe');
+    assert.deepStrictEqual(result.reasons, []);
+    assert.strictEqual(result.ingredientsKnown, false);
+  });
+
+  test('should reject missing products', () => {
+    assert.throws(() => checkAllergens(null, 'milk', allergens), { name: 'ValidationError', message: 'Product must be an object' });
+  });
+});
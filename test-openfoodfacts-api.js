@@ -3,9 +3,13 @@
  * Using Node.js built-in test runner (requires Node.js 20+)
  */
 
-const { test, describe, mock } = require('node:test');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
 const assert = require('node:assert');
-const { OpenFoodFactsAPI, OpenFoodFactsError } = require('./openfoodfacts-api');
+const dns = require('dns');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { OpenFoodFactsAPI, OpenFoodFactsError, ProductNotFoundError, RequestTimeoutError } = require('./openfoodfacts-api');
 
 // Create global fetch mock for tests
 global.fetch = mock.fn();
@@ -69,6 +73,45 @@ describe('OpenFoodFactsAPI', () => {
     }, { message: 'HTTPS is required for secure API access. Use https:// URLs only.' });
   });
 
+  test('should accept a custom User-Agent', () => {
+    api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { userAgent: 'TestApp/1.0 (test@example.com)' });
+    assert.deepStrictEqual(api._createRequestHeaders(), { 'User-Agent': 'TestApp/1.0 (test@example.com)' });
+  });
+
+  test('should add the staging basic auth header for .net servers', () => {
+    api = new OpenFoodFactsAPI('https://world.openfoodfacts.net');
+    assert.strictEqual(api._createRequestHeaders().Authorization, 'Basic b2ZmOm9mZg==');
+  });
+
+  test('should send request headers with read requests', async () => {
+    api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { userAgent: 'TestApp/1.0' });
+    mockSuccessResponse({ taxonomy: 'data' });
+
+    await api.getTaxonomy('additives');
+
+    assert.deepStrictEqual(global.fetch.mock.calls[0].arguments[1].headers, { 'User-Agent': 'TestApp/1.0' });
+  });
+
+  describe('buildBaseUrl', () => {
+    test('should default to the world Open Food Facts server', () => {
+      assert.strictEqual(OpenFoodFactsAPI.buildBaseUrl(), 'https://world.openfoodfacts.org');
+    });
+
+    test('should build country, flavor and staging URLs', () => {
+      assert.strictEqual(OpenFoodFactsAPI.buildBaseUrl({ country: 'fr' }), 'https://fr.openfoodfacts.org');
+      assert.strictEqual(
+        OpenFoodFactsAPI.buildBaseUrl({ flavor: 'openpetfoodfacts', environment: 'staging' }),
+        'https://world.openpetfoodfacts.net',
+      );
+    });
+
+    test('should reject unknown flavors, environments and countries', () => {
+      assert.throws(() => OpenFoodFactsAPI.buildBaseUrl({ flavor: 'openwinefacts' }), /Unknown flavor/);
+      assert.throws(() => OpenFoodFactsAPI.buildBaseUrl({ environment: 'dev' }), /Unknown environment/);
+      assert.throws(() => OpenFoodFactsAPI.buildBaseUrl({ country: 'evil.com/x' }), /Invalid country subdomain/);
+    });
+  });
+
   test('should set credentials', () => {
     api = new OpenFoodFactsAPI();
     api.setCredentials('username', 'password');
@@ -82,7 +125,7 @@ describe('OpenFoodFactsAPI', () => {
 
       const mockProduct = {
         product: {
-          code: '123456789',
+          code: '3017620422003',
           product_name: 'Test Product',
           brands: 'Test Brand',
           quantity: '100g',
@@ -99,16 +142,19 @@ describe('OpenFoodFactsAPI', () => {
 
       mockSuccessResponse(mockProduct);
 
-      const result = await api.getProduct('123456789');
+      const result = await api.getProduct('3017620422003');
 
       assert.strictEqual(global.fetch.mock.calls.length, 1);
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.origin + url.pathname, 'https://world.openfoodfacts.org/api/v2/product/3017620422003');
       assert.strictEqual(
-        global.fetch.mock.calls[0].arguments[0],
-        'https://world.openfoodfacts.org/api/v0/product/123456789',
+        url.searchParams.get('fields'),
+        'code,product_name,brands,quantity,serving_size,packaging,storage_conditions,' +
+          'conservation_conditions,expiration_date_format,categories,labels,food_groups',
       );
 
       assert.deepStrictEqual(result, {
-        code: '123456789',
+        code: '3017620422003',
         product_name: 'Test Product',
         brands: 'Test Brand',
         quantity: '100g',
@@ -123,13 +169,153 @@ describe('OpenFoodFactsAPI', () => {
       });
     });
 
+    test('should request only the given fields', async () => {
+      api = new OpenFoodFactsAPI();
+      const product = { code: '3017620422003', nutriments: { sugars_100g: 56.3 }, nova_group: 4 };
+      mockSuccessResponse({ product });
+
+      const result = await api.getProduct('3017620422003', { fields: ['code', 'nutriments', 'nova_group'] });
+
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.searchParams.get('fields'), 'code,nutriments,nova_group');
+      assert.deepStrictEqual(result, product);
+    });
+
+    test('should accept fields as a comma separated string', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ product: {} });
+
+      await api.getProduct('3017620422003', { fields: 'code, nutriscore_grade' });
+
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.searchParams.get('fields'), 'code,nutriscore_grade');
+    });
+
+    test('should request all fields', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ product: { code: '3017620422003' } });
+
+      await api.getProduct('3017620422003', { fields: 'all' });
+
+      assert.strictEqual(
+        global.fetch.mock.calls[0].arguments[0],
+        'https://world.openfoodfacts.org/api/v2/product/3017620422003',
+      );
+    });
+
+    test('should use the v3 product endpoint', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ product: {} });
+
+      await api.getProduct('3017620422003', { version: 3, fields: 'all' });
+
+      assert.strictEqual(
+        global.fetch.mock.calls[0].arguments[0],
+        'https://world.openfoodfacts.org/api/v3/product/3017620422003',
+      );
+    });
+
+    test('should reject invalid versions and fields', async () => {
+      api = new OpenFoodFactsAPI();
+
+      await assert.rejects(
+        () => api.getProduct('3017620422003', { version: 'v0' }),
+        { message: 'Invalid API version. Must be v2 or v3.' },
+      );
+      await assert.rejects(
+        () => api.getProduct('3017620422003', { fields: ['code', 'name&x=1'] }),
+        { message: 'Invalid field name: name&x=1' },
+      );
+      await assert.rejects(
+        () => api.getProduct('3017620422003', { fields: [] }),
+        { message: 'At least one field is required. Use "all" to fetch every field.' },
+      );
+    });
+
+    test('should request the normalized barcode', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ product: { code: '3017620422003' } });
+
+      await api.getProduct('03017620422003', { fields: 'all' });
+
+      assert.strictEqual(
+        global.fetch.mock.calls[0].arguments[0],
+        'https://world.openfoodfacts.org/api/v2/product/3017620422003',
+      );
+    });
+
+    test('should throw ProductNotFoundError for unknown barcodes', async () => {
+      api = new OpenFoodFactsAPI();
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => ({
+        ok: false,
+        status: 404,
+        json: async () => ({ code: '3017620422003', status: 0, status_verbose: 'product not found' }),
+      }));
+
+      await assert.rejects(
+        () => api.getProduct('3017620422003'),
+        (err) => {
+          assert.ok(err instanceof ProductNotFoundError);
+          assert.ok(err instanceof OpenFoodFactsError);
+          assert.strictEqual(err.message, 'Product not found: 3017620422003');
+          assert.strictEqual(err.barcode, '3017620422003');
+          assert.strictEqual(err.statusVerbose, 'product not found');
+          assert.strictEqual(err.status, 404);
+          return true;
+        },
+      );
+    });
+
+    test('should treat status 0 without a product as not found', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ code: '3017620422003', status: 0, status_verbose: 'no code or invalid code' });
+
+      await assert.rejects(
+        () => api.getProduct('3017620422003'),
+        { name: 'ProductNotFoundError', statusVerbose: 'no code or invalid code', status: 200 },
+      );
+    });
+
+    test('should read the not found reason from v3 responses', async () => {
+      api = new OpenFoodFactsAPI();
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => ({
+        ok: false,
+        status: 404,
+        json: async () => ({ status: 'failure', result: { id: 'product_not_found', name: 'Product not found' } }),
+      }));
+
+      await assert.rejects(
+        () => api.getProduct('3017620422003', { version: 'v3' }),
+        { name: 'ProductNotFoundError', statusVerbose: 'Product not found' },
+      );
+    });
+
+    test('should treat a 404 without a JSON body as not found', async () => {
+      api = new OpenFoodFactsAPI();
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => ({
+        ok: false,
+        status: 404,
+        json: async () => {
+          throw new SyntaxError('Unexpected token <');
+        },
+      }));
+
+      await assert.rejects(
+        () => api.getProduct('3017620422003'),
+        { name: 'ProductNotFoundError', statusVerbose: 'product not found' },
+      );
+    });
+
     test('should handle fetch error in getProduct', async () => {
       api = new OpenFoodFactsAPI();
       mockErrorResponse(500);
 
       await assert.rejects(
         async () => {
-          await api.getProduct('123456789');
+          await api.getProduct('3017620422003');
         },
         { message: 'Failed to fetch product: HTTP error! status: 500' },
       );
@@ -145,7 +331,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.getProduct('123456789');
+          await api.getProduct('3017620422003');
         },
         { message: 'Failed to fetch product: Network error' },
       );
@@ -163,7 +349,7 @@ describe('OpenFoodFactsAPI', () => {
         page_size: 20,
         products: [
           {
-            code: '123456789',
+            code: '3017620422003',
             product_name: 'Test Product',
             brands: 'Test Brand',
           },
@@ -280,7 +466,7 @@ describe('OpenFoodFactsAPI', () => {
         count: 1,
         products: [
           {
-            code: '123456789',
+            code: '3017620422003',
             product_name: 'Test Product',
             brands: 'Test Brand',
             extra_field: 'Should be filtered',
@@ -296,7 +482,7 @@ describe('OpenFoodFactsAPI', () => {
       });
 
       assert.deepStrictEqual(result.products[0], {
-        code: '123456789',
+        code: '3017620422003',
         product_name: 'Test Product',
       });
 
@@ -350,6 +536,53 @@ describe('OpenFoodFactsAPI', () => {
         { message: 'Failed to search products: Network error' },
       );
     });
+
+    test('should send structured queries to the v2 search API', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ count: 1, page: 1, page_size: 50, products: [{ code: '1', product_name: 'Muesli', brands: 'X' }] });
+
+      const result = await api.searchProducts({
+        query: {
+          categories: 'en:cereals',
+          nutrition_grades: ['a', 'b'],
+          nova_group: { lte: 2 },
+          nutriments: { sugars_100g: { lt: 5 }, 'energy-kcal_100g': { gte: 100 }, salt_100g: 0 },
+          sort_by: 'popularity',
+        },
+        page: 2,
+        pageSize: 50,
+        fields: ['code', 'product_name'],
+      });
+
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.pathname, '/api/v2/search');
+      assert.strictEqual(url.searchParams.get('categories_tags'), 'en:cereals');
+      assert.strictEqual(url.searchParams.get('nutrition_grades_tags'), 'a|b');
+      assert.strictEqual(url.searchParams.get('nova_groups_tags'),
+        'en:1-unprocessed-or-minimally-processed-foods|en:2-processed-culinary-ingredients');
+      // Read by the server like the documented sugars_100g<5&energy-kcal_100g>=100&salt_100g=0
+      assert.match(url.search, /&sugars_100g%3C5=&energy-kcal_100g%3E=100&salt_100g=0&/);
+      assert.strictEqual(url.searchParams.get('sort_by'), 'popularity_key');
+      assert.strictEqual(url.searchParams.get('page'), '2');
+      assert.strictEqual(url.searchParams.get('page_size'), '50');
+      assert.strictEqual(url.searchParams.get('fields'), 'code,product_name');
+      assert.deepStrictEqual(result.products, [{ code: '1', product_name: 'Muesli' }]);
+    });
+
+    test('should reject invalid structured queries without calling the API', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ products: [] });
+
+      await assert.rejects(
+        () => api.searchProducts({ query: { category: 'en:cereals' } }),
+        { message: /^Unknown search query key: category\. Allowed keys: categories, / },
+      );
+      await assert.rejects(
+        () => api.searchProducts({ query: { categories: 'en:cereals' }, search_terms: 'muesli' }),
+        { message: 'A structured query cannot be combined with search_terms' },
+      );
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
   });
 
   // Test addProduct method
@@ -359,7 +592,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.addProduct({ code: '123456789' });
+          await api.addProduct({ code: '3017620422003' });
         },
         { message: 'Credentials required for adding products' },
       );
@@ -371,7 +604,7 @@ describe('OpenFoodFactsAPI', () => {
 
       mockSuccessResponse({ status: 'success' });
 
-      await api.addProduct({ code: '123456789' });
+      await api.addProduct({ code: '3017620422003' });
 
       assert.strictEqual(global.fetch.mock.calls.length, 1);
       assert.strictEqual(
@@ -388,7 +621,7 @@ describe('OpenFoodFactsAPI', () => {
       mockSuccessResponse({ status: 'success' });
 
       await api.addProduct({
-        code: '123456789',
+        code: '3017620422003',
         brands: 'Test Brand',
         labels: 'Organic',
       });
@@ -396,6 +629,45 @@ describe('OpenFoodFactsAPI', () => {
       assert.strictEqual(global.fetch.mock.calls.length, 1);
     });
 
+    test('should send localized names, quantity, lists and nutrition facts', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 1 });
+
+      await api.addProduct({
+        code: '3017620422003',
+        product_name_fr: 'Pâte à tartiner',
+        quantity: '400 g',
+        stores: ['Carrefour', 'Leclerc'],
+        nutrition_data_per: '100g',
+        nutriments: { sugars: 56.3 },
+      });
+
+      assert.deepStrictEqual(global.fetch.mock.calls[0].arguments[1].body.data, {
+        code: '3017620422003',
+        user_id: 'user',
+        password: 'pass',
+        product_name_fr: 'Pâte à tartiner',
+        quantity: '400 g',
+        stores: 'Carrefour, Leclerc',
+        nutrition_data_per: '100g',
+        nutriment_sugars: '56.3',
+        nutriment_sugars_unit: 'g',
+      });
+    });
+
+    test('should reject unknown product fields without sending them', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 1 });
+
+      await assert.rejects(() => api.addProduct({ code: '3017620422003', product_name: 'Nutella', images: {} }), {
+        name: 'ValidationError',
+        message: /^Unknown product field: images\./,
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+
     test('should handle HTTP error in addProduct', async () => {
       api = new OpenFoodFactsAPI();
       api.setCredentials('user', 'pass');
@@ -403,7 +675,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.addProduct({ code: '123456789' });
+          await api.addProduct({ code: '3017620422003' });
         },
         { message: 'Failed to add product: HTTP error! status: 400' },
       );
@@ -420,7 +692,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.addProduct({ code: '123456789' });
+          await api.addProduct({ code: '3017620422003' });
         },
         { message: 'Failed to add product: Network error' },
       );
@@ -434,7 +706,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.addProduct({ code: '123456789' });
+          await api.addProduct({ code: '3017620422003' });
         },
         { message: 'Cannot send credentials over non-HTTPS connection. HTTPS is required for authenticated requests.' },
       );
@@ -448,7 +720,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.uploadPhoto('123456789', {}, { field: 'front', languageCode: 'en' });
+          await api.uploadPhoto('3017620422003', {}, { field: 'front', languageCode: 'en' });
         },
         { message: 'Credentials required for uploading photos' },
       );
@@ -461,7 +733,7 @@ describe('OpenFoodFactsAPI', () => {
       mockSuccessResponse({ status: 'success' });
 
       const mockImage = {}; // Mock File object
-      await api.uploadPhoto('123456789', mockImage, { field: 'front', languageCode: 'en' });
+      await api.uploadPhoto('3017620422003', mockImage, { field: 'front', languageCode: 'en' });
 
       assert.strictEqual(global.fetch.mock.calls.length, 1);
       assert.strictEqual(
@@ -478,7 +750,7 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.uploadPhoto('123456789', {}, { field: 'front', languageCode: 'en' });
+          await api.uploadPhoto('3017620422003', {}, { field: 'front', languageCode: 'en' });
         },
         { message: 'Failed to upload photo: HTTP error! status: 400' },
       );
@@ -495,12 +767,191 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.uploadPhoto('123456789', {}, { field: 'front', languageCode: 'en' });
+          await api.uploadPhoto('3017620422003', {}, { field: 'front', languageCode: 'en' });
         },
         { message: 'Failed to upload photo: Network error' },
       );
     });
 
+    test('should upload Buffers, base64 and data URIs as typed multipart files', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 'status ok' });
+      const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0]);
+
+      for (const image of [png, png.toString('base64'), `data:image/png;base64,${png.toString('base64')}`]) {
+        global.fetch.mock.resetCalls();
+        await api.uploadPhoto('3017620422003', image, { field: 'nutrition', languageCode: 'de' });
+        const { data } = global.fetch.mock.calls[0].arguments[1].body;
+        assert.strictEqual(data.imagefield, 'nutrition_de');
+        assert.ok(data.imgupload_nutrition_de instanceof Blob);
+        assert.strictEqual(data.imgupload_nutrition_de.type, 'image/png');
+        assert.deepStrictEqual(Buffer.from(await data.imgupload_nutrition_de.arrayBuffer()), png);
+      }
+    });
+
+    test('should upload images from local files and URLs', async (t) => {
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01]);
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'off-photo-'));
+      const file = path.join(dir, 'front.jpg');
+      await fs.writeFile(file, jpeg);
+      api = new OpenFoodFactsAPI(undefined, { imageDirectory: dir });
+      api.setCredentials('user', 'pass');
+      t.mock.method(dns.promises, 'lookup', async () => [{ address: '151.101.1.140', family: 4 }]);
+      global.fetch = mock.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-length': String(jpeg.length) }),
+        arrayBuffer: async () => jpeg,
+        json: async () => ({ status: 'status ok' }),
+      }));
+
+      try {
+        await api.uploadPhoto('3017620422003', file, { field: 'front', languageCode: 'ast' });
+        await api.uploadPhoto('3017620422003', 'https://images.example.com/back.jpg', { field: 'other' });
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+
+      const [upload, download, otherUpload] = global.fetch.mock.calls.map((call) => call.arguments);
+      assert.strictEqual(upload[1].body.data.imagefield, 'front_ast');
+      assert.strictEqual(upload[1].body.data.imgupload_front_ast.type, 'image/jpeg');
+      assert.strictEqual(download[0], 'https://images.example.com/back.jpg');
+      assert.strictEqual(otherUpload[1].body.data.imagefield, 'other');
+      assert.strictEqual(otherUpload[1].body.data.imgupload_other.type, 'image/jpeg');
+    });
+
+    test('should only read local images inside the image directory', async () => {
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01]);
+      const root = await fs.mkdtemp(path.join(os.tmpdir(), 'off-photo-'));
+      const dir = path.join(root, 'photos');
+      await fs.mkdir(dir);
+      await fs.writeFile(path.join(dir, 'front.jpg'), jpeg);
+      await fs.writeFile(path.join(root, 'secret.jpg'), jpeg);
+      await fs.symlink(path.join(root, 'secret.jpg'), path.join(dir, 'link.jpg'));
+      api = new OpenFoodFactsAPI(undefined, { imageDirectory: dir });
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 'status ok' });
+      const type = { field: 'front', languageCode: 'en' };
+
+      try {
+        await api.uploadPhoto('3017620422003', 'front.jpg', type);
+        await assert.rejects(() => api.uploadPhoto('3017620422003', '../secret.jpg', type), {
+          name: 'ValidationError',
+          message: 'Image path is outside the image directory: ../secret.jpg',
+        });
+        await assert.rejects(() => api.uploadPhoto('3017620422003', path.join(root, 'secret.jpg'), type), {
+          message: /^Image path is outside the image directory/,
+        });
+        await assert.rejects(() => api.uploadPhoto('3017620422003', 'link.jpg', type), {
+          message: /^Image path is outside the image directory/,
+        });
+        await assert.rejects(() => api.uploadPhoto('3017620422003', 'back.jpg', type), { message: 'Image file not found: back.jpg' });
+      } finally {
+        await fs.rm(root, { recursive: true, force: true });
+      }
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should refuse image URLs on private networks unless allowed', async (t) => {
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01]);
+      t.mock.method(dns.promises, 'lookup', async (hostname) => [
+        { address: hostname === 'router.example.com' ? '192.168.1.1' : '151.101.1.140', family: 4 },
+      ]);
+      global.fetch = mock.fn(async (url) => (url === 'https://images.example.com/redirect.jpg' ? {
+        ok: false,
+        status: 302,
+        headers: new Headers({ location: 'http://169.254.169.254/latest/meta-data' }),
+      } : {
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        arrayBuffer: async () => jpeg,
+        json: async () => ({ status: 'status ok' }),
+      }));
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      const type = { field: 'other' };
+
+      for (const url of ['http://127.0.0.1:1880/flows', 'http://[::1]/front.jpg', 'https://router.example.com/front.jpg']) {
+        await assert.rejects(() => api.uploadPhoto('3017620422003', url, type), {
+          name: 'ValidationError',
+          message: /^Image host is on a private network/,
+        });
+      }
+      await assert.rejects(() => api.uploadPhoto('3017620422003', 'https://images.example.com/redirect.jpg', type), {
+        message: 'Image host is on a private network: 169.254.169.254. Allow private image hosts to download from it.',
+      });
+      assert.deepStrictEqual(global.fetch.mock.calls.map((call) => call.arguments[0]), ['https://images.example.com/redirect.jpg']);
+      // Downloads connect to the checked addresses, so a second DNS answer cannot point them elsewhere
+      assert.ok(global.fetch.mock.calls[0].arguments[1].dispatcher);
+
+      api = new OpenFoodFactsAPI(undefined, { allowPrivateImageHosts: true });
+      api.setCredentials('user', 'pass');
+      await api.uploadPhoto('3017620422003', 'http://192.168.1.20/front.jpg', type);
+      assert.strictEqual(global.fetch.mock.calls[1].arguments[0], 'http://192.168.1.20/front.jpg');
+      assert.strictEqual(global.fetch.mock.calls[1].arguments[1].dispatcher, undefined);
+    });
+
+    test('should stop downloading images past the size limit', async (t) => {
+      t.mock.method(dns.promises, 'lookup', async () => [{ address: '151.101.1.140', family: 4 }]);
+      const chunk = new Uint8Array(1024 * 1024);
+      chunk.set([0xFF, 0xD8, 0xFF]);
+      let pulled = 0;
+      let cancelled = false;
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        // Chunked response without Content-Length that never ends
+        headers: new Headers(),
+        body: new ReadableStream({
+          pull(controller) {
+            pulled++;
+            controller.enqueue(chunk);
+          },
+          cancel() {
+            cancelled = true;
+          },
+        }),
+      }));
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+
+      await assert.rejects(() => api.uploadPhoto('3017620422003', 'https://images.example.com/huge.jpg', { field: 'other' }), {
+        name: 'ValidationError',
+        message: 'File size too large. Maximum size is 10MB.',
+      });
+      assert.ok(cancelled);
+      assert.ok(pulled <= 12, `read ${pulled} MB`);
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should reject images that are not JPEG, PNG or WebP and invalid language codes', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 'status ok' });
+      const type = { field: 'front', languageCode: 'en' };
+
+      await assert.rejects(() => api.uploadPhoto('3017620422003', Buffer.from('GIF89a'), type), {
+        name: 'ValidationError',
+        message: 'File content does not match allowed image formats',
+      });
+      await assert.rejects(() => api.uploadPhoto('3017620422003', Buffer.from('GIF89a').toString('base64'), type), {
+        name: 'ValidationError',
+        message: 'File content does not match allowed image formats',
+      });
+      await assert.rejects(() => api.uploadPhoto('3017620422003', 'data:image/png,not-base64', type), {
+        message: 'Image data URIs must be base64 encoded',
+      });
+      await assert.rejects(() => api.uploadPhoto('3017620422003', '/nonexistent/front.jpg', type), {
+        message: 'Local image files are disabled. Set an image directory to upload photos from disk.',
+      });
+      await assert.rejects(() => api.uploadPhoto('3017620422003', Buffer.from([0xFF, 0xD8, 0xFF]), { field: 'front', languageCode: 'en_GB' }), {
+        message: 'Invalid languageCode. Must be a 2 or 3 letter language code such as en or fr.',
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+
     test('should reject HTTP connections when uploading photos', async () => {
       // Create API with mocked HTTP URL (bypass constructor validation for testing)
       api = new OpenFoodFactsAPI();
@@ -509,13 +960,185 @@ describe('OpenFoodFactsAPI', () => {
 
       await assert.rejects(
         async () => {
-          await api.uploadPhoto('123456789', {}, { field: 'front', languageCode: 'en' });
+          await api.uploadPhoto('3017620422003', {}, { field: 'front', languageCode: 'en' });
         },
         { message: 'Cannot send credentials over non-HTTPS connection. HTTPS is required for authenticated requests.' },
       );
     });
   });
 
+  describe('selectImage and unselectImage', () => {
+    test('should require credentials', async () => {
+      api = new OpenFoodFactsAPI();
+
+      await assert.rejects(() => api.selectImage('3017620422003', 1, { field: 'front', languageCode: 'en' }), {
+        name: 'AuthenticationError',
+        message: 'Credentials required for selecting images',
+      });
+      await assert.rejects(() => api.unselectImage('3017620422003', { field: 'front', languageCode: 'en' }), {
+        name: 'AuthenticationError',
+        message: 'Credentials required for unselecting images',
+      });
+    });
+
+    test('should select an image with its crop box, rotation and cleanup options', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status_code: 0, image: { display_url: 'front_fr.12.400.jpg' } });
+
+      await api.selectImage('3017620422003', '12', { field: 'front', languageCode: 'fr' }, {
+        crop: { x1: 40, y1: 60, x2: 980, y2: 1420 },
+        angle: 90,
+        whiteMagic: true,
+      });
+
+      const [url, init] = global.fetch.mock.calls[0].arguments;
+      assert.strictEqual(url, 'https://world.openfoodfacts.org/cgi/product_image_crop.pl');
+      assert.strictEqual(init.method, 'POST');
+      assert.deepStrictEqual(init.body.data, {
+        code: '3017620422003',
+        user_id: 'user',
+        password: 'pass',
+        imgid: '12',
+        id: 'front_fr',
+        x1: '40',
+        y1: '60',
+        x2: '980',
+        y2: '1420',
+        angle: '90',
+        normalize: 'false',
+        white_magic: 'true',
+        coordinates_image_size: 'full',
+      });
+    });
+
+    test('should unselect an image', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status_code: 0, status: 'status ok', imagefield: 'nutrition_en' });
+
+      const result = await api.unselectImage('3017620422003', { field: 'nutrition', languageCode: 'en' });
+
+      const [url, init] = global.fetch.mock.calls[0].arguments;
+      assert.strictEqual(url, 'https://world.openfoodfacts.org/cgi/product_image_unselect.pl');
+      assert.deepStrictEqual(init.body.data, { code: '3017620422003', user_id: 'user', password: 'pass', id: 'nutrition_en' });
+      assert.strictEqual(result.imagefield, 'nutrition_en');
+    });
+
+    test('should reject invalid image ids, fields and crop settings without sending them', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status_code: 0 });
+      const type = { field: 'front', languageCode: 'en' };
+
+      await assert.rejects(() => api.selectImage('3017620422003', 'front', type), {
+        name: 'ValidationError',
+        message: 'Invalid imgid. Must be the positive integer id of an uploaded image.',
+      });
+      await assert.rejects(() => api.selectImage('3017620422003', 1, { field: 'other' }), {
+        message: 'Invalid field type. Must be front, ingredients, or nutrition.',
+      });
+      await assert.rejects(() => api.selectImage('3017620422003', 1, type, { angle: 45 }), {
+        message: 'Invalid angle: 45. Must be one of 0, 90, 180, 270.',
+      });
+      await assert.rejects(() => api.selectImage('3017620422003', 1, type, { crop: { x1: 100, y1: 0, x2: 50, y2: 80 } }), {
+        message: 'Invalid crop box. x2 and y2 must be greater than x1 and y1.',
+      });
+      await assert.rejects(() => api.unselectImage('3017620422003', { field: 'front' }), {
+        message: 'Type with field and languageCode is required',
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+
+    test('should prefix server failures', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockErrorResponse(403);
+
+      await assert.rejects(() => api.selectImage('3017620422003', 1, { field: 'front', languageCode: 'en' }), {
+        name: 'AuthenticationError',
+        message: 'Failed to select image: HTTP error! status: 403',
+      });
+    });
+  });
+
+  describe('getImage', () => {
+    const product = {
+      code: '3017620422003',
+      lang: 'fr',
+      images: {
+        1: { uploaded_t: 1700000000 },
+        front_fr: { imgid: '1', rev: '4' },
+        nutrition_en: { imgid: '2', rev: '8' },
+      },
+    };
+
+    test('should download the selected image in the requested size', async () => {
+      api = new OpenFoodFactsAPI();
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01]);
+      global.fetch = mock.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': 'image/jpeg' }),
+        json: async () => ({ status: 1, product }),
+        arrayBuffer: async () => jpeg,
+      }));
+
+      const image = await api.getImage('3017620422003', { field: 'nutrition', lang: 'en', size: 200 });
+
+      const [lookup, download] = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert.strictEqual(lookup, 'https://world.openfoodfacts.org/api/v2/product/3017620422003?fields=code%2Clang%2Cimages');
+      assert.strictEqual(download, 'https://images.openfoodfacts.org/images/products/301/762/042/2003/nutrition_en.8.200.jpg');
+      assert.deepStrictEqual(image, {
+        data: jpeg,
+        contentType: 'image/jpeg',
+        url: download,
+        field: 'nutrition',
+        lang: 'en',
+        size: '200',
+        imgid: '2',
+        rev: '8',
+      });
+    });
+
+    test('should fall back to the main language and reuse the cached image list', async () => {
+      api = new OpenFoodFactsAPI('https://world.openbeautyfacts.org', { cache: true });
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: async () => ({ status: 1, product }),
+        arrayBuffer: async () => new ArrayBuffer(4),
+      }));
+
+      const first = await api.getImage('3017620422003', { lang: 'de' });
+      const second = await api.getImage('3017620422003', { size: 'full' });
+
+      assert.strictEqual(first.url, 'https://images.openbeautyfacts.org/images/products/301/762/042/2003/front_fr.4.400.jpg');
+      assert.strictEqual(first.contentType, 'image/jpeg');
+      assert.strictEqual(second.url, 'https://images.openbeautyfacts.org/images/products/301/762/042/2003/front_fr.4.full.jpg');
+      assert.strictEqual(global.fetch.mock.calls.length, 3);
+    });
+
+    test('should report missing images and invalid selections', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ status: 1, product });
+
+      await assert.rejects(() => api.getImage('3017620422003', { field: 'ingredients' }), {
+        name: 'NotFoundError',
+        message: 'No ingredients image for product 3017620422003',
+      });
+      await assert.rejects(() => api.getImage('3017620422003', { size: 300 }), {
+        name: 'ValidationError',
+        message: 'Invalid image size: 300. Must be one of 100, 200, 400, full.',
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+
+      mockSuccessResponse({ status: 0, status_verbose: 'product not found' });
+      await assert.rejects(() => api.getImage('3017620422003'), { name: 'ProductNotFoundError' });
+    });
+  });
+
   // Test getTaxonomy method
   describe('getTaxonomy', () => {
     test('should fetch taxonomy data', async () => {
@@ -559,6 +1182,21 @@ describe('OpenFoodFactsAPI', () => {
         { message: 'Failed to fetch taxonomy: Network error' },
       );
     });
+
+    test('should refuse taxonomy types that are not plain names', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({});
+
+      for (const type of ['../settings', 'additives.json?x=1', undefined]) {
+        await assert.rejects(() => api.getTaxonomy(type), {
+          name: 'ValidationError',
+          code: 'VALIDATION',
+          retryable: false,
+          message: 'Invalid taxonomy type. Use letters, digits, underscores or hyphens only.',
+        });
+      }
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
   });
 
   // Test convenience taxonomy methods
@@ -660,45 +1298,1043 @@ describe('OpenFoodFactsAPI', () => {
     });
   });
 
-  // Test Input Validation Methods
-  describe('Input Validation', () => {
-    test('should validate barcode format correctly', () => {
-      api = new OpenFoodFactsAPI();
-      
-      // Test valid barcodes
-      assert.doesNotThrow(() => api._validateBarcode('12345678'));
-      assert.doesNotThrow(() => api._validateBarcode('1234567890123'));
-      
-      // Test invalid barcodes - non-string
-      assert.throws(
-        () => api._validateBarcode(123456789),
-        { message: 'Barcode must be a string' }
-      );
-      
-      // Test invalid barcodes - wrong format
-      assert.throws(
-        () => api._validateBarcode('abc123'),
-        { message: 'Invalid barcode format. Must be 8-13 digits.' }
-      );
-      
-      // Test invalid barcodes - too short
-      assert.throws(
-        () => api._validateBarcode('1234567'),
-        { message: 'Invalid barcode format. Must be 8-13 digits.' }
-      );
-      
-      // Test invalid barcodes - too long
-      assert.throws(
-        () => api._validateBarcode('12345678901234'),
-        { message: 'Invalid barcode format. Must be 8-13 digits.' }
+  describe('Robotoff', () => {
+    const insightId = '3cd5aecd-edcc-4237-87d0-6595fc4e53c9';
+
+    test('should use the Robotoff instance matching the server unless configured', () => {
+      assert.strictEqual(new OpenFoodFactsAPI().robotoffUrl, 'https://robotoff.openfoodfacts.org');
+      assert.strictEqual(new OpenFoodFactsAPI('https://world.openfoodfacts.net').robotoffUrl, 'https://robotoff.openfoodfacts.net');
+      assert.strictEqual(
+        new OpenFoodFactsAPI(undefined, { robotoffUrl: 'https://robotoff.example.com/' }).robotoffUrl,
+        'https://robotoff.example.com',
       );
+      assert.throws(() => new OpenFoodFactsAPI(undefined, { robotoffUrl: 'http://robotoff.example.com' }), {
+        name: 'ValidationError',
+        message: 'HTTPS is required for secure API access. Use https:// URLs only.',
+      });
     });
 
-    test('should validate partial barcodes for search', () => {
+    test('should filter random questions', async () => {
+      api = new OpenFoodFactsAPI('https://world.openbeautyfacts.org', { robotoffUrl: 'https://robotoff.example.com' });
+      mockSuccessResponse({ status: 'found', questions: [] });
+
+      await api.getRandomInsight(3, 'fr', { insightTypes: ['label'], country: 'en:france', brands: 'Weleda', valueTag: 'en:organic' });
+
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.origin + url.pathname, 'https://robotoff.example.com/api/v1/questions/random');
+      assert.deepStrictEqual(Object.fromEntries(url.searchParams), {
+        count: '3',
+        lang: 'fr',
+        server_type: 'obf',
+        insight_types: 'label',
+        country: 'en:france',
+        brands: 'Weleda',
+        value_tag: 'en:organic',
+      });
+    });
+
+    test('should fetch the questions of a product', async () => {
       api = new OpenFoodFactsAPI();
-      
-      // Test valid partial barcodes
-      assert.doesNotThrow(() => api._validateBarcode('123', true));
+      const question = { barcode: '3017620422003', insight_id: insightId, insight_type: 'category', question: 'Does the product belong to this category?' };
+      mockSuccessResponse({ status: 'found', questions: [question] });
+
+      const result = await api.getQuestions('03017620422003', { count: 2, lang: 'en' });
+
+      assert.strictEqual(
+        global.fetch.mock.calls[0].arguments[0],
+        'https://robotoff.openfoodfacts.org/api/v1/questions/3017620422003?count=2&lang=en&server_type=off',
+      );
+      assert.deepStrictEqual(result.questions, [question]);
+    });
+
+    test('should list insights with filters', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ status: 'found', count: 1, insights: [{ id: insightId, type: 'category' }] });
+
+      const result = await api.getInsights({ barcode: '3017620422003', insightTypes: 'category', annotated: false, count: 10 });
+
+      assert.strictEqual(
+        global.fetch.mock.calls[0].arguments[0],
+        'https://robotoff.openfoodfacts.org/api/v1/insights?count=10&barcode=3017620422003&annotated=false&server_type=off&insight_types=category',
+      );
+      assert.strictEqual(result.count, 1);
+      await assert.rejects(() => api.getInsights({ country: 'en:france,en:spain' }), {
+        name: 'ValidationError',
+        message: 'Invalid country: en:france,en:spain. Use a country tag such as en:france.',
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should answer questions with the user credentials', async () => {
+      api = new OpenFoodFactsAPI();
+      await assert.rejects(() => api.answerQuestion(insightId, 'yes'), {
+        name: 'AuthenticationError',
+        message: 'Credentials required for answering questions',
+      });
+
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 'updated', description: 'the annotation was saved' });
+      const result = await api.answerQuestion(insightId, 'no');
+
+      const [url, init] = global.fetch.mock.calls[0].arguments;
+      assert.strictEqual(url, 'https://robotoff.openfoodfacts.org/api/v1/insights/annotate');
+      assert.strictEqual(init.method, 'POST');
+      assert.strictEqual(init.headers.Authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+      assert.strictEqual(init.body.toString(), `insight_id=${insightId}&annotation=0&update=1`);
+      assert.strictEqual(result.status, 'updated');
+    });
+
+    test('should report refused annotations', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+
+      mockSuccessResponse({ status: 'error_invalid_insight', description: 'invalid insight ID' });
+      await assert.rejects(() => api.answerQuestion(insightId, 'yes'), {
+        name: 'NotFoundError',
+        message: `Failed to answer question: Insight not found: ${insightId}`,
+      });
+
+      mockSuccessResponse({ status: 'error_already_annotated', description: 'the insight has already been annotated' });
+      await assert.rejects(() => api.answerQuestion(insightId, 'yes'), {
+        name: 'ValidationError',
+        code: 'VALIDATION',
+        message: 'Annotation not saved: the insight has already been annotated',
+      });
+
+      mockErrorResponse(401);
+      await assert.rejects(() => api.answerQuestion(insightId, 'skip'), {
+        name: 'AuthenticationError',
+        message: 'Failed to answer question: HTTP error! status: 401',
+      });
+    });
+  });
+
+  // Test session authentication and app identity
+  describe('sessions', () => {
+    const sessionCookie = 'session=user_session&abc&user_id&user';
+
+    // Answers logins with a session cookie (none for a wrong password) and writes with the given results
+    // ({ httpStatus } answers with that HTTP error instead)
+    function mockSessionServer(...writeResults) {
+      global.fetch.mock.resetCalls();
+      let logins = 0;
+      global.fetch.mock.mockImplementation(async (url, init) => {
+        if (url.endsWith('/cgi/session.pl')) {
+          logins += 1;
+          const valid = init.body.get('password') === 'pass';
+          return {
+            ok: false,
+            status: 302,
+            headers: new Headers([['set-cookie', valid ? `${sessionCookie}${logins}; path=/; Max-Age=3600` : 'session=; path=/']]),
+          };
+        }
+        const result = writeResults.length > 1 ? writeResults.shift() : writeResults[0];
+        if (result.httpStatus) {
+          return { ok: false, status: result.httpStatus, json: async () => ({}) };
+        }
+        return { ok: true, status: 200, json: async () => result };
+      });
+    }
+
+    test('should log in once and send the session cookie with writes', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ status: 1, status_verbose: 'fields saved' });
+
+      await api.addProduct({ code: '3017620422003', brands: 'Ferrero' });
+      await api.addProduct({ code: '3017620422003', quantity: '400 g' });
+
+      const calls = global.fetch.mock.calls.map((call) => call.arguments);
+      assert.deepStrictEqual(calls.map(([url]) => url), [
+        'https://world.openfoodfacts.org/cgi/session.pl',
+        'https://world.openfoodfacts.org/cgi/product_jqm2.pl',
+        'https://world.openfoodfacts.org/cgi/product_jqm2.pl',
+      ]);
+      assert.strictEqual(calls[0][1].redirect, 'manual');
+      assert.strictEqual(calls[0][1].body.toString(), 'user_id=user&password=pass&.submit=Sign-in');
+      assert.strictEqual(calls[1][1].headers.Cookie, `${sessionCookie}1`);
+      assert.strictEqual(calls[2][1].headers.Cookie, `${sessionCookie}1`);
+      assert.strictEqual(calls[1][1].body.data.password, undefined);
+      assert.strictEqual(calls[1][1].body.data.brands, 'Ferrero');
+    });
+
+    test('should share one login between concurrent writes', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ status: 1 });
+
+      await Promise.all([api.addProduct({ code: '3017620422003' }), api.addProduct({ code: '5449000000996' })]);
+
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert.strictEqual(urls.filter((url) => url.endsWith('/cgi/session.pl')).length, 1);
+    });
+
+    test('should not take the session of credentials changed during the login', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ status: 1 });
+
+      const write = api.addProduct({ code: '3017620422003' });
+      api.setCredentials('other', 'pass');
+      await write;
+
+      assert.strictEqual(global.fetch.mock.calls[1].arguments[1].headers.Cookie, `${sessionCookie}1`);
+      assert.strictEqual(api.session, null);
+
+      await api.addProduct({ code: '3017620422003' });
+      const logins = global.fetch.mock.calls.filter((call) => call.arguments[0].endsWith('/cgi/session.pl'));
+      assert.strictEqual(logins.length, 2);
+      assert.strictEqual(logins[1].arguments[1].body.get('user_id'), 'other');
+    });
+
+    test('should not send a login again after a network error', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true, resilience: { initialDelay: 1 } });
+      api.setCredentials('user', 'pass');
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => {
+        throw new TypeError('fetch failed');
+      });
+
+      await assert.rejects(() => api.login(), { name: 'NetworkError', message: 'Failed to log in: fetch failed' });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should report refused credentials', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      await assert.rejects(() => api.login(), { name: 'AuthenticationError', message: 'Credentials required for logging in' });
+
+      api.setCredentials('user', 'wrong');
+      mockSessionServer({ status: 1 });
+      await assert.rejects(() => api.login(), {
+        name: 'AuthenticationError',
+        code: 'AUTH_FAILED',
+        message: 'Failed to log in: Invalid username or password',
+      });
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), {
+        name: 'AuthenticationError',
+        message: 'Failed to add product: Failed to log in: Invalid username or password',
+      });
+      assert.ok(global.fetch.mock.calls.every((call) => call.arguments[0].endsWith('/cgi/session.pl')));
+    });
+
+    test('should log in again when the server turns the session down', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ status: 0, status_verbose: 'not logged in' }, { status: 1, status_verbose: 'fields saved' });
+
+      const result = await api.addProduct({ code: '3017620422003' });
+
+      const calls = global.fetch.mock.calls.map((call) => call.arguments);
+      assert.strictEqual(calls.length, 4);
+      assert.ok(calls[2][0].endsWith('/cgi/session.pl'));
+      assert.strictEqual(calls[3][1].headers.Cookie, `${sessionCookie}2`);
+      assert.strictEqual(result.status_verbose, 'fields saved');
+    });
+
+    test('should only log in again when the session is refused', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ httpStatus: 401 }, { status: 1 }, { httpStatus: 403 }, { status: 1 });
+
+      // A 401 means the session was turned down: the write is sent again after a new login
+      assert.strictEqual((await api.addProduct({ code: '3017620422003' })).status, 1);
+      // A 403 is a refusal the new session would get too, so the write is not sent twice
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), {
+        name: 'AuthenticationError',
+        status: 403,
+        message: 'Failed to add product: HTTP error! status: 403',
+      });
+
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert.deepStrictEqual(urls.map((url) => url.replace('https://world.openfoodfacts.org', '')), [
+        '/cgi/session.pl',
+        '/cgi/product_jqm2.pl',
+        '/cgi/session.pl',
+        '/cgi/product_jqm2.pl',
+        '/cgi/product_jqm2.pl',
+      ]);
+    });
+
+    test('should renew sessions before they expire', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T10:00:00Z') });
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ status: 1 });
+
+      const { expiresAt } = await api.login();
+      assert.strictEqual(expiresAt, '2026-10-19T11:00:00.000Z');
+      t.mock.timers.tick(59.5 * 60 * 1000);
+      await api.addProduct({ code: '3017620422003' });
+
+      const calls = global.fetch.mock.calls.map((call) => call.arguments);
+      assert.strictEqual(calls.filter(([url]) => url.endsWith('/cgi/session.pl')).length, 2);
+      assert.strictEqual(calls[2][1].headers.Cookie, `${sessionCookie}2`);
+    });
+
+    test('should report writes refused with a password', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'wrong');
+      mockSuccessResponse({ status: 0, status_verbose: 'Incorrect user name or password.' });
+
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), {
+        name: 'AuthenticationError',
+        message: 'Failed to add product: Not logged in: Incorrect user name or password.',
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+      assert.strictEqual(global.fetch.mock.calls[0].arguments[1].body.data.password, 'wrong');
+    });
+
+    test('should answer questions with the session cookie', async () => {
+      api = new OpenFoodFactsAPI(undefined, { session: true });
+      api.setCredentials('user', 'pass');
+      mockSessionServer({ status: 'updated' });
+
+      await api.answerQuestion('3cd5aecd-edcc-4237-87d0-6595fc4e53c9', 'yes');
+
+      const [url, init] = global.fetch.mock.calls[1].arguments;
+      assert.strictEqual(url, 'https://robotoff.openfoodfacts.org/api/v1/insights/annotate');
+      assert.strictEqual(init.headers.Cookie, `${sessionCookie}1`);
+      assert.strictEqual(init.headers.Authorization, undefined);
+    });
+
+    test('should send the app identity with writes', async () => {
+      assert.throws(() => new OpenFoodFactsAPI(undefined, { appUuid: 'user-42' }), {
+        name: 'ValidationError',
+        message: 'appUuid requires an appName',
+      });
+      api = new OpenFoodFactsAPI(undefined, { appName: 'MyApp', appUuid: 'user-42' });
+      assert.strictEqual(api.userAgent, 'MyApp');
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 1 });
+
+      await api.addProduct({ code: '3017620422003' });
+      await api.addProduct({ code: '3017620422003' }, { appUuid: 'user-7' });
+
+      const bodies = global.fetch.mock.calls.map((call) => call.arguments[1].body.data);
+      assert.strictEqual(bodies[0].app_name, 'MyApp');
+      assert.strictEqual(bodies[0].app_uuid, 'user-42');
+      assert.strictEqual(bodies[1].app_uuid, 'user-7');
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }, { appUuid: 'user 7' }), /Invalid appUuid/);
+      assert.strictEqual(new OpenFoodFactsAPI(undefined, { appName: 'MyApp', userAgent: 'MyApp/1.0' }).userAgent, 'MyApp/1.0');
+    });
+  });
+
+  // Test response cache
+  describe('response cache', () => {
+    test('should serve repeated product lookups from the cache', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      mockSuccessResponse({ product: { code: '3017620422003', product_name: 'Nutella' } });
+      const lookups = [];
+
+      const first = await api.getProduct('3017620422003', { onCache: (info) => lookups.push(info) });
+      first.product_name = 'Changed by a flow';
+      const second = await api.getProduct('3017620422003', { onCache: (info) => lookups.push(info) });
+
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+      assert.strictEqual(second.product_name, 'Nutella');
+      assert.strictEqual(lookups[0].hit, false);
+      assert.strictEqual(lookups[1].hit, true);
+      assert.strictEqual(lookups[1].ttl, 10 * 60 * 1000);
+    });
+
+    test('should keep different projections apart', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      mockSuccessResponse({ product: { code: '3017620422003' } });
+
+      await api.getProduct('3017620422003', { fields: 'code' });
+      await api.getProduct('3017620422003', { fields: 'code,nutriments' });
+
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+    });
+
+    test('should bypass cached entries when cache is false', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      mockSuccessResponse({ taxonomy: 'data' });
+
+      await api.getTaxonomy('additives');
+      await api.getTaxonomy('additives', { cache: false });
+      await api.getAdditives();
+
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+    });
+
+    test('should cache search results per query', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      mockSuccessResponse({ products: [] });
+
+      await api.searchProducts({ search_terms: 'chocolate' });
+      await api.searchProducts({ search_terms: 'chocolate' });
+      await api.searchProducts({ search_terms: 'tea' });
+
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+    });
+
+    test('should not cache failed requests', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      mockErrorResponse(500);
+
+      await assert.rejects(() => api.getTaxonomy('additives'));
+      await assert.rejects(() => api.getTaxonomy('additives'));
+
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+    });
+
+    test('should flush the cache by operation', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      mockSuccessResponse({ product: { code: '3017620422003' } });
+
+      await api.getProduct('3017620422003');
+      await api.getTaxonomy('additives');
+
+      assert.strictEqual(api.flushCache('product'), 1);
+      assert.strictEqual(api.flushCache(), 1);
+    });
+
+    test('should drop cached copies of a product after adding it', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true });
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 1, product: { code: '3017620422003' } });
+
+      await api.getProduct('3017620422003');
+      await api.addProduct({ code: '3017620422003', brands: 'Ferrero' });
+      await api.getProduct('3017620422003');
+
+      assert.strictEqual(global.fetch.mock.calls.length, 3);
+    });
+
+    test('should not cache without a cache configured', async () => {
+      api = new OpenFoodFactsAPI();
+      mockSuccessResponse({ product: { code: '3017620422003' } });
+      let reported = false;
+
+      await api.getProduct('3017620422003', { onCache: () => { reported = true; } });
+      await api.getProduct('3017620422003');
+
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+      assert.strictEqual(reported, false);
+      assert.strictEqual(api.flushCache(), 0);
+    });
+  });
+
+  // Test the request rate limiter
+  describe('rate limiting', () => {
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    test('should queue requests over the quota without counting cache hits', async () => {
+      mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 0 });
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { cache: true, rateLimit: { search: 1 } });
+      mockSuccessResponse({ products: [] });
+      const waits = [];
+
+      await api.searchProducts({ search_terms: 'chocolate' });
+      await api.searchProducts({ search_terms: 'chocolate' });
+      const queued = api.searchProducts({ search_terms: 'tea' }, { onRateLimit: (info) => waits.push(info) });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+      assert.deepStrictEqual(waits, [{ operation: 'search', waiting: true, delay: 60000, queued: 1 }]);
+
+      mock.timers.tick(60000);
+      await queued;
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+      assert.strictEqual(waits[1].waiting, false);
+    });
+
+    test('should limit each operation class separately', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { rateLimit: { product: 1, write: 1 } });
+      api.setCredentials('user', 'pass');
+      mockSuccessResponse({ status: 1, product: { code: '3017620422003' } });
+
+      await api.getProduct('3017620422003');
+      await api.addProduct({ code: '3017620422003', brands: 'Ferrero' });
+      await api.getTaxonomy('additives');
+
+      assert.strictEqual(global.fetch.mock.calls.length, 3);
+      assert.deepStrictEqual(api.rateLimiter.pending(), { product: 0, search: 0, facets: 0, write: 0 });
+      assert.strictEqual(new OpenFoodFactsAPI().rateLimiter, null);
+    });
+  });
+
+  // Test the retry and circuit breaker policy
+  describe('resilience', () => {
+    // Fails with the given status a number of times, then succeeds
+    function mockFlakyServer(failures, status, data) {
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => {
+        if (failures-- > 0) {
+          return { ok: false, status, headers: new Headers(), json: async () => ({}) };
+        }
+        return { ok: true, status: 200, headers: new Headers(), json: async () => data };
+      });
+    }
+
+    test('should retry reads that fail with a retryable status', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { resilience: { initialDelay: 1 } });
+      mockFlakyServer(2, 502, { product: { code: '3017620422003' } });
+
+      const product = await api.getProduct('3017620422003');
+
+      assert.strictEqual(product.code, '3017620422003');
+      assert.strictEqual(global.fetch.mock.calls.length, 3);
+    });
+
+    test('should surface the final status once retries run out', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { resilience: { initialDelay: 1, maxAttempts: 2 } });
+      mockFlakyServer(5, 503, {});
+
+      await assert.rejects(() => api.getTaxonomy('additives'), { message: 'Failed to fetch taxonomy: HTTP error! status: 503' });
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+    });
+
+    test('should not retry writes after a server error', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { resilience: { initialDelay: 1 } });
+      api.setCredentials('user', 'pass');
+      mockFlakyServer(1, 500, { status: 1 });
+
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), { message: 'Failed to add product: HTTP error! status: 500' });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+
+      mockFlakyServer(1, 429, { status: 1 });
+      assert.deepStrictEqual(await api.addProduct({ code: '3017620422003' }), { status: 1 });
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+    });
+
+    test('should not send annotations twice', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { resilience: { initialDelay: 1 } });
+      api.setCredentials('user', 'pass');
+      mockFlakyServer(1, 502, { status: 'updated' });
+
+      await assert.rejects(() => api.answerQuestion('3cd5aecd-edcc-4237-87d0-6595fc4e53c9', 'yes'), {
+        message: 'Failed to answer question: HTTP error! status: 502',
+        retryable: false,
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => {
+        throw new TypeError('fetch failed');
+      });
+      await assert.rejects(() => api.answerQuestion('3cd5aecd-edcc-4237-87d0-6595fc4e53c9', 'yes'), { name: 'NetworkError', retryable: false });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should fail fast while the circuit breaker is open', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { resilience: { maxAttempts: 1, breakerThreshold: 1 } });
+      mockFlakyServer(1, 500, { products: [] });
+
+      await assert.rejects(() => api.searchProducts({ search_terms: 'tea' }), { message: 'HTTP error! status: 500' });
+      await assert.rejects(() => api.searchProducts({ search_terms: 'tea' }), {
+        message: 'Failed to search products: Circuit breaker open after 1 consecutive failures of search requests',
+      });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+  });
+
+  describe('structured errors', () => {
+    test('should report the code, status, endpoint and retryability of HTTP errors', async () => {
+      api = new OpenFoodFactsAPI();
+      mockErrorResponse(503);
+
+      await assert.rejects(() => api.getProduct('3017620422003'), (error) => {
+        assert.ok(error instanceof OpenFoodFactsError);
+        assert.strictEqual(error.name, 'ServerError');
+        assert.strictEqual(error.code, 'SERVER');
+        assert.strictEqual(error.status, 503);
+        assert.strictEqual(error.endpoint, 'https://world.openfoodfacts.org/api/v2/product/3017620422003');
+        assert.strictEqual(error.retryable, true);
+        return true;
+      });
+    });
+
+    test('should map rate limiting and refused credentials', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => ({
+        ok: false,
+        status: 429,
+        headers: new Headers({ 'Retry-After': '30' }),
+        json: async () => ({}),
+      }));
+
+      await assert.rejects(() => api.searchProducts({ search_terms: 'tea' }), {
+        name: 'RateLimitError',
+        code: 'RATE_LIMITED',
+        retryAfter: 30000,
+        retryable: true,
+        endpoint: 'https://world.openfoodfacts.org/cgi/search.pl',
+      });
+
+      mockErrorResponse(403);
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), {
+        name: 'AuthenticationError',
+        code: 'AUTH_FAILED',
+        status: 403,
+        message: 'Failed to add product: HTTP error! status: 403',
+      });
+    });
+
+    test('should not mark failed writes as retryable', async () => {
+      api = new OpenFoodFactsAPI();
+      api.setCredentials('user', 'pass');
+      mockErrorResponse(500);
+
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), { code: 'SERVER', retryable: false });
+
+      global.fetch.mock.mockImplementation(async () => {
+        throw new TypeError('fetch failed');
+      });
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), { code: 'NETWORK', retryable: false });
+      await assert.rejects(() => api.getTaxonomy('additives'), (error) => {
+        assert.strictEqual(error.name, 'NetworkError');
+        assert.strictEqual(error.retryable, true);
+        assert.strictEqual(error.cause.message, 'fetch failed');
+        return true;
+      });
+    });
+
+    test('should report invalid arguments as validation errors', async () => {
+      api = new OpenFoodFactsAPI();
+      global.fetch.mock.resetCalls();
+
+      await assert.rejects(() => api.getProduct('abc123'), { name: 'ValidationError', code: 'VALIDATION', retryable: false });
+      await assert.rejects(() => api.searchProducts({ query: { colour: 'red' } }), { code: 'VALIDATION' });
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), { name: 'AuthenticationError', code: 'AUTH_FAILED' });
+      assert.throws(() => api.computeNutriScore(null), { code: 'VALIDATION', message: 'Product or nutriments must be an object' });
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+
+    test('should report unreadable responses as server errors', async () => {
+      api = new OpenFoodFactsAPI();
+      global.fetch.mock.mockImplementation(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => {
+          throw new SyntaxError('Unexpected token <');
+        },
+      }));
+
+      await assert.rejects(() => api.getTaxonomy('additives'), {
+        name: 'ServerError',
+        code: 'SERVER',
+        message: 'Failed to fetch taxonomy: Unexpected token <',
+      });
+      mockInvalidResponse();
+      await assert.rejects(() => api.searchProducts({ search_terms: 'tea' }), { name: 'ServerError', message: 'Invalid response format', status: 200 });
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    // Never answers, but rejects like fetch once its signal is aborted
+    function mockHangingServer() {
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+      }));
+    }
+
+    test('should abort requests the server does not answer in time', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { timeout: 20 });
+      mockHangingServer();
+
+      await assert.rejects(() => api.getProduct('3017620422003'), (error) => {
+        assert.ok(error instanceof RequestTimeoutError);
+        assert.ok(error instanceof OpenFoodFactsError);
+        assert.strictEqual(error.message, 'Request timed out after 20 ms');
+        assert.strictEqual(error.timeout, 20);
+        return true;
+      });
+      await assert.rejects(() => api.getTaxonomy('additives', { timeout: 10 }), { name: 'RequestTimeoutError', timeout: 10 });
+    });
+
+    test('should time out responses whose body stalls', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { timeout: 20 });
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async (url, init) => ({
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: () => new Promise((resolve, reject) => {
+          init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+        }),
+      }));
+
+      await assert.rejects(() => api.searchProducts({ search_terms: 'tea' }), {
+        name: 'RequestTimeoutError',
+        message: 'Request timed out after 20 ms',
+      });
+    });
+
+    test('should retry timed out reads but not writes', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { timeout: 10, resilience: { initialDelay: 1, maxAttempts: 2 } });
+      api.setCredentials('user', 'pass');
+      mockHangingServer();
+
+      await assert.rejects(() => api.searchProducts({ search_terms: 'tea' }), { name: 'RequestTimeoutError' });
+      assert.strictEqual(global.fetch.mock.calls.length, 2);
+
+      global.fetch.mock.resetCalls();
+      await assert.rejects(() => api.addProduct({ code: '3017620422003' }), { name: 'RequestTimeoutError' });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should cancel requests with the caller signal without retrying', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { timeout: 0, resilience: { initialDelay: 1 } });
+      mockHangingServer();
+      const controller = new AbortController();
+
+      const request = api.getProduct('3017620422003', { signal: controller.signal });
+      await new Promise((resolve) => setImmediate(resolve));
+      controller.abort(new Error('stopped'));
+
+      await assert.rejects(request, { message: 'stopped' });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+      await assert.rejects(() => api.getProduct('3017620422003', { signal: controller.signal }), { message: 'stopped' });
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should cancel requests waiting for the rate limiter', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { rateLimit: { search: 1 } });
+      mockSuccessResponse({ products: [] });
+      const controller = new AbortController();
+
+      await api.searchProducts({ search_terms: 'tea' });
+      const waiting = api.searchProducts({ search_terms: 'coffee' }, { signal: controller.signal });
+      controller.abort(new Error('stopped'));
+
+      await assert.rejects(waiting, { message: 'stopped' });
+      assert.strictEqual(api.rateLimiter.pending().search, 0);
+      assert.strictEqual(api.rateLimiter.buckets.get('search').timer, null);
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should reject invalid timeouts', () => {
+      assert.throws(() => new OpenFoodFactsAPI(undefined, { timeout: -1 }), { message: 'Timeout must be a non-negative number of milliseconds' });
+    });
+  });
+
+  // Test on-disk taxonomy store
+  describe('taxonomy store', () => {
+    let directory;
+
+    // Responds like the taxonomy endpoint, honouring If-None-Match
+    function mockTaxonomyServer(data, etag) {
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async (url, init) => {
+        if (init.headers['If-None-Match'] === etag) {
+          return { ok: false, status: 304, headers: new Headers(), json: async () => null };
+        }
+        return {
+          ok: true,
+          status: 200,
+          headers: new Headers({ etag, 'last-modified': 'Wed, 01 Oct 2025 10:00:00 GMT' }),
+          json: async () => data,
+        };
+      });
+    }
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'off-api-taxonomies-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should store downloaded taxonomies and serve them from disk', async () => {
+      mockTaxonomyServer({ 'en:milk': {} }, '"v1"');
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory } });
+      const sources = [];
+
+      await api.getTaxonomy('allergens', { onStore: (info) => sources.push(info.source) });
+      const data = await api.getAllergens({ onStore: (info) => sources.push(info.source) });
+
+      assert.deepStrictEqual(data, { 'en:milk': {} });
+      assert.deepStrictEqual(sources, ['network', 'disk']);
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+      assert.ok(await fs.stat(path.join(directory, 'allergens.json')));
+    });
+
+    test('should revalidate stored taxonomies with their validators', async () => {
+      mockTaxonomyServer({ 'en:milk': {} }, '"v1"');
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory, refreshInterval: 0 } });
+      let info;
+
+      await api.getTaxonomy('allergens');
+      const data = await api.getTaxonomy('allergens', { onStore: (details) => { info = details; } });
+
+      const { headers } = global.fetch.mock.calls[1].arguments[1];
+      assert.strictEqual(headers['If-None-Match'], '"v1"');
+      assert.strictEqual(headers['If-Modified-Since'], 'Wed, 01 Oct 2025 10:00:00 GMT');
+      assert.strictEqual(info.source, 'revalidated');
+      assert.deepStrictEqual(data, { 'en:milk': {} });
+    });
+
+    test('should replace stored taxonomies that changed on the server', async () => {
+      mockTaxonomyServer({ 'en:milk': {} }, '"v1"');
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory } });
+      await api.getTaxonomy('allergens');
+
+      mockTaxonomyServer({ 'en:milk': {}, 'en:nuts': {} }, '"v2"');
+      const data = await api.getTaxonomy('allergens', { refresh: true });
+
+      assert.deepStrictEqual(Object.keys(data), ['en:milk', 'en:nuts']);
+      assert.strictEqual((await api.taxonomyStore.read('allergens')).etag, '"v2"');
+    });
+
+    test('should serve stale taxonomies when the server is unreachable', async () => {
+      mockTaxonomyServer({ 'en:milk': {} }, '"v1"');
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory, refreshInterval: 0 } });
+      await api.getTaxonomy('allergens');
+      let info;
+
+      global.fetch.mock.mockImplementation(async () => {
+        throw new TypeError('fetch failed');
+      });
+      const offline = await api.getTaxonomy('allergens', { onStore: (details) => { info = details; } });
+      assert.deepStrictEqual(offline, { 'en:milk': {} });
+      assert.strictEqual(info.stale, true);
+      assert.strictEqual(info.error, 'fetch failed');
+
+      mockErrorResponse(503);
+      const unavailable = await api.getTaxonomy('allergens', { onStore: (details) => { info = details; } });
+      assert.deepStrictEqual(unavailable, { 'en:milk': {} });
+      assert.strictEqual(info.error, 'HTTP error! status: 503');
+    });
+
+    test('should serve downloaded taxonomies when the store cannot be written', async () => {
+      const blocked = path.join(directory, 'blocked');
+      await fs.writeFile(blocked, '');
+      mockTaxonomyServer({ 'en:milk': {} }, '"v1"');
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory: blocked } });
+      let info;
+
+      const data = await api.getTaxonomy('allergens', { onStore: (details) => { info = details; } });
+
+      assert.deepStrictEqual(data, { 'en:milk': {} });
+      assert.strictEqual(info.source, 'network');
+      assert.match(info.storeError, /EEXIST|ENOTDIR/);
+    });
+
+    test('should fail when offline without a stored taxonomy', async () => {
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory } });
+      global.fetch.mock.mockImplementation(async () => {
+        throw new TypeError('fetch failed');
+      });
+
+      await assert.rejects(() => api.getTaxonomy('allergens'), { message: 'Failed to fetch taxonomy: fetch failed' });
+    });
+
+    test('should refresh every stored taxonomy', async () => {
+      mockTaxonomyServer({}, '"v1"');
+      api = new OpenFoodFactsAPI('https://world.openfoodfacts.org', { taxonomyStore: { directory } });
+      await api.getAdditives();
+      await api.getBrands();
+      // Files that do not belong to a taxonomy are left alone
+      await fs.writeFile(path.join(directory, 'not a taxonomy.meta.json'), '{}');
+
+      const results = await api.refreshTaxonomies();
+
+      assert.deepStrictEqual(Object.keys(results).sort(), ['additives', 'brands']);
+      assert.strictEqual(results.additives.source, 'revalidated');
+      assert.strictEqual(global.fetch.mock.calls.length, 4);
+    });
+  });
+
+  // Test Nutri-Score helpers
+  describe('Nutri-Score', () => {
+    test('should fetch the fields needed and compute the Nutri-Score', async () => {
+      mockSuccessResponse({
+        product: {
+          code: '3017620422003',
+          categories_tags: ['en:beverages'],
+          nutriments: { 'energy-kj_100g': 180, 'sugars_100g': 10.6, 'saturated-fat_100g': 0, 'salt_100g': 0, 'proteins_100g': 0 },
+        },
+      });
+
+      const { product, nutriScore } = await api.getNutriScore('3017620422003');
+
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.searchParams.get('fields'), 'code,product_name,nutriments,categories_tags,additives_tags');
+      assert.strictEqual(product.code, '3017620422003');
+      assert.strictEqual(nutriScore.category, 'beverage');
+      assert.strictEqual(nutriScore.grade, 'e');
+    });
+
+    test('should compute the Nutri-Score of raw nutriments with hints', () => {
+      const nutriments = { 'energy-kj_100g': 100, 'sugars_100g': 0, 'saturated-fat_100g': 0, 'salt_100g': 0, 'proteins_100g': 0 };
+
+      assert.strictEqual(api.computeNutriScore(nutriments).grade, 'a');
+      assert.strictEqual(api.computeNutriScore(nutriments, { category: 'beverage' }).grade, 'b');
+    });
+  });
+
+  // Test nutrition aggregation
+  describe('aggregateNutrition', () => {
+    test('should fetch each item and report unknown products', async () => {
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async (url) => {
+        if (url.includes('/3017620422003')) {
+          return { ok: true, status: 200, json: async () => ({ product: { product_name: 'Nutella', nutriments: { 'sugars_100g': 56.3 } } }) };
+        }
+        return { ok: false, status: 404, json: async () => ({ status: 0, status_verbose: 'product not found' }) };
+      });
+
+      const result = await api.aggregateNutrition([
+        { barcode: '3017620422003', grams: 20 },
+        { barcode: '5000112546415', grams: 330 },
+      ], { portions: 2 });
+
+      const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.searchParams.get('fields'), 'code,product_name,nutriments');
+      assert.strictEqual(result.totals.sugars, 11.26);
+      assert.strictEqual(result.perPortion.sugars, 5.63);
+      assert.deepStrictEqual(result.missing, [{ barcode: '5000112546415', grams: 330, reason: 'product not found' }]);
+    });
+
+    test('should fail on errors other than unknown products', async () => {
+      mockErrorResponse(500);
+
+      await assert.rejects(() => api.aggregateNutrition([{ barcode: '3017620422003', grams: 20 }]), /Failed to fetch product/);
+    });
+  });
+
+  // Test paginated search
+  describe('searchAll', () => {
+    // Serves `total` numbered products in pages of the requested size
+    function mockSearchPages(total) {
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async (url) => {
+        const query = new URL(url).searchParams;
+        const page = Number(query.get('page'));
+        const pageSize = Number(query.get('page_size'));
+        const first = (page - 1) * pageSize;
+        const products = Array.from({ length: Math.max(0, Math.min(pageSize, total - first)) }, (_, i) => ({ code: String(first + i) }));
+        return { ok: true, status: 200, json: async () => ({ count: total, page, page_size: pageSize, products }) };
+      });
+    }
+
+    test('should iterate over every product across pages', async () => {
+      mockSearchPages(5);
+      const codes = [];
+
+      for await (const product of api.searchAll({ search_terms: 'cola', pageSize: 2 })) {
+        codes.push(product.code);
+      }
+
+      assert.deepStrictEqual(codes, ['0', '1', '2', '3', '4']);
+      assert.strictEqual(global.fetch.mock.calls.length, 3);
+      assert.deepStrictEqual(global.fetch.mock.calls.map((call) => new URL(call.arguments[0]).searchParams.get('page')), ['1', '2', '3']);
+    });
+
+    test('should stop at maxResults', async () => {
+      mockSearchPages(500);
+      const pages = [];
+
+      for await (const page of api.searchPages({ search_terms: 'cola' }, { maxResults: 150 })) {
+        pages.push(page);
+      }
+
+      assert.deepStrictEqual(pages.map((page) => [page.page, page.products.length, page.count]), [[1, 100, 500], [2, 50, 500]]);
+      assert.strictEqual(new URL(global.fetch.mock.calls[0].arguments[0]).searchParams.get('page_size'), '100');
+    });
+
+    test('should stop when a page comes back empty', async () => {
+      global.fetch.mock.resetCalls();
+      global.fetch.mock.mockImplementation(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => ({ count: 1000, products: [] }),
+      }));
+      const products = [];
+
+      for await (const product of api.searchAll({ search_terms: 'cola', page: 3 })) {
+        products.push(product);
+      }
+
+      assert.deepStrictEqual(products, []);
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should only fetch pages that are consumed', async () => {
+      mockSearchPages(1000);
+
+      for await (const product of api.searchAll({ search_terms: 'cola' })) {
+        if (product.code === '3') break;
+      }
+
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should reject invalid maxResults', async () => {
+      await assert.rejects(async () => {
+        for await (const product of api.searchAll({}, { maxResults: 0 })) {
+          assert.fail(`Unexpected product ${product.code}`);
+        }
+      }, { message: 'maxResults must be a positive integer' });
+    });
+  });
+
+  // Test Input Validation Methods
+  describe('Input Validation', () => {
+    test('should validate barcode format correctly', () => {
+      api = new OpenFoodFactsAPI();
+      
+      // Test valid barcodes
+      assert.doesNotThrow(() => api._validateBarcode('12345670'));
+      assert.doesNotThrow(() => api._validateBarcode('1234567890128'));
+      assert.doesNotThrow(() => api._validateBarcode('13017620422000'));
+      
+      // Test invalid barcodes - non-string
+      assert.throws(
+        () => api._validateBarcode(123456789),
+        { message: 'Barcode must be a string' }
+      );
+      
+      // Test invalid barcodes - wrong format
+      assert.throws(
+        () => api._validateBarcode('abc123'),
+        { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' }
+      );
+      
+      // Test invalid barcodes - too short
+      assert.throws(
+        () => api._validateBarcode('12345'),
+        { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' }
+      );
+
+      // 6 and 7 digit codes are read as UPC-E
+      assert.strictEqual(api._validateBarcode('1234567'), '0123456000070');
+      
+      // Test invalid barcodes - too long
+      assert.throws(
+        () => api._validateBarcode('123456789012345'),
+        { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' }
+      );
+
+      // Test invalid barcodes - wrong check digit
+      assert.throws(
+        () => api._validateBarcode('3017620422004'),
+        { message: 'Invalid barcode check digit. Expected 3.' }
+      );
+    });
+
+    test('should normalize barcodes the way Open Food Facts stores them', () => {
+      api = new OpenFoodFactsAPI();
+
+      assert.strictEqual(api._validateBarcode('03017620422003'), '3017620422003');
+      assert.strictEqual(api._validateBarcode('036000291452'), '0036000291452');
+      assert.strictEqual(api._validateBarcode('0000096385074'), '96385074');
+      assert.strictEqual(api._validateBarcode(' 3017620422003\n'), '3017620422003');
+    });
+
+    test('should validate partial barcodes for search', () => {
+      api = new OpenFoodFactsAPI();
+      
+      // Test valid partial barcodes
+      assert.doesNotThrow(() => api._validateBarcode('123', true));
       assert.doesNotThrow(() => api._validateBarcode('123456', true));
       
       // Test invalid partial barcodes
@@ -940,7 +2576,7 @@ describe('OpenFoodFactsAPI', () => {
       
       const headers = api._createRequestHeaders();
       assert.deepStrictEqual(headers, {
-        'User-Agent': 'node-red-contrib-open-food-facts/0.2.2'
+        'User-Agent': `node-red-contrib-open-food-facts/${require('./package.json').version}`
       });
     });
 
@@ -997,7 +2633,7 @@ describe('OpenFoodFactsAPI', () => {
       
       await assert.rejects(
         async () => await api.getProduct('abc123'),
-        { message: 'Invalid barcode format. Must be 8-13 digits.' }
+        { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' }
       );
     });
 
@@ -1007,7 +2643,7 @@ describe('OpenFoodFactsAPI', () => {
       
       await assert.rejects(
         async () => await api.addProduct({ code: 'invalid' }),
-        { message: 'Invalid barcode format. Must be 8-13 digits.' }
+        { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' }
       );
     });
 
@@ -1018,27 +2654,27 @@ describe('OpenFoodFactsAPI', () => {
       // Test invalid file type
       const invalidFile = { type: 'text/plain', size: 1024 };
       await assert.rejects(
-        async () => await api.uploadPhoto('123456789', invalidFile, { field: 'front', languageCode: 'en' }),
+        async () => await api.uploadPhoto('3017620422003', invalidFile, { field: 'front', languageCode: 'en' }),
         { message: 'Invalid file type. Only JPEG, PNG, and WebP images are allowed.' }
       );
       
       // Test oversized file
       const largeFile = { type: 'image/jpeg', size: 11 * 1024 * 1024 };
       await assert.rejects(
-        async () => await api.uploadPhoto('123456789', largeFile, { field: 'front', languageCode: 'en' }),
+        async () => await api.uploadPhoto('3017620422003', largeFile, { field: 'front', languageCode: 'en' }),
         { message: 'File size too large. Maximum size is 10MB.' }
       );
       
       // Test invalid field type
       const validFile = { type: 'image/jpeg', size: 1024 };
       await assert.rejects(
-        async () => await api.uploadPhoto('123456789', validFile, { field: 'invalid', languageCode: 'en' }),
-        { message: 'Invalid field type. Must be front, ingredients, or nutrition.' }
+        async () => await api.uploadPhoto('3017620422003', validFile, { field: 'invalid', languageCode: 'en' }),
+        { message: 'Invalid field type. Must be front, ingredients, nutrition, or other.' }
       );
       
       // Test missing type parameter
       await assert.rejects(
-        async () => await api.uploadPhoto('123456789', validFile, {}),
+        async () => await api.uploadPhoto('3017620422003', validFile, {}),
         { message: 'Type with field and languageCode is required' }
       );
     });
@@ -1066,5 +2702,14 @@ describe('OpenFoodFactsAPI', () => {
       assert.strictEqual(error.details, 'Test details');
       assert.strictEqual(error.status, 404);
     });
+
+    test('should create a not found error with default status', () => {
+      const error = new ProductNotFoundError('3017620422003');
+
+      assert.strictEqual(error.name, 'ProductNotFoundError');
+      assert.strictEqual(error.message, 'Product not found: 3017620422003');
+      assert.strictEqual(error.statusVerbose, 'product not found');
+      assert.strictEqual(error.status, 404);
+    });
   });
 });
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the barcode helpers
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  computeCheckDigit,
+  isValidCheckDigit,
+  expandUpcE,
+  normalizeBarcode,
+  isRestrictedCirculation,
+  parseBarcode,
+  parsePartialBarcode,
+  barcodePath,
+} = require('./openfoodfacts-barcode');
+
+describe('openfoodfacts-barcode', () => {
+  describe('computeCheckDigit', () => {
+    test('should compute GS1 check digits for all GTIN lengths', () => {
+      assert.strictEqual(computeCheckDigit('9638507'), 4); // EAN-8
+      assert.strictEqual(computeCheckDigit('03600029145'), 2); // UPC-A
+      assert.strictEqual(computeCheckDigit('301762042200'), 3); // EAN-13
+      assert.strictEqual(computeCheckDigit('1301762042200'), 0); // GTIN-14
+    });
+  });
+
+  describe('isValidCheckDigit', () => {
+    test('should accept valid and reject invalid check digits', () => {
+      assert.strictEqual(isValidCheckDigit('96385074'), true);
+      assert.strictEqual(isValidCheckDigit('036000291452'), true);
+      assert.strictEqual(isValidCheckDigit('3017620422003'), true);
+      assert.strictEqual(isValidCheckDigit('3017620422004'), false);
+      assert.strictEqual(isValidCheckDigit('abc'), false);
+    });
+  });
+
+  describe('expandUpcE', () => {
+    test('should expand each UPC-E pattern to UPC-A', () => {
+      assert.strictEqual(expandUpcE('04252614'), '042100005264');
+      assert.strictEqual(expandUpcE('0425261'), '042100005264');
+      assert.strictEqual(expandUpcE('425261'), '042100005264');
+      assert.strictEqual(expandUpcE('01234531'), '012300000451');
+      assert.strictEqual(expandUpcE('01234543'), '012340000053');
+      assert.strictEqual(expandUpcE('01234565'), '012345000065');
+    });
+
+    test('should reject invalid UPC-E codes', () => {
+      assert.throws(() => expandUpcE('04252615'), { message: 'Invalid barcode check digit. Expected 4.' });
+      assert.throws(() => expandUpcE('24252614'), { message: 'Invalid UPC-E number system. Must be 0 or 1.' });
+      assert.throws(() => expandUpcE('12345'), { message: 'Invalid UPC-E code. Must be 6, 7 or 8 digits.' });
+    });
+  });
+
+  describe('normalizeBarcode', () => {
+    test('should normalize leading zeros like Open Food Facts', () => {
+      assert.strictEqual(normalizeBarcode('3017620422003'), '3017620422003');
+      assert.strictEqual(normalizeBarcode('03017620422003'), '3017620422003');
+      assert.strictEqual(normalizeBarcode('036000291452'), '0036000291452');
+      assert.strictEqual(normalizeBarcode('96385074'), '96385074');
+      assert.strictEqual(normalizeBarcode('0000096385074'), '96385074');
+      assert.strictEqual(normalizeBarcode('13017620422000'), '13017620422000');
+    });
+  });
+
+  describe('isRestrictedCirculation', () => {
+    test('should flag in-store prefixes', () => {
+      assert.strictEqual(isRestrictedCirculation('2012345678903'), true);
+      assert.strictEqual(isRestrictedCirculation('212345678909'), true);
+      assert.strictEqual(isRestrictedCirculation('0412345678903'), true);
+      assert.strictEqual(isRestrictedCirculation('21234569'), true);
+      assert.strictEqual(isRestrictedCirculation('01234565'), true);
+      assert.strictEqual(isRestrictedCirculation('3017620422003'), false);
+      assert.strictEqual(isRestrictedCirculation('96385074'), false);
+    });
+  });
+
+  describe('parseBarcode', () => {
+    test('should describe valid barcodes', () => {
+      assert.deepStrictEqual(parseBarcode('03017620422003'), {
+        code: '3017620422003',
+        input: '03017620422003',
+        type: 'GTIN-14',
+        restricted: false,
+      });
+      assert.deepStrictEqual(parseBarcode('2012345678903'), {
+        code: '2012345678903',
+        input: '2012345678903',
+        type: 'EAN-13',
+        restricted: true,
+      });
+    });
+
+    test('should expand UPC-E when asked', () => {
+      assert.deepStrictEqual(parseBarcode('04252614', { upcE: true }), {
+        code: '0042100005264',
+        input: '04252614',
+        type: 'UPC-E',
+        restricted: false,
+      });
+      assert.strictEqual(parseBarcode('96385074').type, 'EAN-8');
+    });
+
+    test('should expand valid UPC-E codes by default', () => {
+      assert.strictEqual(parseBarcode('04252614').code, '0042100005264');
+      assert.strictEqual(parseBarcode('425261').type, 'UPC-E');
+      assert.strictEqual(parseBarcode('0425261').code, '0042100005264');
+      // Valid EAN-8 codes stay EAN-8, unless UPC-E is asked for
+      assert.strictEqual(parseBarcode('01234565').type, 'EAN-8');
+      assert.strictEqual(parseBarcode('01234565', { upcE: true }).type, 'UPC-E');
+      assert.throws(() => parseBarcode('04252614', { upcE: false }), { message: 'Invalid barcode check digit. Expected 0.' });
+      assert.throws(() => parseBarcode('2425261'), { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' });
+    });
+
+    test('should flag RCN-8 codes as restricted', () => {
+      assert.deepStrictEqual(parseBarcode('01234565'), {
+        code: '01234565',
+        input: '01234565',
+        type: 'EAN-8',
+        restricted: true,
+      });
+    });
+
+    test('should reject invalid barcodes', () => {
+      assert.throws(() => parseBarcode(3017620422003), { message: 'Barcode must be a string' });
+      assert.throws(() => parseBarcode('123456789'), { message: 'Invalid barcode format. Must be 8, 12, 13 or 14 digits.' });
+      assert.throws(() => parseBarcode('3017620422000'), { message: 'Invalid barcode check digit. Expected 3.' });
+    });
+  });
+
+  describe('parsePartialBarcode', () => {
+    test('should accept digits only', () => {
+      assert.strictEqual(parsePartialBarcode(' 301762 '), '301762');
+      assert.throws(() => parsePartialBarcode('30a'), { message: 'Invalid barcode format. Must contain only digits.' });
+      assert.throws(() => parsePartialBarcode(''), { message: 'Invalid barcode format. Must contain only digits.' });
+    });
+  });
+
+  describe('barcodePath', () => {
+    test('should split barcodes into image folders', () => {
+      assert.strictEqual(barcodePath('3017620422003'), '301/762/042/2003');
+      assert.strictEqual(barcodePath('12345678'), '000/001/234/5678');
+      assert.strictEqual(barcodePath('03017620422003'), '030/176/204/22003');
+      assert.throws(() => barcodePath('301-762'), { message: 'Invalid barcode format. Must contain only digits.' });
+    });
+  });
+});
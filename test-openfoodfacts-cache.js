@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the response cache
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { ResponseCache, DEFAULT_TTLS } = require('./openfoodfacts-cache');
+
+describe('ResponseCache', () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('should use default TTLs unless overridden', () => {
+    const cache = new ResponseCache({ ttl: { product: 1000 } });
+
+    assert.strictEqual(cache.ttlFor('product'), 1000);
+    assert.strictEqual(cache.ttlFor('taxonomy'), DEFAULT_TTLS.taxonomy);
+    assert.strictEqual(cache.ttlFor('unknown'), 0);
+  });
+
+  test('should store and return entries', () => {
+    const cache = new ResponseCache();
+    cache.set('product:1', { code: '1' }, 1000);
+
+    assert.deepStrictEqual(cache.get('product:1').value, { code: '1' });
+    assert.strictEqual(cache.get('product:2'), undefined);
+    assert.strictEqual(cache.size, 1);
+  });
+
+  test('should not store entries with a zero TTL', () => {
+    const cache = new ResponseCache();
+    cache.set('search:a', {}, 0);
+
+    assert.strictEqual(cache.size, 0);
+  });
+
+  test('should expire entries after their TTL', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    const cache = new ResponseCache();
+    cache.set('product:1', 'value', 1000);
+
+    mock.timers.tick(999);
+    assert.strictEqual(cache.get('product:1').value, 'value');
+
+    mock.timers.tick(1);
+    assert.strictEqual(cache.get('product:1'), undefined);
+    assert.strictEqual(cache.size, 0);
+  });
+
+  test('should evict the least recently used entry', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    cache.set('a', 1, 1000);
+    cache.set('b', 2, 1000);
+    cache.get('a');
+    cache.set('c', 3, 1000);
+
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('a').value, 1);
+    assert.strictEqual(cache.get('c').value, 3);
+  });
+
+  test('should clear all entries or those matching a prefix', () => {
+    const cache = new ResponseCache();
+    cache.set('product:1', 1, 1000);
+    cache.set('product:2', 2, 1000);
+    cache.set('taxonomy:additives', 3, 1000);
+
+    assert.strictEqual(cache.clear('product:'), 2);
+    assert.strictEqual(cache.size, 1);
+    assert.strictEqual(cache.clear(), 1);
+    assert.strictEqual(cache.size, 0);
+  });
+
+  test('should reject invalid sizes', () => {
+    assert.throws(() => new ResponseCache({ maxEntries: 0 }), { name: 'ValidationError', message: 'Cache maxEntries must be a positive integer' });
+  });
+});
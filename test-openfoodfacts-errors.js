@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the API client errors
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  ERROR_CODES,
+  OpenFoodFactsError,
+  NotFoundError,
+  ProductNotFoundError,
+  RateLimitError,
+  AuthenticationError,
+  ValidationError,
+  NetworkError,
+  RequestTimeoutError,
+  ServerError,
+  errorForStatus,
+} = require('./openfoodfacts-errors');
+
+describe('errorForStatus', () => {
+  test('should pick the error class and code of each HTTP status', () => {
+    const cases = [
+      [401, AuthenticationError, 'AUTH_FAILED'],
+      [403, AuthenticationError, 'AUTH_FAILED'],
+      [404, NotFoundError, 'NOT_FOUND'],
+      [429, RateLimitError, 'RATE_LIMITED'],
+      [400, ValidationError, 'VALIDATION'],
+      [422, ValidationError, 'VALIDATION'],
+      [408, ServerError, 'SERVER'],
+      [500, ServerError, 'SERVER'],
+      [503, ServerError, 'SERVER'],
+    ];
+    cases.forEach(([status, ErrorClass, code]) => {
+      const error = errorForStatus(`HTTP error! status: ${status}`, { status, endpoint: 'https://world.openfoodfacts.org/api/v2/search' });
+      assert.ok(error instanceof ErrorClass, `${status} should be a ${ErrorClass.name}`);
+      assert.ok(error instanceof OpenFoodFactsError);
+      assert.strictEqual(error.code, code);
+      assert.strictEqual(error.status, status);
+      assert.strictEqual(error.endpoint, 'https://world.openfoodfacts.org/api/v2/search');
+    });
+  });
+
+  test('should mark transient statuses as retryable unless told otherwise', () => {
+    assert.strictEqual(errorForStatus('x', { status: 503 }).retryable, true);
+    assert.strictEqual(errorForStatus('x', { status: 429 }).retryable, true);
+    assert.strictEqual(errorForStatus('x', { status: 501 }).retryable, false);
+    assert.strictEqual(errorForStatus('x', { status: 404 }).retryable, false);
+    assert.strictEqual(errorForStatus('x', { status: 500, retryable: false }).retryable, false);
+  });
+});
+
+describe('error classes', () => {
+  test('should carry codes and retryability without an HTTP status', () => {
+    const cause = new TypeError('fetch failed');
+    const network = new NetworkError('fetch failed', { endpoint: 'https://world.openfoodfacts.org/cgi/search.pl', cause });
+    assert.strictEqual(network.code, ERROR_CODES.NETWORK);
+    assert.strictEqual(network.retryable, true);
+    assert.strictEqual(network.cause, cause);
+
+    const timeout = new RequestTimeoutError(5000, { retryable: false });
+    assert.strictEqual(timeout.code, ERROR_CODES.TIMEOUT);
+    assert.strictEqual(timeout.message, 'Request timed out after 5000 ms');
+    assert.strictEqual(timeout.retryable, false);
+
+    assert.strictEqual(new ValidationError('Barcode must be a string').retryable, false);
+    assert.strictEqual(new AuthenticationError('Credentials required for adding products').code, ERROR_CODES.AUTH_FAILED);
+    assert.strictEqual(new ServerError('Circuit breaker open').retryable, true);
+    assert.strictEqual(new RateLimitError('Too many requests', { retryAfter: 1000 }).retryAfter, 1000);
+  });
+
+  test('should keep ProductNotFoundError a not found error', () => {
+    const error = new ProductNotFoundError('3017620422003', undefined, 404, { endpoint: 'https://world.openfoodfacts.org/api/v2/product/3017620422003' });
+
+    assert.ok(error instanceof NotFoundError);
+    assert.strictEqual(error.code, ERROR_CODES.NOT_FOUND);
+    assert.strictEqual(error.details, 'product not found');
+    assert.strictEqual(error.retryable, false);
+  });
+
+  test('should describe themselves as plain objects', () => {
+    const error = errorForStatus('HTTP error! status: 502', { status: 502, details: 'API request failed', endpoint: 'https://world.openfoodfacts.org/data/taxonomies/additives.json' });
+
+    assert.deepStrictEqual(error.toJSON(), {
+      name: 'ServerError',
+      code: 'SERVER',
+      message: 'HTTP error! status: 502',
+      status: 502,
+      endpoint: 'https://world.openfoodfacts.org/data/taxonomies/additives.json',
+      retryable: true,
+      details: 'API request failed',
+    });
+    assert.deepStrictEqual(new ValidationError('Invalid API version. Must be v2 or v3.').toJSON(), {
+      name: 'ValidationError',
+      code: 'VALIDATION',
+      message: 'Invalid API version. Must be v2 or v3.',
+      retryable: false,
+      details: 'Invalid request',
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for product images: upload sources, image fields and crop settings
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Agent } = require('undici');
+const {
+  MAX_IMAGE_SIZE, detectImageType, imageSource, isPrivateAddress, pinnedLookup, localImagePath, imageBlob, imageFieldId, cropParams,
+  resolveImage,
+} = require('./openfoodfacts-image');
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+const WEBP = Buffer.from([0x52, 0x49, 0x46, 0x46, 0x24, 0x00, 0x00, 0x00, 0x57, 0x45, 0x42, 0x50]);
+
+describe('Product images', () => {
+  test('should detect JPEG, PNG and WebP images from their magic bytes', () => {
+    assert.strictEqual(detectImageType(JPEG), 'image/jpeg');
+    assert.strictEqual(detectImageType(PNG), 'image/png');
+    assert.strictEqual(detectImageType(WEBP), 'image/webp');
+    // A RIFF container that is not WebP, a GIF and too few bytes
+    assert.strictEqual(detectImageType(Buffer.from('RIFF\u0000\u0000\u0000\u0000AVI ')), null);
+    assert.strictEqual(detectImageType(Buffer.from('GIF89a')), null);
+    assert.strictEqual(detectImageType(Buffer.from([0xFF, 0xD8])), null);
+  });
+
+  test('should tell data URIs, base64, URLs and file paths apart', () => {
+    assert.deepStrictEqual(imageSource(`data:image/png;base64,${PNG.toString('base64')}`), { data: PNG });
+    assert.deepStrictEqual(imageSource(` ${JPEG.toString('base64')}\n`), { data: JPEG });
+    assert.deepStrictEqual(imageSource('https://images.example.com/front.jpg'), { url: 'https://images.example.com/front.jpg' });
+    assert.deepStrictEqual(imageSource('file:///data/photos/front.jpg'), { path: '/data/photos/front.jpg' });
+    assert.deepStrictEqual(imageSource('/data/photos/front.jpg'), { path: '/data/photos/front.jpg' });
+    // Valid base64 that does not decode to an image is a path
+    assert.deepStrictEqual(imageSource('/data/photos/front'), { path: '/data/photos/front' });
+    assert.deepStrictEqual(imageSource('photos/front.webp'), { path: 'photos/front.webp' });
+    // Images that cannot be uploaded are still content, so imageBlob refuses them as such
+    const gif = Buffer.from('GIF89a\u0001\u0000\u0001\u0000');
+    assert.deepStrictEqual(imageSource(gif.toString('base64')), { data: gif });
+    assert.strictEqual(imageSource('A'.repeat(5000)).data.length, 3750);
+  });
+
+  test('should reject unusable strings', () => {
+    assert.throws(() => imageSource('  '), { name: 'ValidationError', message: 'Image file is required' });
+    assert.throws(() => imageSource('data:image/png,raw'), { message: 'Image data URIs must be base64 encoded' });
+    assert.throws(() => imageSource('ftp://example.com/front.jpg'), { message: 'Image URLs must use http, https or file' });
+  });
+
+  test('should tell private network addresses apart', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.20', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach((address) => assert.strictEqual(isPrivateAddress(address), true, address));
+    ['151.101.1.140', '8.8.8.8', '172.32.0.1', '2a04:4e42::396']
+      .forEach((address) => assert.strictEqual(isPrivateAddress(address), false, address));
+    assert.throws(() => isPrivateAddress('localhost'), { message: 'Invalid IP address: localhost' });
+  });
+
+  test('should connect to the checked addresses whatever the host resolves to', async () => {
+    const server = http.createServer((req, res) => res.end(req.headers.host));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const dispatcher = new Agent({ connect: { lookup: pinnedLookup([{ address: '127.0.0.1', family: 4 }]) } });
+
+    try {
+      const response = await fetch(`http://images.invalid:${port}/front.jpg`, { dispatcher });
+      assert.strictEqual(await response.text(), `images.invalid:${port}`);
+    } finally {
+      await dispatcher.close();
+      server.close();
+    }
+  });
+
+  test('should keep local image paths inside the image directory', () => {
+    assert.strictEqual(localImagePath('front.jpg', '/data/photos'), '/data/photos/front.jpg');
+    assert.strictEqual(localImagePath('/data/photos/2026/front.jpg', '/data/photos/'), '/data/photos/2026/front.jpg');
+    assert.throws(() => localImagePath('front.jpg'), { message: 'Local image files are disabled. Set an image directory to upload photos from disk.' });
+    assert.throws(() => localImagePath('../secrets/key.jpg', '/data/photos'), { message: 'Image path is outside the image directory: ../secrets/key.jpg' });
+    assert.throws(() => localImagePath('/data/photos-old/front.jpg', '/data/photos'), /outside the image directory/);
+    assert.throws(() => localImagePath('/etc/passwd', '/data/photos'), /outside the image directory/);
+  });
+
+  test('should wrap image content in a typed Blob', async () => {
+    const { blob, type, extension } = imageBlob(WEBP);
+    assert.strictEqual(type, 'image/webp');
+    assert.strictEqual(extension, 'webp');
+    assert.strictEqual(blob.type, 'image/webp');
+    assert.deepStrictEqual(Buffer.from(await blob.arrayBuffer()), WEBP);
+
+    assert.throws(() => imageBlob(Buffer.from('%PDF-1.7')), { message: 'File content does not match allowed image formats' });
+    assert.throws(() => imageBlob({ length: MAX_IMAGE_SIZE + 1 }), { message: 'File size too large. Maximum size is 10MB.' });
+  });
+
+  test('should build image field ids', () => {
+    assert.strictEqual(imageFieldId({ field: 'ingredients', languageCode: 'ast' }), 'ingredients_ast');
+    assert.strictEqual(imageFieldId({ field: 'other' }), 'other');
+    assert.throws(() => imageFieldId({ field: 'other' }, { selectable: true }), {
+      message: 'Invalid field type. Must be front, ingredients, or nutrition.',
+    });
+    assert.throws(() => imageFieldId({ field: 'front', languageCode: 'EN' }), /Invalid languageCode/);
+  });
+
+  test('should translate crop settings', () => {
+    assert.deepStrictEqual(cropParams(), [
+      ['angle', '0'],
+      ['normalize', 'false'],
+      ['white_magic', 'false'],
+      ['coordinates_image_size', 'full'],
+    ]);
+    assert.deepStrictEqual(cropParams({ crop: { x1: 0, y1: 0, x2: 200, y2: '300' }, angle: '270', normalize: true, coordinatesImageSize: 400 }), [
+      ['x1', '0'],
+      ['y1', '0'],
+      ['x2', '200'],
+      ['y2', '300'],
+      ['angle', '270'],
+      ['normalize', 'true'],
+      ['white_magic', 'false'],
+      ['coordinates_image_size', '400'],
+    ]);
+    assert.throws(() => cropParams({ crop: { x1: 0, y1: 0, x2: 200 } }), /Invalid crop box\. Use \{ x1, y1, x2, y2 \}/);
+    assert.throws(() => cropParams({ normalize: 'yes' }), { message: 'normalize and whiteMagic must be booleans' });
+    assert.throws(() => cropParams({ coordinatesImageSize: 800 }), { message: 'Invalid coordinatesImageSize: 800. Must be full or 400.' });
+  });
+
+  test('should find selected images, falling back to the main language', () => {
+    const product = {
+      lang: 'fr',
+      images: {
+        1: { uploaded_t: 1700000000 },
+        front_de: { imgid: '1', rev: '3' },
+        front_fr: { imgid: 2, rev: 7 },
+        ingredients_it: { imgid: '1', rev: '9' },
+        nutrition_en: { imgid: '1' },
+      },
+    };
+    assert.deepStrictEqual(resolveImage(product, { field: 'front', lang: 'de', size: 'full' }), {
+      key: 'front_de', field: 'front', lang: 'de', imgid: '1', rev: '3', size: 'full', file: 'front_de.3.full.jpg',
+    });
+    assert.strictEqual(resolveImage(product, { field: 'front', lang: 'en' }).file, 'front_fr.7.400.jpg');
+    assert.strictEqual(resolveImage(product, { field: 'ingredients', size: 100 }).file, 'ingredients_it.9.100.jpg');
+    // Selections without a revision were never cropped
+    assert.strictEqual(resolveImage(product, { field: 'nutrition', lang: 'en' }), null);
+    assert.strictEqual(resolveImage({}, { field: 'front' }), null);
+
+    assert.throws(() => resolveImage(product, { field: 'other' }), /Invalid field type/);
+    assert.throws(() => resolveImage(product, { field: 'front', size: 800 }), { message: 'Invalid image size: 800. Must be one of 100, 200, 400, full.' });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the Robotoff moderation queue
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ModerationQueue } = require('./openfoodfacts-moderation');
+
+function question(id) {
+  return {
+    insight_id: id,
+    barcode: '3017620422003',
+    question: 'Does the product belong to this category?',
+    insight_type: 'category',
+    value: 'Spreads',
+    value_tag: 'en:spreads',
+    source_image_url: 'https://images.openfoodfacts.org/images/products/301/762/042/2003/1.400.jpg',
+  };
+}
+
+describe('ModerationQueue', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('should hand out one question per volunteer', () => {
+    const queue = new ModerationQueue();
+    assert.strictEqual(queue.add([question('a'), question('b'), question('a'), { question: 'no id' }]), 2);
+
+    assert.deepStrictEqual(queue.next('alice'), {
+      insightId: 'a',
+      barcode: '3017620422003',
+      question: 'Does the product belong to this category?',
+      insightType: 'category',
+      value: 'Spreads',
+      valueTag: 'en:spreads',
+      imageUrl: 'https://images.openfoodfacts.org/images/products/301/762/042/2003/1.400.jpg',
+    });
+    // Asking again before answering returns the same question
+    assert.strictEqual(queue.next('alice').insightId, 'a');
+    assert.strictEqual(queue.next('bob').insightId, 'b');
+    assert.strictEqual(queue.next('carol'), null);
+    assert.strictEqual(queue.size, 0);
+  });
+
+  test('should record answers and skip answered questions on refill', () => {
+    const queue = new ModerationQueue();
+    queue.add([question('a'), question('b')]);
+    queue.next('alice');
+
+    assert.throws(() => queue.answer('a', 'bob', 'yes'), { message: 'Question a is not assigned to bob. Ask for a new question.' });
+    assert.throws(() => queue.answer('a', 'alice', 'maybe'), { name: 'ValidationError', message: 'Invalid answer: maybe. Must be yes, no or skip.' });
+    assert.strictEqual(queue.answer('a', 'alice', 'Yes').insightId, 'a');
+    assert.throws(() => queue.lease('a', 'alice'), /not assigned to alice/);
+
+    assert.strictEqual(queue.add([question('a'), question('c')]), 1);
+    assert.deepStrictEqual(queue.toJSON().queued.map((entry) => entry.insightId), ['b', 'c']);
+  });
+
+  test('should give expired questions to the next volunteer', () => {
+    const queue = new ModerationQueue({ leaseTime: 1000 });
+    queue.add([question('a'), question('b')]);
+    queue.next('alice');
+
+    mock.timers.tick(1000);
+    assert.strictEqual(queue.next('bob').insightId, 'a');
+    assert.throws(() => queue.answer('a', 'alice', 'no'), /not assigned to alice/);
+    assert.strictEqual(queue.next('alice').insightId, 'b');
+  });
+
+  test('should record an answer sent before its lease expired', () => {
+    const queue = new ModerationQueue({ leaseTime: 1000 });
+    queue.add([question('a'), question('b')]);
+    queue.next('alice');
+    const lease = queue.lease('a', 'alice');
+
+    // The lease runs out while Robotoff saves the answer, and the question is handed out again
+    mock.timers.tick(1500);
+    assert.strictEqual(queue.next('bob').insightId, 'a');
+    assert.throws(() => queue.answer('a', 'alice', 'yes'), /not assigned to alice/);
+    assert.strictEqual(queue.answer('a', 'alice', 'yes', { lease }).insightId, 'a');
+
+    const stats = queue.stats();
+    assert.strictEqual(stats.inProgress, 0);
+    assert.deepStrictEqual(stats.users.alice, {
+      answered: 1, yes: 1, no: 0, skip: 0, perHour: 60, averageSeconds: 1.5,
+      since: '1970-01-01T00:00:00.000Z', lastAnswerAt: '1970-01-01T00:00:01.500Z',
+    });
+    assert.strictEqual(queue.next('bob').insightId, 'b');
+    assert.throws(() => queue.answer('b', 'alice', 'yes', { lease }), /not assigned to alice/);
+  });
+
+  test('should release or discard questions that were not answered', () => {
+    const queue = new ModerationQueue();
+    queue.add([question('a'), question('b'), question('c')]);
+    queue.next('alice');
+    queue.next('bob');
+
+    assert.strictEqual(queue.release('a', 'bob'), false);
+    assert.strictEqual(queue.release('a', 'alice'), true);
+    assert.deepStrictEqual(queue.toJSON().queued.map((entry) => entry.insightId), ['a', 'c']);
+
+    assert.strictEqual(queue.discard('b'), true);
+    assert.strictEqual(queue.discard('b'), false);
+    assert.strictEqual(queue.next('bob').insightId, 'a');
+    assert.strictEqual(queue.add([question('b')]), 0);
+    assert.strictEqual(queue.stats().answered, 0);
+  });
+
+  test('should report throughput per volunteer', () => {
+    const queue = new ModerationQueue();
+    queue.add(['a', 'b', 'c'].map(question));
+
+    queue.next('alice');
+    mock.timers.tick(20 * 1000);
+    queue.answer('a', 'alice', 'yes');
+    queue.next('alice');
+    mock.timers.tick(40 * 1000);
+    queue.answer('b', 'alice', -1);
+    queue.next('bob');
+    mock.timers.tick(60 * 1000);
+    queue.answer('c', 'bob', 'no');
+
+    assert.deepStrictEqual(queue.stats(), {
+      queued: 0,
+      inProgress: 0,
+      answered: 3,
+      users: {
+        alice: {
+          answered: 2, yes: 1, no: 0, skip: 1, perHour: 120, averageSeconds: 30,
+          since: '1970-01-01T00:00:00.000Z', lastAnswerAt: '1970-01-01T00:01:00.000Z',
+        },
+        bob: {
+          answered: 1, yes: 0, no: 1, skip: 0, perHour: 60, averageSeconds: 60,
+          since: '1970-01-01T00:01:00.000Z', lastAnswerAt: '1970-01-01T00:02:00.000Z',
+        },
+      },
+    });
+    assert.deepStrictEqual(Object.keys(queue.stats('carol').users), ['carol']);
+  });
+
+  test('should resume from its saved state', () => {
+    const queue = new ModerationQueue();
+    queue.add([question('a'), question('b')]);
+    queue.next('alice');
+
+    const resumed = new ModerationQueue({ state: JSON.parse(JSON.stringify(queue)) });
+    assert.strictEqual(resumed.answer('a', 'alice', 'yes').insightId, 'a');
+    assert.strictEqual(resumed.size, 1);
+    assert.strictEqual(queue.stats().inProgress, 1);
+    assert.throws(() => new ModerationQueue({ leaseTime: 0 }), { message: 'Moderation leaseTime must be a positive number of milliseconds' });
+  });
+});
@@ -1,20 +1,26 @@
-const { test, describe, beforeEach, afterEach } = require('node:test');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
 const assert = require('node:assert');
 const helper = require('node-red-node-test-helper');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
 const offNodes = require('./openfoodfacts.js');
+const catchNode = require('@node-red/nodes/core/common/25-catch.js');
+const { hooks } = require('@node-red/util');
 
 helper.init(require.resolve('node-red'));
 
 describe('OpenFoodFacts Node-RED Nodes', function() {
     
-    afterEach(function(done) {
-        helper.unload();
-        helper.stopServer(() => {
-            done();
+    afterEach(function(t, done) {
+        helper.unload().then(() => {
+            helper.stopServer(() => {
+                done();
+            });
         });
     });
     
-    test('should register all node types', function(done) {
+    test('should register all node types', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-get-product", name: "test-get-product" },
             { id: "n2", type: "openfoodfacts-search-products", name: "test-search" },
@@ -62,7 +68,7 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should validate input parameters', function(done) {
+    test('should validate input parameters', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-get-product", wires: [["n2"]] },
             { id: "n2", type: "helper" }
@@ -74,9 +80,9 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('No productId provided'));
+                        assert.ok(call.args[0].includes('No productId provided'));
                         done();
                     });
                     
@@ -94,7 +100,7 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should handle credentials validation', function(done) {
+    test('should handle credentials validation', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-add-product", wires: [["n2"]] },
             { id: "n2", type: "helper" }
@@ -106,9 +112,9 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('Credentials required'));
+                        assert.ok(call.args[0].includes('Credentials required'));
                         done();
                     });
                     
@@ -126,7 +132,7 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should handle search params validation', function(done) {
+    test('should handle search params validation', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-search-products", wires: [["n2"]] },
             { id: "n2", type: "helper" }
@@ -138,9 +144,9 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('No searchParams provided'));
+                        assert.ok(call.args[0].includes('No searchParams provided'));
                         done();
                     });
                     
@@ -158,7 +164,7 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should handle taxonomy validation', function(done) {
+    test('should handle taxonomy validation', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-get-taxonomy", wires: [["n2"]] },
             { id: "n2", type: "helper" }
@@ -170,9 +176,9 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('No taxonomy provided'));
+                        assert.ok(call.args[0].includes('No taxonomy provided'));
                         done();
                     });
                     
@@ -190,7 +196,7 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should handle upload photo validation', function(done) {
+    test('should handle upload photo validation', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-upload-photo", wires: [["n2"]] },
             { id: "n2", type: "helper" }
@@ -202,9 +208,9 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('Credentials required'));
+                        assert.ok(call.args[0].includes('Credentials required'));
                         done();
                     });
                     
@@ -222,7 +228,7 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should handle add-product code validation', function(done) {
+    test('should handle add-product code validation', function(t, done) {
         const flow = [
             { id: "n1", type: "openfoodfacts-add-product", wires: [["n2"]] },
             { id: "n2", type: "helper" }
@@ -234,9 +240,9 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('Credentials required'));
+                        assert.ok(call.args[0].includes('Credentials required'));
                         done();
                     });
                     
@@ -254,23 +260,24 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
         });
     });
 
-    test('should handle upload photo missing parameters', function(done) {
+    test('should handle upload photo missing parameters', function(t, done) {
         const flow = [
-            { id: "n1", type: "openfoodfacts-upload-photo", 
-              credentials: { username: "test", password: "test" },
+            { id: "s1", type: "openfoodfacts-server" },
+            { id: "n1", type: "openfoodfacts-upload-photo", server: "s1",
               wires: [["n2"]] },
             { id: "n2", type: "helper" }
         ];
+        const credentials = { s1: { username: "test", password: "test" } };
         
         helper.startServer(function() {
-            helper.load(offNodes, flow, function() {
+            helper.load(offNodes, flow, credentials, function() {
                 try {
                     const n1 = helper.getNode("n1");
                     let errorReceived = false;
                     
-                    n1.on("call:error", function(msg) {
+                    n1.on("call:error", function(call) {
                         errorReceived = true;
-                        assert.ok(msg[0].includes('Missing required parameters'));
+                        assert.ok(call.args[0].includes('Missing required parameters'));
                         done();
                     });
                     
@@ -289,251 +296,1669 @@ describe('OpenFoodFacts Node-RED Nodes', function() {
     });
 
     // CRITICAL SECURITY TESTS - Verify credential isolation between nodes
-    test('SECURITY: should isolate credentials between concurrent nodes', function(done) {
-        // This test verifies that credentials set in one node don't leak to another node
-        const flow = [
-            { id: "add1", type: "openfoodfacts-add-product", 
-              credentials: { username: "user1", password: "pass1" },
-              wires: [["helper1"]] },
-            { id: "add2", type: "openfoodfacts-add-product", 
-              credentials: { username: "user2", password: "pass2" },
-              wires: [["helper2"]] },
-            { id: "helper1", type: "helper" },
-            { id: "helper2", type: "helper" }
-        ];
-        
-        helper.startServer(function() {
-            helper.load(offNodes, flow, function() {
-                try {
-                    const add1 = helper.getNode("add1");
-                    const add2 = helper.getNode("add2");
-                    
-                    // Each node should have its own isolated client instance
-                    // If the fix is working, credentials from one node won't affect another
-                    assert.ok(add1, 'First add-product node should be loaded');
-                    assert.ok(add2, 'Second add-product node should be loaded');
-                    
-                    // Verify nodes are different instances
-                    assert.notStrictEqual(add1, add2, 'Nodes should be different instances');
-                    
-                    done();
-                } catch (error) {
-                    done(error);
+    describe('credential isolation', function() {
+        const originalFetch = global.fetch;
+        const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+        // Answers logins with a session cookie naming the user, and every other request with a success
+        function mockServer() {
+            global.fetch = mock.fn(async (url, init) => {
+                if (url.endsWith('/cgi/session.pl')) {
+                    return {
+                        ok: false,
+                        status: 302,
+                        headers: new Headers([['set-cookie', `session=user_session&${init.body.get('user_id')}; path=/; Max-Age=3600`]]),
+                    };
                 }
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () => ({ status: 1, product: { code: "3017620422003", product_name: "Nutella" } }),
+                };
+            });
+        }
+
+        // Requests sent so far, with the credentials they carried
+        function sentRequests() {
+            return global.fetch.mock.calls.map(({ arguments: [url, init = {}] }) => {
+                const body = init.body && typeof init.body.get === 'function' ? init.body : null;
+                return {
+                    path: new URL(url).pathname,
+                    url,
+                    code: body && body.get('code'),
+                    userId: body && body.get('user_id'),
+                    password: body && body.get('password'),
+                    cookie: (init.headers || {}).Cookie,
+                    authorization: (init.headers || {}).Authorization,
+                };
+            });
+        }
+
+        // Sends one message to each node and calls back once every helper received its output
+        function sendAll(inputs, helpers, callback) {
+            let pending = helpers.length;
+            helpers.forEach((id) => {
+                helper.getNode(id).on("input", function() {
+                    pending--;
+                    if (pending === 0) {
+                        callback();
+                    }
+                });
+            });
+            inputs.forEach(([id, msg]) => helper.getNode(id).receive(msg));
+        }
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('SECURITY: should isolate credentials between concurrent nodes', function(t, done) {
+            mockServer();
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "s2", type: "openfoodfacts-server", retry: false },
+                { id: "add1", type: "openfoodfacts-add-product", server: "s1", wires: [["helper1"]] },
+                { id: "add2", type: "openfoodfacts-add-product", server: "s2", wires: [["helper2"]] },
+                { id: "helper1", type: "helper" },
+                { id: "helper2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user1", password: "pass1" }, s2: { username: "user2", password: "pass2" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    sendAll([
+                        ["add1", { payload: { code: "3017620422003" } }],
+                        ["add2", { payload: { code: "5449000000996" } }]
+                    ], ["helper1", "helper2"], function() {
+                        try {
+                            const writes = sentRequests();
+                            assert.strictEqual(writes.length, 2);
+                            const byCode = Object.fromEntries(writes.map((write) => [write.code, write]));
+                            assert.strictEqual(byCode["3017620422003"].userId, "user1");
+                            assert.strictEqual(byCode["3017620422003"].password, "pass1");
+                            assert.strictEqual(byCode["5449000000996"].userId, "user2");
+                            assert.strictEqual(byCode["5449000000996"].password, "pass2");
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                });
+            });
+        });
+
+        test('SECURITY: authenticated and non-authenticated nodes should not share client state', function(t, done) {
+            mockServer();
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "auth1", type: "openfoodfacts-add-product", server: "s1", wires: [["h1"]] },
+                { id: "noauth1", type: "openfoodfacts-upload-photo", wires: [["h2"]] },
+                { id: "h1", type: "helper" },
+                { id: "h2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "authuser", password: "authpass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const noAuth = helper.getNode("noauth1");
+                    noAuth.on("call:error", function(call) {
+                        try {
+                            assert.ok(call.args[0].includes('Credentials required'));
+                            // Only the authenticated node's write went out
+                            assert.deepStrictEqual(sentRequests().map((request) => request.userId), ["authuser"]);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    sendAll([["auth1", { payload: { code: "3017620422003" } }]], ["h1"], function() {
+                        noAuth.receive({ payload: { barcode: "3017620422003", image: png, type: { field: "front", languageCode: "en" } } });
+                    });
+                });
+            });
+        });
+
+        test('SECURITY: multiple instances of same node type should have isolated clients', function(t, done) {
+            mockServer();
+            // Nodes without a server each get their own client, so per-node credentials of older flows stay on their node
+            const flow = [
+                { id: "add1", type: "openfoodfacts-add-product", wires: [["h1"]] },
+                { id: "add2", type: "openfoodfacts-add-product", wires: [["h2"]] },
+                { id: "h1", type: "helper" },
+                { id: "h2", type: "helper" }
+            ];
+            const credentials = { add1: { username: "legacy", password: "legacypass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const add2 = helper.getNode("add2");
+                    add2.on("call:error", function(call) {
+                        try {
+                            assert.ok(call.args[0].includes('Credentials required'));
+                            assert.deepStrictEqual(sentRequests().map((request) => request.userId), ["legacy"]);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    sendAll([["add1", { payload: { code: "3017620422003" } }]], ["h1"], function() {
+                        add2.receive({ payload: { code: "3017620422003" } });
+                    });
+                });
+            });
+        });
+
+        test('SECURITY: credential nodes should not affect non-credential nodes', function(t, done) {
+            mockServer();
+            // Reads share the server of a write node but never carry its credentials
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", session: true, retry: false, cache: false },
+                { id: "cred1", type: "openfoodfacts-add-product", server: "s1", wires: [["h1"]] },
+                { id: "nocred1", type: "openfoodfacts-get-product", server: "s1", wires: [["h2"], []] },
+                { id: "nocred2", type: "openfoodfacts-get-product", wires: [["h3"], []] },
+                { id: "h1", type: "helper" },
+                { id: "h2", type: "helper" },
+                { id: "h3", type: "helper" }
+            ];
+            const credentials = { s1: { username: "testuser", password: "testpass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    sendAll([["cred1", { payload: { code: "3017620422003" } }]], ["h1"], function() {
+                        sendAll([
+                            ["nocred1", { payload: { productId: "3017620422003" } }],
+                            ["nocred2", { payload: { productId: "3017620422003" } }]
+                        ], ["h2", "h3"], function() {
+                            try {
+                                const reads = sentRequests().filter((request) => request.path.startsWith('/api/'));
+                                assert.strictEqual(reads.length, 2);
+                                reads.forEach((read) => {
+                                    assert.strictEqual(read.cookie, undefined);
+                                    assert.strictEqual(read.authorization, undefined);
+                                    assert.ok(!read.url.includes('testuser') && !read.url.includes('testpass'));
+                                });
+                                done();
+                            } catch (error) {
+                                done(error);
+                            }
+                        });
+                    });
+                });
+            });
+        });
+
+        test('SECURITY: multi-tenant simulation - different flows with different credentials', function(t, done) {
+            mockServer();
+            const flow = [
+                // Tenant 1 flow
+                { id: "t1_server", type: "openfoodfacts-server", session: true, retry: false },
+                { id: "t1_add", type: "openfoodfacts-add-product", server: "t1_server", wires: [["t1_h1"]] },
+                { id: "t1_upload", type: "openfoodfacts-upload-photo", server: "t1_server", wires: [["t1_h2"]] },
+                { id: "t1_h1", type: "helper" },
+                { id: "t1_h2", type: "helper" },
+
+                // Tenant 2 flow
+                { id: "t2_server", type: "openfoodfacts-server", session: true, retry: false },
+                { id: "t2_add", type: "openfoodfacts-add-product", server: "t2_server", wires: [["t2_h1"]] },
+                { id: "t2_upload", type: "openfoodfacts-upload-photo", server: "t2_server", wires: [["t2_h2"]] },
+                { id: "t2_h1", type: "helper" },
+                { id: "t2_h2", type: "helper" }
+            ];
+            const credentials = {
+                t1_server: { username: "tenant1", password: "tenant1pass" },
+                t2_server: { username: "tenant2", password: "tenant2pass" }
+            };
+            const type = { field: "front", languageCode: "en" };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    sendAll([
+                        ["t1_add", { payload: { code: "3017620422003" } }],
+                        ["t1_upload", { payload: { barcode: "3017620422003", image: png, type } }],
+                        ["t2_add", { payload: { code: "5449000000996" } }],
+                        ["t2_upload", { payload: { barcode: "5449000000996", image: png, type } }]
+                    ], ["t1_h1", "t1_h2", "t2_h1", "t2_h2"], function() {
+                        try {
+                            const requests = sentRequests();
+                            const logins = requests.filter((request) => request.path === '/cgi/session.pl');
+                            assert.deepStrictEqual(logins.map((login) => login.userId).sort(), ["tenant1", "tenant2"]);
+                            const writes = requests.filter((request) => request.path !== '/cgi/session.pl');
+                            assert.strictEqual(writes.length, 4);
+                            writes.forEach((write) => {
+                                const tenant = write.code === "3017620422003" ? "tenant1" : "tenant2";
+                                assert.strictEqual(write.cookie, `session=user_session&${tenant}`);
+                                assert.strictEqual(write.userId, null);
+                                assert.strictEqual(write.password, null);
+                            });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                });
             });
         });
     });
 
-    test('SECURITY: authenticated and non-authenticated nodes should not share client state', function(done) {
-        // Mix authenticated and non-authenticated nodes to ensure they don't share state
-        const flow = [
-            { id: "auth1", type: "openfoodfacts-add-product", 
-              credentials: { username: "authuser", password: "authpass" },
-              wires: [["h1"]] },
-            { id: "noauth1", type: "openfoodfacts-get-product", 
-              productId: "3017620422003",
-              wires: [["h2"]] },
-            { id: "auth2", type: "openfoodfacts-upload-photo", 
-              credentials: { username: "photouser", password: "photopass" },
-              wires: [["h3"]] },
-            { id: "noauth2", type: "openfoodfacts-get-brands", 
-              wires: [["h4"]] },
-            { id: "h1", type: "helper" },
-            { id: "h2", type: "helper" },
-            { id: "h3", type: "helper" },
-            { id: "h4", type: "helper" }
-        ];
-        
-        helper.startServer(function() {
-            helper.load(offNodes, flow, function() {
-                try {
-                    const authNode1 = helper.getNode("auth1");
-                    const noAuthNode1 = helper.getNode("noauth1");
-                    const authNode2 = helper.getNode("auth2");
-                    const noAuthNode2 = helper.getNode("noauth2");
-                    
-                    // All nodes should exist and be independent
-                    assert.ok(authNode1, 'First authenticated node should exist');
-                    assert.ok(noAuthNode1, 'First non-authenticated node should exist');
-                    assert.ok(authNode2, 'Second authenticated node should exist');
-                    assert.ok(noAuthNode2, 'Second non-authenticated node should exist');
-                    
-                    // Each node should be a unique instance
-                    const allNodes = [authNode1, noAuthNode1, authNode2, noAuthNode2];
-                    for (let i = 0; i < allNodes.length; i++) {
-                        for (let j = i + 1; j < allNodes.length; j++) {
-                            assert.notStrictEqual(allNodes[i], allNodes[j], 
-                                `Node ${i} and node ${j} should be different instances`);
+    describe('server config node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should build the base URL from flavor, country and environment', function(t, done) {
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", flavor: "openbeautyfacts", country: "fr", environment: "staging", userAgent: "TestApp/1.0" },
+                { id: "n1", type: "openfoodfacts-get-product", server: "s1", wires: [[]] }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    try {
+                        const s1 = helper.getNode("s1");
+                        assert.strictEqual(s1.client.baseUrl, 'https://fr.openbeautyfacts.net');
+                        assert.strictEqual(s1.client.userAgent, 'TestApp/1.0');
+                        done();
+                    } catch (error) {
+                        done(error);
+                    }
+                });
+            });
+        });
+
+        test('should prefer an explicit base URL', function(t, done) {
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", baseUrl: "https://world.openfoodfacts.net", country: "fr" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    try {
+                        assert.strictEqual(helper.getNode("s1").client.baseUrl, 'https://world.openfoodfacts.net');
+                        done();
+                    } catch (error) {
+                        done(error);
+                    }
+                });
+            });
+        });
+
+        test('should send requests to the configured server', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ product: { code: '3017620422003' } }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", country: "fr" },
+                { id: "n1", type: "openfoodfacts-get-product", server: "s1", productId: "3017620422003", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n2 = helper.getNode("n2");
+                    n2.on("input", function() {
+                        try {
+                            const url = global.fetch.mock.calls[0].arguments[0];
+                            assert.ok(url.startsWith('https://fr.openfoodfacts.org/'));
+                            done();
+                        } catch (error) {
+                            done(error);
                         }
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                });
+            });
+        });
+
+        test('should configure the retry policy of the client', function(t, done) {
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retryAttempts: "4", retryStatuses: "502, 503", breakerThreshold: "0", breakerHalfOpenAfter: "10" },
+                { id: "s2", type: "openfoodfacts-server", retry: false }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    try {
+                        const options = helper.getNode("s1").client.resilience.options;
+                        assert.strictEqual(options.maxAttempts, 4);
+                        assert.deepStrictEqual(options.retryableStatuses, [502, 503]);
+                        assert.strictEqual(options.breakerThreshold, 0);
+                        assert.strictEqual(options.breakerHalfOpenAfter, 10000);
+                        assert.strictEqual(helper.getNode("s2").client.resilience, null);
+                        done();
+                    } catch (error) {
+                        done(error);
                     }
-                    
-                    done();
-                } catch (error) {
-                    done(error);
-                }
+                });
+            });
+        });
+
+        test('should share the rate limiter and show waiting nodes in their status', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ count: 0, products: [] }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", cache: false, rateLimitSearch: 1 },
+                { id: "n1", type: "openfoodfacts-search-products", server: "s1", searchParams: '{"search_terms":"tea"}', wires: [[]] },
+                { id: "n2", type: "openfoodfacts-search-products", server: "s1", searchParams: '{"search_terms":"tea"}', wires: [[]] }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n2 = helper.getNode("n2");
+                    const bucket = helper.getNode("s1").client.rateLimiter.buckets.get('search');
+                    n2.on("call:status", function(call) {
+                        // The request shows as in flight before it reaches the rate limiter
+                        if (call.args[0].fill === 'blue') {
+                            return;
+                        }
+                        try {
+                            assert.deepStrictEqual(call.args[0], { fill: 'yellow', shape: 'ring', text: 'rate limited: 1 search request(s) waiting' });
+                            assert.strictEqual(global.fetch.mock.calls.length, 1);
+                            assert.strictEqual(bucket.pending, 1);
+                            // The queued search would wait a minute; drop it instead
+                            clearTimeout(bucket.timer);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                    setTimeout(() => n2.receive({ payload: {} }), 50);
+                });
+            });
+        });
+
+        test('should apply timeouts and abort in-flight requests when the flow stops', function(t, done) {
+            global.fetch = mock.fn((url, init) => new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(init.signal.reason));
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", timeout: "5", retry: false },
+                { id: "n1", type: "openfoodfacts-get-product", server: "s1", timeout: "2", productId: "3017620422003", wires: [[]] },
+                { id: "n2", type: "openfoodfacts-get-product", server: "s1", productId: "3017620422003", wires: [[]] }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    const n2 = helper.getNode("n2");
+                    n2.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0].message, 'Request timed out after 10 ms');
+                            assert.strictEqual(helper.getNode("s1").client.timeout, 5000);
+                            assert.strictEqual(n1.requestTimeout, 2000);
+                            assert.strictEqual(n2.requestTimeout, undefined);
+
+                            n1.receive({ payload: {} });
+                            setTimeout(() => {
+                                const signal = global.fetch.mock.calls[1].arguments[1].signal;
+                                n1.on("call:error", function() {
+                                    done(new Error('Requests aborted on close should not be reported'));
+                                });
+                                helper.unload().then(() => {
+                                    assert.strictEqual(signal.aborted, true);
+                                    assert.strictEqual(signal.reason.message, 'Request cancelled: node closed');
+                                    setTimeout(done, 20);
+                                });
+                            }, 20);
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n2.receive({ payload: {}, timeout: 10 });
+                });
+            });
+        });
+
+        test('should share server credentials with write nodes', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 1 }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server" },
+                { id: "n1", type: "openfoodfacts-add-product", server: "s1", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "shared-user", password: "shared-pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const n2 = helper.getNode("n2");
+                    n2.on("input", function() {
+                        try {
+                            const body = global.fetch.mock.calls[0].arguments[1].body;
+                            assert.strictEqual(body.get('user_id'), 'shared-user');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: { code: "3017620422003" } });
+                });
+            });
+        });
+
+        test('should log in once and send the app identity when the server uses sessions', function(t, done) {
+            global.fetch = mock.fn(async (url) => (url.endsWith('/cgi/session.pl') ? {
+                ok: false,
+                status: 302,
+                headers: new Headers([['set-cookie', 'session=user_session&abc; path=/; Max-Age=3600']]),
+            } : {
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 1 }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", session: true, appName: "ScanApp", appUuid: "device-1" },
+                { id: "n1", type: "openfoodfacts-add-product", server: "s1", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "shared-user", password: "shared-pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const n1 = helper.getNode("n1");
+                    let received = 0;
+                    helper.getNode("n2").on("input", function() {
+                        try {
+                            received++;
+                            if (received < 2) {
+                                n1.receive({ payload: { code: "3017620422003" }, appUuid: "device-2" });
+                                return;
+                            }
+                            const calls = global.fetch.mock.calls.map((call) => call.arguments);
+                            assert.deepStrictEqual(calls.map(([url]) => new URL(url).pathname), ['/cgi/session.pl', '/cgi/product_jqm2.pl', '/cgi/product_jqm2.pl']);
+                            assert.strictEqual(calls[1][1].headers.Cookie, 'session=user_session&abc');
+                            assert.strictEqual(calls[1][1].headers['User-Agent'], 'ScanApp');
+                            assert.strictEqual(calls[1][1].body.get('password'), null);
+                            assert.strictEqual(calls[1][1].body.get('app_name'), 'ScanApp');
+                            assert.strictEqual(calls[1][1].body.get('app_uuid'), 'device-1');
+                            assert.strictEqual(calls[2][1].body.get('app_uuid'), 'device-2');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: { code: "3017620422003" } });
+                });
+            });
+        });
+
+        test('should report an invalid server configuration', function(t, done) {
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", baseUrl: "http://insecure.openfoodfacts.org" },
+                { id: "n1", type: "openfoodfacts-get-brands", server: "s1", wires: [[]] }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    n1.on("call:error", function(call) {
+                        try {
+                            assert.ok(call.args[0].includes('server configuration is missing or invalid'));
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                });
             });
         });
     });
 
-    test('SECURITY: multiple instances of same node type should have isolated clients', function(done) {
-        // Create multiple instances of the same node type to ensure each has its own client
-        const flow = [
-            { id: "get1", type: "openfoodfacts-get-product", productId: "1111", wires: [["h1"]] },
-            { id: "get2", type: "openfoodfacts-get-product", productId: "2222", wires: [["h2"]] },
-            { id: "get3", type: "openfoodfacts-get-product", productId: "3333", wires: [["h3"]] },
-            { id: "search1", type: "openfoodfacts-search-products", searchParams: '{"search_terms":"test1"}', wires: [["h4"]] },
-            { id: "search2", type: "openfoodfacts-search-products", searchParams: '{"search_terms":"test2"}', wires: [["h5"]] },
-            { id: "h1", type: "helper" },
-            { id: "h2", type: "helper" },
-            { id: "h3", type: "helper" },
-            { id: "h4", type: "helper" },
-            { id: "h5", type: "helper" }
-        ];
-        
-        helper.startServer(function() {
-            helper.load(offNodes, flow, function() {
-                try {
-                    const get1 = helper.getNode("get1");
-                    const get2 = helper.getNode("get2");
-                    const get3 = helper.getNode("get3");
-                    const search1 = helper.getNode("search1");
-                    const search2 = helper.getNode("search2");
-                    
-                    // All nodes should exist
-                    assert.ok(get1, 'First get-product node should exist');
-                    assert.ok(get2, 'Second get-product node should exist');
-                    assert.ok(get3, 'Third get-product node should exist');
-                    assert.ok(search1, 'First search node should exist');
-                    assert.ok(search2, 'Second search node should exist');
-                    
-                    // Each node should be independent
-                    assert.notStrictEqual(get1, get2, 'Get nodes 1 and 2 should be different');
-                    assert.notStrictEqual(get2, get3, 'Get nodes 2 and 3 should be different');
-                    assert.notStrictEqual(get1, get3, 'Get nodes 1 and 3 should be different');
-                    assert.notStrictEqual(search1, search2, 'Search nodes should be different');
-                    
-                    done();
-                } catch (error) {
-                    done(error);
-                }
+    describe('taxonomy nodes', function() {
+        const originalFetch = global.fetch;
+        let userDir;
+
+        beforeEach(async function() {
+            userDir = await fs.mkdtemp(path.join(os.tmpdir(), 'off-node-red-'));
+            helper.settings({ userDir });
+        });
+
+        afterEach(async function() {
+            global.fetch = originalFetch;
+            helper.settings({ userDir: undefined });
+            await fs.rm(userDir, { recursive: true, force: true });
+        });
+
+        test('should keep taxonomies in the user directory', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                headers: new Headers({ etag: '"v1"' }),
+                json: async () => ({ 'en:e330': {} }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", cache: false, taxonomyStore: true, taxonomyRefresh: "24" },
+                { id: "n1", type: "openfoodfacts-get-additives", server: "s1", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    let received = 0;
+                    helper.getNode("n2").on("input", async function(msg) {
+                        try {
+                            received++;
+                            if (received === 1) {
+                                assert.strictEqual(msg.taxonomyInfo.source, 'network');
+                                const stored = path.join(userDir, 'openfoodfacts', 'taxonomies', 'world.openfoodfacts.org', 'additives.json');
+                                assert.deepStrictEqual(JSON.parse(await fs.readFile(stored, 'utf8')), { 'en:e330': {} });
+                                n1.receive({ payload: {} });
+                            } else {
+                                assert.strictEqual(msg.taxonomyInfo.source, 'disk');
+                                assert.strictEqual(global.fetch.mock.calls.length, 1);
+                                done();
+                            }
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                });
             });
         });
     });
 
-    test('SECURITY: credential nodes should not affect non-credential nodes', function(done) {
-        // Test that setting credentials in one node doesn't affect other non-credential nodes
-        const flow = [
-            { id: "cred1", type: "openfoodfacts-add-product", 
-              credentials: { username: "testuser", password: "testpass" },
-              wires: [["h1"]] },
-            { id: "nocred1", type: "openfoodfacts-get-additives", wires: [["h2"]] },
-            { id: "nocred2", type: "openfoodfacts-get-allergens", wires: [["h3"]] },
-            { id: "nocred3", type: "openfoodfacts-get-brands", wires: [["h4"]] },
-            { id: "cred2", type: "openfoodfacts-upload-photo",
-              credentials: { username: "uploaduser", password: "uploadpass" },
-              wires: [["h5"]] },
-            { id: "h1", type: "helper" },
-            { id: "h2", type: "helper" },
-            { id: "h3", type: "helper" },
-            { id: "h4", type: "helper" },
-            { id: "h5", type: "helper" }
-        ];
-        
-        helper.startServer(function() {
-            helper.load(offNodes, flow, function() {
-                try {
-                    const credNode1 = helper.getNode("cred1");
-                    const noCredNode1 = helper.getNode("nocred1");
-                    const noCredNode2 = helper.getNode("nocred2");
-                    const noCredNode3 = helper.getNode("nocred3");
-                    const credNode2 = helper.getNode("cred2");
-                    
-                    // All nodes should load successfully
-                    assert.ok(credNode1, 'First credential node should exist');
-                    assert.ok(noCredNode1, 'First non-credential node should exist');
-                    assert.ok(noCredNode2, 'Second non-credential node should exist');
-                    assert.ok(noCredNode3, 'Third non-credential node should exist');
-                    assert.ok(credNode2, 'Second credential node should exist');
-                    
-                    // Verify all nodes are independent instances
-                    const nodes = [credNode1, noCredNode1, noCredNode2, noCredNode3, credNode2];
-                    for (let i = 0; i < nodes.length; i++) {
-                        for (let j = i + 1; j < nodes.length; j++) {
-                            assert.notStrictEqual(nodes[i], nodes[j], 
-                                `All nodes should be independent instances (${i} vs ${j})`);
+    describe('get taxonomy node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should query the taxonomy by mode and language', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({
+                    'en:beverages': { name: { en: 'Beverages', fr: 'Boissons' } },
+                    'en:fruit-juices': { name: { en: 'Fruit juices' }, parents: ['en:beverages'] },
+                }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-taxonomy", taxonomy: "categories", mode: "ancestors", lang: "fr", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            assert.deepStrictEqual(msg.payload, [{ id: 'en:beverages', name: 'Boissons' }]);
+                            done();
+                        } catch (error) {
+                            done(error);
                         }
-                    }
-                    
-                    done();
-                } catch (error) {
-                    done(error);
-                }
+                    });
+                    helper.getNode("n1").receive({ payload: { term: 'en:fruit-juices' } });
+                });
+            });
+        });
+
+        test('should require a term for query modes', function(t, done) {
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-taxonomy", taxonomy: "categories", mode: "entry" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    n1.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0], 'No taxonomy term provided');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                });
             });
         });
     });
 
-    test('SECURITY: multi-tenant simulation - different flows with different credentials', function(done) {
-        // Simulate multi-tenant environment where different flows use different credentials
-        const flow = [
-            // Tenant 1 flow
-            { id: "t1_add", type: "openfoodfacts-add-product", 
-              credentials: { username: "tenant1", password: "tenant1pass" },
-              wires: [["t1_h1"]] },
-            { id: "t1_upload", type: "openfoodfacts-upload-photo",
-              credentials: { username: "tenant1", password: "tenant1pass" },
-              wires: [["t1_h2"]] },
-            { id: "t1_h1", type: "helper" },
-            { id: "t1_h2", type: "helper" },
-            
-            // Tenant 2 flow  
-            { id: "t2_add", type: "openfoodfacts-add-product",
-              credentials: { username: "tenant2", password: "tenant2pass" },
-              wires: [["t2_h1"]] },
-            { id: "t2_upload", type: "openfoodfacts-upload-photo",
-              credentials: { username: "tenant2", password: "tenant2pass" },
-              wires: [["t2_h2"]] },
-            { id: "t2_h1", type: "helper" },
-            { id: "t2_h2", type: "helper" },
-            
-            // Shared non-authenticated nodes (should work for both tenants)
-            { id: "shared_get", type: "openfoodfacts-get-product", productId: "shared", wires: [["shared_h1"]] },
-            { id: "shared_brands", type: "openfoodfacts-get-brands", wires: [["shared_h2"]] },
-            { id: "shared_h1", type: "helper" },
-            { id: "shared_h2", type: "helper" }
-        ];
-        
-        helper.startServer(function() {
-            helper.load(offNodes, flow, function() {
-                try {
-                    // Get all nodes
-                    const t1Add = helper.getNode("t1_add");
-                    const t1Upload = helper.getNode("t1_upload");
-                    const t2Add = helper.getNode("t2_add");
-                    const t2Upload = helper.getNode("t2_upload");
-                    const sharedGet = helper.getNode("shared_get");
-                    const sharedBrands = helper.getNode("shared_brands");
-                    
-                    // All nodes should exist
-                    assert.ok(t1Add, 'Tenant 1 add node should exist');
-                    assert.ok(t1Upload, 'Tenant 1 upload node should exist');
-                    assert.ok(t2Add, 'Tenant 2 add node should exist');
-                    assert.ok(t2Upload, 'Tenant 2 upload node should exist');
-                    assert.ok(sharedGet, 'Shared get node should exist');
-                    assert.ok(sharedBrands, 'Shared brands node should exist');
-                    
-                    // All nodes should be completely independent
-                    const allNodes = [t1Add, t1Upload, t2Add, t2Upload, sharedGet, sharedBrands];
-                    for (let i = 0; i < allNodes.length; i++) {
-                        for (let j = i + 1; j < allNodes.length; j++) {
-                            assert.notStrictEqual(allNodes[i], allNodes[j],
-                                `Node ${i} and ${j} must be independent in multi-tenant setup`);
+    describe('check allergens node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should look up barcodes and route products by allergen status', function(t, done) {
+            global.fetch = mock.fn(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => (url.includes('/data/taxonomies/allergens.json')
+                    ? { 'en:milk': { name: { en: 'Milk' } }, 'en:nuts': { name: { en: 'Nuts' } } }
+                    : { product: { code: '3017620422003', allergens_tags: ['en:milk'], traces_tags: ['en:nuts'] } }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-check-allergens", allergens: "nuts", wires: [["n2"], ["n3"], ["n4"]] },
+                { id: "n2", type: "helper" },
+                { id: "n3", type: "helper" },
+                { id: "n4", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const fail = () => done(new Error('Product sent to the wrong output'));
+                    helper.getNode("n2").on("input", fail);
+                    helper.getNode("n4").on("input", fail);
+                    helper.getNode("n3").on("input", function(msg) {
+                        try {
+                            const productUrl = new URL(global.fetch.mock.calls[0].arguments[0]);
+                            assert.strictEqual(productUrl.searchParams.get('fields'), 'code,product_name,allergens_tags,traces_tags,ingredients_tags');
+                            assert.strictEqual(msg.payload.code, '3017620422003');
+                            assert.strictEqual(msg.allergenCheck.status, 'may-contain');
+                            assert.deepStrictEqual(msg.allergenCheck.reasons, [
+                                { allergen: 'en:nuts', name: 'Nuts', source: 'traces_tags', tag: 'en:nuts' },
+                            ]);
+                            done();
+                        } catch (error) {
+                            done(error);
                         }
-                    }
-                    
-                    done();
-                } catch (error) {
-                    done(error);
+                    });
+                    helper.getNode("n1").receive({ payload: '3017620422003' });
+                });
+            });
+        });
+
+        test('should require an allergen profile', function(t, done) {
+            const flow = [{ id: "n1", type: "openfoodfacts-check-allergens" }];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    n1.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0], 'No allergen profile provided');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: { allergens_tags: [] } });
+                });
+            });
+        });
+    });
+
+    describe('nutriscore node', function() {
+        test('should compute the Nutri-Score of the payload', function(t, done) {
+            const flow = [
+                { id: "n1", type: "openfoodfacts-nutriscore", category: "cheese", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            assert.strictEqual(msg.nutriScore.category, 'cheese');
+                            assert.strictEqual(msg.nutriScore.grade, 'd');
+                            assert.strictEqual(msg.nutriScore.positivePoints, 7);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({
+                        payload: {
+                            nutriments: {
+                                'energy-kj_100g': 1500,
+                                'sugars_100g': 0.5,
+                                'saturated-fat_100g': 18,
+                                'salt_100g': 1.7,
+                                'proteins_100g': 25,
+                            },
+                        },
+                    });
+                });
+            });
+        });
+    });
+
+    describe('aggregate nutrition node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should total the nutrition of the items', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ product: { product_name: 'Oats', nutriments: { 'energy-kcal_100g': 370, 'proteins_100g': 13 } } }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-aggregate-nutrition", portions: 2, wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            assert.deepStrictEqual(msg.payload.totals, { 'energy-kcal': 370, proteins: 13 });
+                            assert.deepStrictEqual(msg.payload.perPortion, { 'energy-kcal': 185, proteins: 6.5 });
+                            assert.strictEqual(global.fetch.mock.calls.length, 2);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({
+                        payload: [{ barcode: '3017620422003', grams: 60 }, { barcode: '3017620422003', grams: 40 }],
+                        cache: false,
+                    });
+                });
+            });
+        });
+    });
+
+    describe('search products node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should send one message per product with parts for a join node', function(t, done) {
+            global.fetch = mock.fn(async (url) => {
+                const page = Number(new URL(url).searchParams.get('page'));
+                const products = page === 1 ? [{ code: 'a' }, { code: 'b' }] : [{ code: 'c' }, { code: 'd' }];
+                return { ok: true, status: 200, json: async () => ({ count: 4, products }) };
+            });
+            const flow = [
+                { id: "n1", type: "openfoodfacts-search-products", searchParams: '{"search_terms":"cola","pageSize":2}', output: "product", maxResults: 3, wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const received = [];
+                    helper.getNode("n2").on("input", function(msg) {
+                        received.push(msg);
+                        if (received.length < 3) {
+                            return;
+                        }
+                        try {
+                            assert.deepStrictEqual(received.map((m) => m.payload.code), ['a', 'b', 'c']);
+                            assert.deepStrictEqual(received.map((m) => m.parts.index), [0, 1, 2]);
+                            assert.strictEqual(received[0].parts.count, undefined);
+                            assert.strictEqual(received[2].parts.count, 3);
+                            assert.strictEqual(received[2].parts.type, 'array');
+                            assert.strictEqual(received[0].parts.id, received[2].parts.id);
+                            assert.deepStrictEqual(received[2].search, { page: 2, pageSize: 2, count: 4 });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                });
+            });
+        });
+
+        test('should close the sequence when a later page fails', function(t, done) {
+            global.fetch = mock.fn(async (url) => {
+                if (new URL(url).searchParams.get('page') === '1') {
+                    return { ok: true, status: 200, json: async () => ({ count: 4, products: [{ code: 'a' }, { code: 'b' }] }) };
                 }
+                return { ok: false, status: 400, headers: new Headers(), json: async () => ({}) };
+            });
+            const flow = [
+                { id: "n1", type: "openfoodfacts-search-products", searchParams: '{"search_terms":"cola","pageSize":2}', output: "product", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const received = [];
+                    let failure;
+                    // Messages are delivered asynchronously, so the error may be reported first
+                    const check = function() {
+                        if (!failure || received.length < 2) {
+                            return;
+                        }
+                        try {
+                            assert.match(failure.message, /HTTP error! status: 400/);
+                            assert.deepStrictEqual(received.map((m) => m.payload.code), ['a', 'b']);
+                            assert.strictEqual(received[1].parts.count, 2);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    };
+                    helper.getNode("n2").on("input", function(msg) {
+                        received.push(msg);
+                        check();
+                    });
+                    helper.getNode("n1").on("call:error", function(call) {
+                        failure = call.args[0];
+                        check();
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                });
+            });
+        });
+
+        test('should send one message per page', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ count: 2, products: [{ code: 'a' }, { code: 'b' }] }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-search-products", searchParams: '{"search_terms":"cola"}', wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            assert.deepStrictEqual(msg.payload, [{ code: 'a' }, { code: 'b' }]);
+                            assert.deepStrictEqual(msg.parts, { id: msg._msgid, index: 0, count: 1 });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: {}, output: 'page' });
+                });
+            });
+        });
+
+        test('should accept search params as objects from the builder and the message', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ count: 0, products: [] }),
+            }));
+            const searchParams = { tagType: ["categories"], tag: ["en:cereals"], tagContains: ["does_not_contain"], sort_by: "popularity" };
+            const flow = [
+                { id: "n1", type: "openfoodfacts-search-products", searchParams: searchParams, wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const received = [];
+                    helper.getNode("n2").on("input", function(msg) {
+                        received.push(msg);
+                        if (received.length < 2) {
+                            return;
+                        }
+                        try {
+                            const configured = new URL(global.fetch.mock.calls[0].arguments[0]);
+                            assert.strictEqual(configured.searchParams.get('tag_contains_0'), 'does_not_contain');
+                            assert.strictEqual(configured.searchParams.get('sort_by'), 'popularity_key');
+                            const overridden = new URL(global.fetch.mock.calls[1].arguments[0]);
+                            assert.strictEqual(overridden.searchParams.get('search_terms'), 'muesli');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                    helper.getNode("n1").receive({ payload: { searchParams: { search_terms: "muesli" } } });
+                });
+            });
+        });
+
+        test('should treat the empty search params the editor saves as missing', function(t, done) {
+            global.fetch = mock.fn(async () => ({ ok: true, status: 200, json: async () => ({ count: 0, products: [] }) }));
+            const flow = [{ id: "n1", type: "openfoodfacts-search-products", searchParams: {}, wires: [[]] }];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    let errors = 0;
+                    n1.on("call:error", function(call) {
+                        try {
+                            errors++;
+                            assert.strictEqual(call.args[0], 'No searchParams provided');
+                            if (errors === 3) {
+                                assert.strictEqual(global.fetch.mock.calls.length, 0);
+                                done();
+                            }
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                    n1.receive({ payload: { searchParams: {} } });
+                    n1.receive({ payload: { searchParams: " " } });
+                });
+            });
+        });
+
+        test('should report invalid JSON search params', function(t, done) {
+            const flow = [{ id: "n1", type: "openfoodfacts-search-products", searchParams: '{"search_terms":', wires: [[]] }];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    n1.on("call:error", function(call) {
+                        try {
+                            assert.match(call.args[0].message, /^Invalid searchParams JSON: /);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                });
+            });
+        });
+    });
+
+    describe('manage image node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should select images with the node cleanup settings and unselect them', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ status_code: 0 }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "n1", type: "openfoodfacts-manage-image", server: "s1", normalize: true, wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+            const type = { field: "front", languageCode: "fr" };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const n1 = helper.getNode("n1");
+                    let received = 0;
+                    helper.getNode("n2").on("input", function() {
+                        try {
+                            received++;
+                            const [url, init] = global.fetch.mock.calls[received - 1].arguments;
+                            if (received === 1) {
+                                assert.strictEqual(url, 'https://world.openfoodfacts.org/cgi/product_image_crop.pl');
+                                assert.strictEqual(init.body.get('imgid'), '3');
+                                assert.strictEqual(init.body.get('id'), 'front_fr');
+                                assert.strictEqual(init.body.get('angle'), '180');
+                                assert.strictEqual(init.body.get('normalize'), 'true');
+                                assert.strictEqual(init.body.get('white_magic'), 'false');
+                                n1.receive({ payload: { barcode: "3017620422003", type, action: "unselect" } });
+                            } else {
+                                assert.strictEqual(url, 'https://world.openfoodfacts.org/cgi/product_image_unselect.pl');
+                                assert.strictEqual(init.body.get('id'), 'front_fr');
+                                done();
+                            }
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: { barcode: "3017620422003", imgid: 3, type, angle: 180 } });
+                });
+            });
+        });
+
+        test('should require an imgid to select an image', function(t, done) {
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server" },
+                { id: "n1", type: "openfoodfacts-manage-image", server: "s1", wires: [[]] }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const n1 = helper.getNode("n1");
+                    n1.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0], 'Missing required parameters: barcode, type.field, type.languageCode, or imgid');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: { barcode: "3017620422003", type: { field: "front", languageCode: "en" } } });
+                });
+            });
+        });
+    });
+
+    describe('get image node', function() {
+        const originalFetch = global.fetch;
+        const product = { code: "3017620422003", lang: "fr", images: { front_fr: { imgid: "1", rev: "4" } } };
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should output the image as a Buffer with its description', function(t, done) {
+            const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                headers: new Headers({ 'content-type': 'image/png' }),
+                json: async () => ({ status: 1, product }),
+                arrayBuffer: async () => png,
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "n1", type: "openfoodfacts-get-image", server: "s1", field: "front", lang: "en", size: "200", wires: [["n2"], ["n3"]] },
+                { id: "n2", type: "helper" },
+                { id: "n3", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n2 = helper.getNode("n2");
+                    n2.on("input", function(msg) {
+                        try {
+                            assert.deepStrictEqual(msg.payload, png);
+                            assert.deepStrictEqual(msg.image, {
+                                contentType: 'image/png',
+                                url: 'https://images.openfoodfacts.org/images/products/301/762/042/2003/front_fr.4.full.jpg',
+                                field: 'front',
+                                lang: 'fr',
+                                size: 'full',
+                                imgid: '1',
+                                rev: '4'
+                            });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: { productId: "3017620422003", size: "full" } });
+                });
+            });
+        });
+
+        test('should send products without the image to the second output', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 1, product }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "n1", type: "openfoodfacts-get-image", server: "s1", field: "nutrition", wires: [["n2"], ["n3"]] },
+                { id: "n2", type: "helper" },
+                { id: "n3", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function() {
+                        done(new Error('image output should not be used'));
+                    });
+                    helper.getNode("n3").on("input", function(msg) {
+                        try {
+                            assert.deepStrictEqual(msg.payload, { code: '3017620422003' });
+                            assert.strictEqual(msg.notFound.barcode, '3017620422003');
+                            assert.strictEqual(msg.notFound.field, 'nutrition');
+                            assert.strictEqual(global.fetch.mock.calls.length, 1);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: "3017620422003" });
+                });
+            });
+        });
+    });
+
+    describe('robotoff nodes', function() {
+        const originalFetch = global.fetch;
+        const insightId = "3cd5aecd-edcc-4237-87d0-6595fc4e53c9";
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should answer the questions of a product with the server credentials', function(t, done) {
+            const question = { barcode: "3017620422003", insight_id: insightId, insight_type: "category", value_tag: "en:spreads" };
+            global.fetch = mock.fn(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => (url.includes('/questions/') ? { status: 'found', questions: [question] } : { status: 'updated' }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", robotoffUrl: "https://robotoff.example.com", retry: false },
+                { id: "n1", type: "openfoodfacts-get-questions", server: "s1", lang: "fr", wires: [["n2"]] },
+                { id: "n2", type: "helper" },
+                { id: "n3", type: "openfoodfacts-answer-question", server: "s1", answer: "yes", wires: [["n4"]] },
+                { id: "n4", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    // Questions are sent as they are to be answered
+                    helper.getNode("n2").on("input", function(msg) {
+                        helper.getNode("n3").receive({ payload: msg.payload.questions[0] });
+                    });
+                    helper.getNode("n4").on("input", function(msg) {
+                        try {
+                            const [questions, annotate] = global.fetch.mock.calls.map((call) => call.arguments);
+                            assert.strictEqual(questions[0], 'https://robotoff.example.com/api/v1/questions/3017620422003?count=1&lang=fr&server_type=off');
+                            assert.strictEqual(annotate[0], 'https://robotoff.example.com/api/v1/insights/annotate');
+                            assert.strictEqual(annotate[1].body.get('insight_id'), insightId);
+                            assert.strictEqual(annotate[1].body.get('annotation'), '1');
+                            assert.ok(annotate[1].headers.Authorization.startsWith('Basic '));
+                            assert.strictEqual(msg.payload.status, 'updated');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: "3017620422003" });
+                });
+            });
+        });
+
+        test('should list insights with the node filters and payload overrides', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 'found', count: 0, insights: [] }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-insights", insightTypes: "label", country: "france", annotated: "false", count: "", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function() {
+                        try {
+                            const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+                            assert.strictEqual(url.pathname, '/api/v1/insights');
+                            assert.strictEqual(url.searchParams.get('insight_types'), 'label');
+                            assert.strictEqual(url.searchParams.get('country'), 'en:france');
+                            assert.strictEqual(url.searchParams.get('annotated'), 'false');
+                            assert.strictEqual(url.searchParams.get('brands'), 'Ferrero');
+                            assert.strictEqual(url.searchParams.get('count'), '25');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: { brands: "Ferrero" } });
+                });
+            });
+        });
+
+        test('should require credentials to answer questions', function(t, done) {
+            const flow = [
+                { id: "n1", type: "openfoodfacts-answer-question", wires: [[]] }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    n1.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0], 'Credentials required for answering questions. Set them on the server configuration.');
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: { insightId, answer: "yes" } });
+                });
+            });
+        });
+    });
+
+    describe('moderation nodes', function() {
+        const originalFetch = global.fetch;
+        const insightId = "3cd5aecd-edcc-4237-87d0-6595fc4e53c9";
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should hand out questions, submit answers and report throughput', function(t, done) {
+            const question = { barcode: "3017620422003", insight_id: insightId, insight_type: "label", question: "Does the product have this label?", value_tag: "en:organic", source_image_url: "https://images.openfoodfacts.org/1.jpg" };
+            global.fetch = mock.fn(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => (url.includes('/questions/random') ? { status: 'found', questions: [question] } : { status: 'updated' }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "q1", type: "openfoodfacts-moderation-queue", server: "s1", batchSize: "5", insightTypes: "label", wires: [["h1"], ["h2"]] },
+                { id: "a1", type: "openfoodfacts-moderation-answer", server: "s1", queue: "q1", wires: [["h3"]] },
+                { id: "h1", type: "helper" },
+                { id: "h2", type: "helper" },
+                { id: "h3", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const q1 = helper.getNode("q1");
+                    const a1 = helper.getNode("a1");
+                    helper.getNode("h1").on("input", function(msg) {
+                        try {
+                            if (msg.payload.insightId) {
+                                const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+                                assert.strictEqual(url.searchParams.get('count'), '5');
+                                assert.strictEqual(url.searchParams.get('insight_types'), 'label');
+                                assert.strictEqual(msg.user, 'alice');
+                                assert.strictEqual(msg.payload.valueTag, 'en:organic');
+                                assert.strictEqual(msg.payload.imageUrl, 'https://images.openfoodfacts.org/1.jpg');
+                                a1.receive({ user: "alice", payload: { insightId: msg.payload.insightId, answer: "yes" } });
+                            } else {
+                                assert.strictEqual(msg.payload.answered, 1);
+                                assert.strictEqual(msg.payload.users.alice.yes, 1);
+                                done();
+                            }
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("h3").on("input", function(msg) {
+                        try {
+                            const annotate = global.fetch.mock.calls[1].arguments;
+                            assert.strictEqual(annotate[0], 'https://robotoff.openfoodfacts.org/api/v1/insights/annotate');
+                            assert.strictEqual(annotate[1].body.get('annotation'), '1');
+                            assert.strictEqual(msg.payload.barcode, '3017620422003');
+                            assert.strictEqual(msg.payload.result.status, 'updated');
+                            assert.strictEqual(msg.stats.answered, 1);
+                            // The question was answered, so the next one comes from a new batch
+                            q1.receive({ user: "bob" });
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("h2").on("input", function(msg) {
+                        try {
+                            assert.strictEqual(msg.user, 'bob');
+                            assert.strictEqual(global.fetch.mock.calls.length, 3);
+                            q1.receive({ payload: { action: "stats" } });
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    q1.receive({ user: "alice" });
+                });
+            });
+        });
+
+        test('should reject answers to questions handed out to someone else', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 'found', questions: [{ barcode: "3017620422003", insight_id: insightId }] }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "q1", type: "openfoodfacts-moderation-queue", server: "s1", wires: [["h1"], []] },
+                { id: "a1", type: "openfoodfacts-moderation-answer", server: "s1", queue: "q1", wires: [[]] },
+                { id: "h1", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const a1 = helper.getNode("a1");
+                    a1.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0].message, `Question ${insightId} is not assigned to bob. Ask for a new question.`);
+                            assert.strictEqual(global.fetch.mock.calls.length, 1);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("h1").on("input", function(msg) {
+                        a1.receive({ payload: { user: "bob", insightId: msg.payload.insightId, answer: "no" } });
+                    });
+                    helper.getNode("q1").receive({ payload: { user: "alice" } });
+                });
+            });
+        });
+
+        test('should drop questions Robotoff refuses to annotate', function(t, done) {
+            global.fetch = mock.fn(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => (url.includes('/questions/random')
+                    ? { status: 'found', questions: [{ barcode: "3017620422003", insight_id: insightId }] }
+                    : { status: 'error_invalid_insight', description: 'invalid insight ID' }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "q1", type: "openfoodfacts-moderation-queue", server: "s1", wires: [["h1"], ["h2"]] },
+                { id: "a1", type: "openfoodfacts-moderation-answer", server: "s1", queue: "q1", wires: [[]] },
+                { id: "h1", type: "helper" },
+                { id: "h2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const q1 = helper.getNode("q1");
+                    const a1 = helper.getNode("a1");
+                    a1.on("call:error", function(call) {
+                        try {
+                            assert.strictEqual(call.args[0].message, `Failed to answer question: Insight not found: ${insightId}`);
+                            // The refused question is neither kept for alice nor handed out again after a refill
+                            q1.receive({ user: "alice" });
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("h1").on("input", function(msg) {
+                        a1.receive({ user: "alice", payload: { insightId: msg.payload.insightId, answer: "yes" } });
+                    });
+                    helper.getNode("h2").on("input", function(msg) {
+                        try {
+                            assert.strictEqual(msg.user, 'alice');
+                            assert.strictEqual(global.fetch.mock.calls.length, 3);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    q1.receive({ user: "alice" });
+                });
+            });
+        });
+
+        test('should count answers to questions that were already annotated', function(t, done) {
+            global.fetch = mock.fn(async (url) => ({
+                ok: true,
+                status: 200,
+                json: async () => (url.includes('/questions/random')
+                    ? { status: 'found', questions: [{ barcode: "3017620422003", insight_id: insightId }] }
+                    : { status: 'error_already_annotated', description: 'the insight has already been annotated' }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", retry: false },
+                { id: "q1", type: "openfoodfacts-moderation-queue", server: "s1", wires: [["h1"], []] },
+                { id: "a1", type: "openfoodfacts-moderation-answer", server: "s1", queue: "q1", wires: [["h2"]] },
+                { id: "h1", type: "helper" },
+                { id: "h2", type: "helper" }
+            ];
+            const credentials = { s1: { username: "user", password: "pass" } };
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, credentials, function() {
+                    const a1 = helper.getNode("a1");
+                    a1.on("call:error", function(call) {
+                        done(new Error(`Unexpected error: ${call.args[0].message || call.args[0]}`));
+                    });
+                    helper.getNode("h1").on("input", function(msg) {
+                        a1.receive({ user: "alice", payload: { insightId: msg.payload.insightId, answer: "yes" } });
+                    });
+                    helper.getNode("h2").on("input", function(msg) {
+                        try {
+                            assert.strictEqual(msg.payload.result.status, 'error_already_annotated');
+                            assert.strictEqual(msg.stats.answered, 1);
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("q1").receive({ user: "alice" });
+                });
+            });
+        });
+    });
+
+    describe('get product node', function() {
+        const originalFetch = global.fetch;
+
+        afterEach(function() {
+            global.fetch = originalFetch;
+        });
+
+        test('should request the configured fields unless msg.fields overrides them', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ product: { code: '3017620422003' } }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-product", productId: "3017620422003", fields: "code,nutriments", apiVersion: "v3", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    const n2 = helper.getNode("n2");
+                    let received = 0;
+                    n2.on("input", function() {
+                        try {
+                            received++;
+                            const url = new URL(global.fetch.mock.calls[received - 1].arguments[0]);
+                            assert.strictEqual(url.pathname, '/api/v3/product/3017620422003');
+                            if (received === 1) {
+                                assert.strictEqual(url.searchParams.get('fields'), 'code,nutriments');
+                                n1.receive({ payload: {}, fields: ['code', 'allergens_tags'] });
+                            } else {
+                                assert.strictEqual(url.searchParams.get('fields'), 'code,allergens_tags');
+                                done();
+                            }
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                });
+            });
+        });
+
+        test('should look up UPC-E barcodes by their UPC-A code', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ product: { code: '0042100005264' } }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-product", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            const url = new URL(global.fetch.mock.calls[0].arguments[0]);
+                            assert.strictEqual(url.pathname, '/api/v2/product/0042100005264');
+                            assert.deepStrictEqual(msg.barcode, { code: '0042100005264', input: '04252614', type: 'UPC-E', restricted: false });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: { productId: "04252614" } });
+                });
+            });
+        });
+
+        test('should serve repeated lookups from the server cache', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: true,
+                status: 200,
+                json: async () => ({ product: { code: '3017620422003' } }),
+            }));
+            const flow = [
+                { id: "s1", type: "openfoodfacts-server", cacheTtlProduct: "5" },
+                { id: "n1", type: "openfoodfacts-get-product", server: "s1", productId: "3017620422003", wires: [["n2"]] },
+                { id: "n2", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    let received = 0;
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            received++;
+                            if (received === 1) {
+                                assert.strictEqual(msg.cacheInfo.hit, false);
+                                assert.strictEqual(msg.cacheInfo.ttl, 5 * 60 * 1000);
+                                n1.receive({ payload: {} });
+                            } else if (received === 2) {
+                                assert.strictEqual(msg.cacheInfo.hit, true);
+                                assert.strictEqual(global.fetch.mock.calls.length, 1);
+                                n1.receive({ payload: {}, cache: false });
+                            } else {
+                                assert.strictEqual(msg.cacheInfo.hit, false);
+                                assert.strictEqual(global.fetch.mock.calls.length, 2);
+                                done();
+                            }
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                });
+            });
+        });
+
+        test('should send unknown products to the second output', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: false,
+                status: 404,
+                json: async () => ({ code: '3017620422003', status: 0, status_verbose: 'product not found' }),
+            }));
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-product", productId: "3017620422003", wires: [["n2"], ["n3"]] },
+                { id: "n2", type: "helper" },
+                { id: "n3", type: "helper" }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    helper.getNode("n2").on("input", function() {
+                        done(new Error('Unknown product should not reach the first output'));
+                    });
+                    helper.getNode("n3").on("input", function(msg) {
+                        try {
+                            assert.deepStrictEqual(msg.payload, { code: '3017620422003' });
+                            assert.deepStrictEqual(msg.notFound, {
+                                barcode: '3017620422003',
+                                status: 404,
+                                statusVerbose: 'product not found',
+                            });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                });
+            });
+        });
+
+        test('should show requests, results and failures in the status and clear it on close', function(t, done) {
+            const responses = [
+                { ok: true, status: 200, json: async () => ({ product: { code: '3017620422003', product_name: 'Nutella' } }) },
+                { ok: false, status: 404, json: async () => ({ status: 0, status_verbose: 'product not found' }) },
+                { ok: false, status: 400, json: async () => ({}) },
+            ];
+            global.fetch = mock.fn(async () => responses.shift());
+            const flow = [
+                { id: "n1", type: "openfoodfacts-get-product", productId: "3017620422003", wires: [[], []] }
+            ];
+
+            helper.startServer(function() {
+                helper.load(offNodes, flow, function() {
+                    const n1 = helper.getNode("n1");
+                    const statuses = [];
+                    n1.on("call:status", function(call) {
+                        statuses.push(call.args[0]);
+                    });
+                    n1.on("call:error", function() {
+                        try {
+                            assert.deepStrictEqual(statuses, [
+                                { fill: 'blue', shape: 'dot', text: 'requesting' },
+                                { fill: 'green', shape: 'dot', text: 'Nutella' },
+                                { fill: 'blue', shape: 'dot', text: 'requesting' },
+                                { fill: 'yellow', shape: 'ring', text: 'not found: 3017620422003' },
+                                { fill: 'blue', shape: 'dot', text: 'requesting' },
+                                { fill: 'red', shape: 'ring', text: 'ValidationError 400' },
+                            ]);
+                            n1.close().then(() => {
+                                assert.deepStrictEqual(statuses[statuses.length - 1], {});
+                                done();
+                            }).catch(done);
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    n1.receive({ payload: {} });
+                    setTimeout(() => n1.receive({ payload: {} }), 20);
+                    setTimeout(() => n1.receive({ payload: {} }), 40);
+                });
+            });
+        });
+
+        test('should hand structured errors to catch nodes', function(t, done) {
+            global.fetch = mock.fn(async () => ({
+                ok: false,
+                status: 503,
+                json: async () => ({}),
+            }));
+            const flow = [
+                { id: "f1", type: "tab" },
+                { id: "n1", z: "f1", type: "openfoodfacts-get-product", productId: "3017620422003", wires: [[], []] },
+                { id: "c1", z: "f1", type: "catch", scope: null, wires: [["n2"]] },
+                { id: "n2", z: "f1", type: "helper" }
+            ];
+
+            // The test helper leaves the runtime hooks out of the node API; the nodes use them to complete msg.error
+            const offNodesWithHooks = (RED) => offNodes(Object.assign(RED, { hooks }));
+            t.after(() => hooks.remove('onReceive.openfoodfacts'));
+
+            helper.startServer(function() {
+                helper.load([offNodesWithHooks, catchNode], flow, function() {
+                    helper.getNode("n2").on("input", function(msg) {
+                        try {
+                            assert.strictEqual(msg.error.code, 'SERVER');
+                            assert.match(msg.error.message, /Failed to fetch product: HTTP error! status: 503/);
+                            assert.strictEqual(msg.error.status, 503);
+                            assert.strictEqual(msg.error.endpoint, 'https://world.openfoodfacts.org/api/v2/product/3017620422003');
+                            assert.strictEqual(msg.error.retryable, true);
+                            assert.deepStrictEqual(msg.errorDetails, {
+                                name: 'ServerError',
+                                code: 'SERVER',
+                                message: 'Failed to fetch product: HTTP error! status: 503',
+                                status: 503,
+                                endpoint: 'https://world.openfoodfacts.org/api/v2/product/3017620422003',
+                                retryable: true,
+                                details: 'API request failed',
+                            });
+                            done();
+                        } catch (error) {
+                            done(error);
+                        }
+                    });
+                    helper.getNode("n1").receive({ payload: {} });
+                });
             });
         });
     });
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the Nutri-Score calculator
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { computeNutriScore } = require('./openfoodfacts-nutriscore');
+
+const points = (components) => Object.fromEntries(components.map((item) => [item.id, item.points]));
+
+describe('Nutri-Score', () => {
+  test('should score general foods and skip proteins above 11 negative points', () => {
+    const result = computeNutriScore({
+      categories_tags: ['en:spreads', 'en:sweet-spreads'],
+      nutriments: {
+        'energy-kj_100g': 2252,
+        'sugars_100g': 56.3,
+        'saturated-fat_100g': 10.6,
+        'salt_100g': 0.107,
+        'proteins_100g': 6.3,
+        'fiber_100g': 0,
+        'fruits-vegetables-nuts-estimate-from-ingredients_100g': 13,
+      },
+    });
+
+    assert.strictEqual(result.category, 'general');
+    assert.deepStrictEqual(points(result.components.negative), { energy: 6, sugars: 15, saturatedFat: 10, salt: 0 });
+    assert.strictEqual(result.negativePoints, 31);
+    assert.strictEqual(result.proteinsCounted, false);
+    assert.deepStrictEqual(points(result.components.positive), { proteins: 0, fiber: 0, fruitsVegetablesLegumes: 0 });
+    assert.strictEqual(result.score, 31);
+    assert.strictEqual(result.grade, 'e');
+  });
+
+  test('should count positive points and accept raw nutriments', () => {
+    const result = computeNutriScore({
+      'energy-kcal_100g': 239,
+      'sugars_100g': 5,
+      'saturated-fat_100g': 1.5,
+      'sodium_100g': 0.2,
+      'proteins_100g': 10,
+      'fiber_100g': 4,
+      'fruits-vegetables-legumes_100g': 65,
+    });
+
+    assert.deepStrictEqual(points(result.components.negative), { energy: 2, sugars: 1, saturatedFat: 1, salt: 2 });
+    assert.deepStrictEqual(points(result.components.positive), { proteins: 4, fiber: 1, fruitsVegetablesLegumes: 2 });
+    assert.strictEqual(result.components.negative[3].value, 0.5);
+    assert.strictEqual(result.score, -1);
+    assert.strictEqual(result.grade, 'a');
+  });
+
+  test('should always count proteins for cheeses', () => {
+    const nutriments = {
+      'energy-kj_100g': 1500,
+      'sugars_100g': 0.5,
+      'saturated-fat_100g': 18,
+      'salt_100g': 1.7,
+      'proteins_100g': 25,
+    };
+    const cheese = computeNutriScore({ categories_tags: ['en:dairies', 'en:cheeses'], nutriments });
+    const general = computeNutriScore(nutriments);
+
+    assert.strictEqual(cheese.category, 'cheese');
+    assert.strictEqual(cheese.negativePoints, 22);
+    assert.strictEqual(cheese.positivePoints, 7);
+    assert.strictEqual(cheese.grade, 'd');
+    assert.strictEqual(general.grade, 'e');
+  });
+
+  test('should use the saturated fat ratio for fats and oils', () => {
+    const result = computeNutriScore({
+      categories_tags: ['en:fats', 'en:vegetable-oils'],
+      nutriments: {
+        'energy-kj_100g': 3700,
+        'fat_100g': 100,
+        'saturated-fat_100g': 14,
+        'sugars_100g': 0,
+        'salt_100g': 0,
+        'proteins_100g': 0,
+      },
+    });
+
+    assert.strictEqual(result.category, 'fats');
+    assert.deepStrictEqual(points(result.components.negative), {
+      energyFromSaturatedFat: 4,
+      sugars: 0,
+      saturatedFatRatio: 1,
+      salt: 0,
+    });
+    assert.strictEqual(result.score, 5);
+    assert.strictEqual(result.grade, 'c');
+  });
+
+  test('should score beverages with their own tables and sweeteners', () => {
+    const cola = computeNutriScore({
+      categories_tags: ['en:beverages', 'en:sodas'],
+      nutriments: { 'energy-kj_100g': 180, 'sugars_100g': 10.6, 'saturated-fat_100g': 0, 'salt_100g': 0, 'proteins_100g': 0 },
+    });
+    const diet = computeNutriScore({
+      categories_tags: ['en:beverages', 'en:sodas'],
+      additives_tags: ['en:e150d', 'en:e951'],
+      nutriments: { 'energy-kj_100g': 1.4, 'sugars_100g': 0, 'saturated-fat_100g': 0, 'salt_100g': 0.02, 'proteins_100g': 0 },
+    });
+
+    assert.deepStrictEqual(points(cola.components.negative), { energy: 3, sugars: 9, saturatedFat: 0, salt: 0, sweeteners: 0 });
+    assert.strictEqual(cola.grade, 'e');
+    assert.strictEqual(diet.components.negative.find((item) => item.id === 'sweeteners').points, 4);
+    assert.strictEqual(diet.score, 4);
+    assert.strictEqual(diet.grade, 'c');
+  });
+
+  test('should grade water A and let hints override the category', () => {
+    assert.strictEqual(computeNutriScore({ categories_tags: ['en:beverages', 'en:waters'], nutriments: {} }).grade, 'a');
+
+    const nutriments = { 'energy-kj_100g': 100, 'sugars_100g': 0, 'saturated-fat_100g': 0, 'salt_100g': 0, 'proteins_100g': 0 };
+    assert.strictEqual(computeNutriScore(nutriments).grade, 'a');
+    assert.strictEqual(computeNutriScore(nutriments, { category: 'beverage' }).grade, 'b');
+  });
+
+  test('should cap protein points for red meat', () => {
+    const result = computeNutriScore({
+      'energy-kj_100g': 600,
+      'sugars_100g': 0,
+      'saturated-fat_100g': 3,
+      'salt_100g': 0.1,
+      'proteins_100g': 20,
+    }, { redMeat: true });
+
+    const proteins = result.components.positive.find((item) => item.id === 'proteins');
+    assert.strictEqual(proteins.points, 2);
+    assert.strictEqual(proteins.maxPoints, 2);
+  });
+
+  test('should report missing nutriments and unsupported products', () => {
+    assert.throws(() => computeNutriScore({ 'energy-kj_100g': 100, 'sugars_100g': 1 }), {
+      message: 'Missing nutriments for Nutri-Score: saturated-fat, salt, proteins',
+    });
+    assert.throws(() => computeNutriScore({ categories_tags: ['en:beverages', 'en:alcoholic-beverages'], nutriments: {} }), {
+      message: 'Nutri-Score does not apply to alcoholic beverages',
+    });
+    assert.throws(() => computeNutriScore({}, { category: 'snacks' }), /Unknown Nutri-Score category: snacks/);
+    assert.throws(() => computeNutriScore(null), { message: 'Product or nutriments must be an object' });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for nutrition aggregation
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { validateItems, aggregateNutrition } = require('./openfoodfacts-nutrition');
+
+const pasta = {
+  product_name: 'Spaghetti',
+  nutriments: {
+    'energy-kcal_100g': 359,
+    'energy-kcal_unit': 'kcal',
+    'fat_100g': 2,
+    'sugars_100g': 3.5,
+    'salt_100g': 0.01,
+    'nova-group_100g': 1,
+    'fruits-vegetables-nuts-estimate-from-ingredients_100g': 0,
+  },
+};
+const sauce = {
+  product_name: 'Tomato sauce',
+  nutriments: {
+    'energy-kcal_100g': 50,
+    'fat_100g': 1.5,
+    'sugars_100g': 6,
+    'sodium_100g': 0.3,
+    'sodium_unit': 'mg',
+    'alcohol_100g': 0,
+    'alcohol_unit': '% vol',
+  },
+};
+
+describe('Nutrition aggregation', () => {
+  test('should validate items and normalize barcodes', () => {
+    assert.deepStrictEqual(validateItems([{ barcode: '0012345678905', grams: '250' }]), [
+      { barcode: '0012345678905', code: '0012345678905', grams: 250 },
+    ]);
+    assert.throws(() => validateItems([]), { message: 'Items must be a non-empty array of { barcode, grams }' });
+    assert.throws(() => validateItems([{ barcode: '3017620422003', grams: 0 }]), {
+      message: 'Item 1: grams must be a positive number',
+    });
+    assert.throws(() => validateItems([{ barcode: '3017620422003', grams: 5 }, { barcode: '123', grams: 5 }]), {
+      message: 'Item 2: Invalid barcode format. Must be 8, 12, 13 or 14 digits.',
+    });
+  });
+
+  test('should scale per-100g values by weight', () => {
+    const result = aggregateNutrition([
+      { barcode: '1', grams: 200, product: pasta },
+      { barcode: '2', grams: 300, product: sauce },
+    ], { portions: 4 });
+
+    assert.deepStrictEqual(result.totals, {
+      'energy-kcal': 868,
+      fat: 8.5,
+      sugars: 25,
+      salt: 0.02,
+      sodium: 0.9,
+    });
+    assert.strictEqual(result.perPortion['energy-kcal'], 217);
+    assert.strictEqual(result.per100g.sugars, 5);
+    assert.strictEqual(result.totalGrams, 500);
+    assert.strictEqual(result.portions, 4);
+  });
+
+  test('should build a nutrition table with units and partial coverage', () => {
+    const result = aggregateNutrition([
+      { barcode: '1', grams: 200, product: pasta },
+      { barcode: '2', grams: 300, product: sauce },
+    ]);
+
+    assert.deepStrictEqual(result.nutrients.find((row) => row.nutrient === 'energy-kcal'), {
+      nutrient: 'energy-kcal',
+      unit: 'kcal',
+      total: 868,
+      perPortion: 868,
+      per100g: 173.6,
+      missingFrom: [],
+    });
+    const sodium = result.nutrients.find((row) => row.nutrient === 'sodium');
+    assert.strictEqual(sodium.unit, 'g');
+    assert.deepStrictEqual(sodium.missingFrom, ['1']);
+  });
+
+  test('should leave out values of the product as prepared', () => {
+    const cocoa = {
+      product_name: 'Cocoa powder',
+      nutriments: {
+        'energy_100g': 1580,
+        'energy-kcal_100g': 376,
+        'sugars_100g': 75,
+        'energy_prepared_100g': 340,
+        'energy-kcal_prepared_100g': 81,
+        'sugars_prepared_100g': 11,
+      },
+    };
+
+    const result = aggregateNutrition([{ barcode: '1', grams: 20, product: cocoa }]);
+
+    assert.deepStrictEqual(result.totals, { energy: 316, 'energy-kcal': 75.2, sugars: 15 });
+    assert.deepStrictEqual(result.nutrients.map((row) => [row.nutrient, row.unit]), [
+      ['energy', 'kJ'],
+      ['energy-kcal', 'kcal'],
+      ['sugars', 'g'],
+    ]);
+  });
+
+  test('should report items without nutrition data', () => {
+    const result = aggregateNutrition([
+      { barcode: '1', grams: 100, product: pasta },
+      { barcode: '2', grams: 50, product: { product_name: 'Mystery', nutriments: {} } },
+      { barcode: '3', grams: 25, product: null, reason: 'product not found' },
+    ]);
+
+    assert.deepStrictEqual(result.missing, [
+      { barcode: '2', grams: 50, reason: 'no nutrition data' },
+      { barcode: '3', grams: 25, reason: 'product not found' },
+    ]);
+    assert.deepStrictEqual(result.items.map((item) => [item.name, item.counted]), [
+      ['Spaghetti', true],
+      ['Mystery', false],
+      [null, false],
+    ]);
+    assert.strictEqual(result.totalGrams, 175);
+    assert.strictEqual(result.countedGrams, 100);
+    assert.strictEqual(result.per100g.fat, 2);
+  });
+
+  test('should reject invalid portions', () => {
+    assert.throws(() => aggregateNutrition([], { portions: 0 }), { message: 'Portions must be a positive number' });
+  });
+});
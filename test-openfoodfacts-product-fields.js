@@ -0,0 +1,86 @@
+/**
+ * Unit tests for product write fields
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { buildProductFields } = require('./openfoodfacts-product-fields');
+
+describe('Product write fields', () => {
+  test('should translate names, lists and quantities, per language', () => {
+    assert.deepStrictEqual(buildProductFields({
+      code: '3017620422003',
+      lang: 'fr',
+      product_name: 'Nutella',
+      product_name_fr: ' Pâte à tartiner ',
+      generic_name_en: 'Hazelnut spread',
+      ingredients_text_fr: 'Sucre, huile de palme, noisettes 13 %',
+      quantity: '400 g',
+      categories: ['Spreads', 'Sweet spreads'],
+      brands: 'Ferrero',
+      countries: ['France'],
+    }), [
+      ['lang', 'fr'],
+      ['product_name', 'Nutella'],
+      ['product_name_fr', 'Pâte à tartiner'],
+      ['generic_name_en', 'Hazelnut spread'],
+      ['ingredients_text_fr', 'Sucre, huile de palme, noisettes 13 %'],
+      ['quantity', '400 g'],
+      ['categories', 'Spreads, Sweet spreads'],
+      ['brands', 'Ferrero'],
+      ['countries', 'France'],
+    ]);
+  });
+
+  test('should translate nutrition facts with their units', () => {
+    assert.deepStrictEqual(buildProductFields({
+      nutrition_data_per: 'serving',
+      serving_size: '15 g',
+      nutriments: { 'energy-kcal': 81, sugars: 8.4, sodium: { value: 6, unit: 'mg' } },
+    }), [
+      ['nutrition_data_per', 'serving'],
+      ['serving_size', '15 g'],
+      ['nutriment_energy-kcal', '81'],
+      ['nutriment_energy-kcal_unit', 'kcal'],
+      ['nutriment_sugars', '8.4'],
+      ['nutriment_sugars_unit', 'g'],
+      ['nutriment_sodium', '6'],
+      ['nutriment_sodium_unit', 'mg'],
+    ]);
+  });
+
+  test('should accept the same 2 and 3 letter language codes as image fields', () => {
+    assert.deepStrictEqual(buildProductFields({ lang: 'ast', product_name_ast: 'Crema de cacao' }), [
+      ['lang', 'ast'],
+      ['product_name_ast', 'Crema de cacao'],
+    ]);
+  });
+
+  test('should reject unknown fields and nutrients', () => {
+    assert.throws(() => buildProductFields({ code: '3017620422003', owner: 'me' }), /^ValidationError: Unknown product field: owner\. Allowed fields: code, lang/);
+    assert.throws(() => buildProductFields({ nutriments: { unobtainium: 1 } }), /Unknown nutrient: unobtainium/);
+    assert.throws(() => buildProductFields('Nutella'), { message: 'Product data must be an object' });
+  });
+
+  test('should validate every field', () => {
+    const invalid = [
+      [{ product_name_french: 'Nutella' }, 'Invalid language code in product_name_french. Use a 2 or 3 letter language code, e.g. product_name_fr.'],
+      [{ lang: 'french' }, 'Invalid lang: french. Use a 2 or 3 letter language code, e.g. fr.'],
+      [{ product_name: '  ' }, 'Invalid product_name: must be a non-empty string.'],
+      [{ quantity: 400 }, 'Invalid quantity: must be a non-empty string.'],
+      [{ quantity: 'x'.repeat(101) }, 'Invalid quantity: longer than 100 characters.'],
+      [{ brands: '<b>Ferrero</b>' }, 'Invalid brands: markup and control characters are not allowed.'],
+      [{ categories: [] }, 'Invalid categories: the list is empty.'],
+      [{ nutrition_data_per: '100ml' }, 'Invalid nutrition_data_per: 100ml. Allowed values: 100g, serving.'],
+      [{ nutriments: [] }, 'Invalid nutriments: use an object such as { sugars: 5, salt: { value: 120, unit: \'mg\' } }.'],
+      [{ nutriments: { sugars: -1 } }, 'Invalid value for sugars: must be a non-negative number.'],
+      [{ nutriments: { sugars: '5' } }, 'Invalid value for sugars: must be a non-negative number.'],
+      [{ nutriments: { 'energy-kcal': { value: 100, unit: 'kJ' } } }, 'Invalid unit for energy-kcal: kJ. Allowed units: kcal.'],
+      [{ nutrition_data_per: 'serving', nutriments: { sugars: 5 } }, 'Nutrition facts per serving need a serving_size.'],
+    ];
+    invalid.forEach(([data, message]) => {
+      assert.throws(() => buildProductFields(data), { message });
+    });
+  });
+});
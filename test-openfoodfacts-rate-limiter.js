@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the rate limiter
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, TokenBucket, DEFAULT_RATE_LIMITS } = require('./openfoodfacts-rate-limiter');
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 0 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('should use the default limits unless overridden', () => {
+    const limiter = new RateLimiter({ search: 5, write: 0, product: undefined });
+
+    assert.strictEqual(limiter.limits.product, DEFAULT_RATE_LIMITS.product);
+    assert.strictEqual(limiter.limits.search, 5);
+    assert.deepStrictEqual([...limiter.buckets.keys()], ['product', 'search', 'facets']);
+  });
+
+  test('should reject invalid limits', () => {
+    assert.throws(() => new RateLimiter({ search: -1 }), { name: 'ValidationError', message: 'Rate limits must be positive numbers of requests per minute' });
+    assert.throws(() => new TokenBucket(NaN), { message: 'Rate limits must be positive numbers of requests per minute' });
+  });
+
+  test('should allow a burst up to the limit, then queue requests in order', async () => {
+    const limiter = new RateLimiter({ search: 2 });
+    const released = [];
+
+    await limiter.acquire('search');
+    await limiter.acquire('search');
+    const third = limiter.acquire('search').then(() => released.push(3));
+    const fourth = limiter.acquire('search').then(() => released.push(4));
+    await Promise.resolve();
+    assert.deepStrictEqual(limiter.pending(), { product: 0, search: 2, facets: 0, write: 0 });
+
+    // One search token every 30 seconds
+    mock.timers.tick(29999);
+    await Promise.resolve();
+    assert.deepStrictEqual(released, []);
+    mock.timers.tick(1);
+    await third;
+    assert.deepStrictEqual(released, [3]);
+    mock.timers.tick(30000);
+    await fourth;
+    assert.deepStrictEqual(released, [3, 4]);
+  });
+
+  test('should keep operation classes apart and leave unknown classes unlimited', async () => {
+    const limiter = new RateLimiter({ search: 1 });
+
+    await limiter.acquire('search');
+    await limiter.acquire('product');
+    await limiter.acquire('robotoff');
+    assert.strictEqual(limiter.buckets.get('product').tokens, DEFAULT_RATE_LIMITS.product - 1);
+  });
+
+  test('should report waiting requests', async () => {
+    const limiter = new RateLimiter({ write: 1 });
+    const events = [];
+    const onWait = (info) => events.push(info);
+
+    await limiter.acquire('write', onWait);
+    assert.deepStrictEqual(events, []);
+
+    const waiting = limiter.acquire('write', onWait);
+    assert.deepStrictEqual(events, [{ operation: 'write', waiting: true, delay: 60000, queued: 1 }]);
+    mock.timers.tick(60000);
+    await waiting;
+    assert.deepStrictEqual(events[1], { operation: 'write', waiting: false, waited: 60000 });
+  });
+
+  test('should drop aborted requests from the line', async () => {
+    const limiter = new RateLimiter({ search: 1 });
+    const events = [];
+    const controller = new AbortController();
+
+    await limiter.acquire('search');
+    const aborted = limiter.acquire('search', (info) => events.push(info), controller.signal);
+    const next = limiter.acquire('search');
+    controller.abort(new Error('stopped'));
+
+    await assert.rejects(aborted, { message: 'stopped' });
+    assert.strictEqual(limiter.pending().search, 1);
+    assert.deepStrictEqual(events[1], { operation: 'search', waiting: false, waited: 0 });
+
+    // The next request moves up and gets the first token
+    mock.timers.tick(60000);
+    await next;
+    assert.strictEqual(limiter.pending().search, 0);
+    await assert.rejects(() => limiter.acquire('search', undefined, controller.signal), { message: 'stopped' });
+  });
+
+  test('should refill tokens over time up to the limit', async () => {
+    const bucket = new TokenBucket(60);
+    for (let i = 0; i < 60; i++) {
+      await bucket.take();
+    }
+    assert.strictEqual(bucket.delay(), 1000);
+
+    mock.timers.tick(10 * 60 * 1000);
+    assert.strictEqual(bucket.delay(), 0);
+    assert.strictEqual(bucket.tokens, 60);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for the resilience policy
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert');
+const { ResiliencePolicy, isWrite, parseRetryAfter } = require('./openfoodfacts-resilience');
+
+// Response shaped like fetch's, with optional headers
+function response(status, headers = {}) {
+  return { ok: status >= 200 && status < 300, status, headers: new Headers(headers) };
+}
+
+// Sends the given responses (or throws the given errors) in turn
+function sequence(...results) {
+  return mock.fn(async () => {
+    const result = results.shift();
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  });
+}
+
+describe('ResiliencePolicy', () => {
+  test('should retry retryable statuses and network errors until a request succeeds', async () => {
+    const policy = new ResiliencePolicy({ initialDelay: 1 });
+    const send = sequence(new TypeError('fetch failed'), response(502), response(200));
+
+    const result = await policy.execute('product', send);
+
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(send.mock.calls.length, 3);
+  });
+
+  test('should return the last failing response once attempts run out', async () => {
+    const policy = new ResiliencePolicy({ maxAttempts: 2, initialDelay: 1 });
+    const send = sequence(response(503), response(500));
+
+    const result = await policy.execute('search', send);
+
+    assert.strictEqual(result.status, 500);
+    assert.strictEqual(send.mock.calls.length, 2);
+  });
+
+  test('should throw the network error once attempts run out', async () => {
+    const policy = new ResiliencePolicy({ maxAttempts: 2, initialDelay: 1 });
+    const send = sequence(new TypeError('fetch failed'), new TypeError('fetch failed'));
+
+    await assert.rejects(() => policy.execute('facets', send), { name: 'TypeError', message: 'fetch failed' });
+  });
+
+  test('should not retry other statuses', async () => {
+    const policy = new ResiliencePolicy({ initialDelay: 1 });
+    const send = sequence(response(404));
+
+    assert.strictEqual((await policy.execute('product', send)).status, 404);
+    assert.strictEqual(send.mock.calls.length, 1);
+  });
+
+  test('should only retry writes the server turned away', async () => {
+    const policy = new ResiliencePolicy({ initialDelay: 1 });
+
+    const failed = sequence(response(502));
+    assert.strictEqual((await policy.execute('write', failed)).status, 502);
+    assert.strictEqual(failed.mock.calls.length, 1);
+
+    const dropped = sequence(new TypeError('fetch failed'));
+    await assert.rejects(() => policy.execute('write', dropped), { message: 'fetch failed' });
+    assert.strictEqual(dropped.mock.calls.length, 1);
+
+    const limited = sequence(response(429, { 'Retry-After': '0' }), response(200));
+    assert.strictEqual((await policy.execute('write', limited)).status, 200);
+    assert.strictEqual(limited.mock.calls.length, 2);
+  });
+
+  test('should treat requests flagged as writes like the write class', async () => {
+    const policy = new ResiliencePolicy({ initialDelay: 1 });
+
+    const failed = sequence(response(502));
+    assert.strictEqual((await policy.execute('robotoff', failed, undefined, true)).status, 502);
+    assert.strictEqual(failed.mock.calls.length, 1);
+
+    const dropped = sequence(new TypeError('fetch failed'));
+    await assert.rejects(() => policy.execute('robotoff', dropped, undefined, true), { message: 'fetch failed' });
+    assert.strictEqual(dropped.mock.calls.length, 1);
+  });
+
+  test('should tell writes from reads by operation class and method', () => {
+    assert.strictEqual(isWrite('write'), true);
+    assert.strictEqual(isWrite('robotoff', { method: 'POST' }), true);
+    assert.strictEqual(isWrite('robotoff', { method: 'get' }), false);
+    assert.strictEqual(isWrite('product'), false);
+  });
+
+  test('should cancel the body of responses it retries', async () => {
+    const policy = new ResiliencePolicy({ maxAttempts: 2, initialDelay: 1 });
+    const retried = { ...response(503), body: { cancel: mock.fn(async () => {}) } };
+    const last = { ...response(503), body: { cancel: mock.fn(async () => {}) } };
+
+    assert.strictEqual(await policy.execute('product', sequence(retried, last)), last);
+    assert.strictEqual(retried.body.cancel.mock.calls.length, 1);
+    assert.strictEqual(last.body.cancel.mock.calls.length, 0);
+  });
+
+  test('should not retry requests whose signal was aborted', async () => {
+    const policy = new ResiliencePolicy({ initialDelay: 1 });
+    const controller = new AbortController();
+    const send = mock.fn(async () => {
+      controller.abort(new Error('stopped'));
+      throw controller.signal.reason;
+    });
+
+    await assert.rejects(() => policy.execute('product', send, controller.signal), { message: 'stopped' });
+    assert.strictEqual(send.mock.calls.length, 1);
+  });
+
+  test('should wait as long as Retry-After asks, and give up when it asks too much', async () => {
+    const policy = new ResiliencePolicy({ initialDelay: 1, maxRetryAfter: 1000 });
+    const send = sequence(response(429, { 'Retry-After': '0' }), response(200));
+    assert.strictEqual((await policy.execute('product', send)).status, 200);
+
+    const tooLong = sequence(response(503, { 'Retry-After': '120' }));
+    assert.strictEqual((await policy.execute('product', tooLong)).status, 503);
+    assert.strictEqual(tooLong.mock.calls.length, 1);
+    assert.strictEqual(policy._delay(1, { retryAfter: 250 }), 250);
+  });
+
+  test('should open the circuit breaker of an operation class after consecutive failures', async () => {
+    const policy = new ResiliencePolicy({ maxAttempts: 1, breakerThreshold: 2 });
+    const send = mock.fn(async () => response(500));
+
+    await policy.execute('search', send);
+    await policy.execute('search', send);
+    await assert.rejects(() => policy.execute('search', send), {
+      name: 'CircuitOpenError',
+      code: 'SERVER',
+      operation: 'search',
+      retryable: true,
+      message: 'Circuit breaker open after 2 consecutive failures of search requests',
+    });
+    assert.strictEqual(send.mock.calls.length, 2);
+
+    // Other operation classes are unaffected
+    assert.strictEqual((await policy.execute('product', sequence(response(200)))).status, 200);
+  });
+
+  test('should reject invalid settings', () => {
+    assert.throws(() => new ResiliencePolicy({ maxAttempts: 0 }), { name: 'ValidationError', code: 'VALIDATION', message: 'maxAttempts must be a positive integer' });
+    assert.throws(() => new ResiliencePolicy({ breakerThreshold: -1 }), { message: 'breakerThreshold must be a non-negative integer' });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('should read delays in seconds and HTTP dates', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+    try {
+      assert.strictEqual(parseRetryAfter('30'), 30000);
+      assert.strictEqual(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT'), 10000);
+      assert.strictEqual(parseRetryAfter('Tue, 31 Dec 2024 00:00:00 GMT'), 0);
+      assert.strictEqual(parseRetryAfter('soon'), undefined);
+      assert.strictEqual(parseRetryAfter(null), undefined);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
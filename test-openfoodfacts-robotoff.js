@@ -0,0 +1,66 @@
+/**
+ * Unit tests for Robotoff question, insight and annotation requests
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { robotoffUrl, serverType, questionsQuery, insightsQuery, annotationFields } = require('./openfoodfacts-robotoff');
+
+const INSIGHT_ID = '3cd5aecd-edcc-4237-87d0-6595fc4e53c9';
+
+describe('Robotoff requests', () => {
+  test('should find the Robotoff instance and server type of a server', () => {
+    assert.strictEqual(robotoffUrl('https://fr.openfoodfacts.org'), 'https://robotoff.openfoodfacts.org');
+    assert.strictEqual(robotoffUrl('https://world.openfoodfacts.net'), 'https://robotoff.openfoodfacts.net');
+    assert.strictEqual(serverType('https://world.openbeautyfacts.org'), 'obf');
+    assert.strictEqual(serverType('https://off.example.com'), undefined);
+  });
+
+  test('should build question queries with filters', () => {
+    assert.strictEqual(questionsQuery().toString(), 'count=1');
+    assert.strictEqual(questionsQuery({
+      count: '5',
+      lang: 'fr',
+      page: 2,
+      serverType: 'off',
+      insightTypes: 'label, category',
+      country: 'United Kingdom',
+      brands: ['Ferrero', 'Lindt'],
+      valueTag: 'en:organic',
+    }).toString(), 'count=5&lang=fr&page=2&server_type=off&insight_types=label%2Ccategory&country=en%3Aunited-kingdom'
+      + '&brands=Ferrero%2CLindt&value_tag=en%3Aorganic');
+  });
+
+  test('should build insight queries', () => {
+    assert.strictEqual(insightsQuery().toString(), 'count=25');
+    assert.strictEqual(
+      insightsQuery({ barcode: '3017620422003', annotated: false, insightTypes: ['product_weight'], country: 'en:france' }).toString(),
+      'count=25&barcode=3017620422003&annotated=false&insight_types=product_weight&country=en%3Afrance',
+    );
+  });
+
+  test('should reject invalid filters', () => {
+    const invalid = [
+      [() => questionsQuery({ count: 0 }), 'Invalid count: 0. Must be an integer from 1 to 100.'],
+      [() => questionsQuery({ count: 101 }), 'Invalid count: 101. Must be an integer from 1 to 100.'],
+      [() => questionsQuery({ lang: 'french' }), 'Invalid lang: french. Use a 2 or 3 letter language code such as en or fr.'],
+      [() => questionsQuery({ insightTypes: 'Category' }), 'Invalid insight type: Category. Use Robotoff type names such as category or label.'],
+      [() => questionsQuery({ brands: ' , ' }), 'Invalid brands: the list is empty.'],
+      [() => questionsQuery({ valueTag: 'organic' }), 'Invalid valueTag: organic. Use a taxonomy tag such as en:organic.'],
+      [() => insightsQuery({ page: 1.5 }), 'Invalid page: 1.5. Must be an integer from 1.'],
+      [() => insightsQuery({ annotated: 'no' }), 'annotated must be a boolean'],
+    ];
+    invalid.forEach(([build, message]) => {
+      assert.throws(build, { message });
+    });
+  });
+
+  test('should translate answers into annotations', () => {
+    assert.strictEqual(annotationFields(INSIGHT_ID, 'yes').toString(), `insight_id=${INSIGHT_ID}&annotation=1&update=1`);
+    assert.strictEqual(annotationFields(` ${INSIGHT_ID}`, 'Skip').get('annotation'), '-1');
+    assert.strictEqual(annotationFields(INSIGHT_ID, 0).get('annotation'), '0');
+    assert.throws(() => annotationFields(INSIGHT_ID, 'maybe'), { message: 'Invalid answer: maybe. Must be yes, no or skip.' });
+    assert.throws(() => annotationFields('42', 'yes'), { message: 'Invalid insightId. Use the insight_id of a question.' });
+  });
+});
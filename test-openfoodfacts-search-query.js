@@ -0,0 +1,69 @@
+/**
+ * Unit tests for structured search queries
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { buildSearchQuery } = require('./openfoodfacts-search-query');
+
+describe('Structured search queries', () => {
+  test('should translate tag filters, with any-of arrays and all-of objects', () => {
+    assert.deepStrictEqual(buildSearchQuery({
+      categories: 'en:cereals',
+      labels: ['en:organic', 'en:fair-trade'],
+      countries: { all: ['en:france', 'en:belgium'] },
+    }), [
+      ['categories_tags', 'en:cereals'],
+      ['labels_tags', 'en:organic|en:fair-trade'],
+      ['countries_tags', 'en:france,en:belgium'],
+    ]);
+  });
+
+  test('should translate grades and NOVA group ranges', () => {
+    assert.deepStrictEqual(buildSearchQuery({ nutrition_grades: ['A', 'b'], ecoscore_grade: 'a-plus' }), [
+      ['nutrition_grades_tags', 'a|b'],
+      ['ecoscore_tags', 'a-plus'],
+    ]);
+    assert.deepStrictEqual(buildSearchQuery({ nova_group: { gt: 1, lt: 4 } }), [
+      ['nova_groups_tags', 'en:2-processed-culinary-ingredients|en:3-processed-foods'],
+    ]);
+    assert.deepStrictEqual(buildSearchQuery({ nova_group: 4 }), [
+      ['nova_groups_tags', 'en:4-ultra-processed-food-and-drink-products'],
+    ]);
+  });
+
+  test('should translate nutriment conditions and sort orders', () => {
+    assert.deepStrictEqual(buildSearchQuery({
+      nutriments: { sugars_100g: { lt: 5 }, 'energy-kcal_serving': { gte: 100, lte: 200 }, salt_100g: 0 },
+      sort_by: 'popularity',
+    }), [
+      ['sugars_100g<5', ''],
+      ['energy-kcal_serving>', '100'],
+      ['energy-kcal_serving<', '200'],
+      ['salt_100g', '0'],
+      ['sort_by', 'popularity_key'],
+    ]);
+  });
+
+  test('should reject unknown keys and invalid values', () => {
+    assert.throws(() => buildSearchQuery('categories'), { message: 'Search query must be an object' });
+    assert.throws(() => buildSearchQuery({ nova: 1 }), { message: /^Unknown search query key: nova\. Allowed keys: / });
+    assert.throws(() => buildSearchQuery({ categories: [] }), { message: /^Invalid search query value for categories\./ });
+    assert.throws(() => buildSearchQuery({ brands: 'a|b' }), { message: /^Invalid search query value for brands: a\|b\./ });
+    assert.throws(() => buildSearchQuery({ nutrition_grades: ['a', 'z'] }), {
+      message: 'Invalid nutrition_grades: z. Allowed grades: a, b, c, d, e.',
+    });
+    assert.throws(() => buildSearchQuery({ nova_group: { lt: 1 } }), {
+      message: 'Invalid nova_group: the condition matches no NOVA group (1 to 4).',
+    });
+    assert.throws(() => buildSearchQuery({ nutriments: { sugars: { lt: 5 } } }), { message: /^Invalid nutriment sugars\./ });
+    assert.throws(() => buildSearchQuery({ nutriments: { sugars_100g: { below: 5 } } }), {
+      message: /^Unknown operator below for sugars_100g\./,
+    });
+    assert.throws(() => buildSearchQuery({ nutriments: { sugars_100g: { lt: '5' } } }), {
+      message: 'Invalid search query condition for sugars_100g: lt must be a number.',
+    });
+    assert.throws(() => buildSearchQuery({ sort_by: 'random' }), { message: /^Invalid sort_by: random\./ });
+  });
+});
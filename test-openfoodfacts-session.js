@@ -0,0 +1,48 @@
+/**
+ * Unit tests for session cookies, authentication failures and app identity
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SESSION_LIFETIME, parseSessionCookie, isAuthFailure, appIdentity } = require('./openfoodfacts-session');
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+
+describe('Sessions', () => {
+  test('should read the session cookie and its expiry', () => {
+    assert.deepStrictEqual(
+      parseSessionCookie(['lang=fr; path=/', 'session=user_session&abc&user_id&jdoe; path=/; expires=Fri, 20 Nov 2026 10:00:00 GMT'], NOW),
+      { cookie: 'session=user_session&abc&user_id&jdoe', expiresAt: Date.parse('2026-11-20T10:00:00Z') },
+    );
+    assert.deepStrictEqual(
+      parseSessionCookie(['session=abc; Max-Age=3600; expires=Fri, 20 Nov 2026 10:00:00 GMT'], NOW),
+      { cookie: 'session=abc', expiresAt: NOW + 3600 * 1000 },
+    );
+    assert.deepStrictEqual(parseSessionCookie(['session=abc; path=/'], NOW), { cookie: 'session=abc', expiresAt: NOW + DEFAULT_SESSION_LIFETIME });
+  });
+
+  test('should not find a session when the server clears the cookie', () => {
+    assert.strictEqual(parseSessionCookie(['session=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT'], NOW), null);
+    assert.strictEqual(parseSessionCookie(['session=abc; Max-Age=0'], NOW), null);
+    assert.strictEqual(parseSessionCookie(['sessions=abc'], NOW), null);
+    assert.strictEqual(parseSessionCookie(undefined, NOW), null);
+  });
+
+  test('should detect writes refused for want of a login', () => {
+    assert.strictEqual(isAuthFailure({ status: 0, status_verbose: 'not logged in' }), true);
+    assert.strictEqual(isAuthFailure({ status: 0, error: 'Incorrect user name or password.' }), true);
+    assert.strictEqual(isAuthFailure({ status: 1, status_verbose: 'fields saved' }), false);
+    assert.strictEqual(isAuthFailure({ status: 0, status_verbose: 'no code or invalid code' }), false);
+    assert.strictEqual(isAuthFailure(null), false);
+  });
+
+  test('should check the app identity', () => {
+    assert.strictEqual(appIdentity(), null);
+    assert.deepStrictEqual(appIdentity('MyApp 2.1'), { name: 'MyApp 2.1', uuid: undefined });
+    assert.deepStrictEqual(appIdentity('MyApp', 'user-42'), { name: 'MyApp', uuid: 'user-42' });
+    assert.throws(() => appIdentity(undefined, 'user-42'), { name: 'ValidationError', message: 'appUuid requires an appName' });
+    assert.throws(() => appIdentity('My/App'), /Invalid appName/);
+    assert.throws(() => appIdentity('MyApp', 'user 42'), /Invalid appUuid/);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the on-disk taxonomy store
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { TaxonomyStore, DEFAULT_REFRESH_INTERVAL } = require('./openfoodfacts-taxonomy-store');
+
+describe('TaxonomyStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'off-taxonomies-'));
+  });
+
+  afterEach(async () => {
+    mock.timers.reset();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should require a directory and a valid refresh interval', () => {
+    assert.throws(() => new TaxonomyStore(), { name: 'ValidationError', message: 'Taxonomy store directory is required' });
+    assert.throws(() => new TaxonomyStore({ directory, refreshInterval: -1 }), {
+      message: 'Taxonomy refresh interval must be a non-negative number',
+    });
+    assert.strictEqual(new TaxonomyStore({ directory }).refreshInterval, DEFAULT_REFRESH_INTERVAL);
+  });
+
+  test('should return null for taxonomies that were never stored', async () => {
+    const store = new TaxonomyStore({ directory });
+
+    assert.strictEqual(await store.read('additives'), null);
+    assert.deepStrictEqual(await store.types(), []);
+  });
+
+  test('should store taxonomies with their validators', async () => {
+    const store = new TaxonomyStore({ directory: path.join(directory, 'nested') });
+    const fetchedAt = await store.write('additives', { 'en:e330': { name: { en: 'E330' } } }, {
+      etag: '"abc"',
+      lastModified: 'Wed, 01 Oct 2025 10:00:00 GMT',
+    });
+
+    assert.deepStrictEqual(await store.read('additives'), {
+      data: { 'en:e330': { name: { en: 'E330' } } },
+      etag: '"abc"',
+      lastModified: 'Wed, 01 Oct 2025 10:00:00 GMT',
+      fetchedAt,
+    });
+    assert.deepStrictEqual(await store.types(), ['additives']);
+  });
+
+  test('should let concurrent writes of a taxonomy complete', async () => {
+    const store = new TaxonomyStore({ directory });
+
+    await Promise.all([store.write('allergens', { 'en:milk': {} }), store.write('allergens', { 'en:milk': {} })]);
+
+    assert.deepStrictEqual((await store.read('allergens')).data, { 'en:milk': {} });
+    assert.deepStrictEqual((await fs.readdir(directory)).sort(), ['allergens.json', 'allergens.meta.json']);
+  });
+
+  test('should treat corrupt entries as missing', async () => {
+    const store = new TaxonomyStore({ directory });
+    await store.write('allergens', {});
+    await fs.writeFile(path.join(directory, 'allergens.json'), '{"truncated');
+
+    assert.strictEqual(await store.read('allergens'), null);
+  });
+
+  test('should refresh the revalidation time on touch', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const store = new TaxonomyStore({ directory, refreshInterval: 500 });
+    await store.write('brands', { a: 1 }, { etag: '"v1"' });
+
+    mock.timers.tick(600);
+    const stale = await store.read('brands');
+    assert.strictEqual(store.isFresh(stale), false);
+
+    await store.touch('brands', stale);
+    const touched = await store.read('brands');
+    assert.strictEqual(touched.fetchedAt, 1600);
+    assert.strictEqual(touched.etag, '"v1"');
+    assert.strictEqual(store.isFresh(touched), true);
+  });
+
+  test('should always revalidate with a zero refresh interval', async () => {
+    const store = new TaxonomyStore({ directory, refreshInterval: 0 });
+    await store.write('brands', {});
+
+    assert.strictEqual(store.isFresh(await store.read('brands')), false);
+  });
+
+  test('should refuse taxonomy types that are not plain names', async () => {
+    const store = new TaxonomyStore({ directory });
+
+    await assert.rejects(() => store.read('../settings'), {
+      name: 'ValidationError',
+      message: 'Invalid taxonomy type. Use letters, digits, underscores or hyphens only.',
+    });
+    await assert.rejects(() => store.write('a/b', {}), /Invalid taxonomy type/);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for taxonomy queries
+ * Using Node.js built-in test runner (requires Node.js 20+)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeId,
+  getLocalizedName,
+  getEntry,
+  getAncestors,
+  getDescendants,
+  resolveId,
+  queryTaxonomy,
+} = require('./openfoodfacts-taxonomy');
+
+// Excerpt shaped like /data/taxonomies/categories.json
+const categories = {
+  'en:plant-based-foods-and-beverages': {
+    name: { en: 'Plant-based foods and beverages', fr: 'Aliments et boissons à base de végétaux' },
+  },
+  'en:beverages': {
+    name: { en: 'Beverages', fr: 'Boissons' },
+  },
+  'en:plant-based-beverages': {
+    name: { en: 'Plant-based beverages', fr: 'Boissons à base de végétaux' },
+    parents: ['en:beverages', 'en:plant-based-foods-and-beverages'],
+  },
+  'en:fruit-juices': {
+    name: { en: 'Fruit juices', fr: 'Jus de fruits', de: 'Fruchtsäfte' },
+    synonyms: { en: ['Fruit juices', 'fruit juice'], fr: ['Jus de fruits', 'jus de fruit'] },
+    parents: ['en:plant-based-beverages', 'en:beverages'],
+  },
+  'en:orange-juices': {
+    name: { en: 'Orange juices', fr: "Jus d'orange" },
+    parents: ['en:fruit-juices'],
+  },
+  'fr:gaufres-de-liege': {
+    name: { fr: 'Gaufres de Liège' },
+  },
+};
+
+const additives = {
+  'en:e330': {
+    name: { xx: 'E330', en: 'E330 - Citric acid' },
+    synonyms: { en: ['citric acid'], fr: ['acide citrique'], ast: ['ácidu cítricu'], xx: ['E330', 'E-330'] },
+  },
+};
+
+describe('Taxonomy queries', () => {
+  test('should normalize ids', () => {
+    assert.strictEqual(normalizeId(' en:E330 '), 'en:e330');
+    assert.strictEqual(normalizeId('en:Fruit juices'), 'en:fruit-juices');
+    assert.throws(() => normalizeId(''), { name: 'ValidationError', message: 'Taxonomy id must be a non-empty string' });
+  });
+
+  test('should return localized names with fallbacks', () => {
+    const entry = categories['en:fruit-juices'];
+
+    assert.strictEqual(getLocalizedName(entry, 'de'), 'Fruchtsäfte');
+    assert.strictEqual(getLocalizedName(entry, 'it'), 'Fruit juices');
+    assert.strictEqual(getLocalizedName(additives['en:e330'], 'fr'), 'E330 - Citric acid');
+    assert.strictEqual(getLocalizedName(categories['fr:gaufres-de-liege'], 'de', 'fr:gaufres-de-liege'), 'Gaufres de Liège');
+    assert.strictEqual(getLocalizedName({}, 'en'), null);
+  });
+
+  test('should get entries by id', () => {
+    const entry = getEntry(categories, 'EN:Orange-Juices', 'fr');
+
+    assert.strictEqual(entry.id, 'en:orange-juices');
+    assert.strictEqual(entry.localizedName, "Jus d'orange");
+    assert.deepStrictEqual(entry.parents, ['en:fruit-juices']);
+    assert.strictEqual(getEntry(categories, 'en:unknown'), null);
+  });
+
+  test('should list ancestors nearest first without duplicates', () => {
+    assert.deepStrictEqual(getAncestors(categories, 'en:orange-juices'), [
+      'en:fruit-juices',
+      'en:plant-based-beverages',
+      'en:beverages',
+      'en:plant-based-foods-and-beverages',
+    ]);
+    assert.deepStrictEqual(getAncestors(categories, 'en:beverages'), []);
+    assert.strictEqual(getAncestors(categories, 'en:unknown'), null);
+  });
+
+  test('should list descendants from parent links', () => {
+    assert.deepStrictEqual(getDescendants(categories, 'en:beverages'), [
+      'en:plant-based-beverages',
+      'en:fruit-juices',
+      'en:orange-juices',
+    ]);
+  });
+
+  test('should stop walking on cycles', () => {
+    const cyclic = {
+      'en:a': { parents: ['en:b'] },
+      'en:b': { parents: ['en:a'] },
+    };
+
+    assert.deepStrictEqual(getAncestors(cyclic, 'en:a'), ['en:b']);
+  });
+
+  test('should resolve names and synonyms to canonical ids', () => {
+    assert.strictEqual(resolveId(categories, 'en:fruit-juices'), 'en:fruit-juices');
+    assert.strictEqual(resolveId(categories, 'fruit juice'), 'en:fruit-juices');
+    assert.strictEqual(resolveId(categories, 'Jus de fruit', 'fr'), 'en:fruit-juices');
+    assert.strictEqual(resolveId(categories, 'gaufres de liege'), 'fr:gaufres-de-liege');
+    assert.strictEqual(resolveId(additives, 'fr:acide citrique'), 'en:e330');
+    assert.strictEqual(resolveId(additives, 'e 330'), 'en:e330');
+    assert.strictEqual(resolveId(additives, 'de:acide citrique'), null);
+    assert.strictEqual(resolveId(additives, 'ast:ácidu cítricu'), 'en:e330');
+    assert.strictEqual(resolveId(categories, 'cheese'), null);
+  });
+
+  test('should run queries by mode', () => {
+    assert.deepStrictEqual(queryTaxonomy(categories, { mode: 'ancestors', term: 'en:fruit-juices', lang: 'fr' }), [
+      { id: 'en:plant-based-beverages', name: 'Boissons à base de végétaux' },
+      { id: 'en:beverages', name: 'Boissons' },
+      { id: 'en:plant-based-foods-and-beverages', name: 'Aliments et boissons à base de végétaux' },
+    ]);
+    assert.deepStrictEqual(queryTaxonomy(categories, { mode: 'descendants', term: 'en:fruit-juices' }), [
+      { id: 'en:orange-juices', name: 'Orange juices' },
+    ]);
+    assert.deepStrictEqual(queryTaxonomy(additives, { mode: 'resolve', term: 'citric acid' }), {
+      id: 'en:e330',
+      name: 'E330 - Citric acid',
+    });
+    assert.strictEqual(queryTaxonomy(categories, { mode: 'entry', term: 'en:unknown' }), null);
+    assert.strictEqual(queryTaxonomy(categories, { mode: 'descendants', term: 'en:unknown' }), null);
+  });
+
+  test('should reject unknown query modes', () => {
+    assert.throws(() => queryTaxonomy(categories, { mode: 'siblings', term: 'en:beverages' }), {
+      message: 'Unknown taxonomy query mode: siblings. Must be one of entry, ancestors, descendants, resolve.',
+    });
+  });
+});